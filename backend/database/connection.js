@@ -1,5 +1,6 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
 
 // Get database path from environment variable or use default
 const dbPath = process.env.DB_PATH || path.join(__dirname, 'panda_diary.db');
@@ -14,8 +15,25 @@ const db = new sqlite3.Database(dbPath, (err) => {
 // Enable foreign keys
 db.run('PRAGMA foreign_keys = ON');
 
-// Helper function to run queries with promises
-const runQuery = (sql, params = []) => {
+// Every request shares this one connection, so a transaction would take in
+// any statement another request runs while it is open. Statements and
+// transactions therefore take turns: each waits for the one before it, and
+// only the statements a transaction runs itself go ahead while it is open.
+const transactionContext = new AsyncLocalStorage();
+let queueTail = Promise.resolve();
+
+const enqueue = (task) => {
+    const result = queueTail.then(task);
+    queueTail = result.catch(() => {});
+    return result;
+};
+
+const withConnection = (task) => {
+    const transaction = transactionContext.getStore();
+    return transaction && transaction.open ? task() : enqueue(task);
+};
+
+const run = (sql, params = []) => {
     return new Promise((resolve, reject) => {
         db.run(sql, params, function(err) {
             if (err) {
@@ -27,9 +45,12 @@ const runQuery = (sql, params = []) => {
     });
 };
 
+// Helper function to run queries with promises
+const runQuery = (sql, params = []) => withConnection(() => run(sql, params));
+
 // Helper function to get single row
 const getRow = (sql, params = []) => {
-    return new Promise((resolve, reject) => {
+    return withConnection(() => new Promise((resolve, reject) => {
         db.get(sql, params, (err, row) => {
             if (err) {
                 reject(err);
@@ -37,12 +58,12 @@ const getRow = (sql, params = []) => {
                 resolve(row);
             }
         });
-    });
+    }));
 };
 
 // Helper function to get multiple rows
 const getAll = (sql, params = []) => {
-    return new Promise((resolve, reject) => {
+    return withConnection(() => new Promise((resolve, reject) => {
         db.all(sql, params, (err, rows) => {
             if (err) {
                 reject(err);
@@ -50,12 +71,41 @@ const getAll = (sql, params = []) => {
                 resolve(rows);
             }
         });
+    }));
+};
+
+// Helper function to run several queries atomically. A transaction started
+// inside another one is part of it.
+const runTransaction = (work) => {
+    const current = transactionContext.getStore();
+    if (current && current.open) {
+        return work();
+    }
+
+    return enqueue(() => {
+        const transaction = { open: true };
+        return transactionContext.run(transaction, async () => {
+            await run('BEGIN TRANSACTION');
+            try {
+                const result = await work();
+                await run('COMMIT');
+                return result;
+            } catch (error) {
+                await run('ROLLBACK');
+                throw error;
+            } finally {
+                // Work it left running must queue like any other statement
+                transaction.open = false;
+            }
+        });
     });
 };
 
 module.exports = {
     db,
+    dbPath,
     runQuery,
     getRow,
-    getAll
+    getAll,
+    runTransaction
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const { extractTags } = require('../utils/tags');
 
 // Ensure database directory exists
 const dbDir = path.dirname('./database/panda_diary.db');
@@ -26,20 +27,48 @@ db.run('PRAGMA foreign_keys = ON');
 // Create tables
 const createTables = () => {
     return new Promise((resolve, reject) => {
-        // Diary entries table
+        // Diary entries table (any number of entries per date)
         const createEntriesTable = `
             CREATE TABLE IF NOT EXISTS diary_entries (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 date TEXT NOT NULL,
                 content TEXT NOT NULL,
                 device_id TEXT NOT NULL,
+                version INTEGER NOT NULL DEFAULT 1,
                 created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                UNIQUE(date, device_id)
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Entry revisions table (snapshots of content before it was overwritten or deleted)
+        const createRevisionsTable = `
+            CREATE TABLE IF NOT EXISTS entry_revisions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                entry_id INTEGER NOT NULL,
+                date TEXT NOT NULL,
+                content TEXT NOT NULL,
+                device_id TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `;
+
+        // Moods table (any number of moods per date, each with an intensity 1-5)
+        const createMoodsTable = `
+            CREATE TABLE IF NOT EXISTS moods (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                date TEXT NOT NULL,
+                mood TEXT NOT NULL,
+                emoji TEXT NOT NULL,
+                intensity INTEGER NOT NULL DEFAULT 3,
+                time TEXT,
+                note TEXT,
+                device_id TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
             )
         `;
 
-        // Users table (for future authentication)
+        // Users table (accounts; device_id is the identity their data is stored under)
         const createUsersTable = `
             CREATE TABLE IF NOT EXISTS users (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -52,7 +81,29 @@ const createTables = () => {
             )
         `;
 
-        // Music playlists table (for future features)
+        // Sessions table (one row per issued login token, removed on logout)
+        const createSessionsTable = `
+            CREATE TABLE IF NOT EXISTS sessions (
+                id TEXT PRIMARY KEY,
+                user_id INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                expires_at DATETIME NOT NULL,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `;
+
+        // Device IDs whose anonymous data has been claimed into an account
+        const createUserDevicesTable = `
+            CREATE TABLE IF NOT EXISTS user_devices (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                device_id TEXT NOT NULL UNIQUE,
+                claimed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+            )
+        `;
+
+        // Music playlists table (each diary's tracks; see the playlist migration)
         const createPlaylistsTable = `
             CREATE TABLE IF NOT EXISTS music_playlists (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -76,6 +127,24 @@ const createTables = () => {
                 }
             });
 
+            db.run(createRevisionsTable, (err) => {
+                if (err) {
+                    console.error('Error creating entry revisions table:', err.message);
+                    reject(err);
+                } else {
+                    console.log('Entry revisions table created successfully.');
+                }
+            });
+
+            db.run(createMoodsTable, (err) => {
+                if (err) {
+                    console.error('Error creating moods table:', err.message);
+                    reject(err);
+                } else {
+                    console.log('Moods table created successfully.');
+                }
+            });
+
             db.run(createUsersTable, (err) => {
                 if (err) {
                     console.error('Error creating users table:', err.message);
@@ -85,6 +154,24 @@ const createTables = () => {
                 }
             });
 
+            db.run(createSessionsTable, (err) => {
+                if (err) {
+                    console.error('Error creating sessions table:', err.message);
+                    reject(err);
+                } else {
+                    console.log('Sessions table created successfully.');
+                }
+            });
+
+            db.run(createUserDevicesTable, (err) => {
+                if (err) {
+                    console.error('Error creating user devices table:', err.message);
+                    reject(err);
+                } else {
+                    console.log('User devices table created successfully.');
+                }
+            });
+
             db.run(createPlaylistsTable, (err) => {
                 if (err) {
                     console.error('Error creating playlists table:', err.message);
@@ -121,6 +208,38 @@ const createTables = () => {
                 }
             });
 
+            db.run('CREATE INDEX IF NOT EXISTS idx_revisions_entry ON entry_revisions(entry_id, created_at)', (err) => {
+                if (err) {
+                    console.error('Error creating revisions entry index:', err.message);
+                } else {
+                    console.log('Revisions entry index created successfully.');
+                }
+            });
+
+            db.run('CREATE INDEX IF NOT EXISTS idx_revisions_date_device ON entry_revisions(date, device_id)', (err) => {
+                if (err) {
+                    console.error('Error creating revisions date_device index:', err.message);
+                } else {
+                    console.log('Revisions date_device index created successfully.');
+                }
+            });
+
+            db.run('CREATE INDEX IF NOT EXISTS idx_moods_date_device ON moods(date, device_id)', (err) => {
+                if (err) {
+                    console.error('Error creating moods date_device index:', err.message);
+                } else {
+                    console.log('Moods date_device index created successfully.');
+                }
+            });
+
+            db.run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)', (err) => {
+                if (err) {
+                    console.error('Error creating sessions user index:', err.message);
+                } else {
+                    console.log('Sessions user index created successfully.');
+                }
+            });
+
             // Resolve after all operations complete
             setTimeout(() => {
                 resolve();
@@ -129,10 +248,531 @@ const createTables = () => {
     });
 };
 
+// Promise helpers for running migrations on this connection
+const runAsync = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.run(sql, params, (err) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve();
+            }
+        });
+    });
+};
+
+const getAsync = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(row);
+            }
+        });
+    });
+};
+
+const allAsync = (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+            if (err) {
+                reject(err);
+            } else {
+                resolve(rows);
+            }
+        });
+    });
+};
+
+const getTableSql = async (table) => {
+    const row = await getAsync("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+    return row ? row.sql : '';
+};
+
+// Keep sync_changes up to date for a table's rows (see the sync change log migration)
+const createSyncTriggers = async (table) => {
+    const prefix = table === 'diary_entries' ? 'sync_entries' : 'sync_moods';
+    await runAsync(`
+        CREATE TRIGGER IF NOT EXISTS ${prefix}_insert AFTER INSERT ON ${table} BEGIN
+            DELETE FROM sync_changes WHERE table_name = '${table}' AND record_id = new.id;
+            INSERT INTO sync_changes (table_name, record_id, device_id, date)
+            VALUES ('${table}', new.id, new.device_id, new.date);
+        END
+    `);
+    // A row moved to another device (a claim) is gone from the old one
+    await runAsync(`
+        CREATE TRIGGER IF NOT EXISTS ${prefix}_update AFTER UPDATE ON ${table} BEGIN
+            DELETE FROM sync_changes WHERE table_name = '${table}' AND record_id = new.id;
+            INSERT INTO sync_changes (table_name, record_id, device_id, date, deleted)
+            SELECT '${table}', old.id, old.device_id, old.date, 1
+            WHERE old.device_id <> new.device_id;
+            INSERT INTO sync_changes (table_name, record_id, device_id, date)
+            VALUES ('${table}', new.id, new.device_id, new.date);
+        END
+    `);
+    await runAsync(`
+        CREATE TRIGGER IF NOT EXISTS ${prefix}_delete AFTER DELETE ON ${table} BEGIN
+            DELETE FROM sync_changes WHERE table_name = '${table}' AND record_id = old.id;
+            INSERT INTO sync_changes (table_name, record_id, device_id, date, deleted)
+            VALUES ('${table}', old.id, old.device_id, old.date, 1);
+        END
+    `);
+};
+
+// Schema changes for databases created by earlier versions.
+// Each migration checks whether it is still needed, so they can run on every start.
+const migrations = [
+    {
+        name: 'Allow multiple diary entries per date',
+        needed: async () => /UNIQUE\s*\(\s*date\s*,\s*device_id\s*\)/i.test(await getTableSql('diary_entries')),
+        up: async () => {
+            // SQLite cannot drop a constraint, so rebuild the table keeping every row and id
+            await runAsync(`
+                CREATE TABLE diary_entries_new (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    date TEXT NOT NULL,
+                    content TEXT NOT NULL,
+                    device_id TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await runAsync(`
+                INSERT INTO diary_entries_new (id, date, content, device_id, created_at, updated_at)
+                SELECT id, date, content, device_id, created_at, updated_at FROM diary_entries
+            `);
+            await runAsync('DROP TABLE diary_entries');
+            await runAsync('ALTER TABLE diary_entries_new RENAME TO diary_entries');
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_entries_date ON diary_entries(date)');
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_entries_device ON diary_entries(device_id)');
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_entries_date_device ON diary_entries(date, device_id)');
+        }
+    },
+    {
+        // Runs after the rebuild above, which would drop triggers on the old table
+        name: 'Create full-text search index for diary entries',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'trigger' AND name = 'entries_fts_update'")),
+        up: async () => {
+            await runAsync(`
+                CREATE VIRTUAL TABLE IF NOT EXISTS entries_fts USING fts5(
+                    content,
+                    content = 'diary_entries',
+                    content_rowid = 'id',
+                    tokenize = 'unicode61 remove_diacritics 2'
+                )
+            `);
+            await runAsync(`
+                CREATE TRIGGER IF NOT EXISTS entries_fts_insert AFTER INSERT ON diary_entries BEGIN
+                    INSERT INTO entries_fts (rowid, content) VALUES (new.id, new.content);
+                END
+            `);
+            await runAsync(`
+                CREATE TRIGGER IF NOT EXISTS entries_fts_delete AFTER DELETE ON diary_entries BEGIN
+                    INSERT INTO entries_fts (entries_fts, rowid, content) VALUES ('delete', old.id, old.content);
+                END
+            `);
+            await runAsync(`
+                CREATE TRIGGER IF NOT EXISTS entries_fts_update AFTER UPDATE OF content ON diary_entries BEGIN
+                    INSERT INTO entries_fts (entries_fts, rowid, content) VALUES ('delete', old.id, old.content);
+                    INSERT INTO entries_fts (rowid, content) VALUES (new.id, new.content);
+                END
+            `);
+            // Index the entries written before search existed
+            await runAsync("INSERT INTO entries_fts (entries_fts) VALUES ('rebuild')");
+        }
+    },
+    {
+        // Change log behind /api/sync. Triggers keep one row per record (its
+        // latest change), so deletes leave a tombstone and the log stays small.
+        name: 'Create sync change log',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'trigger' AND name = 'sync_moods_delete'")),
+        up: async () => {
+            await runAsync(`
+                CREATE TABLE IF NOT EXISTS sync_changes (
+                    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+                    table_name TEXT NOT NULL,
+                    record_id INTEGER NOT NULL,
+                    device_id TEXT NOT NULL,
+                    date TEXT NOT NULL,
+                    deleted INTEGER NOT NULL DEFAULT 0,
+                    changed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_sync_changes_device ON sync_changes(device_id, seq)');
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_sync_changes_record ON sync_changes(table_name, record_id)');
+
+            // Operations already applied, so a retried batch is not applied twice
+            await runAsync(`
+                CREATE TABLE IF NOT EXISTS sync_operations (
+                    op_id TEXT NOT NULL,
+                    device_id TEXT NOT NULL,
+                    result TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (op_id, device_id)
+                )
+            `);
+
+            for (const table of ['diary_entries', 'moods']) {
+                await createSyncTriggers(table);
+            }
+        }
+    },
+    {
+        // Bumped on every content change; entries expose it as their ETag
+        name: 'Add version counter to diary entries',
+        needed: async () => !/\bversion\b/i.test(await getTableSql('diary_entries')),
+        up: async () => {
+            await runAsync('ALTER TABLE diary_entries ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+        }
+    },
+    {
+        // Rows encrypted in the browser are flagged so search and exports can
+        // skip their ciphertext; the key parameters are kept per diary
+        name: 'Support client-side encrypted entries and moods',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'encryption_keys'")),
+        up: async () => {
+            for (const table of ['diary_entries', 'moods', 'entry_revisions']) {
+                if (!/\bis_encrypted\b/i.test(await getTableSql(table))) {
+                    await runAsync(`ALTER TABLE ${table} ADD COLUMN is_encrypted INTEGER NOT NULL DEFAULT 0`);
+                }
+            }
+
+            await runAsync(`
+                CREATE TABLE IF NOT EXISTS encryption_keys (
+                    device_id TEXT PRIMARY KEY,
+                    key_id TEXT NOT NULL,
+                    kdf TEXT NOT NULL,
+                    iterations INTEGER NOT NULL,
+                    salt TEXT NOT NULL,
+                    key_check TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            // Ciphertext is never indexed. The index is external-content, so a
+            // row must only be removed from it if it was added in the first place.
+            await runAsync('DROP TRIGGER IF EXISTS entries_fts_insert');
+            await runAsync('DROP TRIGGER IF EXISTS entries_fts_delete');
+            await runAsync('DROP TRIGGER IF EXISTS entries_fts_update');
+            await runAsync(`
+                CREATE TRIGGER entries_fts_insert AFTER INSERT ON diary_entries WHEN new.is_encrypted = 0 BEGIN
+                    INSERT INTO entries_fts (rowid, content) VALUES (new.id, new.content);
+                END
+            `);
+            await runAsync(`
+                CREATE TRIGGER entries_fts_delete AFTER DELETE ON diary_entries WHEN old.is_encrypted = 0 BEGIN
+                    INSERT INTO entries_fts (entries_fts, rowid, content) VALUES ('delete', old.id, old.content);
+                END
+            `);
+            await runAsync(`
+                CREATE TRIGGER entries_fts_update AFTER UPDATE OF content, is_encrypted ON diary_entries BEGIN
+                    INSERT INTO entries_fts (entries_fts, rowid, content)
+                    SELECT 'delete', old.id, old.content WHERE old.is_encrypted = 0;
+                    INSERT INTO entries_fts (rowid, content)
+                    SELECT new.id, new.content WHERE new.is_encrypted = 0;
+                END
+            `);
+        }
+    },
+    {
+        // Files attached to a day (optionally to one of its entries); the
+        // files themselves live on disk next to the database
+        name: 'Create attachments table',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'attachments'")),
+        up: async () => {
+            await runAsync(`
+                CREATE TABLE attachments (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    device_id TEXT NOT NULL,
+                    date TEXT NOT NULL,
+                    entry_id INTEGER,
+                    file_name TEXT NOT NULL,
+                    mime_type TEXT NOT NULL,
+                    size INTEGER NOT NULL,
+                    width INTEGER,
+                    height INTEGER,
+                    has_thumbnail INTEGER NOT NULL DEFAULT 0,
+                    storage_key TEXT NOT NULL UNIQUE,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_attachments_date_device ON attachments(date, device_id)');
+        }
+    },
+    {
+        // Each diary's own moods (seeded with the defaults on first use). A
+        // day's mood keeps its label and emoji and links to the palette mood
+        // it was picked from, so renames follow and retired moods still resolve.
+        name: 'Create mood palette',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'mood_palette'")),
+        up: async () => {
+            await runAsync(`
+                CREATE TABLE mood_palette (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    device_id TEXT NOT NULL,
+                    label TEXT NOT NULL,
+                    emoji TEXT NOT NULL,
+                    color TEXT NOT NULL,
+                    valence INTEGER NOT NULL DEFAULT 0,
+                    position INTEGER NOT NULL DEFAULT 0,
+                    retired_at DATETIME,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_mood_palette_device ON mood_palette(device_id, position)');
+
+            if (!/\bpalette_id\b/i.test(await getTableSql('moods'))) {
+                await runAsync('ALTER TABLE moods ADD COLUMN palette_id INTEGER');
+            }
+        }
+    },
+    {
+        // Several moods a day, each with how strongly it was felt (moods from
+        // before count as middling), an optional time of day and a note
+        name: 'Allow multiple moods per date',
+        needed: async () => /UNIQUE\s*\(\s*date\s*,\s*device_id\s*\)/i.test(await getTableSql('moods')),
+        up: async () => {
+            // SQLite cannot drop a constraint, so rebuild the table keeping every row and id
+            await runAsync(`
+                CREATE TABLE moods_new (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    date TEXT NOT NULL,
+                    mood TEXT NOT NULL,
+                    emoji TEXT NOT NULL,
+                    intensity INTEGER NOT NULL DEFAULT 3,
+                    time TEXT,
+                    note TEXT,
+                    device_id TEXT NOT NULL,
+                    is_encrypted INTEGER NOT NULL DEFAULT 0,
+                    palette_id INTEGER,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await runAsync(`
+                INSERT INTO moods_new (id, date, mood, emoji, device_id, is_encrypted, palette_id, created_at, updated_at)
+                SELECT id, date, mood, emoji, device_id, is_encrypted, palette_id, created_at, updated_at FROM moods
+            `);
+            await runAsync('DROP TABLE moods');
+            await runAsync('ALTER TABLE moods_new RENAME TO moods');
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_moods_date_device ON moods(date, device_id)');
+            // Dropping the table dropped its triggers
+            await createSyncTriggers('moods');
+        }
+    },
+    {
+        // Each diary's #hashtags, linked to the entries that mention them.
+        // Links are rebuilt from an entry's content whenever it changes.
+        name: 'Create tags',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'entry_tags'")),
+        up: async () => {
+            await runAsync(`
+                CREATE TABLE tags (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    device_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    UNIQUE (device_id, name)
+                )
+            `);
+            await runAsync(`
+                CREATE TABLE entry_tags (
+                    entry_id INTEGER NOT NULL,
+                    tag_id INTEGER NOT NULL,
+                    PRIMARY KEY (entry_id, tag_id),
+                    FOREIGN KEY (entry_id) REFERENCES diary_entries(id) ON DELETE CASCADE,
+                    FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+                )
+            `);
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_entry_tags_tag ON entry_tags(tag_id)');
+
+            // Tag the entries written before tags existed
+            const entries = await allAsync('SELECT id, content, device_id FROM diary_entries WHERE is_encrypted = 0');
+            for (const entry of entries) {
+                for (const name of extractTags(entry.content)) {
+                    await runAsync('INSERT OR IGNORE INTO tags (device_id, name) VALUES (?, ?)', [entry.device_id, name]);
+                    await runAsync(`
+                        INSERT INTO entry_tags (entry_id, tag_id)
+                        SELECT ?, id FROM tags WHERE device_id = ? AND name = ?
+                    `, [entry.id, entry.device_id, name]);
+                }
+            }
+        }
+    },
+    {
+        // Tracks are uploaded audio files (file_path holds the storage key
+        // under music/) or links; a day can have one of them as its song
+        name: 'Support playlist uploads, links and songs of the day',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'day_songs'")),
+        up: async () => {
+            const columns = {
+                url: 'TEXT',
+                file_name: 'TEXT',
+                mime_type: 'TEXT',
+                size: 'INTEGER',
+                updated_at: 'DATETIME'
+            };
+            for (const [column, type] of Object.entries(columns)) {
+                if (!new RegExp(`\\b${column}\\b`, 'i').test(await getTableSql('music_playlists'))) {
+                    await runAsync(`ALTER TABLE music_playlists ADD COLUMN ${column} ${type}`);
+                }
+            }
+            // Nothing stored files before, so older paths aren't storage keys
+            await runAsync('UPDATE music_playlists SET file_path = NULL, updated_at = created_at WHERE mime_type IS NULL');
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_music_playlists_device ON music_playlists(device_id)');
+
+            await runAsync(`
+                CREATE TABLE day_songs (
+                    device_id TEXT NOT NULL,
+                    date TEXT NOT NULL,
+                    track_id INTEGER NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (device_id, date),
+                    FOREIGN KEY (track_id) REFERENCES music_playlists(id) ON DELETE CASCADE
+                )
+            `);
+        }
+    },
+    {
+        // A diary's own writing prompts, and which prompt each day was given
+        // (prompt_key is "<theme>-<n>" or "custom-<id>", see utils/prompts.js)
+        name: 'Create prompts',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'prompt_history'")),
+        up: async () => {
+            await runAsync(`
+                CREATE TABLE IF NOT EXISTS custom_prompts (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    device_id TEXT NOT NULL,
+                    text TEXT NOT NULL,
+                    theme TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_custom_prompts_device ON custom_prompts(device_id)');
+            await runAsync(`
+                CREATE TABLE prompt_history (
+                    device_id TEXT NOT NULL,
+                    date TEXT NOT NULL,
+                    prompt_key TEXT NOT NULL,
+                    tone TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (device_id, date)
+                )
+            `);
+        }
+    },
+    {
+        // Entry templates, and which one each weekday (0 = Sunday) starts with
+        name: 'Create templates',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'template_defaults'")),
+        up: async () => {
+            await runAsync(`
+                CREATE TABLE IF NOT EXISTS templates (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    device_id TEXT NOT NULL,
+                    name TEXT NOT NULL,
+                    content TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_templates_device ON templates(device_id)');
+            await runAsync(`
+                CREATE TABLE template_defaults (
+                    device_id TEXT NOT NULL,
+                    weekday INTEGER NOT NULL,
+                    template_id INTEGER NOT NULL,
+                    PRIMARY KEY (device_id, weekday),
+                    FOREIGN KEY (template_id) REFERENCES templates(id) ON DELETE CASCADE
+                )
+            `);
+            await runAsync('CREATE INDEX IF NOT EXISTS idx_template_defaults_template ON template_defaults(template_id)');
+        }
+    },
+    {
+        // Lets the entry list page through a device's entries in sort order
+        name: 'Index entries for paging',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'index' AND name = 'idx_entries_device_order'")),
+        up: async () => {
+            await runAsync('CREATE INDEX idx_entries_device_order ON diary_entries(device_id, date, created_at, id)');
+        }
+    },
+    {
+        // Bumped on every change, so offline changes to a mood can tell
+        // whether it was changed elsewhere without comparing clocks
+        name: 'Add version counter to moods',
+        needed: async () => !/\bversion\b/i.test(await getTableSql('moods')),
+        up: async () => {
+            await runAsync('ALTER TABLE moods ADD COLUMN version INTEGER NOT NULL DEFAULT 1');
+        }
+    },
+    {
+        // An attachment outlives the entry it was attached to and stays with
+        // its day; attachments already left pointing at deleted entries are
+        // let go of too
+        name: 'Detach attachments from deleted entries',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'trigger' AND name = 'attachments_entry_delete'")),
+        up: async () => {
+            await runAsync(`
+                UPDATE attachments SET entry_id = NULL
+                WHERE entry_id IS NOT NULL AND entry_id NOT IN (SELECT id FROM diary_entries)
+            `);
+            await runAsync(`
+                CREATE TRIGGER attachments_entry_delete AFTER DELETE ON diary_entries BEGIN
+                    UPDATE attachments SET entry_id = NULL WHERE entry_id = old.id;
+                END
+            `);
+        }
+    },
+    {
+        // A rekey's re-encrypted rows, uploaded in batches and held here until
+        // the rekey swaps them all in at once (data is the row's new values
+        // as JSON; key_id is '' when encryption is being turned off)
+        name: 'Stage rekeys in batches',
+        needed: async () => !(await getAsync("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'rekey_rows'")),
+        up: async () => {
+            await runAsync(`
+                CREATE TABLE rekey_rows (
+                    device_id TEXT NOT NULL,
+                    kind TEXT NOT NULL,
+                    row_id INTEGER NOT NULL,
+                    key_id TEXT NOT NULL,
+                    version INTEGER,
+                    data TEXT NOT NULL,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    PRIMARY KEY (device_id, kind, row_id)
+                )
+            `);
+        }
+    }
+];
+
+const runMigrations = async () => {
+    for (const migration of migrations) {
+        if (await migration.needed()) {
+            console.log(`Running migration: ${migration.name}`);
+            await runAsync('BEGIN TRANSACTION');
+            try {
+                await migration.up();
+                await runAsync('COMMIT');
+            } catch (error) {
+                await runAsync('ROLLBACK');
+                throw error;
+            }
+            console.log(`Migration completed: ${migration.name}`);
+        }
+    }
+};
+
 // Initialize database
 const initDatabase = async () => {
     try {
         await createTables();
+        await runMigrations();
         console.log('✅ Database initialization completed successfully');
     } catch (error) {
         console.error('❌ Database initialization failed:', error);
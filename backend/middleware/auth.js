@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const { deviceIdMiddleware, validateDeviceId } = require('./deviceId');
+
+// Sessions last 30 days
+const SESSION_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// Signing secret comes from the environment (see render.yaml). Without one we
+// fall back to a random per-process secret so local development still works,
+// at the cost of everyone being logged out on restart.
+const JWT_SECRET = process.env.JWT_SECRET || (() => {
+    console.warn('⚠️ JWT_SECRET is not set - using a temporary secret, sessions will not survive a restart');
+    return crypto.randomBytes(32).toString('hex');
+})();
+
+// Extract the bearer token from the Authorization header
+const getBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+// Issue a signed token backed by a session row
+const issueToken = async (user) => {
+    const sessionId = uuidv4();
+    const expiresAt = new Date(Date.now() + SESSION_TTL_SECONDS * 1000).toISOString();
+
+    await User.createSession(sessionId, user.id, expiresAt);
+
+    const token = jwt.sign({ sub: user.id, jti: sessionId }, JWT_SECRET, {
+        expiresIn: SESSION_TTL_SECONDS
+    });
+
+    return { token, expiresAt };
+};
+
+// Resolve a token to its user, or null if it is invalid, expired or logged out
+const resolveToken = async (token) => {
+    let payload;
+    try {
+        payload = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+        return null;
+    }
+
+    const session = await User.getActiveSession(payload.jti);
+    if (!session || session.user_id !== payload.sub) {
+        return null;
+    }
+
+    const user = await User.getUserById(payload.sub);
+    if (!user) {
+        return null;
+    }
+
+    return { user, sessionId: session.id };
+};
+
+// Middleware that attaches req.user when a valid token is sent
+const authenticate = async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+        return next();
+    }
+
+    try {
+        const resolved = await resolveToken(token);
+        if (!resolved) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid session',
+                message: 'Your session has expired. Please log in again.'
+            });
+        }
+
+        req.user = resolved.user;
+        req.sessionId = resolved.sessionId;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Middleware that rejects requests without a logged-in user
+const requireAuth = (req, res, next) => {
+    authenticate(req, res, () => {
+        if (!req.user) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required',
+                message: 'Please log in to continue'
+            });
+        }
+        next();
+    });
+};
+
+// Middleware that decides whose diary a request reads and writes.
+// Logged-in users act as their account's device ID; anonymous clients fall
+// back to X-Device-ID, unless that device already belongs to an account.
+const identityMiddleware = (req, res, next) => {
+    authenticate(req, res, () => {
+        if (req.user) {
+            req.deviceId = req.user.device_id;
+            return next();
+        }
+
+        deviceIdMiddleware(req, res, () => {
+            validateDeviceId(req, res, async () => {
+                try {
+                    const owner = await User.getDeviceOwner(req.deviceId);
+                    if (owner) {
+                        return res.status(401).json({
+                            success: false,
+                            error: 'Authentication required',
+                            message: 'This diary belongs to an account. Please log in.'
+                        });
+                    }
+                    next();
+                } catch (error) {
+                    next(error);
+                }
+            });
+        });
+    });
+};
+
+module.exports = {
+    getBearerToken,
+    issueToken,
+    authenticate,
+    requireAuth,
+    identityMiddleware
+};
@@ -0,0 +1,27 @@
+const multer = require('multer');
+
+// Accept one file, kept in memory, in the "file" field; upload errors
+// (too large, too many files) are answered as JSON
+const receiveFile = (maxBytes) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: 1 }
+    });
+
+    return (req, res, next) => {
+        upload.single('file')(req, res, (error) => {
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid upload',
+                    message: error.message
+                });
+            }
+            next();
+        });
+    };
+};
+
+module.exports = {
+    receiveFile
+};
@@ -0,0 +1,91 @@
+const { runQuery, getRow, getAll } = require('../database/connection');
+const { MAX_ATTACHMENTS_PER_DAY, storeAttachment, removeAttachmentFiles } = require('../utils/attachments');
+
+// Everything but where the file is kept
+const PUBLIC_COLUMNS = 'id, date, entry_id, file_name, mime_type, size, width, height, has_thumbnail, created_at';
+
+class Attachment {
+    // Get a day's attachments, oldest first
+    static async getAttachmentsByDate(date, deviceId) {
+        try {
+            const sql = `
+                SELECT ${PUBLIC_COLUMNS}
+                FROM attachments
+                WHERE date = ? AND device_id = ?
+                ORDER BY created_at ASC, id ASC
+            `;
+            return await getAll(sql, [date, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching attachments: ${error.message}`);
+        }
+    }
+
+    // Get one attachment, including its storage key
+    static async getAttachmentById(id, deviceId) {
+        try {
+            const sql = `
+                SELECT ${PUBLIC_COLUMNS}, storage_key
+                FROM attachments
+                WHERE id = ? AND device_id = ?
+            `;
+            return await getRow(sql, [id, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching attachment: ${error.message}`);
+        }
+    }
+
+    // Store an upload whose type has been detected (see utils/attachments.js).
+    // Returns null, keeping nothing, when the day already has
+    // MAX_ATTACHMENTS_PER_DAY; the count is checked by the insert itself, so
+    // uploads at the same time can't both take the last place. An entry
+    // deleted meanwhile leaves the attachment on its day.
+    static async createAttachment(date, deviceId, { buffer, type, fileName, entryId = null }) {
+        let storageKey = null;
+        try {
+            storageKey = await storeAttachment(buffer, type);
+
+            const sql = `
+                INSERT INTO attachments (device_id, date, entry_id, file_name, mime_type, size, width, height, has_thumbnail, storage_key, created_at)
+                SELECT ?, ?, (SELECT id FROM diary_entries WHERE id = ? AND device_id = ? AND date = ?),
+                       ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP
+                WHERE (SELECT COUNT(*) FROM attachments WHERE date = ? AND device_id = ?) < ?
+            `;
+            const result = await runQuery(sql, [
+                deviceId, date, entryId, deviceId, date,
+                fileName, type.mimeType, buffer.length, type.width, type.height, type.image ? 1 : 0, storageKey,
+                date, deviceId, MAX_ATTACHMENTS_PER_DAY
+            ]);
+
+            if (result.changes === 0) {
+                await removeAttachmentFiles(storageKey);
+                return null;
+            }
+
+            const { storage_key, ...attachment } = await this.getAttachmentById(result.id, deviceId);
+            return attachment;
+        } catch (error) {
+            if (storageKey) {
+                await removeAttachmentFiles(storageKey);
+            }
+            throw new Error(`Error creating attachment: ${error.message}`);
+        }
+    }
+
+    // Delete an attachment and its files
+    static async deleteAttachmentById(id, deviceId) {
+        try {
+            const attachment = await this.getAttachmentById(id, deviceId);
+            if (!attachment) {
+                return { changes: 0, id, deviceId };
+            }
+
+            const result = await runQuery('DELETE FROM attachments WHERE id = ? AND device_id = ?', [id, deviceId]);
+            await removeAttachmentFiles(attachment.storage_key);
+            return { changes: result.changes, id, deviceId };
+        } catch (error) {
+            throw new Error(`Error deleting attachment: ${error.message}`);
+        }
+    }
+}
+
+module.exports = Attachment;
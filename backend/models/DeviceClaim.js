@@ -0,0 +1,266 @@
+const { runQuery, getRow, getAll, runTransaction } = require('../database/connection');
+const User = require('./User');
+const MoodPalette = require('./MoodPalette');
+const Playlist = require('./Playlist');
+const Prompt = require('./Prompt');
+const Tag = require('./Tag');
+const Template = require('./Template');
+const Encryption = require('./Encryption');
+const EntryRevision = require('./EntryRevision');
+const { ENCRYPTED_PLACEHOLDER, encryptedKeyId } = require('../utils/encryption');
+
+// How to resolve a device entry whose date the account already has
+const CONFLICT_STRATEGIES = ['keep_both', 'keep_newest', 'concatenate'];
+
+const CONCATENATE_SEPARATOR = '\n\n---\n\n';
+const PREVIEW_LENGTH = 120;
+
+const previewText = (content, encrypted) => {
+    if (encrypted) return ENCRYPTED_PLACEHOLDER;
+    if (!content) return '';
+    return content.length > PREVIEW_LENGTH ? `${content.slice(0, PREVIEW_LENGTH)}…` : content;
+};
+
+class DeviceClaim {
+    // Work out what claiming a device's diary would do, without changing anything.
+    // A conflict is a device row for a date the account already has; it is
+    // compared against the account's most recent row for that date.
+    // Each device row gets one action:
+    //   move        - row is reassigned to the account (no conflict, or keep_both)
+    //   replace     - device copy is newer and overwrites the account copy
+    //   discard     - account copy is newer, device copy is dropped
+    //   concatenate - device copy is appended to the account copy
+    static async planClaim(accountDeviceId, deviceId, strategy) {
+        try {
+            const entries = await this.planRows('diary_entries', accountDeviceId, deviceId, strategy);
+            // A date can hold any number of moods, so they are all kept
+            const moods = await this.planRows('moods', accountDeviceId, deviceId, 'keep_both');
+            const playlists = await getAll('SELECT id FROM music_playlists WHERE device_id = ?', [deviceId]);
+
+            const summary = { move: 0, replace: 0, discard: 0, concatenate: 0 };
+            entries.forEach(action => { summary[action.action] += 1; });
+
+            return {
+                strategy,
+                deviceId,
+                summary,
+                entries,
+                moods,
+                playlists: playlists.length,
+                encryption: await this.planEncryption(accountDeviceId, deviceId)
+            };
+        } catch (error) {
+            throw new Error(`Error planning device claim: ${error.message}`);
+        }
+    }
+
+    // Encrypted rows only stay readable under the key they were encrypted
+    // with, so every claimed row must use the account's key. An account
+    // without one adopts the device's key (keyAdopted); otherwise a claim
+    // of rows under another key is refused with keyConflict.
+    static async planEncryption(accountDeviceId, deviceId) {
+        const accountKey = await Encryption.getSettings(accountDeviceId);
+        const deviceKey = await Encryption.getSettings(deviceId);
+        const encryptedValues = await getAll(`
+            SELECT content AS value FROM diary_entries WHERE is_encrypted = 1 AND device_id = ?
+            UNION ALL
+            SELECT mood FROM moods WHERE is_encrypted = 1 AND device_id = ?
+            UNION ALL
+            SELECT content FROM entry_revisions WHERE is_encrypted = 1 AND device_id = ?
+        `, [deviceId, deviceId, deviceId]);
+
+        const keyIds = new Set(encryptedValues.map(row => encryptedKeyId(row.value)).filter(Boolean));
+        if (deviceKey) {
+            keyIds.add(deviceKey.key_id);
+        }
+        const keyAdopted = !accountKey && Boolean(deviceKey);
+        const keyId = accountKey ? accountKey.key_id : deviceKey && deviceKey.key_id;
+
+        let keyConflict = null;
+        if ([...keyIds].some(id => id !== keyId)) {
+            keyConflict = accountKey
+                ? 'This diary is encrypted with a different passphrase than your account. Change its passphrase to your account\'s (or turn encryption off) in this browser first.'
+                : 'This diary holds entries encrypted with a passphrase it no longer uses, which your account could not read.';
+        }
+
+        return { keyId: keyId || null, keyAdopted: keyAdopted && !keyConflict, keyConflict };
+    }
+
+    static async planRows(table, accountDeviceId, deviceId, strategy) {
+        const accountRows = await getAll(
+            `SELECT * FROM ${table} WHERE device_id = ? ORDER BY created_at ASC, id ASC`,
+            [accountDeviceId]
+        );
+        const deviceRows = await getAll(
+            `SELECT * FROM ${table} WHERE device_id = ? ORDER BY date ASC, updated_at ASC`,
+            [deviceId]
+        );
+
+        // The account's most recent row for each date once earlier actions are applied
+        const accountByDate = new Map(accountRows.map(row => [row.date, row]));
+        const actions = [];
+
+        deviceRows.forEach(row => {
+            const existing = accountByDate.get(row.date);
+            const action = {
+                id: row.id,
+                date: row.date,
+                updatedAt: row.updated_at
+            };
+
+            if (table === 'diary_entries') {
+                action.incoming = previewText(row.content, row.is_encrypted);
+                action.existing = existing ? previewText(existing.content, existing.is_encrypted) : null;
+            } else {
+                action.incoming = row.is_encrypted ? ENCRYPTED_PLACEHOLDER : `${row.emoji} ${row.mood}`;
+                action.existing = existing && existing.is_encrypted ? ENCRYPTED_PLACEHOLDER
+                    : existing ? `${existing.emoji} ${existing.mood}` : null;
+            }
+
+            // Ciphertext can't be joined on the server, so encrypted entries are kept side by side
+            const canConcatenate = existing && !row.is_encrypted && !existing.is_encrypted;
+
+            if (!existing || strategy === 'keep_both' || (strategy === 'concatenate' && !canConcatenate)) {
+                action.action = 'move';
+                if (!existing || row.created_at >= existing.created_at) {
+                    accountByDate.set(row.date, row);
+                }
+            } else if (strategy === 'concatenate') {
+                action.action = 'concatenate';
+                action.targetId = existing.id;
+                accountByDate.set(row.date, {
+                    ...existing,
+                    content: `${existing.content}${CONCATENATE_SEPARATOR}${row.content}`
+                });
+            } else if (row.updated_at > existing.updated_at) {
+                action.action = 'replace';
+                action.targetId = existing.id;
+                accountByDate.set(row.date, { ...existing, ...row, id: existing.id });
+            } else {
+                action.action = 'discard';
+            }
+
+            actions.push(action);
+        });
+
+        return actions;
+    }
+
+    // Claim a device's diary into an account, applying the conflict strategy.
+    // The plan is made in the same transaction, so nothing written meanwhile
+    // is left out of it.
+    static async claimDevice(user, deviceId, strategy) {
+        try {
+            return await runTransaction(async () => {
+                const plan = await this.planClaim(user.device_id, deviceId, strategy);
+                if (plan.encryption.keyConflict) {
+                    return { status: 'conflict', reason: 'encryption_key', encryption: plan.encryption };
+                }
+
+                await this.applyEncryptionPlan(user.device_id, deviceId, plan.encryption);
+                // Entries keep their history in the account
+                await runQuery('UPDATE entry_revisions SET device_id = ? WHERE device_id = ?', [user.device_id, deviceId]);
+                for (const action of plan.entries) {
+                    await this.applyEntryAction(user.device_id, action);
+                }
+                for (const action of plan.moods) {
+                    await this.applyMoodAction(user.device_id, action);
+                }
+                await runQuery('UPDATE music_playlists SET device_id = ? WHERE device_id = ?', [user.device_id, deviceId]);
+                await Playlist.mergeDeviceSongs(user.device_id, deviceId);
+                await runQuery('UPDATE attachments SET device_id = ? WHERE device_id = ?', [user.device_id, deviceId]);
+                await MoodPalette.mergeDevicePalettes(user.device_id, deviceId);
+                await Tag.mergeDeviceTags(user.device_id, deviceId);
+                await Prompt.mergeDevicePrompts(user.device_id, deviceId);
+                await Template.mergeDeviceTemplates(user.device_id, deviceId);
+
+                // A claimed device can no longer be used anonymously
+                await User.addClaimedDevice(user.id, deviceId);
+
+                return { status: 'claimed', ...plan, claimed: deviceId };
+            });
+        } catch (error) {
+            throw new Error(`Error claiming device: ${error.message}`);
+        }
+    }
+
+    // The account takes over the device's key when it had none; the device's
+    // own key parameters go with its rows either way
+    static async applyEncryptionPlan(accountDeviceId, deviceId, { keyAdopted }) {
+        const deviceKey = await Encryption.getSettings(deviceId);
+        if (keyAdopted) {
+            await Encryption.saveSettings(accountDeviceId, {
+                keyId: deviceKey.key_id,
+                kdf: deviceKey.kdf,
+                iterations: deviceKey.iterations,
+                salt: deviceKey.salt,
+                keyCheck: deviceKey.key_check
+            });
+        }
+        await Encryption.saveSettings(deviceId, null);
+    }
+
+    // What an entry held before a merge overwrote or dropped it is kept as
+    // a revision, and a merged entry's history goes with it
+    static async applyEntryAction(accountDeviceId, action) {
+        const snapshotEntry = async (id) => {
+            const entry = await getRow('SELECT * FROM diary_entries WHERE id = ?', [id]);
+            await EntryRevision.snapshot(entry && { ...entry, device_id: accountDeviceId }, { force: true });
+        };
+
+        switch (action.action) {
+            case 'move':
+                await runQuery('UPDATE diary_entries SET device_id = ? WHERE id = ?', [accountDeviceId, action.id]);
+                break;
+            case 'replace':
+                await snapshotEntry(action.targetId);
+                await runQuery(`
+                    UPDATE diary_entries
+                    SET content = (SELECT content FROM diary_entries WHERE id = ?),
+                        is_encrypted = (SELECT is_encrypted FROM diary_entries WHERE id = ?),
+                        version = version + 1,
+                        updated_at = ?
+                    WHERE id = ? AND device_id = ?
+                `, [action.id, action.id, action.updatedAt, action.targetId, accountDeviceId]);
+                await this.mergeEntryInto(action.id, action.targetId);
+                break;
+            case 'concatenate':
+                await snapshotEntry(action.targetId);
+                await runQuery(`
+                    UPDATE diary_entries
+                    SET content = content || ? || (SELECT content FROM diary_entries WHERE id = ?),
+                        version = version + 1,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND device_id = ?
+                `, [CONCATENATE_SEPARATOR, action.id, action.targetId, accountDeviceId]);
+                await this.mergeEntryInto(action.id, action.targetId);
+                break;
+            case 'discard':
+                // Restorable from the account's history, like a deleted entry
+                await snapshotEntry(action.id);
+                await runQuery('DELETE FROM diary_entries WHERE id = ?', [action.id]);
+                break;
+            default:
+                break;
+        }
+    }
+
+    // Hand a device entry's attachments and history to the account entry it
+    // was merged into, then drop it
+    static async mergeEntryInto(id, targetId) {
+        await runQuery('UPDATE attachments SET entry_id = ? WHERE entry_id = ?', [targetId, id]);
+        await runQuery('UPDATE entry_revisions SET entry_id = ? WHERE entry_id = ?', [targetId, id]);
+        await runQuery('DELETE FROM diary_entries WHERE id = ?', [id]);
+    }
+
+    // Moods are always kept side by side (see planClaim), so they only move
+    static async applyMoodAction(accountDeviceId, action) {
+        if (action.action === 'move') {
+            await runQuery('UPDATE moods SET device_id = ? WHERE id = ?', [accountDeviceId, action.id]);
+        }
+    }
+}
+
+DeviceClaim.CONFLICT_STRATEGIES = CONFLICT_STRATEGIES;
+
+module.exports = DeviceClaim;
@@ -1,26 +1,140 @@
-const { runQuery, getRow, getAll } = require('../database/connection');
+const { runQuery, getRow, getAll, runTransaction } = require('../database/connection');
+const EntryRevision = require('./EntryRevision');
+const Tag = require('./Tag');
+const { MATCH_START, MATCH_END } = require('../utils/search');
+const { isEncrypted } = require('../utils/encryption');
+const { normalizeText, countWords } = require('../utils/content');
+
+const SNIPPET_TOKENS = 16;
+
+// Characters of content a summary carries (the rest is loaded on demand)
+const SUMMARY_PREVIEW_LENGTH = 200;
+
+// Picks a day's main mood (see summarizeDays in utils/stats.js): its
+// strongest readable one, the later of equally strong ones
+const MAIN_MOOD_ORDER = 'dm.is_encrypted ASC, dm.intensity DESC, dm.time IS NULL DESC, dm.time DESC, dm.id DESC';
+
+// Filters entries (aliased e) to those tagged with a name
+const HAS_TAG = `EXISTS (
+    SELECT 1 FROM entry_tags et JOIN tags t ON t.id = et.tag_id
+    WHERE et.entry_id = e.id AND t.name = ?
+)`;
+
+// The day's main mood (aliased m) for entries (aliased e)
+const JOIN_MAIN_MOOD = `
+    LEFT JOIN moods m ON m.id = (
+        SELECT dm.id FROM moods dm
+        WHERE dm.date = e.date AND dm.device_id = e.device_id
+        ORDER BY ${MAIN_MOOD_ORDER}
+        LIMIT 1
+    )
+`;
+
+// What each entry carries: everything, or a summary with the start of
+// unencrypted content and the entry's tags
+const ENTRY_COLUMNS = {
+    full: 'e.*, m.mood, m.emoji, m.palette_id',
+    summary: `
+        e.id, e.date, e.created_at, e.updated_at, e.version, e.is_encrypted,
+        CASE WHEN e.is_encrypted THEN NULL ELSE substr(e.content, 1, ${SUMMARY_PREVIEW_LENGTH}) END AS preview,
+        (e.is_encrypted OR length(e.content) > ${SUMMARY_PREVIEW_LENGTH}) AS truncated,
+        (
+            SELECT group_concat(t.name, ' ') FROM entry_tags et JOIN tags t ON t.id = et.tag_id
+            WHERE et.entry_id = e.id
+        ) AS tags,
+        m.mood, m.emoji, m.palette_id
+    `
+};
+
+// SQL conditions on entries (aliased e) for the optional date, mood and tag filters
+const entryFilters = ({ from, to, mood, tag }) => {
+    const conditions = [];
+    const params = [];
+
+    if (from) {
+        conditions.push('e.date >= ?');
+        params.push(from);
+    }
+    if (to) {
+        conditions.push('e.date <= ?');
+        params.push(to);
+    }
+    // Any of the day's moods
+    if (mood) {
+        conditions.push(`EXISTS (
+            SELECT 1 FROM moods dm
+            WHERE dm.date = e.date AND dm.device_id = e.device_id AND dm.mood = ? COLLATE NOCASE
+        )`);
+        params.push(mood);
+    }
+    if (tag) {
+        conditions.push(HAS_TAG);
+        params.push(tag);
+    }
+
+    return { conditions, params };
+};
 
 class DiaryEntry {
-    // Get all entries for a device
-    static async getAllEntries(deviceId) {
+    // Get a device's entries, newest first unless order is 'asc', each with
+    // the day's main mood. Filters are as for search; `after` is the
+    // [date, created_at, id] of the entry the page continues from, and
+    // `fields` is 'full' or 'summary' (see ENTRY_COLUMNS).
+    static async getAllEntries(deviceId, {
+        tag = null, from = null, to = null, mood = null,
+        order = 'desc', fields = 'full', after = null, limit = null
+    } = {}) {
+        try {
+            const filters = entryFilters({ from, to, mood, tag });
+            const conditions = ['e.device_id = ?', ...filters.conditions];
+            const params = [deviceId, ...filters.params];
+            const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+            if (after) {
+                conditions.push(`(e.date, e.created_at, e.id) ${direction === 'ASC' ? '>' : '<'} (?, ?, ?)`);
+                params.push(...after);
+            }
+
+            const sql = `
+                SELECT ${ENTRY_COLUMNS[fields] || ENTRY_COLUMNS.full}
+                FROM diary_entries e
+                ${JOIN_MAIN_MOOD}
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY e.date ${direction}, e.created_at ${direction}, e.id ${direction}
+                ${limit ? 'LIMIT ?' : ''}
+            `;
+            const entries = await getAll(sql, limit ? [...params, limit] : params);
+
+            return fields === 'summary'
+                ? entries.map(entry => ({ ...entry, tags: entry.tags ? entry.tags.split(' ') : [], truncated: Boolean(entry.truncated) }))
+                : entries;
+        } catch (error) {
+            throw new Error(`Error fetching entries: ${error.message}`);
+        }
+    }
+
+    // Get all entries for a date, oldest first (the day's timeline)
+    static async getEntriesByDate(date, deviceId) {
         try {
             const sql = `
                 SELECT * FROM diary_entries 
-                WHERE device_id = ? 
-                ORDER BY date DESC
+                WHERE date = ? AND device_id = ?
+                ORDER BY created_at ASC, id ASC
             `;
-            return await getAll(sql, [deviceId]);
+            return await getAll(sql, [date, deviceId]);
         } catch (error) {
             throw new Error(`Error fetching entries: ${error.message}`);
         }
     }
 
-    // Get entry by date
-    static async getEntryByDate(date, deviceId) {
+    // Get the most recent entry for a date
+    static async getLatestEntryByDate(date, deviceId) {
         try {
             const sql = `
                 SELECT * FROM diary_entries 
                 WHERE date = ? AND device_id = ?
+                ORDER BY created_at DESC, id DESC
+                LIMIT 1
             `;
             return await getRow(sql, [date, deviceId]);
         } catch (error) {
@@ -28,42 +142,89 @@ class DiaryEntry {
         }
     }
 
+    // Get entry by id
+    static async getEntryById(id, deviceId) {
+        try {
+            const sql = `
+                SELECT * FROM diary_entries 
+                WHERE id = ? AND device_id = ?
+            `;
+            return await getRow(sql, [id, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching entry: ${error.message}`);
+        }
+    }
+
     // Create new entry
-    static async createEntry(date, content, deviceId) {
+    // createdAt keeps the original time of imported entries; it defaults to now
+    static async createEntry(date, content, deviceId, createdAt = null) {
         try {
+            content = normalizeText(content);
             const sql = `
-                INSERT INTO diary_entries (date, content, device_id, created_at, updated_at)
-                VALUES (?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                INSERT INTO diary_entries (date, content, is_encrypted, device_id, created_at, updated_at)
+                VALUES (?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), CURRENT_TIMESTAMP)
             `;
-            const result = await runQuery(sql, [date, content, deviceId]);
-            return { id: result.id, date, content, deviceId };
+            return await runTransaction(async () => {
+                const result = await runQuery(sql, [date, content, isEncrypted(content) ? 1 : 0, deviceId, createdAt]);
+                const entry = await this.getEntryById(result.id, deviceId);
+                await Tag.setEntryTags(entry);
+                return entry;
+            });
         } catch (error) {
             throw new Error(`Error creating entry: ${error.message}`);
         }
     }
 
-    // Update existing entry
+    // Update existing entry by id, keeping the previous content as a revision.
+    // With expectedVersion the entry is only changed while still at that
+    // version; null means it had moved on (or was gone) and nothing changed.
+    static async updateEntryById(id, content, deviceId, { expectedVersion } = {}) {
+        try {
+            content = normalizeText(content);
+            return await runTransaction(async () => {
+                const existingEntry = await this.getEntryById(id, deviceId);
+                if (!existingEntry || (expectedVersion !== undefined && existingEntry.version !== expectedVersion)) {
+                    return null;
+                }
+                if (existingEntry.content !== content) {
+                    await EntryRevision.snapshot(existingEntry, { replacement: content });
+                }
+
+                const sql = `
+                    UPDATE diary_entries 
+                    SET content = ?, is_encrypted = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND device_id = ? AND version = ?
+                `;
+                await runQuery(sql, [content, isEncrypted(content) ? 1 : 0, id, deviceId, existingEntry.version]);
+                const entry = await this.getEntryById(id, deviceId);
+                await Tag.setEntryTags(entry);
+                return entry;
+            });
+        } catch (error) {
+            throw new Error(`Error updating entry: ${error.message}`);
+        }
+    }
+
+    // Update the most recent entry for a date
     static async updateEntry(date, content, deviceId) {
         try {
-            const sql = `
-                UPDATE diary_entries 
-                SET content = ?, updated_at = CURRENT_TIMESTAMP
-                WHERE date = ? AND device_id = ?
-            `;
-            const result = await runQuery(sql, [content, date, deviceId]);
-            return { changes: result.changes, date, content, deviceId };
+            const latestEntry = await this.getLatestEntryByDate(date, deviceId);
+            if (!latestEntry) {
+                return null;
+            }
+            return await this.updateEntryById(latestEntry.id, content, deviceId);
         } catch (error) {
             throw new Error(`Error updating entry: ${error.message}`);
         }
     }
 
-    // Upsert entry (create if not exists, update if exists)
+    // Upsert entry (update the date's most recent entry, or create the first one)
     static async upsertEntry(date, content, deviceId) {
         try {
-            const existingEntry = await this.getEntryByDate(date, deviceId);
+            const existingEntry = await this.getLatestEntryByDate(date, deviceId);
             
             if (existingEntry) {
-                return await this.updateEntry(date, content, deviceId);
+                return await this.updateEntryById(existingEntry.id, content, deviceId);
             } else {
                 return await this.createEntry(date, content, deviceId);
             }
@@ -72,17 +233,128 @@ class DiaryEntry {
         }
     }
 
-    // Delete entry
-    static async deleteEntry(date, deviceId) {
+    // Delete entry by id (its content stays restorable as a revision). With
+    // expectedVersion it is only deleted while still at that version.
+    static async deleteEntryById(id, deviceId, { expectedVersion } = {}) {
+        try {
+            return await runTransaction(async () => {
+                const entry = await this.getEntryById(id, deviceId);
+                if (!entry || (expectedVersion !== undefined && entry.version !== expectedVersion)) {
+                    return { changes: 0, id, deviceId };
+                }
+                await EntryRevision.snapshot(entry, { force: true });
+                const tagIds = await Tag.getTagIds([entry.id]);
+
+                const sql = `
+                    DELETE FROM diary_entries 
+                    WHERE id = ? AND device_id = ? AND version = ?
+                `;
+                const result = await runQuery(sql, [id, deviceId, entry.version]);
+                await Tag.removeUnusedTags(deviceId, tagIds);
+                return { changes: result.changes, id, deviceId };
+            });
+        } catch (error) {
+            throw new Error(`Error deleting entry: ${error.message}`);
+        }
+    }
+
+    // Delete all entries for a date. With expectedEntries (the day's entries
+    // as last seen) nothing is deleted once any of them changed or the day
+    // gained one, and changes is 0.
+    static async deleteEntry(date, deviceId, { expectedEntries } = {}) {
+        try {
+            return await runTransaction(async () => {
+                const entries = await this.getEntriesByDate(date, deviceId);
+                const unchanged = !expectedEntries || (
+                    entries.length === expectedEntries.length &&
+                    entries.every(entry => expectedEntries.some(seen => seen.id === entry.id && seen.version === entry.version))
+                );
+                if (!unchanged) {
+                    return { changes: 0, date, deviceId };
+                }
+                for (const entry of entries) {
+                    await EntryRevision.snapshot(entry, { force: true });
+                }
+                const tagIds = await Tag.getTagIds(entries.map(entry => entry.id));
+
+                const sql = `
+                    DELETE FROM diary_entries 
+                    WHERE date = ? AND device_id = ?
+                `;
+                const result = await runQuery(sql, [date, deviceId]);
+                await Tag.removeUnusedTags(deviceId, tagIds);
+                return { changes: result.changes, date, deviceId };
+            });
+        } catch (error) {
+            throw new Error(`Error deleting entries: ${error.message}`);
+        }
+    }
+
+    // Restore a revision into its entry, or recreate the entry if it was deleted
+    static async restoreRevision(revision, deviceId) {
+        try {
+            const entry = await this.getEntryById(revision.entry_id, deviceId);
+
+            if (!entry) {
+                const restoredEntry = await this.createEntry(revision.date, revision.content, deviceId);
+                // Carry the deleted entry's history over to its replacement
+                await runQuery(
+                    'UPDATE entry_revisions SET entry_id = ? WHERE entry_id = ? AND device_id = ?',
+                    [restoredEntry.id, revision.entry_id, deviceId]
+                );
+                return restoredEntry;
+            }
+
+            // Always keep what is being replaced, even mid writing session
+            await EntryRevision.snapshot(entry, { force: true });
+            return await this.updateEntryById(entry.id, revision.content, deviceId);
+        } catch (error) {
+            throw new Error(`Error restoring revision: ${error.message}`);
+        }
+    }
+
+    // Full-text search; matchQuery must already be a safe FTS5 expression
+    static async searchEntries(matchQuery, deviceId, { from, to, mood, tag, limit = 20, offset = 0 } = {}) {
+        try {
+            const filters = entryFilters({ from, to, mood, tag });
+            const conditions = ['entries_fts MATCH ?', 'e.device_id = ?', ...filters.conditions];
+            const params = [matchQuery, deviceId, ...filters.params];
+
+            const fromClause = `
+                FROM entries_fts
+                JOIN diary_entries e ON e.id = entries_fts.rowid
+                ${JOIN_MAIN_MOOD}
+                WHERE ${conditions.join(' AND ')}
+            `;
+
+            const results = await getAll(`
+                SELECT e.id, e.date, e.created_at, e.updated_at, m.mood, m.emoji,
+                       snippet(entries_fts, 0, ?, ?, '…', ${SNIPPET_TOKENS}) AS snippet
+                ${fromClause}
+                ORDER BY bm25(entries_fts), e.date DESC
+                LIMIT ? OFFSET ?
+            `, [MATCH_START, MATCH_END, ...params, limit, offset]);
+
+            const { total } = await getRow(`SELECT COUNT(*) AS total ${fromClause}`, params);
+
+            return { results, total };
+        } catch (error) {
+            throw new Error(`Error searching entries: ${error.message}`);
+        }
+    }
+
+    // Get one page of a device's entries, oldest first (for exports)
+    static async getEntriesPage(deviceId, limit, offset) {
         try {
             const sql = `
-                DELETE FROM diary_entries 
-                WHERE date = ? AND device_id = ?
+                SELECT * FROM diary_entries
+                WHERE device_id = ?
+                ORDER BY date ASC, created_at ASC, id ASC
+                LIMIT ? OFFSET ?
             `;
-            const result = await runQuery(sql, [date, deviceId]);
-            return { changes: result.changes, date, deviceId };
+            return await getAll(sql, [deviceId, limit, offset]);
         } catch (error) {
-            throw new Error(`Error deleting entry: ${error.message}`);
+            throw new Error(`Error fetching entries: ${error.message}`);
         }
     }
 
@@ -92,7 +364,7 @@ class DiaryEntry {
             const sql = `
                 SELECT * FROM diary_entries 
                 WHERE date BETWEEN ? AND ? AND device_id = ?
-                ORDER BY date DESC
+                ORDER BY date DESC, created_at DESC, id DESC
             `;
             return await getAll(sql, [startDate, endDate, deviceId]);
         } catch (error) {
@@ -100,13 +372,57 @@ class DiaryEntry {
         }
     }
 
+    // Entry and word counts per day in a date range, without the content.
+    // Encrypted entries can't be counted here, so days with any are flagged.
+    static async getDaySummaries(startDate, endDate, deviceId) {
+        try {
+            const sql = `
+                SELECT date, content, is_encrypted
+                FROM diary_entries
+                WHERE date BETWEEN ? AND ? AND device_id = ?
+                ORDER BY date ASC
+            `;
+            const rows = await getAll(sql, [startDate, endDate, deviceId]);
+
+            const days = new Map();
+            rows.forEach(row => {
+                const day = days.get(row.date) || { date: row.date, entries: 0, words: 0, encrypted: false };
+                day.entries++;
+                if (row.is_encrypted) {
+                    day.encrypted = true;
+                } else {
+                    day.words += countWords(row.content);
+                }
+                days.set(row.date, day);
+            });
+            return [...days.values()];
+        } catch (error) {
+            throw new Error(`Error summarising entries: ${error.message}`);
+        }
+    }
+
+    // Get entries written on the same month and day in earlier years, newest
+    // year first (February 29 only turns up in leap years)
+    static async getEntriesOnThisDay(date, deviceId) {
+        try {
+            const sql = `
+                SELECT * FROM diary_entries
+                WHERE device_id = ? AND substr(date, 6) = ? AND date < ?
+                ORDER BY date DESC, created_at ASC, id ASC
+            `;
+            return await getAll(sql, [deviceId, date.slice(5), date]);
+        } catch (error) {
+            throw new Error(`Error fetching entries on this day: ${error.message}`);
+        }
+    }
+
     // Get recent entries (last N days)
     static async getRecentEntries(days, deviceId) {
         try {
             const sql = `
                 SELECT * FROM diary_entries 
                 WHERE date >= date('now', '-${days} days') AND device_id = ?
-                ORDER BY date DESC
+                ORDER BY date DESC, created_at DESC, id DESC
             `;
             return await getAll(sql, [deviceId]);
         } catch (error) {
@@ -117,7 +433,7 @@ class DiaryEntry {
     // Check if entry exists
     static async entryExists(date, deviceId) {
         try {
-            const entry = await this.getEntryByDate(date, deviceId);
+            const entry = await this.getLatestEntryByDate(date, deviceId);
             return !!entry;
         } catch (error) {
             throw new Error(`Error checking entry existence: ${error.message}`);
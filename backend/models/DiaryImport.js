@@ -0,0 +1,152 @@
+const { runTransaction } = require('../database/connection');
+const DiaryEntry = require('./DiaryEntry');
+const Mood = require('./Mood');
+const Encryption = require('./Encryption');
+const { dateRegex } = require('../utils/dates');
+const { encryptedKeyId } = require('../utils/encryption');
+const { normalizeText, validateContent, validateMood, validateMoodDetails } = require('../utils/content');
+
+// What to do with an entry for a date that already has different entries
+const CONFLICT_STRATEGIES = ['skip', 'keep_both'];
+
+class DiaryImport {
+    // Import parsed items (see utils/importers.js) in order. Each item is
+    // created, skipped (invalid or already in the diary) or reported as a
+    // conflict. A dry run writes nothing but reports the same results.
+    // Encrypted items are only imported under the diary's own key; a diary
+    // without one takes on the key of the export they came from.
+    static async importItems(deviceId, items, { dryRun = false, onConflict = 'skip', encryption = null } = {}) {
+        try {
+            const run = async () => {
+                const current = await Encryption.getSettings(deviceId);
+                const adoptable = !current && encryption && !Encryption.validateSettings(encryption);
+                const keyId = current ? current.key_id : (adoptable ? encryption.keyId : null);
+
+                // Only what was in the diary before the import counts as a conflict
+                const state = {
+                    deviceId, dryRun, onConflict, keyId,
+                    usedKey: false, entries: new Map(), imported: new Map(), moods: new Map()
+                };
+                const results = [];
+
+                for (const item of items) {
+                    const result = item.type === 'mood'
+                        ? await this.importMood(item, state)
+                        : await this.importEntry(item, state);
+                    results.push({ source: item.source, type: item.type, date: item.date, ...result });
+                }
+
+                const summary = { created: 0, skipped: 0, conflict: 0 };
+                results.forEach(result => summary[result.status]++);
+
+                const adoptedEncryption = Boolean(adoptable && state.usedKey);
+                if (adoptedEncryption && !dryRun) {
+                    await Encryption.saveSettings(deviceId, encryption);
+                }
+
+                return { summary, results, adoptedEncryption };
+            };
+
+            return dryRun ? await run() : await runTransaction(run);
+        } catch (error) {
+            throw new Error(`Error importing diary: ${error.message}`);
+        }
+    }
+
+    static async importEntry(item, state) {
+        if (!dateRegex.test(item.date)) {
+            return { status: 'skipped', reason: 'Date must be in YYYY-MM-DD format' };
+        }
+        const invalidContent = validateContent(item.content);
+        if (invalidContent) {
+            return { status: 'skipped', reason: invalidContent };
+        }
+        if (!this.usesDiaryKey(item.content, state)) {
+            return { status: 'skipped', reason: 'Encrypted with a different passphrase' };
+        }
+
+        // Compare as stored, so re-importing an export finds its own entries
+        const content = normalizeText(item.content);
+
+        if (!state.entries.has(item.date)) {
+            const existing = await DiaryEntry.getEntriesByDate(item.date, state.deviceId);
+            state.entries.set(item.date, existing.map(entry => entry.content));
+            state.imported.set(item.date, new Set());
+        }
+        const existing = state.entries.get(item.date);
+        const imported = state.imported.get(item.date);
+
+        if (existing.includes(content) || imported.has(content)) {
+            return { status: 'skipped', reason: 'Already in the diary' };
+        }
+        if (existing.length > 0 && state.onConflict !== 'keep_both') {
+            return { status: 'conflict', reason: 'The diary already has a different entry for this date' };
+        }
+
+        imported.add(content);
+        if (state.dryRun) {
+            return { status: 'created' };
+        }
+
+        const entry = await DiaryEntry.createEntry(item.date, content, state.deviceId, item.createdAt || null);
+        return { status: 'created', id: entry.id };
+    }
+
+    // A date can have any number of moods; one the diary already has (same
+    // mood, emoji and time) is not added again
+    static async importMood(item, state) {
+        if (!dateRegex.test(item.date)) {
+            return { status: 'skipped', reason: 'Date must be in YYYY-MM-DD format' };
+        }
+        const details = {
+            intensity: item.intensity === undefined ? null : item.intensity,
+            time: item.time === undefined ? null : item.time,
+            note: item.note === undefined ? null : item.note
+        };
+        const invalidMood = validateMood(item.mood, item.emoji) || validateMoodDetails(details);
+        if (invalidMood) {
+            return { status: 'skipped', reason: invalidMood };
+        }
+        if (!this.usesDiaryKey(item.mood, state)) {
+            return { status: 'skipped', reason: 'Encrypted with a different passphrase' };
+        }
+
+        const mood = normalizeText(item.mood);
+        const emoji = normalizeText(item.emoji);
+        const time = details.time || null;
+
+        if (!state.moods.has(item.date)) {
+            state.moods.set(item.date, await Mood.getMoodsByDate(item.date, state.deviceId));
+        }
+        const existing = state.moods.get(item.date);
+
+        if (existing.some(row => row.mood === mood && row.emoji === emoji && (row.time || null) === time)) {
+            return { status: 'skipped', reason: 'Already in the diary' };
+        }
+
+        existing.push({ mood, emoji, time });
+        if (state.dryRun) {
+            return { status: 'created' };
+        }
+
+        const created = await Mood.createMood(item.date, mood, emoji, state.deviceId, details);
+        return { status: 'created', id: created.id };
+    }
+
+    // Plaintext, or encrypted with the key this diary uses
+    static usesDiaryKey(value, state) {
+        const keyId = encryptedKeyId(value);
+        if (!keyId) {
+            return true;
+        }
+        if (keyId !== state.keyId) {
+            return false;
+        }
+        state.usedKey = true;
+        return true;
+    }
+}
+
+DiaryImport.CONFLICT_STRATEGIES = CONFLICT_STRATEGIES;
+
+module.exports = DiaryImport;
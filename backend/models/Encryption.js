@@ -0,0 +1,289 @@
+const { runQuery, getRow, getAll, runTransaction } = require('../database/connection');
+const Tag = require('./Tag');
+const {
+    KDF_ALGORITHMS,
+    MIN_KDF_ITERATIONS,
+    isEncrypted,
+    encryptedKeyId
+} = require('../utils/encryption');
+const { validateContent, validateMood, validateMoodDetails, normalizeText } = require('../utils/content');
+
+const keyIdRegex = /^[A-Za-z0-9-]{1,64}$/;
+
+// Rows one request of a rekey may stage (see stageRekey)
+const MAX_REKEY_BATCH_ROWS = 1000;
+
+// How each kind of staged row is stored, and the diary table it belongs to
+const REKEY_KINDS = {
+    entry: { table: 'diary_entries', toData: entry => ({ content: entry.content }) },
+    mood: {
+        table: 'moods',
+        toData: mood => ({ mood: mood.mood, emoji: mood.emoji, note: mood.note || null, paletteId: mood.paletteId || null })
+    },
+    revision: { table: 'entry_revisions', toData: revision => ({ content: revision.content }) }
+};
+const saltRegex = /^[A-Za-z0-9+/]{16,88}={0,2}$/;
+
+// Describe what is wrong with a set of key parameters, or return null when they are valid
+const validateSettings = (encryption) => {
+    if (!encryption || !keyIdRegex.test(encryption.keyId)) {
+        return 'encryption.keyId is required';
+    }
+    if (!KDF_ALGORITHMS.includes(encryption.kdf)) {
+        return `encryption.kdf must be one of: ${KDF_ALGORITHMS.join(', ')}`;
+    }
+    if (!Number.isInteger(encryption.iterations) || encryption.iterations < MIN_KDF_ITERATIONS) {
+        return `encryption.iterations must be at least ${MIN_KDF_ITERATIONS}`;
+    }
+    if (!saltRegex.test(encryption.salt)) {
+        return 'encryption.salt must be base64';
+    }
+    if (encryptedKeyId(encryption.keyCheck) !== encryption.keyId) {
+        return 'encryption.keyCheck must be encrypted with encryption.keyId';
+    }
+    return null;
+};
+
+// Describe what is wrong with a batch of re-encrypted rows, or return null
+// when it is valid. Every value must be encrypted with the new key (keyId),
+// or be plaintext when encryption is being turned off (keyId null).
+const validateRekeyRows = ({ keyId, entries = [], moods = [], revisions = [] }) => {
+    if (keyId !== null && (typeof keyId !== 'string' || !keyIdRegex.test(keyId))) {
+        return 'keyId must be the new key\'s id, or null to turn encryption off';
+    }
+
+    if (!Array.isArray(entries) || !Array.isArray(moods) || !Array.isArray(revisions)) {
+        return 'entries, moods and revisions must be arrays';
+    }
+    if (entries.length + moods.length + revisions.length > MAX_REKEY_BATCH_ROWS) {
+        return `A batch holds at most ${MAX_REKEY_BATCH_ROWS} rows`;
+    }
+    for (const entry of entries) {
+        if (!entry || !Number.isInteger(entry.id) || !Number.isInteger(entry.version)) {
+            return 'Each entry needs an id and version';
+        }
+        if (typeof entry.content !== 'string' || !entry.content || encryptedKeyId(entry.content) !== keyId) {
+            return `Entry ${entry.id} is not ${keyId ? 'encrypted with the new key' : 'plaintext'}`;
+        }
+        const invalidContent = validateContent(entry.content);
+        if (invalidContent) {
+            return `Entry ${entry.id}: ${invalidContent}`;
+        }
+    }
+    for (const mood of moods) {
+        if (!mood || !Number.isInteger(mood.id) || typeof mood.emoji !== 'string' || !mood.emoji) {
+            return 'Each mood needs an id and emoji';
+        }
+        if (typeof mood.mood !== 'string' || !mood.mood || encryptedKeyId(mood.mood) !== keyId) {
+            return `Mood ${mood.id} is not ${keyId ? 'encrypted with the new key' : 'plaintext'}`;
+        }
+        const invalidMood = validateMood(mood.mood, mood.emoji);
+        if (invalidMood) {
+            return `Mood ${mood.id}: ${invalidMood}`;
+        }
+        if (mood.paletteId !== undefined && mood.paletteId !== null && !Number.isInteger(mood.paletteId)) {
+            return `Mood ${mood.id}: paletteId must be a palette mood id`;
+        }
+        const invalidNote = validateMoodDetails({ note: mood.note });
+        if (invalidNote) {
+            return `Mood ${mood.id}: ${invalidNote}`;
+        }
+    }
+    for (const revision of revisions) {
+        if (!revision || !Number.isInteger(revision.id)) {
+            return 'Each revision needs an id';
+        }
+        if (typeof revision.content !== 'string' || !revision.content || encryptedKeyId(revision.content) !== keyId) {
+            return `Revision ${revision.id} is not ${keyId ? 'encrypted with the new key' : 'plaintext'}`;
+        }
+        const invalidContent = validateContent(revision.content);
+        if (invalidContent) {
+            return `Revision ${revision.id}: ${invalidContent}`;
+        }
+    }
+    return null;
+};
+
+class Encryption {
+    // The key parameters of an encrypted diary, or null when it is not encrypted
+    static async getSettings(deviceId) {
+        try {
+            const sql = `
+                SELECT key_id, kdf, iterations, salt, key_check, updated_at
+                FROM encryption_keys
+                WHERE device_id = ?
+            `;
+            return (await getRow(sql, [deviceId])) || null;
+        } catch (error) {
+            throw new Error(`Error fetching encryption settings: ${error.message}`);
+        }
+    }
+
+    // Store a diary's key parameters, or forget them when null
+    static async saveSettings(deviceId, encryption) {
+        try {
+            if (!encryption) {
+                await runQuery('DELETE FROM encryption_keys WHERE device_id = ?', [deviceId]);
+                return null;
+            }
+
+            await runQuery(`
+                INSERT INTO encryption_keys (device_id, key_id, kdf, iterations, salt, key_check, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                ON CONFLICT(device_id) DO UPDATE SET
+                    key_id = excluded.key_id,
+                    kdf = excluded.kdf,
+                    iterations = excluded.iterations,
+                    salt = excluded.salt,
+                    key_check = excluded.key_check,
+                    updated_at = CURRENT_TIMESTAMP
+            `, [deviceId, encryption.keyId, encryption.kdf, encryption.iterations, encryption.salt, encryption.keyCheck]);
+            return await this.getSettings(deviceId);
+        } catch (error) {
+            throw new Error(`Error saving encryption settings: ${error.message}`);
+        }
+    }
+
+    // The diary's revisions, for the client to re-encrypt along with its
+    // entries and moods
+    static async getRevisions(deviceId) {
+        try {
+            return await getAll('SELECT id, entry_id, date, content FROM entry_revisions WHERE device_id = ? ORDER BY id ASC', [deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching revisions: ${error.message}`);
+        }
+    }
+
+    // Hold a batch of the client's re-encrypted rows until the rekey is
+    // applied. The first batch of a rekey (restart) drops whatever an
+    // abandoned one left, as does a batch for another key; rows that aren't
+    // the diary's are ignored, so staging never holds more than the diary.
+    static async stageRekey(deviceId, { keyId, restart = false, entries = [], moods = [], revisions = [] }) {
+        try {
+            return await runTransaction(async () => {
+                const stagedKey = keyId || '';
+                await runQuery(
+                    'DELETE FROM rekey_rows WHERE device_id = ? AND (? OR key_id <> ?)',
+                    [deviceId, restart ? 1 : 0, stagedKey]
+                );
+
+                const staged = { entries: 0, moods: 0, revisions: 0 };
+                const batches = [['entry', 'entries', entries], ['mood', 'moods', moods], ['revision', 'revisions', revisions]];
+                for (const [kind, count, rows] of batches) {
+                    const { table, toData } = REKEY_KINDS[kind];
+                    for (const row of rows) {
+                        const result = await runQuery(`
+                            INSERT INTO rekey_rows (device_id, kind, row_id, key_id, version, data)
+                            SELECT ?, ?, id, ?, ?, ? FROM ${table} WHERE id = ? AND device_id = ?
+                            ON CONFLICT(device_id, kind, row_id) DO UPDATE SET
+                                key_id = excluded.key_id,
+                                version = excluded.version,
+                                data = excluded.data
+                        `, [deviceId, kind, stagedKey, row.version ?? null, JSON.stringify(toData(row)), row.id, deviceId]);
+                        staged[count] += result.changes;
+                    }
+                }
+                return staged;
+            });
+        } catch (error) {
+            throw new Error(`Error staging rekey: ${error.message}`);
+        }
+    }
+
+    // Swap every entry, mood and revision for the re-encrypted copy staged
+    // by stageRekey and store the new key parameters (null turns encryption
+    // off). The client has to stage the whole diary as it last saw it:
+    // anything written since would stay under the old key, so a diary that
+    // changed meanwhile is refused. The stored results of applied sync
+    // operations hold copies of the entries and moods they wrote, so they are
+    // dropped.
+    static async rekey(deviceId, { currentKeyId, encryption }) {
+        try {
+            return await runTransaction(async () => {
+                const current = await this.getSettings(deviceId);
+                if ((current ? current.key_id : null) !== (currentKeyId || null)) {
+                    return { status: 'conflict', reason: 'key_changed', encryption: current };
+                }
+
+                const staged = await getAll(
+                    'SELECT kind, row_id, version, data FROM rekey_rows WHERE device_id = ? AND key_id = ?',
+                    [deviceId, encryption ? encryption.keyId : '']
+                );
+                const stagedRows = (kind) => staged
+                    .filter(row => row.kind === kind)
+                    .map(row => ({ id: row.row_id, version: row.version, ...JSON.parse(row.data) }));
+                const entries = stagedRows('entry');
+                const moods = stagedRows('mood');
+                const revisions = stagedRows('revision');
+
+                const storedEntries = await getAll('SELECT id, version FROM diary_entries WHERE device_id = ?', [deviceId]);
+                const storedMoods = await getAll('SELECT id FROM moods WHERE device_id = ?', [deviceId]);
+                const storedRevisions = await getAll('SELECT id FROM entry_revisions WHERE device_id = ?', [deviceId]);
+                const entryVersions = new Map(entries.map(entry => [entry.id, entry.version]));
+                const moodIds = new Set(moods.map(mood => mood.id));
+                const revisionIds = new Set(revisions.map(revision => revision.id));
+
+                const modified = storedEntries.length !== entryVersions.size
+                    || storedEntries.some(entry => entryVersions.get(entry.id) !== entry.version)
+                    || storedMoods.length !== moodIds.size
+                    || storedMoods.some(mood => !moodIds.has(mood.id))
+                    || storedRevisions.length !== revisionIds.size
+                    || storedRevisions.some(revision => !revisionIds.has(revision.id));
+                if (modified) {
+                    return { status: 'conflict', reason: 'modified', encryption: current };
+                }
+
+                // Only the encoding changes, so updated_at is kept; the version
+                // still moves on so edits based on the old copy get a 412
+                for (const entry of entries) {
+                    await runQuery(
+                        'UPDATE diary_entries SET content = ?, is_encrypted = ?, version = version + 1 WHERE id = ? AND device_id = ?',
+                        [entry.content, isEncrypted(entry.content) ? 1 : 0, entry.id, deviceId]
+                    );
+                }
+                // Encrypted entries can't be tagged here; decrypted ones are again
+                await Tag.retagDiary(deviceId);
+                // Plaintext moods keep their palette link and note in the row,
+                // encrypted ones inside the ciphertext
+                for (const mood of moods) {
+                    const encrypted = isEncrypted(mood.mood);
+                    await runQuery(`
+                        UPDATE moods
+                        SET mood = ?, emoji = ?, note = ?, is_encrypted = ?, version = version + 1,
+                            palette_id = (SELECT id FROM mood_palette WHERE id = ? AND device_id = ?)
+                        WHERE id = ? AND device_id = ?
+                    `, [
+                        mood.mood, mood.emoji, encrypted ? null : normalizeText(mood.note || '') || null,
+                        encrypted ? 1 : 0, encrypted ? null : mood.paletteId, deviceId,
+                        mood.id, deviceId
+                    ]);
+                }
+
+                for (const revision of revisions) {
+                    await runQuery(
+                        'UPDATE entry_revisions SET content = ?, is_encrypted = ? WHERE id = ? AND device_id = ?',
+                        [revision.content, isEncrypted(revision.content) ? 1 : 0, revision.id, deviceId]
+                    );
+                }
+                await runQuery('DELETE FROM rekey_rows WHERE device_id = ?', [deviceId]);
+                await runQuery('DELETE FROM sync_operations WHERE device_id = ?', [deviceId]);
+
+                return {
+                    status: 'applied',
+                    encryption: await this.saveSettings(deviceId, encryption),
+                    entries: entries.length,
+                    moods: moods.length,
+                    revisions: revisions.length
+                };
+            });
+        } catch (error) {
+            throw new Error(`Error re-encrypting diary: ${error.message}`);
+        }
+    }
+}
+
+Encryption.validateSettings = validateSettings;
+Encryption.validateRekeyRows = validateRekeyRows;
+Encryption.MAX_REKEY_BATCH_ROWS = MAX_REKEY_BATCH_ROWS;
+
+module.exports = Encryption;
@@ -0,0 +1,89 @@
+const { runQuery, getRow, getAll } = require('../database/connection');
+
+// Autosave writes every couple of seconds; edits within this window of the
+// last snapshot belong to the same writing session and share one revision
+const COALESCE_MINUTES = 10;
+
+// Unless the edit removes this much of the text: what was there before is
+// then kept even within a session, so a large deletion can be undone
+const LARGE_DELETION_RATIO = 0.5;
+const LARGE_DELETION_MIN_LENGTH = 200;
+
+// Whether replacing content with replacement removes most of a long text
+const isLargeDeletion = (content, replacement) => typeof replacement === 'string'
+    && content.length - replacement.length >= LARGE_DELETION_MIN_LENGTH
+    && replacement.length < content.length * LARGE_DELETION_RATIO;
+
+const PREVIEW_LENGTH = 80;
+
+class EntryRevision {
+    // Snapshot an entry's current content before it changes.
+    // Pass force to always snapshot (deletes and restores must be undoable), or
+    // the replacement content to snapshot when it would delete a lot.
+    static async snapshot(entry, { force = false, replacement } = {}) {
+        try {
+            if (!entry) {
+                return null;
+            }
+
+            const latest = await getRow(`
+                SELECT content,
+                       created_at > datetime('now', '-${COALESCE_MINUTES} minutes') AS is_recent
+                FROM entry_revisions
+                WHERE entry_id = ? AND device_id = ?
+                ORDER BY created_at DESC, id DESC
+                LIMIT 1
+            `, [entry.id, entry.device_id]);
+
+            if (latest && latest.content === entry.content) {
+                return null;
+            }
+            if (latest && latest.is_recent && !force && !isLargeDeletion(entry.content, replacement)) {
+                return null;
+            }
+
+            const sql = `
+                INSERT INTO entry_revisions (entry_id, date, content, is_encrypted, device_id, created_at)
+                VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            `;
+            const result = await runQuery(sql, [entry.id, entry.date, entry.content, entry.is_encrypted || 0, entry.device_id]);
+            return { id: result.id, entryId: entry.id, date: entry.date };
+        } catch (error) {
+            throw new Error(`Error saving revision: ${error.message}`);
+        }
+    }
+
+    // Get revisions for a date, newest first (content is shortened to a preview)
+    static async getRevisionsByDate(date, deviceId) {
+        try {
+            const sql = `
+                SELECT r.id, r.entry_id, r.date, r.created_at, r.is_encrypted,
+                       CASE WHEN r.is_encrypted THEN NULL ELSE substr(r.content, 1, ${PREVIEW_LENGTH}) END AS preview,
+                       length(r.content) AS length,
+                       e.id IS NULL AS entry_deleted
+                FROM entry_revisions r
+                LEFT JOIN diary_entries e ON e.id = r.entry_id AND e.device_id = r.device_id
+                WHERE r.date = ? AND r.device_id = ?
+                ORDER BY r.created_at DESC, r.id DESC
+            `;
+            return await getAll(sql, [date, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching revisions: ${error.message}`);
+        }
+    }
+
+    // Get a single revision
+    static async getRevisionById(id, deviceId) {
+        try {
+            const sql = `
+                SELECT * FROM entry_revisions
+                WHERE id = ? AND device_id = ?
+            `;
+            return await getRow(sql, [id, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching revision: ${error.message}`);
+        }
+    }
+}
+
+module.exports = EntryRevision;
@@ -0,0 +1,172 @@
+const { runQuery, getRow, getAll } = require('../database/connection');
+const { isEncrypted } = require('../utils/encryption');
+const { normalizeText, DEFAULT_INTENSITY } = require('../utils/content');
+
+// A day's moods in the order they were felt: by time of day, then moods
+// logged without a time in the order they were added
+const DAY_ORDER = 'time IS NULL, time ASC, id ASC';
+
+// Stored values for a mood. paletteId links it to the palette mood it was
+// picked from; encrypted moods carry that and their note inside their
+// ciphertext instead.
+const moodValues = (mood, emoji, { paletteId = null, intensity = null, time = null, note = null } = {}) => {
+    mood = normalizeText(mood);
+    const encrypted = isEncrypted(mood);
+    note = typeof note === 'string' ? normalizeText(note) : '';
+
+    return {
+        mood,
+        emoji: normalizeText(emoji),
+        intensity: intensity || DEFAULT_INTENSITY,
+        time: time || null,
+        note: encrypted || !note ? null : note,
+        is_encrypted: encrypted ? 1 : 0,
+        palette_id: encrypted ? null : paletteId
+    };
+};
+
+class Mood {
+    // Get all moods for a date, in the order they were felt
+    static async getMoodsByDate(date, deviceId) {
+        try {
+            const sql = `
+                SELECT * FROM moods
+                WHERE date = ? AND device_id = ?
+                ORDER BY ${DAY_ORDER}
+            `;
+            return await getAll(sql, [date, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching moods: ${error.message}`);
+        }
+    }
+
+    // Get the date's most recently logged mood
+    static async getMoodByDate(date, deviceId) {
+        try {
+            const sql = `
+                SELECT * FROM moods
+                WHERE date = ? AND device_id = ?
+                ORDER BY id DESC
+                LIMIT 1
+            `;
+            return await getRow(sql, [date, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching mood: ${error.message}`);
+        }
+    }
+
+    static async getMoodById(id, deviceId) {
+        try {
+            return await getRow('SELECT * FROM moods WHERE id = ? AND device_id = ?', [id, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching mood: ${error.message}`);
+        }
+    }
+
+    // Log a mood for a date (a date can have any number). details:
+    // { paletteId, intensity (1-5), time ("HH:MM"), note }, all optional.
+    static async createMood(date, mood, emoji, deviceId, details = {}) {
+        try {
+            const values = moodValues(mood, emoji, details);
+            const sql = `
+                INSERT INTO moods (date, mood, emoji, intensity, time, note, is_encrypted, palette_id, device_id, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            `;
+            const result = await runQuery(sql, [
+                date, values.mood, values.emoji, values.intensity, values.time, values.note,
+                values.is_encrypted, values.palette_id, deviceId
+            ]);
+            return await this.getMoodById(result.id, deviceId);
+        } catch (error) {
+            throw new Error(`Error creating mood: ${error.message}`);
+        }
+    }
+
+    // Replace a single mood
+    static async updateMoodById(id, mood, emoji, deviceId, details = {}) {
+        try {
+            const values = moodValues(mood, emoji, details);
+            const sql = `
+                UPDATE moods
+                SET mood = ?, emoji = ?, intensity = ?, time = ?, note = ?, is_encrypted = ?, palette_id = ?,
+                    version = version + 1, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND device_id = ?
+            `;
+            await runQuery(sql, [
+                values.mood, values.emoji, values.intensity, values.time, values.note,
+                values.is_encrypted, values.palette_id, id, deviceId
+            ]);
+            return await this.getMoodById(id, deviceId);
+        } catch (error) {
+            throw new Error(`Error updating mood: ${error.message}`);
+        }
+    }
+
+    // Upsert the date's most recently logged mood (create if the date has none)
+    static async upsertMood(date, mood, emoji, deviceId, details = {}) {
+        try {
+            const existingMood = await this.getMoodByDate(date, deviceId);
+
+            if (existingMood) {
+                return await this.updateMoodById(existingMood.id, mood, emoji, deviceId, details);
+            } else {
+                return await this.createMood(date, mood, emoji, deviceId, details);
+            }
+        } catch (error) {
+            throw new Error(`Error upserting mood: ${error.message}`);
+        }
+    }
+
+    static async deleteMoodById(id, deviceId) {
+        try {
+            const result = await runQuery('DELETE FROM moods WHERE id = ? AND device_id = ?', [id, deviceId]);
+            return { changes: result.changes, id, deviceId };
+        } catch (error) {
+            throw new Error(`Error deleting mood: ${error.message}`);
+        }
+    }
+
+    // Delete all moods for a date
+    static async deleteMood(date, deviceId) {
+        try {
+            const sql = `
+                DELETE FROM moods
+                WHERE date = ? AND device_id = ?
+            `;
+            const result = await runQuery(sql, [date, deviceId]);
+            return { changes: result.changes, date, deviceId };
+        } catch (error) {
+            throw new Error(`Error deleting mood: ${error.message}`);
+        }
+    }
+
+    // Get all moods for a device, oldest first
+    static async getAllMoods(deviceId) {
+        try {
+            const sql = `
+                SELECT * FROM moods
+                WHERE device_id = ?
+                ORDER BY date ASC, ${DAY_ORDER}
+            `;
+            return await getAll(sql, [deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching moods: ${error.message}`);
+        }
+    }
+
+    // Get moods within date range, newest day first
+    static async getMoodsInRange(startDate, endDate, deviceId) {
+        try {
+            const sql = `
+                SELECT * FROM moods
+                WHERE date BETWEEN ? AND ? AND device_id = ?
+                ORDER BY date DESC, ${DAY_ORDER}
+            `;
+            return await getAll(sql, [startDate, endDate, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching moods in range: ${error.message}`);
+        }
+    }
+}
+
+module.exports = Mood;
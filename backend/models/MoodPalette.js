@@ -0,0 +1,209 @@
+const { runQuery, getRow, getAll, runTransaction } = require('../database/connection');
+const { normalizeText } = require('../utils/content');
+const { DEFAULT_PALETTE, MAX_PALETTE_SIZE } = require('../utils/palette');
+
+class MoodPalette {
+    // Get a diary's moods in grid order, seeding the defaults on first use
+    static async getPalette(deviceId, { includeRetired = false } = {}) {
+        try {
+            await this.seedDefaults(deviceId);
+
+            const sql = `
+                SELECT * FROM mood_palette
+                WHERE device_id = ? ${includeRetired ? '' : 'AND retired_at IS NULL'}
+                ORDER BY position ASC, id ASC
+            `;
+            return await getAll(sql, [deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching mood palette: ${error.message}`);
+        }
+    }
+
+    // One statement, so two first requests can't both seed. Moods saved
+    // before the diary had a palette are linked up by emoji.
+    static async seedDefaults(deviceId) {
+        const values = DEFAULT_PALETTE.map(() => '(?, ?, ?, ?, ?)').join(', ');
+        const result = await runQuery(`
+            INSERT INTO mood_palette (device_id, label, emoji, color, valence, position)
+            SELECT ?, column1, column2, column3, column4, column5 FROM (VALUES ${values})
+            WHERE NOT EXISTS (SELECT 1 FROM mood_palette WHERE device_id = ?)
+        `, [
+            deviceId,
+            ...DEFAULT_PALETTE.flatMap((mood, index) => [mood.label, mood.emoji, mood.color, mood.valence, index]),
+            deviceId
+        ]);
+
+        if (result.changes > 0) {
+            await runQuery(`
+                UPDATE moods
+                SET palette_id = (SELECT p.id FROM mood_palette p WHERE p.device_id = moods.device_id AND p.emoji = moods.emoji)
+                WHERE device_id = ? AND palette_id IS NULL AND is_encrypted = 0
+                    AND EXISTS (SELECT 1 FROM mood_palette p WHERE p.device_id = moods.device_id AND p.emoji = moods.emoji)
+            `, [deviceId]);
+        }
+    }
+
+    static async getPaletteMoodById(id, deviceId) {
+        try {
+            return await getRow('SELECT * FROM mood_palette WHERE id = ? AND device_id = ?', [id, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching palette mood: ${error.message}`);
+        }
+    }
+
+    // The active palette mood using an emoji, if any
+    static async getActiveByEmoji(emoji, deviceId) {
+        try {
+            return await getRow(
+                'SELECT * FROM mood_palette WHERE emoji = ? AND device_id = ? AND retired_at IS NULL',
+                [normalizeText(emoji), deviceId]
+            );
+        } catch (error) {
+            throw new Error(`Error fetching palette mood: ${error.message}`);
+        }
+    }
+
+    static async countActive(deviceId) {
+        try {
+            const row = await getRow('SELECT COUNT(*) AS count FROM mood_palette WHERE device_id = ? AND retired_at IS NULL', [deviceId]);
+            return row.count;
+        } catch (error) {
+            throw new Error(`Error counting palette moods: ${error.message}`);
+        }
+    }
+
+    // Add a mood at the end of the grid. Active moods need distinct emoji, or
+    // the grid couldn't tell them apart, so the status is 'duplicate' (with
+    // the mood using it) or 'full' when it can't be added. The defaults are
+    // seeded first and the checks made in the same transaction, so they count.
+    static async createPaletteMood(deviceId, { label, emoji, color, valence }) {
+        try {
+            return await runTransaction(async () => {
+                await this.seedDefaults(deviceId);
+
+                const duplicate = await this.getActiveByEmoji(emoji, deviceId);
+                if (duplicate) {
+                    return { status: 'duplicate', mood: duplicate };
+                }
+                if (await this.countActive(deviceId) >= MAX_PALETTE_SIZE) {
+                    return { status: 'full' };
+                }
+
+                const result = await runQuery(`
+                    INSERT INTO mood_palette (device_id, label, emoji, color, valence, position, created_at, updated_at)
+                    SELECT ?, ?, ?, ?, ?, COALESCE(MAX(position) + 1, 0), CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+                    FROM mood_palette WHERE device_id = ?
+                `, [deviceId, normalizeText(label), normalizeText(emoji), color.toLowerCase(), valence, deviceId]);
+
+                return { status: 'created', mood: await this.getPaletteMoodById(result.id, deviceId) };
+            });
+        } catch (error) {
+            throw new Error(`Error creating palette mood: ${error.message}`);
+        }
+    }
+
+    // Change a mood's fields and/or retire or restore it (`retired`). Days
+    // that picked it take on a new label or emoji; encrypted ones can't be
+    // rewritten here and are resolved through their palette id in the browser.
+    // Null when there is no such mood; otherwise a status as for a new mood.
+    static async updatePaletteMood(id, deviceId, { label, emoji, color, valence, retired }) {
+        try {
+            return await runTransaction(async () => {
+                const current = await this.getPaletteMoodById(id, deviceId);
+                if (!current) {
+                    return null;
+                }
+
+                const activeAfter = retired !== undefined ? !retired : !current.retired_at;
+                const duplicate = activeAfter && await this.getActiveByEmoji(emoji !== undefined ? emoji : current.emoji, deviceId);
+                if (duplicate && duplicate.id !== current.id) {
+                    return { status: 'duplicate', mood: duplicate };
+                }
+                if (activeAfter && current.retired_at && await this.countActive(deviceId) >= MAX_PALETTE_SIZE) {
+                    return { status: 'full' };
+                }
+
+                const updated = {
+                    label: label !== undefined ? normalizeText(label) : current.label,
+                    emoji: emoji !== undefined ? normalizeText(emoji) : current.emoji,
+                    color: color !== undefined ? color.toLowerCase() : current.color,
+                    valence: valence !== undefined ? valence : current.valence
+                };
+
+                let retiredAt = current.retired_at;
+                if (retired === true && !retiredAt) {
+                    retiredAt = (await getRow('SELECT CURRENT_TIMESTAMP AS now')).now;
+                } else if (retired === false) {
+                    retiredAt = null;
+                }
+
+                await runQuery(`
+                    UPDATE mood_palette
+                    SET label = ?, emoji = ?, color = ?, valence = ?, retired_at = ?, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND device_id = ?
+                `, [updated.label, updated.emoji, updated.color, updated.valence, retiredAt, id, deviceId]);
+
+                if (updated.label !== current.label || updated.emoji !== current.emoji) {
+                    await runQuery(`
+                        UPDATE moods
+                        SET mood = ?, emoji = ?, version = version + 1, updated_at = CURRENT_TIMESTAMP
+                        WHERE palette_id = ? AND device_id = ? AND is_encrypted = 0
+                    `, [updated.label, updated.emoji, id, deviceId]);
+                }
+
+                return { status: 'updated', mood: await this.getPaletteMoodById(id, deviceId) };
+            });
+        } catch (error) {
+            throw new Error(`Error updating palette mood: ${error.message}`);
+        }
+    }
+
+    // Put the given moods first, in this order; any left out keep theirs after
+    static async reorderPalette(deviceId, ids) {
+        try {
+            return await runTransaction(async () => {
+                const palette = await getAll('SELECT id FROM mood_palette WHERE device_id = ? ORDER BY position ASC, id ASC', [deviceId]);
+                const order = [...ids, ...palette.map(mood => mood.id).filter(id => !ids.includes(id))];
+
+                for (const [position, id] of order.entries()) {
+                    await runQuery('UPDATE mood_palette SET position = ? WHERE id = ? AND device_id = ?', [position, id, deviceId]);
+                }
+                return order.length;
+            });
+        } catch (error) {
+            throw new Error(`Error reordering mood palette: ${error.message}`);
+        }
+    }
+
+    // Bring a claimed device's palette into an account (inside the claim's
+    // transaction). Moods the account already has, by emoji, are merged into
+    // its own; the rest are added after its moods.
+    static async mergeDevicePalettes(accountDeviceId, deviceId) {
+        await this.seedDefaults(accountDeviceId);
+
+        const claimed = await getAll(
+            'SELECT * FROM mood_palette WHERE device_id = ? ORDER BY position ASC, id ASC',
+            [deviceId]
+        );
+
+        for (const mood of claimed) {
+            const existing = await getRow(
+                'SELECT id FROM mood_palette WHERE device_id = ? AND emoji = ? ORDER BY retired_at IS NOT NULL, id LIMIT 1',
+                [accountDeviceId, mood.emoji]
+            );
+
+            if (existing) {
+                await runQuery('UPDATE moods SET palette_id = ? WHERE palette_id = ?', [existing.id, mood.id]);
+                await runQuery('DELETE FROM mood_palette WHERE id = ?', [mood.id]);
+            } else {
+                await runQuery(`
+                    UPDATE mood_palette
+                    SET device_id = ?, position = (SELECT COALESCE(MAX(position) + 1, 0) FROM mood_palette WHERE device_id = ?)
+                    WHERE id = ?
+                `, [accountDeviceId, accountDeviceId, mood.id]);
+            }
+        }
+    }
+}
+
+module.exports = MoodPalette;
@@ -0,0 +1,173 @@
+const { runQuery, getRow, getAll } = require('../database/connection');
+const { normalizeText } = require('../utils/content');
+const { storeTrack, removeTrackFile } = require('../utils/music');
+
+// Everything but where an uploaded file is kept
+const PUBLIC_COLUMNS = 't.id, t.title, t.artist, t.url, t.file_name, t.mime_type, t.size, t.created_at, t.updated_at';
+
+const optionalText = (value) => (value ? normalizeText(value) || null : null);
+
+class Playlist {
+    // Get a diary's tracks in the order they were added
+    static async getTracks(deviceId) {
+        try {
+            const sql = `
+                SELECT ${PUBLIC_COLUMNS}
+                FROM music_playlists t
+                WHERE t.device_id = ?
+                ORDER BY t.created_at ASC, t.id ASC
+            `;
+            return await getAll(sql, [deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching tracks: ${error.message}`);
+        }
+    }
+
+    // Get one track, including where its file is kept (file_path)
+    static async getTrackById(id, deviceId) {
+        try {
+            const sql = `
+                SELECT ${PUBLIC_COLUMNS}, t.file_path
+                FROM music_playlists t
+                WHERE t.id = ? AND t.device_id = ?
+            `;
+            return await getRow(sql, [id, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching track: ${error.message}`);
+        }
+    }
+
+    static async countTracks(deviceId) {
+        try {
+            const row = await getRow('SELECT COUNT(*) AS count FROM music_playlists WHERE device_id = ?', [deviceId]);
+            return row.count;
+        } catch (error) {
+            throw new Error(`Error counting tracks: ${error.message}`);
+        }
+    }
+
+    // Add a track: a link ({ url }) or an upload whose type has been
+    // detected ({ buffer, type, fileName }, see utils/music.js)
+    static async createTrack(deviceId, { title, artist = null, url = null, buffer = null, type = null, fileName = null }) {
+        let storageKey = null;
+        try {
+            if (buffer) {
+                storageKey = await storeTrack(buffer, type);
+            }
+
+            const sql = `
+                INSERT INTO music_playlists (device_id, title, artist, url, file_path, file_name, mime_type, size, created_at, updated_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            `;
+            const result = await runQuery(sql, [
+                deviceId, normalizeText(title), optionalText(artist), buffer ? null : url.trim(),
+                storageKey, buffer ? fileName : null, buffer ? type.mimeType : null, buffer ? buffer.length : null
+            ]);
+
+            const { file_path, ...track } = await this.getTrackById(result.id, deviceId);
+            return track;
+        } catch (error) {
+            if (storageKey) {
+                await removeTrackFile(storageKey);
+            }
+            throw new Error(`Error creating track: ${error.message}`);
+        }
+    }
+
+    // Change a track's title, artist or (for links) url
+    static async updateTrack(id, deviceId, { title, artist, url }) {
+        try {
+            const current = await this.getTrackById(id, deviceId);
+            if (!current) {
+                return null;
+            }
+
+            await runQuery(`
+                UPDATE music_playlists
+                SET title = ?, artist = ?, url = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND device_id = ?
+            `, [
+                title !== undefined ? normalizeText(title) : current.title,
+                artist !== undefined ? optionalText(artist) : current.artist,
+                url !== undefined && !current.file_path ? url.trim() : current.url,
+                id, deviceId
+            ]);
+
+            const { file_path, ...track } = await this.getTrackById(id, deviceId);
+            return track;
+        } catch (error) {
+            throw new Error(`Error updating track: ${error.message}`);
+        }
+    }
+
+    // Delete a track and its file; days that had it as their song lose it
+    static async deleteTrack(id, deviceId) {
+        try {
+            const track = await this.getTrackById(id, deviceId);
+            if (!track) {
+                return { changes: 0, id, deviceId };
+            }
+
+            const result = await runQuery('DELETE FROM music_playlists WHERE id = ? AND device_id = ?', [id, deviceId]);
+            if (track.file_path) {
+                await removeTrackFile(track.file_path);
+            }
+            return { changes: result.changes, id, deviceId };
+        } catch (error) {
+            throw new Error(`Error deleting track: ${error.message}`);
+        }
+    }
+
+    // The track chosen as a date's song of the day, if any
+    static async getDaySong(date, deviceId) {
+        try {
+            const sql = `
+                SELECT ${PUBLIC_COLUMNS}
+                FROM day_songs d
+                JOIN music_playlists t ON t.id = d.track_id AND t.device_id = d.device_id
+                WHERE d.date = ? AND d.device_id = ?
+            `;
+            return await getRow(sql, [date, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching song of the day: ${error.message}`);
+        }
+    }
+
+    // Make a track a date's song of the day, replacing any other
+    static async setDaySong(date, trackId, deviceId) {
+        try {
+            await runQuery(`
+                INSERT INTO day_songs (device_id, date, track_id, created_at)
+                VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+                ON CONFLICT (device_id, date) DO UPDATE SET track_id = excluded.track_id, created_at = excluded.created_at
+            `, [deviceId, date, trackId]);
+            return await this.getDaySong(date, deviceId);
+        } catch (error) {
+            throw new Error(`Error setting song of the day: ${error.message}`);
+        }
+    }
+
+    static async clearDaySong(date, deviceId) {
+        try {
+            const result = await runQuery('DELETE FROM day_songs WHERE date = ? AND device_id = ?', [date, deviceId]);
+            return { changes: result.changes, date, deviceId };
+        } catch (error) {
+            throw new Error(`Error clearing song of the day: ${error.message}`);
+        }
+    }
+
+    // Bring a claimed device's songs of the day into an account (inside the
+    // claim's transaction, after its tracks were moved). Dates the account
+    // already has a song for keep it.
+    static async mergeDeviceSongs(accountDeviceId, deviceId) {
+        await runQuery(`
+            INSERT OR IGNORE INTO day_songs (device_id, date, track_id, created_at)
+            SELECT ?, date, track_id, created_at FROM day_songs
+            WHERE device_id = ?
+            ORDER BY created_at DESC
+        `, [accountDeviceId, deviceId]);
+        await runQuery('DELETE FROM day_songs WHERE device_id = ?', [deviceId]);
+    }
+}
+
+module.exports = Playlist;
@@ -0,0 +1,172 @@
+const { runQuery, getRow, getAll } = require('../database/connection');
+const { normalizeText } = require('../utils/content');
+const { DEFAULT_PALETTE } = require('../utils/palette');
+const { moodTone, allPrompts, pickPrompt } = require('../utils/prompts');
+
+// How many days back a logged mood still shapes the day's prompt
+const MOOD_LOOKBACK_DAYS = 2;
+
+class Prompt {
+    // Get a diary's own prompts in the order they were added
+    static async getCustomPrompts(deviceId) {
+        try {
+            const sql = `
+                SELECT id, text, theme, created_at, updated_at
+                FROM custom_prompts
+                WHERE device_id = ?
+                ORDER BY created_at ASC, id ASC
+            `;
+            return await getAll(sql, [deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching prompts: ${error.message}`);
+        }
+    }
+
+    static async getCustomPromptById(id, deviceId) {
+        try {
+            return await getRow(
+                'SELECT id, text, theme, created_at, updated_at FROM custom_prompts WHERE id = ? AND device_id = ?',
+                [id, deviceId]
+            );
+        } catch (error) {
+            throw new Error(`Error fetching prompt: ${error.message}`);
+        }
+    }
+
+    static async countCustomPrompts(deviceId) {
+        try {
+            const row = await getRow('SELECT COUNT(*) AS count FROM custom_prompts WHERE device_id = ?', [deviceId]);
+            return row.count;
+        } catch (error) {
+            throw new Error(`Error counting prompts: ${error.message}`);
+        }
+    }
+
+    static async createCustomPrompt(deviceId, { text, theme = null }) {
+        try {
+            const sql = `
+                INSERT INTO custom_prompts (device_id, text, theme, created_at, updated_at)
+                VALUES (?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            `;
+            const result = await runQuery(sql, [deviceId, normalizeText(text), theme]);
+            return await this.getCustomPromptById(result.id, deviceId);
+        } catch (error) {
+            throw new Error(`Error creating prompt: ${error.message}`);
+        }
+    }
+
+    // Change a prompt's text or theme (null for none)
+    static async updateCustomPrompt(id, deviceId, { text, theme }) {
+        try {
+            const current = await this.getCustomPromptById(id, deviceId);
+            if (!current) {
+                return null;
+            }
+
+            await runQuery(`
+                UPDATE custom_prompts
+                SET text = ?, theme = ?, updated_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND device_id = ?
+            `, [
+                text !== undefined ? normalizeText(text) : current.text,
+                theme !== undefined ? theme : current.theme,
+                id, deviceId
+            ]);
+            return await this.getCustomPromptById(id, deviceId);
+        } catch (error) {
+            throw new Error(`Error updating prompt: ${error.message}`);
+        }
+    }
+
+    // Days that were given the prompt keep it in their history (ids are never
+    // reused), so it still counts as shown; a day whose pick it was gets a new one
+    static async deleteCustomPrompt(id, deviceId) {
+        try {
+            const result = await runQuery('DELETE FROM custom_prompts WHERE id = ? AND device_id = ?', [id, deviceId]);
+            return { changes: result.changes, id, deviceId };
+        } catch (error) {
+            throw new Error(`Error deleting prompt: ${error.message}`);
+        }
+    }
+
+    // The latest mood logged on the date or the days just before it, with its
+    // valence. Encrypted moods can't be read here, so they don't count.
+    static async getRecentMood(date, deviceId) {
+        const mood = await getRow(`
+            SELECT m.mood, m.emoji, p.valence
+            FROM moods m
+            LEFT JOIN mood_palette p ON p.id = m.palette_id
+            WHERE m.device_id = ? AND m.is_encrypted = 0
+                AND m.date BETWEEN date(?, ?) AND ?
+            ORDER BY m.date DESC, m.id DESC
+            LIMIT 1
+        `, [deviceId, date, `-${MOOD_LOOKBACK_DAYS} days`, date]);
+
+        if (mood && (mood.valence === null || mood.valence === undefined)) {
+            const defaultMood = DEFAULT_PALETTE.find(paletteMood => paletteMood.emoji === mood.emoji);
+            mood.valence = defaultMood ? defaultMood.valence : null;
+        }
+        return mood;
+    }
+
+    // The date's prompt (see utils/prompts.js). With `record` the pick is
+    // saved as shown and kept, unless the recent mood later calls for another
+    // tone or the prompt is deleted; without, nothing is written.
+    static async getDailyPrompt(date, deviceId, { record = false } = {}) {
+        try {
+            const [mood, customPrompts, history] = await Promise.all([
+                this.getRecentMood(date, deviceId),
+                this.getCustomPrompts(deviceId),
+                getAll('SELECT date, prompt_key, tone FROM prompt_history WHERE device_id = ? ORDER BY date ASC', [deviceId])
+            ]);
+
+            const tone = moodTone(mood ? mood.valence : null);
+            const prompts = allPrompts(customPrompts);
+            const picked = history.find(row => row.date === date);
+            let prompt = picked && picked.tone === tone
+                ? prompts.find(candidate => candidate.key === picked.prompt_key)
+                : null;
+
+            if (!prompt) {
+                // Latest other date each prompt was picked for
+                const shown = new Map(history.filter(row => row.date !== date).map(row => [row.prompt_key, row.date]));
+                prompt = pickPrompt(prompts, { deviceId, date, tone, shown });
+
+                if (record) {
+                    await runQuery(`
+                        INSERT INTO prompt_history (device_id, date, prompt_key, tone, created_at)
+                        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+                        ON CONFLICT (device_id, date) DO UPDATE SET prompt_key = excluded.prompt_key, tone = excluded.tone
+                    `, [deviceId, date, prompt.key, tone]);
+                }
+            }
+
+            return {
+                date,
+                ...prompt,
+                tone,
+                mood: mood ? { mood: mood.mood, emoji: mood.emoji } : null
+            };
+        } catch (error) {
+            throw new Error(`Error picking prompt: ${error.message}`);
+        }
+    }
+
+    // Bring a claimed device's prompts and prompt history into an account
+    // (inside the claim's transaction). Dates the account already has a
+    // prompt for keep it.
+    static async mergeDevicePrompts(accountDeviceId, deviceId) {
+        await runQuery(
+            'UPDATE custom_prompts SET device_id = ? WHERE device_id = ?',
+            [accountDeviceId, deviceId]
+        );
+        await runQuery(`
+            INSERT OR IGNORE INTO prompt_history (device_id, date, prompt_key, tone, created_at)
+            SELECT ?, date, prompt_key, tone, created_at FROM prompt_history
+            WHERE device_id = ?
+        `, [accountDeviceId, deviceId]);
+        await runQuery('DELETE FROM prompt_history WHERE device_id = ?', [deviceId]);
+    }
+}
+
+module.exports = Prompt;
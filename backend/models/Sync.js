@@ -0,0 +1,250 @@
+const { runQuery, getRow, getAll, runTransaction } = require('../database/connection');
+const DiaryEntry = require('./DiaryEntry');
+const Mood = require('./Mood');
+const MoodPalette = require('./MoodPalette');
+const { dateRegex, toSqlTimestamp } = require('../utils/dates');
+const { validateContent, validateMood, validateMoodDetails } = require('../utils/content');
+const { isEncrypted } = require('../utils/encryption');
+
+// Operation types and the actions each one supports
+const OPERATION_ACTIONS = {
+    entry: ['create', 'update', 'delete'],
+    mood: ['create', 'update', 'upsert', 'delete']
+};
+
+// Applied operations are remembered this long, so late retries stay idempotent
+const OPERATION_RETENTION_DAYS = 30;
+
+// Describe what is wrong with an operation, or return null when it is valid
+const validateOperation = (op) => {
+    if (!op || typeof op.opId !== 'string' || !op.opId || op.opId.length > 64) {
+        return 'opId is required';
+    }
+    if (!OPERATION_ACTIONS[op.type] || !OPERATION_ACTIONS[op.type].includes(op.action)) {
+        return 'Unknown operation type or action';
+    }
+    if (!dateRegex.test(op.date)) {
+        return 'Date must be in YYYY-MM-DD format';
+    }
+    if (!toSqlTimestamp(op.queuedAt)) {
+        return 'queuedAt must be a timestamp';
+    }
+    if (op.type === 'entry' && op.action !== 'create' && !Number.isInteger(op.id)) {
+        return 'Entry id is required';
+    }
+    if (op.type === 'entry' && op.action !== 'delete') {
+        return validateContent(op.content);
+    }
+    if (op.type === 'mood' && op.action === 'update' && !Number.isInteger(op.id)) {
+        return 'Mood id is required';
+    }
+    if (op.type === 'mood' && op.action !== 'delete') {
+        if (op.paletteId !== undefined && op.paletteId !== null && !Number.isInteger(op.paletteId)) {
+            return 'paletteId must be a palette mood id';
+        }
+        return validateMood(op.mood, op.emoji) || validateMoodDetails(op);
+    }
+    return null;
+};
+
+class Sync {
+    // The latest change sequence number; clients send it back as `since`
+    static async getSyncToken() {
+        try {
+            const row = await getRow('SELECT COALESCE(MAX(seq), 0) AS seq FROM sync_changes');
+            return String(row.seq);
+        } catch (error) {
+            throw new Error(`Error reading sync token: ${error.message}`);
+        }
+    }
+
+    // Apply a batch of offline operations in order, then collect what changed
+    // since the client's last sync (including the batch itself)
+    static async sync(deviceId, operations, since) {
+        try {
+            const results = [];
+            for (const op of operations) {
+                results.push(await this.applyOperation(op, deviceId));
+            }
+
+            await runQuery(
+                `DELETE FROM sync_operations WHERE created_at < datetime('now', '-${OPERATION_RETENTION_DAYS} days')`
+            );
+
+            // Read the token first so nothing written meanwhile is skipped next time
+            const syncToken = await this.getSyncToken();
+            const changes = await this.getChangesSince(since, deviceId, syncToken);
+
+            return { results, changes, syncToken };
+        } catch (error) {
+            throw new Error(`Error syncing: ${error.message}`);
+        }
+    }
+
+    // Apply one operation; a retried operation returns its original result
+    static async applyOperation(op, deviceId) {
+        const invalid = validateOperation(op);
+        if (invalid) {
+            return { opId: op && op.opId, status: 'rejected', message: invalid };
+        }
+
+        // Looked up inside the transaction, so a retry sent while the first
+        // try is still being applied waits for it and gets its result
+        return runTransaction(async () => {
+            const applied = await getRow(
+                'SELECT result FROM sync_operations WHERE op_id = ? AND device_id = ?',
+                [op.opId, deviceId]
+            );
+            if (applied) {
+                return JSON.parse(applied.result);
+            }
+
+            const outcome = op.type === 'entry'
+                ? await this.applyEntryOperation(op, deviceId)
+                : await this.applyMoodOperation(op, deviceId);
+            const result = { opId: op.opId, type: op.type, action: op.action, ...outcome };
+
+            await runQuery(
+                'INSERT INTO sync_operations (op_id, device_id, result) VALUES (?, ?, ?)',
+                [op.opId, deviceId, JSON.stringify(result)]
+            );
+            return result;
+        });
+    }
+
+    // Updates and deletes carry the version the client last saw (or, from
+    // older clients, its updated_at); if the server copy moved on since, it
+    // was edited elsewhere and is left alone
+    static async applyEntryOperation(op, deviceId) {
+        if (op.action === 'create') {
+            const entry = await DiaryEntry.createEntry(op.date, op.content, deviceId);
+            return { status: 'applied', id: entry.id, entry };
+        }
+
+        const existing = await DiaryEntry.getEntryById(op.id, deviceId);
+        const baseUpdatedAt = toSqlTimestamp(op.baseUpdatedAt);
+
+        if (!existing) {
+            return op.action === 'delete'
+                ? { status: 'applied', id: op.id }
+                : { status: 'conflict', reason: 'deleted', id: op.id, server: null };
+        }
+
+        const modified = Number.isInteger(op.baseVersion)
+            ? existing.version !== op.baseVersion
+            : !baseUpdatedAt || existing.updated_at > baseUpdatedAt;
+        if (modified) {
+            return { status: 'conflict', reason: 'modified', id: op.id, server: existing };
+        }
+
+        if (op.action === 'delete') {
+            await DiaryEntry.deleteEntryById(op.id, deviceId);
+            return { status: 'applied', id: op.id };
+        }
+
+        const entry = await DiaryEntry.updateEntryById(op.id, op.content, deviceId);
+        return { status: 'applied', id: entry.id, entry };
+    }
+
+    // Like entries, updates and deletes carry the mood's version (or
+    // updated_at) as the client last saw it; a mood that moved on since was
+    // changed elsewhere and is left alone. Without an id, update and delete
+    // act on the date's most recently logged mood and all of its moods.
+    static async applyMoodOperation(op, deviceId) {
+        const { mood, emoji, details } = await this.resolveMoodOperation(op, deviceId);
+
+        if (op.action === 'create') {
+            const created = await Mood.createMood(op.date, mood, emoji, deviceId, details);
+            return { status: 'applied', id: created.id, mood: created };
+        }
+
+        const byId = Number.isInteger(op.id);
+        const existing = byId
+            ? await Mood.getMoodById(op.id, deviceId)
+            : await Mood.getMoodByDate(op.date, deviceId);
+
+        if (byId && !existing) {
+            return op.action === 'delete'
+                ? { status: 'applied', id: op.id }
+                : { status: 'conflict', reason: 'deleted', id: op.id, server: null };
+        }
+
+        const baseUpdatedAt = toSqlTimestamp(op.baseUpdatedAt);
+        const modified = existing && (Number.isInteger(op.baseVersion)
+            ? existing.version !== op.baseVersion
+            : !baseUpdatedAt || existing.updated_at > baseUpdatedAt);
+        if (modified) {
+            return { status: 'conflict', reason: 'modified', id: existing.id, server: existing };
+        }
+
+        if (op.action === 'delete') {
+            if (byId) {
+                await Mood.deleteMoodById(op.id, deviceId);
+            } else {
+                await Mood.deleteMood(op.date, deviceId);
+            }
+            return { status: 'applied', id: op.id };
+        }
+
+        const saved = existing
+            ? await Mood.updateMoodById(existing.id, mood, emoji, deviceId, details)
+            : await Mood.createMood(op.date, mood, emoji, deviceId, details);
+        return { status: 'applied', id: saved.id, mood: saved };
+    }
+
+    // What an operation's mood is saved as. The palette mood may have
+    // been changed since it was queued (then the mood takes its current
+    // label), or be gone after a claim.
+    static async resolveMoodOperation(op, deviceId) {
+        const paletteMood = Number.isInteger(op.paletteId) && await MoodPalette.getPaletteMoodById(op.paletteId, deviceId);
+        const details = {
+            paletteId: paletteMood ? paletteMood.id : null,
+            intensity: op.intensity,
+            time: op.time,
+            note: op.note
+        };
+        return paletteMood && !isEncrypted(op.mood)
+            ? { mood: paletteMood.label, emoji: paletteMood.emoji, details }
+            : { mood: op.mood, emoji: op.emoji, details };
+    }
+
+    // Entries and moods changed after `since`, plus tombstones for deleted ones.
+    // Without a usable token the client gets everything (a full resync).
+    static async getChangesSince(since, deviceId, syncToken) {
+        if (since === null || Number(since) > Number(syncToken)) {
+            return {
+                full: true,
+                entries: await getAll('SELECT * FROM diary_entries WHERE device_id = ? ORDER BY date ASC, created_at ASC', [deviceId]),
+                moods: await Mood.getAllMoods(deviceId),
+                deleted: []
+            };
+        }
+
+        const params = [deviceId, Number(since)];
+        const entries = await getAll(`
+            SELECT e.* FROM sync_changes c
+            JOIN diary_entries e ON e.id = c.record_id AND e.device_id = c.device_id
+            WHERE c.table_name = 'diary_entries' AND c.device_id = ? AND c.seq > ? AND c.deleted = 0
+            ORDER BY c.seq ASC
+        `, params);
+        const moods = await getAll(`
+            SELECT m.* FROM sync_changes c
+            JOIN moods m ON m.id = c.record_id AND m.device_id = c.device_id
+            WHERE c.table_name = 'moods' AND c.device_id = ? AND c.seq > ? AND c.deleted = 0
+            ORDER BY c.seq ASC
+        `, params);
+        const deleted = await getAll(`
+            SELECT CASE table_name WHEN 'moods' THEN 'mood' ELSE 'entry' END AS type,
+                   record_id AS id, date
+            FROM sync_changes
+            WHERE device_id = ? AND seq > ? AND deleted = 1
+            ORDER BY seq ASC
+        `, params);
+
+        return { full: false, entries, moods, deleted };
+    }
+}
+
+Sync.OPERATION_ACTIONS = OPERATION_ACTIONS;
+
+module.exports = Sync;
@@ -0,0 +1,106 @@
+const { runQuery, getAll } = require('../database/connection');
+const { extractTags } = require('../utils/tags');
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Replace an entry's tag links with the #hashtags in its content. Encrypted
+// content can't be read here, so encrypted entries have no tags.
+const linkTags = async (entry) => {
+    const names = entry.is_encrypted ? [] : extractTags(entry.content);
+
+    await runQuery('DELETE FROM entry_tags WHERE entry_id = ?', [entry.id]);
+    for (const name of names) {
+        await runQuery('INSERT OR IGNORE INTO tags (device_id, name) VALUES (?, ?)', [entry.device_id, name]);
+        await runQuery(`
+            INSERT OR IGNORE INTO entry_tags (entry_id, tag_id)
+            SELECT ?, id FROM tags WHERE device_id = ? AND name = ?
+        `, [entry.id, entry.device_id, name]);
+    }
+    return names;
+};
+
+class Tag {
+    // Get a diary's tags with how many entries use each, most used first
+    static async getTags(deviceId) {
+        try {
+            const sql = `
+                SELECT t.name, COUNT(e.id) AS count, MAX(e.date) AS last_used
+                FROM tags t
+                JOIN entry_tags et ON et.tag_id = t.id
+                JOIN diary_entries e ON e.id = et.entry_id AND e.device_id = t.device_id
+                WHERE t.device_id = ?
+                GROUP BY t.id
+                ORDER BY count DESC, t.name ASC
+            `;
+            return await getAll(sql, [deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching tags: ${error.message}`);
+        }
+    }
+
+    // Tag an entry from its content (after it was created or changed, in the
+    // same transaction). Only the tags it dropped can have fallen out of use.
+    static async setEntryTags(entry) {
+        try {
+            if (!entry) {
+                return [];
+            }
+            const previous = await this.getTagIds([entry.id]);
+            const names = await linkTags(entry);
+            await this.removeUnusedTags(entry.device_id, previous);
+            return names;
+        } catch (error) {
+            throw new Error(`Error tagging entry: ${error.message}`);
+        }
+    }
+
+    // Re-read the tags of every entry in a diary (after rows were rewritten
+    // or moved in bulk, as claims and rekeys do)
+    static async retagDiary(deviceId) {
+        try {
+            const entries = await getAll('SELECT id, content, is_encrypted, device_id FROM diary_entries WHERE device_id = ?', [deviceId]);
+            for (const entry of entries) {
+                await linkTags(entry);
+            }
+            await this.removeUnusedTags(deviceId);
+            return entries.length;
+        } catch (error) {
+            throw new Error(`Error retagging diary: ${error.message}`);
+        }
+    }
+
+    // Bring a claimed device's entries under the account's tags (inside the
+    // claim's transaction, after the entries were moved)
+    static async mergeDeviceTags(accountDeviceId, deviceId) {
+        await this.retagDiary(accountDeviceId);
+        await this.removeUnusedTags(deviceId);
+    }
+
+    // The ids of the tags some entries are linked to (taken before they are
+    // deleted, to clean up after them)
+    static async getTagIds(entryIds) {
+        if (entryIds.length === 0) {
+            return [];
+        }
+        const rows = await getAll(
+            `SELECT DISTINCT tag_id FROM entry_tags WHERE entry_id IN (${placeholders(entryIds)})`,
+            entryIds
+        );
+        return rows.map(row => row.tag_id);
+    }
+
+    // Tags no entry uses any more (links go with their entries), of all the
+    // diary's or only of tagIds
+    static async removeUnusedTags(deviceId, tagIds = null) {
+        if (tagIds && tagIds.length === 0) {
+            return;
+        }
+        await runQuery(`
+            DELETE FROM tags
+            WHERE device_id = ? AND NOT EXISTS (SELECT 1 FROM entry_tags et WHERE et.tag_id = tags.id)
+            ${tagIds ? `AND id IN (${placeholders(tagIds)})` : ''}
+        `, [deviceId, ...(tagIds || [])]);
+    }
+}
+
+module.exports = Tag;
@@ -0,0 +1,139 @@
+const { runQuery, getRow, getAll, runTransaction } = require('../database/connection');
+const { normalizeText } = require('../utils/content');
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+// Give each template the weekdays it is the default for
+const withWeekdays = (templates, defaults) => templates.map(template => ({
+    ...template,
+    weekdays: defaults.filter(row => row.template_id === template.id).map(row => row.weekday)
+}));
+
+class Template {
+    // Get a diary's templates by name, each with its default weekdays
+    static async getTemplates(deviceId) {
+        try {
+            const [templates, defaults] = await Promise.all([
+                getAll('SELECT * FROM templates WHERE device_id = ? ORDER BY name COLLATE NOCASE ASC, id ASC', [deviceId]),
+                getAll('SELECT weekday, template_id FROM template_defaults WHERE device_id = ? ORDER BY weekday ASC', [deviceId])
+            ]);
+            return withWeekdays(templates, defaults);
+        } catch (error) {
+            throw new Error(`Error fetching templates: ${error.message}`);
+        }
+    }
+
+    static async getTemplateById(id, deviceId) {
+        try {
+            const template = await getRow('SELECT * FROM templates WHERE id = ? AND device_id = ?', [id, deviceId]);
+            if (!template) {
+                return null;
+            }
+
+            const defaults = await getAll(
+                'SELECT weekday, template_id FROM template_defaults WHERE template_id = ? ORDER BY weekday ASC',
+                [template.id]
+            );
+            return withWeekdays([template], defaults)[0];
+        } catch (error) {
+            throw new Error(`Error fetching template: ${error.message}`);
+        }
+    }
+
+    static async countTemplates(deviceId) {
+        try {
+            const row = await getRow('SELECT COUNT(*) AS count FROM templates WHERE device_id = ?', [deviceId]);
+            return row.count;
+        } catch (error) {
+            throw new Error(`Error counting templates: ${error.message}`);
+        }
+    }
+
+    // Make a template the default for exactly these weekdays, taking them
+    // from any other template that had them
+    static async setWeekdays(id, deviceId, weekdays) {
+        await runQuery(
+            `DELETE FROM template_defaults WHERE device_id = ? AND (template_id = ? OR weekday IN (${placeholders(weekdays)}))`,
+            [deviceId, id, ...weekdays]
+        );
+        for (const weekday of weekdays) {
+            await runQuery(
+                'INSERT INTO template_defaults (device_id, weekday, template_id) VALUES (?, ?, ?)',
+                [deviceId, weekday, id]
+            );
+        }
+    }
+
+    static async createTemplate(deviceId, { name, content, weekdays = [] }) {
+        try {
+            return await runTransaction(async () => {
+                const result = await runQuery(`
+                    INSERT INTO templates (device_id, name, content, created_at, updated_at)
+                    VALUES (?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+                `, [deviceId, normalizeText(name), normalizeText(content)]);
+
+                await this.setWeekdays(result.id, deviceId, weekdays);
+                return await this.getTemplateById(result.id, deviceId);
+            });
+        } catch (error) {
+            throw new Error(`Error creating template: ${error.message}`);
+        }
+    }
+
+    // Change a template's name, content or default weekdays
+    static async updateTemplate(id, deviceId, { name, content, weekdays }) {
+        try {
+            return await runTransaction(async () => {
+                const current = await this.getTemplateById(id, deviceId);
+                if (!current) {
+                    return null;
+                }
+
+                if (name !== undefined || content !== undefined) {
+                    await runQuery(`
+                        UPDATE templates
+                        SET name = ?, content = ?, updated_at = CURRENT_TIMESTAMP
+                        WHERE id = ? AND device_id = ?
+                    `, [
+                        name !== undefined ? normalizeText(name) : current.name,
+                        content !== undefined ? normalizeText(content) : current.content,
+                        id, deviceId
+                    ]);
+                }
+                if (weekdays !== undefined) {
+                    await this.setWeekdays(current.id, deviceId, weekdays);
+                }
+                return await this.getTemplateById(id, deviceId);
+            });
+        } catch (error) {
+            throw new Error(`Error updating template: ${error.message}`);
+        }
+    }
+
+    // Weekdays it was the default for are left without one
+    static async deleteTemplate(id, deviceId) {
+        try {
+            const result = await runQuery('DELETE FROM templates WHERE id = ? AND device_id = ?', [id, deviceId]);
+            return { changes: result.changes, id, deviceId };
+        } catch (error) {
+            throw new Error(`Error deleting template: ${error.message}`);
+        }
+    }
+
+    // Bring a claimed device's templates into an account (inside the claim's
+    // transaction). Weekdays the account already has a default for keep it.
+    static async mergeDeviceTemplates(accountDeviceId, deviceId) {
+        await runQuery(
+            'UPDATE templates SET device_id = ? WHERE device_id = ?',
+            [accountDeviceId, deviceId]
+        );
+        await runQuery(`
+            INSERT OR IGNORE INTO template_defaults (device_id, weekday, template_id)
+            SELECT ?, weekday, template_id FROM template_defaults
+            WHERE device_id = ?
+        `, [accountDeviceId, deviceId]);
+        await runQuery('DELETE FROM template_defaults WHERE device_id = ?', [deviceId]);
+    }
+}
+
+module.exports = Template;
@@ -0,0 +1,151 @@
+const bcrypt = require('bcryptjs');
+const { runQuery, getRow, getAll } = require('../database/connection');
+
+const SALT_ROUNDS = 12;
+
+// Columns that are safe to send back to the client
+const PUBLIC_FIELDS = 'id, username, email, device_id, created_at, updated_at';
+
+class User {
+    // Get user by id
+    static async getUserById(id) {
+        try {
+            const sql = `SELECT ${PUBLIC_FIELDS} FROM users WHERE id = ?`;
+            return await getRow(sql, [id]);
+        } catch (error) {
+            throw new Error(`Error fetching user: ${error.message}`);
+        }
+    }
+
+    // Get user by username or email (includes password hash, for login only)
+    static async getUserForLogin(login) {
+        try {
+            const sql = `
+                SELECT * FROM users
+                WHERE username = ? COLLATE NOCASE OR email = ? COLLATE NOCASE
+            `;
+            return await getRow(sql, [login, login]);
+        } catch (error) {
+            throw new Error(`Error fetching user: ${error.message}`);
+        }
+    }
+
+    // Get the user owning a device ID, either as their account identity or
+    // as an anonymous device they have claimed
+    static async getDeviceOwner(deviceId) {
+        try {
+            const sql = `
+                SELECT ${PUBLIC_FIELDS} FROM users
+                WHERE device_id = ?
+                   OR id IN (SELECT user_id FROM user_devices WHERE device_id = ?)
+            `;
+            return await getRow(sql, [deviceId, deviceId]);
+        } catch (error) {
+            throw new Error(`Error fetching device owner: ${error.message}`);
+        }
+    }
+
+    // Record that a user has claimed an anonymous device
+    static async addClaimedDevice(userId, deviceId) {
+        try {
+            const sql = `
+                INSERT OR IGNORE INTO user_devices (user_id, device_id, claimed_at)
+                VALUES (?, ?, CURRENT_TIMESTAMP)
+            `;
+            const result = await runQuery(sql, [userId, deviceId]);
+            return { changes: result.changes, userId, deviceId };
+        } catch (error) {
+            throw new Error(`Error claiming device: ${error.message}`);
+        }
+    }
+
+    // Get the anonymous devices a user has claimed
+    static async getClaimedDevices(userId) {
+        try {
+            const sql = `
+                SELECT device_id, claimed_at FROM user_devices
+                WHERE user_id = ?
+                ORDER BY claimed_at DESC
+            `;
+            return await getAll(sql, [userId]);
+        } catch (error) {
+            throw new Error(`Error fetching claimed devices: ${error.message}`);
+        }
+    }
+
+    // Check whether a username or email is already taken
+    static async isTaken(username, email) {
+        try {
+            const sql = `
+                SELECT id FROM users
+                WHERE username = ? COLLATE NOCASE OR (? IS NOT NULL AND email = ? COLLATE NOCASE)
+            `;
+            const row = await getRow(sql, [username, email, email]);
+            return !!row;
+        } catch (error) {
+            throw new Error(`Error checking user existence: ${error.message}`);
+        }
+    }
+
+    // Create new user with a salted password hash
+    static async createUser(username, email, password, deviceId) {
+        try {
+            const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+            const sql = `
+                INSERT INTO users (username, email, password_hash, device_id, created_at, updated_at)
+                VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            `;
+            const result = await runQuery(sql, [username, email, passwordHash, deviceId]);
+            return await this.getUserById(result.id);
+        } catch (error) {
+            throw new Error(`Error creating user: ${error.message}`);
+        }
+    }
+
+    // Compare a plain password against the stored hash
+    static async verifyPassword(user, password) {
+        if (!user || !user.password_hash) {
+            return false;
+        }
+        return bcrypt.compare(password, user.password_hash);
+    }
+
+    // Record a new login session
+    static async createSession(sessionId, userId, expiresAt) {
+        try {
+            const sql = `
+                INSERT INTO sessions (id, user_id, created_at, expires_at)
+                VALUES (?, ?, CURRENT_TIMESTAMP, ?)
+            `;
+            await runQuery(sql, [sessionId, userId, expiresAt]);
+            return { id: sessionId, userId, expiresAt };
+        } catch (error) {
+            throw new Error(`Error creating session: ${error.message}`);
+        }
+    }
+
+    // Get an unexpired session
+    static async getActiveSession(sessionId) {
+        try {
+            const sql = `
+                SELECT * FROM sessions
+                WHERE id = ? AND expires_at > ?
+            `;
+            return await getRow(sql, [sessionId, new Date().toISOString()]);
+        } catch (error) {
+            throw new Error(`Error fetching session: ${error.message}`);
+        }
+    }
+
+    // Delete a session (logout)
+    static async deleteSession(sessionId) {
+        try {
+            const result = await runQuery('DELETE FROM sessions WHERE id = ?', [sessionId]);
+            return { changes: result.changes };
+        } catch (error) {
+            throw new Error(`Error deleting session: ${error.message}`);
+        }
+    }
+}
+
+module.exports = User;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const DeviceClaim = require('../models/DeviceClaim');
+const { requireAuth } = require('../middleware/auth');
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// All account routes need a logged-in user
+router.use(requireAuth);
+
+// Validate a claim request; responds and returns null when invalid. A
+// device proves it is held by being the one the request comes from, so a
+// claim always merges the X-Device-ID of the browser that sends it.
+const parseClaimRequest = async (req, res) => {
+    const { strategy = 'keep_both' } = req.body;
+    const deviceId = req.headers['x-device-id'];
+
+    if (!DeviceClaim.CONFLICT_STRATEGIES.includes(strategy)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid strategy',
+            message: `Strategy must be one of: ${DeviceClaim.CONFLICT_STRATEGIES.join(', ')}`
+        });
+        return null;
+    }
+
+    if (typeof deviceId !== 'string' || !uuidRegex.test(deviceId)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid device ID format',
+            message: 'X-Device-ID must be the UUID of the browser\'s own diary'
+        });
+        return null;
+    }
+
+    if (deviceId === req.user.device_id) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid device ID',
+            message: 'That device ID is already your account'
+        });
+        return null;
+    }
+
+    const owner = await User.getDeviceOwner(deviceId);
+    if (owner && owner.id !== req.user.id) {
+        res.status(403).json({
+            success: false,
+            error: 'Device already claimed',
+            message: `Device ${deviceId} belongs to another account`
+        });
+        return null;
+    }
+
+    return { deviceId, strategy };
+};
+
+// Answer 409 when the device's rows are encrypted with a key the account
+// doesn't use; returns true when it responded
+const rejectKeyConflict = (encryption, res) => {
+    if (!encryption.keyConflict) {
+        return false;
+    }
+
+    res.status(409).json({
+        success: false,
+        error: 'Different passphrase',
+        message: encryption.keyConflict
+    });
+    return true;
+};
+
+// GET /api/account/devices - List devices claimed into this account
+router.get('/devices', async (req, res) => {
+    try {
+        const devices = await User.getClaimedDevices(req.user.id);
+        res.json({
+            success: true,
+            data: devices,
+            count: devices.length
+        });
+    } catch (error) {
+        console.error('Error fetching claimed devices:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch devices',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/account/claim/preview - Show what claiming this browser's diary would do
+router.post('/claim/preview', async (req, res) => {
+    try {
+        const claim = await parseClaimRequest(req, res);
+        if (!claim) return;
+
+        const plan = await DeviceClaim.planClaim(req.user.device_id, claim.deviceId, claim.strategy);
+        if (rejectKeyConflict(plan.encryption, res)) return;
+
+        res.json({
+            success: true,
+            data: plan
+        });
+    } catch (error) {
+        console.error('Error previewing device claim:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to preview merge',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/account/claim - Merge this browser's diary into this account
+router.post('/claim', async (req, res) => {
+    try {
+        const claim = await parseClaimRequest(req, res);
+        if (!claim) return;
+
+        const result = await DeviceClaim.claimDevice(req.user, claim.deviceId, claim.strategy);
+        if (rejectKeyConflict(result.encryption, res)) return;
+
+        res.json({
+            success: true,
+            message: 'Device entries merged successfully',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error claiming device:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to merge entries',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
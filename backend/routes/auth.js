@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const { v4: uuidv4 } = require('uuid');
+const User = require('../models/User');
+const { issueToken, requireAuth } = require('../middleware/auth');
+
+const usernameRegex = /^[a-zA-Z0-9_.-]{3,30}$/;
+const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// POST /api/auth/register - Create an account
+router.post('/register', async (req, res) => {
+    try {
+        const { username, password } = req.body;
+        const email = req.body.email ? String(req.body.email).trim() : null;
+
+        // Validate required fields
+        if (!username || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields',
+                message: 'Username and password are required'
+            });
+        }
+
+        if (!usernameRegex.test(username)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid username',
+                message: 'Username must be 3-30 letters, numbers, dots, dashes or underscores'
+            });
+        }
+
+        if (email && !emailRegex.test(email)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid email',
+                message: 'Please provide a valid email address'
+            });
+        }
+
+        if (String(password).length < MIN_PASSWORD_LENGTH) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid password',
+                message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+            });
+        }
+
+        if (await User.isTaken(username, email)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Account already exists',
+                message: 'That username or email is already registered'
+            });
+        }
+
+        // Always a new diary: an existing one comes in through the claim flow
+        const user = await User.createUser(username, email, String(password), uuidv4());
+        const session = await issueToken(user);
+
+        res.status(201).json({
+            success: true,
+            message: 'Account created successfully',
+            data: { user, ...session }
+        });
+    } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create account',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/auth/login - Log in with username/email and password
+router.post('/login', async (req, res) => {
+    try {
+        const { login, password } = req.body;
+
+        if (!login || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields',
+                message: 'Username (or email) and password are required'
+            });
+        }
+
+        const account = await User.getUserForLogin(String(login).trim());
+        const valid = await User.verifyPassword(account, String(password));
+
+        if (!valid) {
+            return res.status(401).json({
+                success: false,
+                error: 'Invalid credentials',
+                message: 'Incorrect username or password'
+            });
+        }
+
+        const user = await User.getUserById(account.id);
+        const session = await issueToken(user);
+
+        res.json({
+            success: true,
+            message: 'Logged in successfully',
+            data: { user, ...session }
+        });
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log in',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/auth/logout - End the current session
+router.post('/logout', requireAuth, async (req, res) => {
+    try {
+        await User.deleteSession(req.sessionId);
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to log out',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/auth/me - Get the logged-in user
+router.get('/me', requireAuth, (req, res) => {
+    res.json({
+        success: true,
+        data: req.user
+    });
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const Encryption = require('../models/Encryption');
+const { identityMiddleware } = require('../middleware/auth');
+
+// Resolve the account or device identity for all routes
+router.use(identityMiddleware);
+
+// GET /api/encryption - Key parameters for an encrypted diary (null when not encrypted)
+router.get('/', async (req, res) => {
+    try {
+        const settings = await Encryption.getSettings(req.deviceId);
+
+        res.json({
+            success: true,
+            data: settings
+        });
+    } catch (error) {
+        console.error('Error fetching encryption settings:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch encryption settings',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/encryption/revisions - Every revision of the diary, to be
+// re-encrypted with it
+router.get('/revisions', async (req, res) => {
+    try {
+        const revisions = await Encryption.getRevisions(req.deviceId);
+
+        res.json({
+            success: true,
+            data: revisions,
+            count: revisions.length
+        });
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch revisions',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/encryption/rekey/rows - Stage a batch of the diary re-encrypted
+// under a new key (keyId), or decrypted when keyId is null, for the rekey
+// below. Large diaries are sent in several batches, the first with restart.
+// Body: { keyId, restart, entries: [{ id, version, content }], moods: [{ id, mood, emoji }],
+//         revisions: [{ id, content }] }
+router.post('/rekey/rows', async (req, res) => {
+    try {
+        const { keyId, restart = false, entries, moods, revisions } = req.body;
+
+        const invalid = keyId === undefined
+            ? 'keyId is required (null turns encryption off)'
+            : Encryption.validateRekeyRows({ keyId, entries, moods, revisions });
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid rekey rows',
+                message: invalid
+            });
+        }
+
+        const staged = await Encryption.stageRekey(req.deviceId, { keyId, restart: restart === true, entries, moods, revisions });
+
+        res.json({
+            success: true,
+            data: staged
+        });
+    } catch (error) {
+        console.error('Error staging rekey:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to stage rekey',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/encryption/rekey - Replace the whole diary with the copy staged
+// for the new key, or with the plaintext staged when `encryption` is null
+// Body: { currentKeyId, encryption: { keyId, kdf, iterations, salt, keyCheck } | null }
+router.post('/rekey', async (req, res) => {
+    try {
+        const { currentKeyId = null, encryption } = req.body;
+
+        const invalid = encryption === undefined
+            ? 'encryption is required (null turns encryption off)'
+            : encryption === null ? null : Encryption.validateSettings(encryption);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid rekey request',
+                message: invalid
+            });
+        }
+
+        const result = await Encryption.rekey(req.deviceId, { currentKeyId, encryption });
+
+        if (result.status === 'conflict') {
+            return res.status(409).json({
+                success: false,
+                error: 'Diary changed',
+                message: result.reason === 'key_changed'
+                    ? 'The passphrase was changed on another device'
+                    : 'The diary changed while it was being re-encrypted; please try again',
+                reason: result.reason,
+                current: result.encryption
+            });
+        }
+
+        res.json({
+            success: true,
+            message: encryption ? 'Diary encrypted with the new passphrase' : 'Diary decrypted',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error re-encrypting diary:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to re-encrypt diary',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
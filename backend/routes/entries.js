@@ -1,25 +1,179 @@
 const express = require('express');
 const router = express.Router();
 const DiaryEntry = require('../models/DiaryEntry');
-const { deviceIdMiddleware, validateDeviceId } = require('../middleware/deviceId');
+const EntryRevision = require('../models/EntryRevision');
+const Attachment = require('../models/Attachment');
+const Mood = require('../models/Mood');
+const { diffText, diffStats } = require('../utils/diff');
+const { summarizeDays } = require('../utils/stats');
+const { buildMatchQuery, highlightSnippet } = require('../utils/search');
+const { entryEtag, parseIfMatch, ifMatchSatisfied } = require('../utils/etag');
+const { dateRegex, shiftDate } = require('../utils/dates');
+const { isEncrypted } = require('../utils/encryption');
+const { validateContent } = require('../utils/content');
+const { normalizeTag, validateTag } = require('../utils/tags');
+const {
+    MAX_ATTACHMENT_BYTES,
+    MAX_ATTACHMENTS_PER_DAY,
+    ATTACHMENT_TYPES,
+    attachmentPath,
+    thumbnailPath,
+    detectAttachmentType,
+    uploadFileName
+} = require('../utils/attachments');
+
+const MAX_SEARCH_RESULTS = 100;
+const MAX_PAGE_SIZE = 100;
+const LIST_ORDERS = ['desc', 'asc'];
+const LIST_FIELDS = ['full', 'summary'];
+
+// How far back ?include= can also look on the on-this-day route
+const RECENT_MEMORIES = {
+    week: { days: -7 },
+    month: { months: -1 }
+};
+const { identityMiddleware } = require('../middleware/auth');
+const { receiveFile } = require('../middleware/upload');
+
+// Entry ids are SQLite row ids
+const idRegex = /^\d+$/;
 
 // Database middleware - works on Render
 const databaseMiddleware = (req, res, next) => {
     next();
 };
 
-// Apply device ID middleware to all routes
-router.use(deviceIdMiddleware);
-router.use(validateDeviceId);
+// Answer 412 for a write the client made against a version it no longer
+// has (another tab or device saved in between)
+const sendStaleWrite = (res, current) => res.status(412).json({
+    success: false,
+    error: 'Precondition failed',
+    message: 'The entry was changed since you last loaded it',
+    current: current || null
+});
+
+// Answer 412 when If-Match names a version other than the current one;
+// returns true when it responded
+const rejectStaleWrite = (req, res, current) => {
+    const tags = parseIfMatch(req.get('If-Match'));
+    if (!tags || ifMatchSatisfied(tags, [].concat(current || []))) {
+        return false;
+    }
+
+    sendStaleWrite(res, current);
+    return true;
+};
+
+// Whether a write is held to the versions If-Match was checked against, so
+// a save landing between the check and the write is not overwritten.
+// Unconditional writes (and If-Match: *) are held to none.
+const holdsVersion = (req) => {
+    const tags = parseIfMatch(req.get('If-Match'));
+    return Boolean(tags) && !tags.includes('*');
+};
+
+// A page cursor names the entry the next page continues after, as its
+// sort key [date, created_at, id] in base64url JSON
+const encodeCursor = (entry) => Buffer.from(JSON.stringify([entry.date, entry.created_at, entry.id])).toString('base64url');
 
-// GET /api/entries - Get all entries for the device
+// The sort key in a cursor, or null when it isn't one of ours
+const decodeCursor = (cursor) => {
+    try {
+        const key = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        return Array.isArray(key) && key.length === 3 && dateRegex.test(key[0]) &&
+            typeof key[1] === 'string' && Number.isInteger(key[2])
+            ? key
+            : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Answer 400 for a malformed ?tag= filter; returns true when it responded
+const rejectInvalidTag = (tag, res) => {
+    const invalidTag = tag && validateTag(tag);
+    if (!invalidTag) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        error: 'Invalid tag',
+        message: invalidTag
+    });
+    return true;
+};
+
+// Resolve the account or device identity for all routes
+router.use(identityMiddleware);
+
+// GET /api/entries?limit=&cursor=&order=&fields=&from=&to=&mood=&tag= - List
+// the device's entries with the day's main mood, newest first (order=asc for
+// oldest first). Filters are as for search. With `limit` (at most 100) the
+// list comes in pages: pass the response's nextCursor as `cursor` for the
+// next one. fields=summary sends the start of each entry instead of all of it.
 router.get('/', databaseMiddleware, async (req, res) => {
     try {
-        const entries = await DiaryEntry.getAllEntries(req.deviceId);
+        const { cursor, from, to, mood, tag, order = 'desc', fields = 'full' } = req.query;
+        const limit = req.query.limit === undefined ? null : Number(req.query.limit);
+
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid limit',
+                message: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`
+            });
+        }
+
+        const after = cursor === undefined ? null : decodeCursor(String(cursor));
+        if (cursor !== undefined && !after) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid cursor',
+                message: 'cursor must be a nextCursor from an earlier page'
+            });
+        }
+
+        if (!LIST_ORDERS.includes(order) || !LIST_FIELDS.includes(fields)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid list options',
+                message: `order must be one of ${LIST_ORDERS.join(', ')} and fields one of ${LIST_FIELDS.join(', ')}`
+            });
+        }
+
+        // Validate date filters (YYYY-MM-DD)
+        if ((from && !dateRegex.test(from)) || (to && !dateRegex.test(to))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date format',
+                message: 'Dates must be in YYYY-MM-DD format'
+            });
+        }
+
+        if (rejectInvalidTag(tag, res)) {
+            return;
+        }
+
+        // One extra row tells whether there is another page
+        const entries = await DiaryEntry.getAllEntries(req.deviceId, {
+            from,
+            to,
+            mood,
+            tag: tag ? normalizeTag(tag) : null,
+            order,
+            fields,
+            after,
+            limit: limit && limit + 1
+        });
+        const hasMore = limit !== null && entries.length > limit;
+        const page = hasMore ? entries.slice(0, limit) : entries;
+
         res.json({
             success: true,
-            data: entries,
-            count: entries.length
+            data: page,
+            count: page.length,
+            nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
         });
     } catch (error) {
         console.error('Error fetching entries:', error);
@@ -31,13 +185,71 @@ router.get('/', databaseMiddleware, async (req, res) => {
     }
 });
 
-// GET /api/entries/:date - Get entry for specific date
-router.get('/:date', databaseMiddleware, async (req, res) => {
+// GET /api/entries/search?q= - Full-text search with optional from/to/mood/tag filters
+router.get('/search', databaseMiddleware, async (req, res) => {
     try {
-        const { date } = req.params;
+        const { q = '', from, to, mood, tag } = req.query;
+        const limit = Math.min(parseInt(req.query.limit, 10) || 20, MAX_SEARCH_RESULTS);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
         
-        // Validate date format (YYYY-MM-DD)
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+        const matchQuery = buildMatchQuery(q);
+        if (!matchQuery) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid search query',
+                message: 'Search query must contain at least one word'
+            });
+        }
+        
+        // Validate date filters (YYYY-MM-DD)
+        if ((from && !dateRegex.test(from)) || (to && !dateRegex.test(to))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date format',
+                message: 'Dates must be in YYYY-MM-DD format'
+            });
+        }
+        
+        if (rejectInvalidTag(tag, res)) {
+            return;
+        }
+        
+        const { results, total } = await DiaryEntry.searchEntries(matchQuery, req.deviceId, {
+            from,
+            to,
+            mood,
+            tag: tag ? normalizeTag(tag) : null,
+            limit,
+            offset
+        });
+        
+        res.json({
+            success: true,
+            data: results.map(result => ({ ...result, snippet: highlightSnippet(result.snippet) })),
+            count: results.length,
+            total,
+            query: q
+        });
+    } catch (error) {
+        console.error('Error searching entries:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to search entries',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/entries/on-this-day/:date?include=week,month - Entries from the
+// same day in earlier years, grouped by day, newest first; `include` also
+// brings the day a week and/or a month before. Days without entries are left out.
+router.get('/on-this-day/:date', databaseMiddleware, async (req, res) => {
+    try {
+        const { date } = req.params;
+        // ?include=week,month and ?include=week&include=month say the same
+        const include = [].concat(req.query.include || []).join(',')
+            .split(',').map(period => period.trim()).filter(Boolean);
+
         if (!dateRegex.test(date)) {
             return res.status(400).json({
                 success: false,
@@ -45,17 +257,85 @@ router.get('/:date', databaseMiddleware, async (req, res) => {
                 message: 'Date must be in YYYY-MM-DD format'
             });
         }
+
+        const unknown = include.find(period => !RECENT_MEMORIES[period]);
+        if (unknown) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid include',
+                message: `include must list any of: ${Object.keys(RECENT_MEMORIES).join(', ')}`
+            });
+        }
+
+        const periods = Object.keys(RECENT_MEMORIES).filter(period => include.includes(period));
+        const [pastYears, ...recent] = await Promise.all([
+            DiaryEntry.getEntriesOnThisDay(date, req.deviceId),
+            ...periods.map(period => DiaryEntry.getEntriesByDate(shiftDate(date, RECENT_MEMORIES[period]), req.deviceId))
+        ]);
+
+        const years = new Map();
+        pastYears.forEach(entry => {
+            years.set(entry.date, [...(years.get(entry.date) || []), entry]);
+        });
+
+        const memories = [
+            ...periods.map((period, index) => ({
+                period,
+                ago: 1,
+                date: shiftDate(date, RECENT_MEMORIES[period]),
+                entries: recent[index]
+            })),
+            ...[...years].map(([day, entries]) => ({
+                period: 'year',
+                ago: Number(date.slice(0, 4)) - Number(day.slice(0, 4)),
+                date: day,
+                entries
+            }))
+        ].filter(memory => memory.entries.length > 0);
+
+        res.json({
+            success: true,
+            data: {
+                date,
+                memories
+            },
+            count: memories.length
+        });
+    } catch (error) {
+        console.error('Error fetching memories:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch memories',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/entries/id/:id - Get a single entry
+router.get('/id/:id', databaseMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Validate id format
+        if (!idRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid entry id',
+                message: 'Entry id must be a positive integer'
+            });
+        }
         
-        const entry = await DiaryEntry.getEntryByDate(date, req.deviceId);
+        const entry = await DiaryEntry.getEntryById(id, req.deviceId);
         
         if (!entry) {
             return res.status(404).json({
                 success: false,
                 error: 'Entry not found',
-                message: `No entry found for date: ${date}`
+                message: `No entry found with id: ${id}`
             });
         }
         
+        res.set('ETag', entryEtag(entry));
         res.json({
             success: true,
             data: entry
@@ -70,22 +350,431 @@ router.get('/:date', databaseMiddleware, async (req, res) => {
     }
 });
 
-// POST /api/entries - Create new entry
-router.post('/', databaseMiddleware, async (req, res) => {
+// PUT /api/entries/id/:id - Update a single entry
+router.put('/id/:id', databaseMiddleware, async (req, res) => {
     try {
-        const { date, content } = req.body;
+        const { id } = req.params;
+        const { content } = req.body;
         
         // Validate required fields
-        if (!date || !content) {
+        if (!content) {
             return res.status(400).json({
                 success: false,
                 error: 'Missing required fields',
-                message: 'Date and content are required'
+                message: 'Content is required'
+            });
+        }
+        
+        // Validate content
+        const invalidContent = validateContent(content);
+        if (invalidContent) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid content',
+                message: invalidContent
             });
         }
         
+        // Validate id format
+        if (!idRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid entry id',
+                message: 'Entry id must be a positive integer'
+            });
+        }
+        
+        // Check if entry exists
+        const existingEntry = await DiaryEntry.getEntryById(id, req.deviceId);
+        if (!existingEntry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Entry not found',
+                message: `No entry found with id: ${id}`
+            });
+        }
+        
+        if (rejectStaleWrite(req, res, existingEntry)) return;
+        
+        // Update entry
+        const updatedEntry = await DiaryEntry.updateEntryById(id, content, req.deviceId, {
+            expectedVersion: holdsVersion(req) ? existingEntry.version : undefined
+        });
+        if (!updatedEntry) {
+            return sendStaleWrite(res, await DiaryEntry.getEntryById(id, req.deviceId));
+        }
+        
+        res.set('ETag', entryEtag(updatedEntry));
+        res.json({
+            success: true,
+            message: 'Entry updated successfully',
+            data: updatedEntry
+        });
+    } catch (error) {
+        console.error('Error updating entry:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update entry',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/entries/id/:id - Delete a single entry
+router.delete('/id/:id', databaseMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Validate id format
+        if (!idRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid entry id',
+                message: 'Entry id must be a positive integer'
+            });
+        }
+        
+        // Check if entry exists
+        const existingEntry = await DiaryEntry.getEntryById(id, req.deviceId);
+        if (!existingEntry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Entry not found',
+                message: `No entry found with id: ${id}`
+            });
+        }
+        
+        if (rejectStaleWrite(req, res, existingEntry)) return;
+        
+        // Delete entry
+        const result = await DiaryEntry.deleteEntryById(id, req.deviceId, {
+            expectedVersion: holdsVersion(req) ? existingEntry.version : undefined
+        });
+        if (result.changes === 0) {
+            return sendStaleWrite(res, await DiaryEntry.getEntryById(id, req.deviceId));
+        }
+        
+        res.json({
+            success: true,
+            message: 'Entry deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting entry:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete entry',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/entries/revisions/:id - Get a single revision
+router.get('/revisions/:id', databaseMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Validate id format
+        if (!idRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid revision id',
+                message: 'Revision id must be a positive integer'
+            });
+        }
+        
+        const revision = await EntryRevision.getRevisionById(id, req.deviceId);
+        
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found',
+                message: `No revision found with id: ${id}`
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: revision
+        });
+    } catch (error) {
+        console.error('Error fetching revision:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch revision',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/entries/revisions/:id/diff?to=<revisionId|current> - Diff a revision against another one or the entry's current content
+router.get('/revisions/:id/diff', databaseMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const to = req.query.to || 'current';
+        
+        // Validate id format
+        if (!idRegex.test(id) || (to !== 'current' && !idRegex.test(to))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid revision id',
+                message: 'Revision ids must be positive integers (or "current")'
+            });
+        }
+        
+        const fromRevision = await EntryRevision.getRevisionById(id, req.deviceId);
+        if (!fromRevision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found',
+                message: `No revision found with id: ${id}`
+            });
+        }
+        
+        let target;
+        if (to === 'current') {
+            // A deleted entry compares against empty content
+            const entry = await DiaryEntry.getEntryById(fromRevision.entry_id, req.deviceId);
+            target = {
+                id: 'current',
+                entry_id: fromRevision.entry_id,
+                created_at: entry ? entry.updated_at : null,
+                content: entry ? entry.content : ''
+            };
+        } else {
+            target = await EntryRevision.getRevisionById(to, req.deviceId);
+            if (!target) {
+                return res.status(404).json({
+                    success: false,
+                    error: 'Revision not found',
+                    message: `No revision found with id: ${to}`
+                });
+            }
+        }
+        
+        // Ciphertext can only be read (and so compared) in the browser
+        if (fromRevision.is_encrypted || isEncrypted(target.content)) {
+            return res.status(409).json({
+                success: false,
+                error: 'Revision is encrypted',
+                message: 'Encrypted revisions cannot be compared on the server'
+            });
+        }
+        
+        const chunks = diffText(fromRevision.content, target.content);
+        
+        res.json({
+            success: true,
+            data: {
+                from: { id: fromRevision.id, entry_id: fromRevision.entry_id, created_at: fromRevision.created_at },
+                to: { id: target.id, entry_id: target.entry_id, created_at: target.created_at },
+                chunks,
+                stats: diffStats(chunks)
+            }
+        });
+    } catch (error) {
+        console.error('Error diffing revisions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to diff revisions',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/entries/revisions/:id/restore - Restore a revision as its entry's content
+router.post('/revisions/:id/restore', databaseMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Validate id format
+        if (!idRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid revision id',
+                message: 'Revision id must be a positive integer'
+            });
+        }
+        
+        const revision = await EntryRevision.getRevisionById(id, req.deviceId);
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                error: 'Revision not found',
+                message: `No revision found with id: ${id}`
+            });
+        }
+        
+        const entry = await DiaryEntry.restoreRevision(revision, req.deviceId);
+        
+        res.json({
+            success: true,
+            message: 'Revision restored successfully',
+            data: entry
+        });
+    } catch (error) {
+        console.error('Error restoring revision:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore revision',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/entries/:date/revisions - List revisions for a date, newest first
+router.get('/:date/revisions', databaseMiddleware, async (req, res) => {
+    try {
+        const { date } = req.params;
+        
+        // Validate date format (YYYY-MM-DD)
+        if (!dateRegex.test(date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date format',
+                message: 'Date must be in YYYY-MM-DD format'
+            });
+        }
+        
+        const revisions = await EntryRevision.getRevisionsByDate(date, req.deviceId);
+        
+        res.json({
+            success: true,
+            data: revisions,
+            count: revisions.length
+        });
+    } catch (error) {
+        console.error('Error fetching revisions:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch revisions',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/entries/attachments/:id - Download an attachment
+// GET /api/entries/attachments/:id/thumbnail - Its thumbnail (images only)
+router.get(['/attachments/:id', '/attachments/:id/thumbnail'], databaseMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        const thumbnail = req.path.endsWith('/thumbnail');
+        
+        // Validate id format
+        if (!idRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid attachment id',
+                message: 'Attachment id must be a positive integer'
+            });
+        }
+        
+        const attachment = await Attachment.getAttachmentById(id, req.deviceId);
+        
+        if (!attachment || (thumbnail && !attachment.has_thumbnail)) {
+            return res.status(404).json({
+                success: false,
+                error: 'Attachment not found',
+                message: thumbnail ? `No thumbnail for attachment: ${id}` : `No attachment found with id: ${id}`
+            });
+        }
+        
+        // Stored files never change, so they can be cached for good
+        res.set('Cache-Control', 'private, max-age=31536000, immutable');
+        if (thumbnail) {
+            return res.type('image/webp').sendFile(thumbnailPath(attachment.storage_key));
+        }
+        
+        res.type(attachment.mime_type);
+        res.attachment(attachment.file_name);
+        res.sendFile(attachmentPath(attachment.storage_key));
+    } catch (error) {
+        console.error('Error fetching attachment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch attachment',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/entries/attachments/:id - Delete an attachment and its files
+router.delete('/attachments/:id', databaseMiddleware, async (req, res) => {
+    try {
+        const { id } = req.params;
+        
+        // Validate id format
+        if (!idRegex.test(id)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid attachment id',
+                message: 'Attachment id must be a positive integer'
+            });
+        }
+        
+        const result = await Attachment.deleteAttachmentById(id, req.deviceId);
+        
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Attachment not found',
+                message: `No attachment found with id: ${id}`
+            });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Attachment deleted successfully',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error deleting attachment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete attachment',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/entries/:date/attachments - List a day's attachments, oldest first
+router.get('/:date/attachments', databaseMiddleware, async (req, res) => {
+    try {
+        const { date } = req.params;
+        
+        // Validate date format (YYYY-MM-DD)
+        if (!dateRegex.test(date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date format',
+                message: 'Date must be in YYYY-MM-DD format'
+            });
+        }
+        
+        const attachments = await Attachment.getAttachmentsByDate(date, req.deviceId);
+        
+        res.json({
+            success: true,
+            data: attachments,
+            count: attachments.length
+        });
+    } catch (error) {
+        console.error('Error fetching attachments:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch attachments',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/entries/:date/attachments - Attach an image (JPEG, PNG, GIF, WebP)
+// or PDF to a day. Multipart field "file", plus optional "entryId".
+router.post('/:date/attachments', databaseMiddleware, receiveFile(MAX_ATTACHMENT_BYTES), async (req, res) => {
+    try {
+        const { date } = req.params;
+        const entryId = req.body.entryId ? String(req.body.entryId) : null;
+        
         // Validate date format
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
         if (!dateRegex.test(date)) {
             return res.status(400).json({
                 success: false,
@@ -94,19 +783,133 @@ router.post('/', databaseMiddleware, async (req, res) => {
             });
         }
         
-        // Check if entry already exists
-        const existingEntry = await DiaryEntry.getEntryByDate(date, req.deviceId);
-        if (existingEntry) {
-            return res.status(409).json({
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing file',
+                message: 'Upload a file in the "file" field'
+            });
+        }
+        
+        // An entry, when given, must be one of this day's
+        if (entryId !== null) {
+            const entry = idRegex.test(entryId) ? await DiaryEntry.getEntryById(entryId, req.deviceId) : null;
+            if (!entry || entry.date !== date) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid entry id',
+                    message: `No entry ${entryId} on ${date}`
+                });
+            }
+        }
+        
+        const type = await detectAttachmentType(req.file.buffer);
+        if (!type) {
+            return res.status(415).json({
+                success: false,
+                error: 'Unsupported file type',
+                message: `Attach an image (${Object.keys(ATTACHMENT_TYPES).filter(key => ATTACHMENT_TYPES[key].image).join(', ')}) or a PDF`
+            });
+        }
+        
+        const attachment = await Attachment.createAttachment(date, req.deviceId, {
+            buffer: req.file.buffer,
+            type,
+            fileName: uploadFileName(req.file.originalname, type.extension),
+            entryId: entryId === null ? null : Number(entryId)
+        });
+        
+        if (!attachment) {
+            return res.status(400).json({
+                success: false,
+                error: 'Too many attachments',
+                message: `A day can have at most ${MAX_ATTACHMENTS_PER_DAY} attachments`
+            });
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: 'Attachment uploaded successfully',
+            data: attachment
+        });
+    } catch (error) {
+        console.error('Error uploading attachment:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to upload attachment',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/entries/:date - Get all entries for specific date, oldest first
+router.get('/:date', databaseMiddleware, async (req, res) => {
+    try {
+        const { date } = req.params;
+        
+        // Validate date format (YYYY-MM-DD)
+        if (!dateRegex.test(date)) {
+            return res.status(400).json({
                 success: false,
-                error: 'Entry already exists',
-                message: `An entry for ${date} already exists. Use PUT to update.`
+                error: 'Invalid date format',
+                message: 'Date must be in YYYY-MM-DD format'
+            });
+        }
+        
+        const entries = await DiaryEntry.getEntriesByDate(date, req.deviceId);
+        
+        res.json({
+            success: true,
+            data: entries,
+            count: entries.length
+        });
+    } catch (error) {
+        console.error('Error fetching entries for date:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch entries',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/entries - Create new entry (a date can have any number of entries)
+router.post('/', databaseMiddleware, async (req, res) => {
+    try {
+        const { date, content } = req.body;
+        
+        // Validate required fields
+        if (!date || !content) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields',
+                message: 'Date and content are required'
+            });
+        }
+        
+        // Validate content
+        const invalidContent = validateContent(content);
+        if (invalidContent) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid content',
+                message: invalidContent
+            });
+        }
+        
+        // Validate date format
+        if (!dateRegex.test(date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date format',
+                message: 'Date must be in YYYY-MM-DD format'
             });
         }
         
         // Create new entry
         const newEntry = await DiaryEntry.createEntry(date, content, req.deviceId);
         
+        res.set('ETag', entryEtag(newEntry));
         res.status(201).json({
             success: true,
             message: 'Entry created successfully',
@@ -122,7 +925,7 @@ router.post('/', databaseMiddleware, async (req, res) => {
     }
 });
 
-// PUT /api/entries/:date - Update existing entry
+// PUT /api/entries/:date - Update the date's most recent entry
 router.put('/:date', databaseMiddleware, async (req, res) => {
     try {
         const { date } = req.params;
@@ -137,8 +940,17 @@ router.put('/:date', databaseMiddleware, async (req, res) => {
             });
         }
         
+        // Validate content
+        const invalidContent = validateContent(content);
+        if (invalidContent) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid content',
+                message: invalidContent
+            });
+        }
+        
         // Validate date format
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
         if (!dateRegex.test(date)) {
             return res.status(400).json({
                 success: false,
@@ -148,7 +960,7 @@ router.put('/:date', databaseMiddleware, async (req, res) => {
         }
         
         // Check if entry exists
-        const existingEntry = await DiaryEntry.getEntryByDate(date, req.deviceId);
+        const existingEntry = await DiaryEntry.getLatestEntryByDate(date, req.deviceId);
         if (!existingEntry) {
             return res.status(404).json({
                 success: false,
@@ -157,9 +969,17 @@ router.put('/:date', databaseMiddleware, async (req, res) => {
             });
         }
         
+        if (rejectStaleWrite(req, res, existingEntry)) return;
+        
         // Update entry
-        const updatedEntry = await DiaryEntry.updateEntry(date, content, req.deviceId);
+        const updatedEntry = await DiaryEntry.updateEntryById(existingEntry.id, content, req.deviceId, {
+            expectedVersion: holdsVersion(req) ? existingEntry.version : undefined
+        });
+        if (!updatedEntry) {
+            return sendStaleWrite(res, await DiaryEntry.getEntryById(existingEntry.id, req.deviceId));
+        }
         
+        res.set('ETag', entryEtag(updatedEntry));
         res.json({
             success: true,
             message: 'Entry updated successfully',
@@ -175,7 +995,7 @@ router.put('/:date', databaseMiddleware, async (req, res) => {
     }
 });
 
-// PATCH /api/entries/:date - Upsert entry (create or update)
+// PATCH /api/entries/:date - Upsert the date's most recent entry (create or update)
 router.patch('/:date', databaseMiddleware, async (req, res) => {
     try {
         const { date } = req.params;
@@ -190,8 +1010,17 @@ router.patch('/:date', databaseMiddleware, async (req, res) => {
             });
         }
         
+        // Validate content
+        const invalidContent = validateContent(content);
+        if (invalidContent) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid content',
+                message: invalidContent
+            });
+        }
+        
         // Validate date format
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
         if (!dateRegex.test(date)) {
             return res.status(400).json({
                 success: false,
@@ -200,9 +1029,22 @@ router.patch('/:date', databaseMiddleware, async (req, res) => {
             });
         }
         
-        // Upsert entry (create or update)
-        const entry = await DiaryEntry.upsertEntry(date, content, req.deviceId);
+        // With If-Match the client expects to update the entry it last saw
+        const existingEntry = await DiaryEntry.getLatestEntryByDate(date, req.deviceId);
+        if (rejectStaleWrite(req, res, existingEntry)) return;
         
+        // Upsert entry (create or update); a conditional save only updates
+        // the entry it was checked against
+        const entry = existingEntry && holdsVersion(req)
+            ? await DiaryEntry.updateEntryById(existingEntry.id, content, req.deviceId, {
+                expectedVersion: existingEntry.version
+            })
+            : await DiaryEntry.upsertEntry(date, content, req.deviceId);
+        if (!entry) {
+            return sendStaleWrite(res, await DiaryEntry.getEntryById(existingEntry.id, req.deviceId));
+        }
+        
+        res.set('ETag', entryEtag(entry));
         res.json({
             success: true,
             message: 'Entry saved successfully',
@@ -218,13 +1060,12 @@ router.patch('/:date', databaseMiddleware, async (req, res) => {
     }
 });
 
-// DELETE /api/entries/:date - Delete entry
+// DELETE /api/entries/:date - Delete all entries for a date
 router.delete('/:date', databaseMiddleware, async (req, res) => {
     try {
         const { date } = req.params;
         
         // Validate date format
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
         if (!dateRegex.test(date)) {
             return res.status(400).json({
                 success: false,
@@ -234,8 +1075,8 @@ router.delete('/:date', databaseMiddleware, async (req, res) => {
         }
         
         // Check if entry exists
-        const existingEntry = await DiaryEntry.getEntryByDate(date, req.deviceId);
-        if (!existingEntry) {
+        const existingEntries = await DiaryEntry.getEntriesByDate(date, req.deviceId);
+        if (existingEntries.length === 0) {
             return res.status(404).json({
                 success: false,
                 error: 'Entry not found',
@@ -243,12 +1084,21 @@ router.delete('/:date', databaseMiddleware, async (req, res) => {
             });
         }
         
-        // Delete entry
-        await DiaryEntry.deleteEntry(date, req.deviceId);
+        // If-Match must list every entry of the day at its current version
+        if (rejectStaleWrite(req, res, existingEntries)) return;
+        
+        // Delete the date's entries, unless they changed since the check
+        const result = await DiaryEntry.deleteEntry(date, req.deviceId, {
+            expectedEntries: holdsVersion(req) ? existingEntries : undefined
+        });
+        if (result.changes === 0) {
+            return sendStaleWrite(res, await DiaryEntry.getEntriesByDate(date, req.deviceId));
+        }
         
         res.json({
             success: true,
-            message: 'Entry deleted successfully'
+            message: 'Entries deleted successfully',
+            count: result.changes
         });
     } catch (error) {
         console.error('Error deleting entry:', error);
@@ -266,7 +1116,6 @@ router.get('/range/:startDate/:endDate', databaseMiddleware, async (req, res) =>
         const { startDate, endDate } = req.params;
         
         // Validate date format (YYYY-MM-DD)
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
         if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
             return res.status(400).json({
                 success: false,
@@ -284,7 +1133,7 @@ router.get('/range/:startDate/:endDate', databaseMiddleware, async (req, res) =>
             });
         }
         
-        const entries = await DiaryEntry.getEntriesByDateRange(startDate, endDate, req.deviceId);
+        const entries = await DiaryEntry.getEntriesInRange(startDate, endDate, req.deviceId);
         
         res.json({
             success: true,
@@ -302,4 +1151,49 @@ router.get('/range/:startDate/:endDate', databaseMiddleware, async (req, res) =>
     }
 });
 
+// GET /api/entries/calendar/:year/:month - What a month view needs per day:
+// entry and word counts and the main mood (see summarizeDays), without any content
+router.get('/calendar/:year/:month', databaseMiddleware, async (req, res) => {
+    try {
+        const { year } = req.params;
+        const month = Number(req.params.month);
+
+        if (!/^\d{4}$/.test(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid month',
+                message: 'Year must be YYYY and month between 1 and 12'
+            });
+        }
+
+        const prefix = `${year}-${String(month).padStart(2, '0')}`;
+        const [summaries, moods] = await Promise.all([
+            DiaryEntry.getDaySummaries(`${prefix}-01`, `${prefix}-31`, req.deviceId),
+            Mood.getMoodsInRange(`${prefix}-01`, `${prefix}-31`, req.deviceId)
+        ]);
+
+        const days = new Map(summaries.map(day => [day.date, { ...day, mood: null, emoji: null, palette_id: null, intensity: null, moods: 0 }]));
+        summarizeDays(moods).forEach(({ date, mood, emoji, palette_id, intensity, moods: count }) => {
+            const day = days.get(date) || { date, entries: 0, words: 0, encrypted: false };
+            days.set(date, { ...day, mood, emoji, palette_id, intensity, moods: count });
+        });
+
+        res.json({
+            success: true,
+            data: {
+                year: Number(year),
+                month,
+                days: [...days.values()].sort((a, b) => a.date.localeCompare(b.date))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching calendar:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch calendar',
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
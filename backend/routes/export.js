@@ -0,0 +1,195 @@
+const express = require('express');
+const router = express.Router();
+const archiver = require('archiver');
+const DiaryEntry = require('../models/DiaryEntry');
+const Mood = require('../models/Mood');
+const Encryption = require('../models/Encryption');
+const { identityMiddleware } = require('../middleware/auth');
+const {
+    markdownHeader,
+    formatDayMarkdown,
+    htmlHeader,
+    formatDayHtml,
+    htmlFooter,
+    entryForExport,
+    moodForExport,
+    encryptionForExport
+} = require('../utils/export');
+
+const EXPORT_FORMATS = ['json', 'markdown', 'html'];
+
+// Entries are read this many at a time so large diaries are never held in memory
+const PAGE_SIZE = 500;
+
+// Resolve the account or device identity for all routes
+router.use(identityMiddleware);
+
+// Write to the response, waiting while its buffer is full
+const write = (res, chunk) => new Promise((resolve, reject) => {
+    if (res.write(chunk)) {
+        resolve();
+        return;
+    }
+
+    const onDrain = () => {
+        res.off('close', onClose);
+        resolve();
+    };
+    const onClose = () => {
+        res.off('drain', onDrain);
+        reject(new Error('Client closed the connection'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+});
+
+// Walk the diary one day at a time, oldest first. Days that only have
+// moods are included; pass no moods to walk the entries alone.
+const forEachDay = async (deviceId, moods, onDay) => {
+    const moodsByDate = new Map();
+    moods.forEach(mood => moodsByDate.set(mood.date, [...(moodsByDate.get(mood.date) || []), mood]));
+    const moodDates = [...moodsByDate.keys()];
+    let moodIndex = 0;
+    let day = null;
+
+    // Emit mood-only days up to (not including) the given date; null means all
+    const flushMoodDays = async (beforeDate) => {
+        while (moodIndex < moodDates.length && (beforeDate === null || moodDates[moodIndex] <= beforeDate)) {
+            const date = moodDates[moodIndex++];
+            if (date !== beforeDate) {
+                await onDay({ date, moods: moodsByDate.get(date), entries: [] });
+            }
+        }
+    };
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const page = await DiaryEntry.getEntriesPage(deviceId, PAGE_SIZE, offset);
+
+        for (const entry of page) {
+            if (!day || day.date !== entry.date) {
+                if (day) await onDay(day);
+                await flushMoodDays(entry.date);
+                day = { date: entry.date, moods: moodsByDate.get(entry.date) || [], entries: [] };
+            }
+            day.entries.push(entry);
+        }
+
+        if (page.length < PAGE_SIZE) break;
+    }
+
+    if (day) await onDay(day);
+    await flushMoodDays(null);
+};
+
+const exportJson = async (req, res, moods, exportedAt) => {
+    res.attachment(`panda-diary-${exportedAt.slice(0, 10)}.json`);
+
+    const encryption = await Encryption.getSettings(req.deviceId);
+
+    await write(res, `{\n"format": "panda-diary-export",\n"version": 1,\n"exportedAt": ${JSON.stringify(exportedAt)},\n`);
+    if (encryption) {
+        await write(res, `"encryption": ${JSON.stringify(encryptionForExport(encryption))},\n`);
+    }
+    await write(res, `"moods": ${JSON.stringify(moods.map(moodForExport))},\n"entries": [\n`);
+
+    let first = true;
+    await forEachDay(req.deviceId, [], async (day) => {
+        for (const entry of day.entries) {
+            await write(res, `${first ? '' : ',\n'}${JSON.stringify(entryForExport(entry))}`);
+            first = false;
+        }
+    });
+
+    await write(res, '\n]\n}\n');
+    res.end();
+};
+
+const exportMarkdown = async (req, res, moods, exportedAt) => {
+    res.attachment(`panda-diary-${exportedAt.slice(0, 10)}.md`);
+
+    await write(res, markdownHeader(exportedAt));
+    await forEachDay(req.deviceId, moods, (day) => write(res, formatDayMarkdown(day)));
+    res.end();
+};
+
+// One Markdown file per day, zipped
+const exportMarkdownZip = async (req, res, moods, exportedAt) => {
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+        archive.on('error', reject);
+        res.on('close', resolve);
+    });
+
+    res.attachment(`panda-diary-${exportedAt.slice(0, 10)}-markdown.zip`);
+    archive.pipe(res);
+
+    await forEachDay(req.deviceId, moods, (day) => {
+        archive.append(formatDayMarkdown(day, 1), { name: `panda-diary/${day.date}.md` });
+    });
+
+    await archive.finalize();
+    await finished;
+};
+
+const exportHtml = async (req, res, moods, exportedAt) => {
+    res.attachment(`panda-diary-${exportedAt.slice(0, 10)}.html`);
+
+    await write(res, htmlHeader(exportedAt));
+    await forEachDay(req.deviceId, moods, (day) => write(res, formatDayHtml(day)));
+    await write(res, htmlFooter());
+    res.end();
+};
+
+// GET /api/export?format=json|markdown|html[&zip=true] - Download the whole diary
+router.get('/', async (req, res) => {
+    try {
+        const { format = 'json' } = req.query;
+        const zip = req.query.zip === 'true';
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid format',
+                message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+            });
+        }
+
+        if (zip && format !== 'markdown') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid format',
+                message: 'Only the markdown export can be zipped'
+            });
+        }
+
+        const moods = await Mood.getAllMoods(req.deviceId);
+        const exportedAt = new Date().toISOString();
+
+        if (format === 'json') {
+            await exportJson(req, res, moods, exportedAt);
+        } else if (format === 'html') {
+            await exportHtml(req, res, moods, exportedAt);
+        } else if (zip) {
+            await exportMarkdownZip(req, res, moods, exportedAt);
+        } else {
+            await exportMarkdown(req, res, moods, exportedAt);
+        }
+    } catch (error) {
+        console.error('Error exporting diary:', error);
+
+        // Part of the file may already be on its way; cut it off rather than
+        // let the download look complete
+        if (res.headersSent) {
+            res.destroy(error);
+            return;
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'Failed to export diary',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
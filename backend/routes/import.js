@@ -0,0 +1,82 @@
+const express = require('express');
+const router = express.Router();
+const DiaryImport = require('../models/DiaryImport');
+const { identityMiddleware } = require('../middleware/auth');
+const { receiveFile } = require('../middleware/upload');
+const { parseImport } = require('../utils/importers');
+
+const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+const MAX_IMPORT_ITEMS = 20000;
+
+// Resolve the account or device identity for all routes
+router.use(identityMiddleware);
+
+// POST /api/import?dryRun=true&onConflict=skip|keep_both - Import a Panda Diary
+// JSON export, a zip of YYYY-MM-DD.md files, or a Day One / Journey export.
+// Upload the file as multipart field "file", or post a JSON export as the body.
+router.post('/', receiveFile(MAX_IMPORT_BYTES), async (req, res) => {
+    const dryRun = req.query.dryRun === 'true';
+    const { onConflict = 'skip' } = req.query;
+
+    if (!DiaryImport.CONFLICT_STRATEGIES.includes(onConflict)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid conflict strategy',
+            message: `onConflict must be one of: ${DiaryImport.CONFLICT_STRATEGIES.join(', ')}`
+        });
+    }
+
+    const source = req.file ? req.file.buffer : (req.is('application/json') ? req.body : null);
+    if (!source) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing file',
+            message: 'Upload a file in the "file" field or post a JSON export'
+        });
+    }
+
+    let parsed;
+    try {
+        parsed = parseImport(source);
+    } catch (error) {
+        return res.status(400).json({
+            success: false,
+            error: 'Unsupported file',
+            message: error.message
+        });
+    }
+
+    if (parsed.items.length > MAX_IMPORT_ITEMS) {
+        return res.status(400).json({
+            success: false,
+            error: 'Import too large',
+            message: `At most ${MAX_IMPORT_ITEMS} entries and moods can be imported at once`
+        });
+    }
+
+    try {
+        const result = await DiaryImport.importItems(req.deviceId, parsed.items, {
+            dryRun,
+            onConflict,
+            encryption: parsed.encryption
+        });
+
+        res.json({
+            success: true,
+            data: {
+                format: parsed.format,
+                dryRun,
+                ...result
+            }
+        });
+    } catch (error) {
+        console.error('Error importing diary:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to import diary',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
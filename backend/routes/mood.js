@@ -0,0 +1,512 @@
+const express = require('express');
+const router = express.Router();
+const Mood = require('../models/Mood');
+const MoodPalette = require('../models/MoodPalette');
+const { dateRegex } = require('../utils/dates');
+const { validateMood, validateMoodDetails } = require('../utils/content');
+const { summarizeDays } = require('../utils/stats');
+const { isEncrypted } = require('../utils/encryption');
+const { MAX_PALETTE_SIZE, validatePaletteMood } = require('../utils/palette');
+const { identityMiddleware } = require('../middleware/auth');
+
+// Mood ids are SQLite row ids
+const idRegex = /^\d+$/;
+
+// Answer for a palette mood that couldn't be saved: 409 when an active mood
+// already uses its emoji, 400 when the palette is full. Returns true when it
+// responded.
+const rejectPaletteConflict = (result, res) => {
+    if (result.status === 'duplicate') {
+        res.status(409).json({
+            success: false,
+            error: 'Mood already exists',
+            message: `The palette already has a mood with ${result.mood.emoji}`
+        });
+        return true;
+    }
+    if (result.status === 'full') {
+        res.status(400).json({
+            success: false,
+            error: 'Palette full',
+            message: `A palette can have at most ${MAX_PALETTE_SIZE} moods`
+        });
+        return true;
+    }
+    return false;
+};
+
+// Resolve the account or device identity for all routes
+router.use(identityMiddleware);
+
+// GET /api/mood/palette?includeRetired=true - The moods to pick from, in grid order
+router.get('/palette', async (req, res) => {
+    try {
+        const palette = await MoodPalette.getPalette(req.deviceId, {
+            includeRetired: req.query.includeRetired === 'true'
+        });
+
+        res.json({
+            success: true,
+            data: palette
+        });
+    } catch (error) {
+        console.error('Error fetching mood palette:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch mood palette',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/mood/palette - Add a mood { label, emoji, color, valence }
+router.post('/palette', async (req, res) => {
+    try {
+        const { label, emoji, color, valence } = req.body;
+
+        const invalid = validatePaletteMood({ label, emoji, color, valence });
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid mood',
+                message: invalid
+            });
+        }
+
+        const result = await MoodPalette.createPaletteMood(req.deviceId, { label, emoji, color, valence });
+
+        if (rejectPaletteConflict(result, res)) {
+            return;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Mood added successfully',
+            data: result.mood
+        });
+    } catch (error) {
+        console.error('Error adding palette mood:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add mood',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/mood/palette/order - Reorder the grid { ids: [paletteId, ...] }
+router.put('/palette/order', async (req, res) => {
+    try {
+        const { ids } = req.body;
+
+        if (!Array.isArray(ids) || !ids.every(Number.isInteger) || new Set(ids).size !== ids.length) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid order',
+                message: 'ids must be a list of distinct palette mood ids'
+            });
+        }
+
+        const palette = await MoodPalette.getPalette(req.deviceId, { includeRetired: true });
+        const known = new Set(palette.map(mood => mood.id));
+        if (!ids.every(id => known.has(id))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid order',
+                message: 'ids must be a list of distinct palette mood ids'
+            });
+        }
+
+        await MoodPalette.reorderPalette(req.deviceId, ids);
+
+        res.json({
+            success: true,
+            message: 'Palette reordered successfully',
+            data: await MoodPalette.getPalette(req.deviceId, { includeRetired: true })
+        });
+    } catch (error) {
+        console.error('Error reordering mood palette:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to reorder mood palette',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/mood/palette/:id - Change a mood { label?, emoji?, color?, valence?, retired? }.
+// Days that picked it follow a new label or emoji.
+router.put('/palette/:id', async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const { label, emoji, color, valence, retired } = req.body;
+
+        const invalid = validatePaletteMood({ label, emoji, color, valence }, { partial: true })
+            || (retired !== undefined && typeof retired !== 'boolean' ? 'retired must be true or false' : null);
+        if (invalid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid mood',
+                message: invalid
+            });
+        }
+
+        const result = Number.isInteger(id)
+            && await MoodPalette.updatePaletteMood(id, req.deviceId, { label, emoji, color, valence, retired });
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Mood not found',
+                message: `No palette mood found with id: ${req.params.id}`
+            });
+        }
+
+        if (rejectPaletteConflict(result, res)) {
+            return;
+        }
+
+        res.json({
+            success: true,
+            message: 'Mood updated successfully',
+            data: result.mood
+        });
+    } catch (error) {
+        console.error('Error updating palette mood:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update mood',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/mood/palette/:id - Retire a mood. It leaves the grid but days
+// that picked it keep it; PUT { retired: false } brings it back.
+router.delete('/palette/:id', async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const result = Number.isInteger(id) && await MoodPalette.updatePaletteMood(id, req.deviceId, { retired: true });
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'Mood not found',
+                message: `No palette mood found with id: ${req.params.id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Mood retired successfully',
+            data: result.mood
+        });
+    } catch (error) {
+        console.error('Error retiring palette mood:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to retire mood',
+            message: error.message
+        });
+    }
+});
+
+// Check a mood body { mood, emoji, paletteId?, intensity?, time?, note? }
+// and resolve it to what is stored: a mood picked from the palette is saved
+// under its current label and emoji. Answers 400 and returns null if invalid.
+const readMoodBody = async (req, res) => {
+    const { mood, emoji, paletteId = null, intensity = null, time = null, note = null } = req.body;
+
+    // Validate required fields
+    if (!mood || !emoji) {
+        res.status(400).json({
+            success: false,
+            error: 'Missing required fields',
+            message: 'Mood and emoji are required'
+        });
+        return null;
+    }
+
+    const invalidMood = validateMood(mood, emoji) || validateMoodDetails({ intensity, time, note });
+    if (invalidMood) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid mood',
+            message: invalidMood
+        });
+        return null;
+    }
+
+    let paletteMood = null;
+    if (paletteId !== null) {
+        paletteMood = Number.isInteger(paletteId) && await MoodPalette.getPaletteMoodById(paletteId, req.deviceId);
+        if (!paletteMood) {
+            res.status(400).json({
+                success: false,
+                error: 'Invalid mood',
+                message: 'paletteId must be one of this diary\'s moods'
+            });
+            return null;
+        }
+    }
+
+    const details = { paletteId, intensity, time, note };
+    return paletteMood && !isEncrypted(mood)
+        ? { mood: paletteMood.label, emoji: paletteMood.emoji, details }
+        : { mood, emoji, details };
+};
+
+const rejectInvalidDate = (date, res) => {
+    if (dateRegex.test(date)) {
+        return false;
+    }
+    res.status(400).json({
+        success: false,
+        error: 'Invalid date format',
+        message: 'Date must be in YYYY-MM-DD format'
+    });
+    return true;
+};
+
+// PUT /api/mood/id/:id - Change a single mood. Fields left out keep their
+// value; a new mood or emoji without a paletteId unlinks it from the palette.
+router.put('/id/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = idRegex.test(id) && await Mood.getMoodById(Number(id), req.deviceId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Mood not found',
+                message: `No mood found with id: ${id}`
+            });
+        }
+
+        const changesMood = req.body.mood !== undefined || req.body.emoji !== undefined;
+        req.body = {
+            mood: existing.mood,
+            emoji: existing.emoji,
+            paletteId: changesMood ? null : existing.palette_id,
+            intensity: existing.intensity,
+            time: existing.time,
+            note: existing.note,
+            ...req.body
+        };
+
+        const body = await readMoodBody(req, res);
+        if (!body) {
+            return;
+        }
+
+        const mood = await Mood.updateMoodById(existing.id, body.mood, body.emoji, req.deviceId, body.details);
+
+        res.json({
+            success: true,
+            message: 'Mood updated successfully',
+            data: mood
+        });
+    } catch (error) {
+        console.error('Error updating mood:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update mood',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/mood/id/:id - Delete a single mood
+router.delete('/id/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const existing = idRegex.test(id) && await Mood.getMoodById(Number(id), req.deviceId);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                error: 'Mood not found',
+                message: `No mood found with id: ${id}`
+            });
+        }
+
+        await Mood.deleteMoodById(existing.id, req.deviceId);
+
+        res.json({
+            success: true,
+            message: 'Mood deleted successfully',
+            data: { id: existing.id, date: existing.date }
+        });
+    } catch (error) {
+        console.error('Error deleting mood:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete mood',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/mood/:date - Get all moods for a date in the order they were
+// felt, with what they add up to (see summarizeDays; null without moods)
+router.get('/:date', async (req, res) => {
+    try {
+        const { date } = req.params;
+
+        if (rejectInvalidDate(date, res)) {
+            return;
+        }
+
+        const moods = await Mood.getMoodsByDate(date, req.deviceId);
+
+        res.json({
+            success: true,
+            data: moods,
+            count: moods.length,
+            summary: summarizeDays(moods)[0] || null
+        });
+    } catch (error) {
+        console.error('Error fetching mood:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch mood',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/mood/:date - Log a mood (a date can have any number)
+router.post('/:date', async (req, res) => {
+    try {
+        const { date } = req.params;
+
+        if (rejectInvalidDate(date, res)) {
+            return;
+        }
+
+        const body = await readMoodBody(req, res);
+        if (!body) {
+            return;
+        }
+
+        const mood = await Mood.createMood(date, body.mood, body.emoji, req.deviceId, body.details);
+
+        res.status(201).json({
+            success: true,
+            message: 'Mood saved successfully',
+            data: mood
+        });
+    } catch (error) {
+        console.error('Error creating mood:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save mood',
+            message: error.message
+        });
+    }
+});
+
+// PATCH /api/mood/:date - Upsert the date's most recently logged mood (create or update)
+router.patch('/:date', async (req, res) => {
+    try {
+        const { date } = req.params;
+
+        if (rejectInvalidDate(date, res)) {
+            return;
+        }
+
+        const body = await readMoodBody(req, res);
+        if (!body) {
+            return;
+        }
+
+        const savedMood = await Mood.upsertMood(date, body.mood, body.emoji, req.deviceId, body.details);
+
+        res.json({
+            success: true,
+            message: 'Mood saved successfully',
+            data: savedMood
+        });
+    } catch (error) {
+        console.error('Error upserting mood:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save mood',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/mood/:date - Delete all moods for a date
+router.delete('/:date', async (req, res) => {
+    try {
+        const { date } = req.params;
+
+        if (rejectInvalidDate(date, res)) {
+            return;
+        }
+
+        const result = await Mood.deleteMood(date, req.deviceId);
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Mood not found',
+                message: `No mood found for date: ${date}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Mood deleted successfully',
+            count: result.changes
+        });
+    } catch (error) {
+        console.error('Error deleting mood:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete mood',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/mood/range/:startDate/:endDate - Get moods in date range, and
+// what each day's moods add up to (see summarizeDays)
+router.get('/range/:startDate/:endDate', async (req, res) => {
+    try {
+        const { startDate, endDate } = req.params;
+
+        // Validate date format (YYYY-MM-DD)
+        if (!dateRegex.test(startDate) || !dateRegex.test(endDate)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date format',
+                message: 'Dates must be in YYYY-MM-DD format'
+            });
+        }
+
+        // Validate date range
+        if (new Date(startDate) > new Date(endDate)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date range',
+                message: 'Start date must be before or equal to end date'
+            });
+        }
+
+        const moods = await Mood.getMoodsInRange(startDate, endDate, req.deviceId);
+
+        res.json({
+            success: true,
+            data: moods,
+            count: moods.length,
+            days: summarizeDays(moods),
+            range: { startDate, endDate }
+        });
+    } catch (error) {
+        console.error('Error fetching moods by range:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch moods by range',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,341 @@
+const express = require('express');
+const router = express.Router();
+const Playlist = require('../models/Playlist');
+const { dateRegex } = require('../utils/dates');
+const { uploadFileName } = require('../utils/attachments');
+const {
+    MAX_TRACK_BYTES,
+    MAX_TRACKS,
+    AUDIO_TYPES,
+    trackPath,
+    detectAudioType,
+    validateTrack
+} = require('../utils/music');
+const { identityMiddleware } = require('../middleware/auth');
+const { receiveFile } = require('../middleware/upload');
+
+// Track ids are SQLite row ids
+const idRegex = /^\d+$/;
+
+// Answer 400 for a malformed track id; returns true when it responded
+const rejectInvalidId = (id, res) => {
+    if (idRegex.test(id)) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        error: 'Invalid track id',
+        message: 'Track id must be a positive integer'
+    });
+    return true;
+};
+
+const rejectInvalidDate = (date, res) => {
+    if (dateRegex.test(date)) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        error: 'Invalid date format',
+        message: 'Date must be in YYYY-MM-DD format'
+    });
+    return true;
+};
+
+// Resolve the account or device identity for all routes
+router.use(identityMiddleware);
+
+// GET /api/music - The diary's playlist, in the order tracks were added
+router.get('/', async (req, res) => {
+    try {
+        const tracks = await Playlist.getTracks(req.deviceId);
+
+        res.json({
+            success: true,
+            data: tracks,
+            count: tracks.length
+        });
+    } catch (error) {
+        console.error('Error fetching tracks:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch tracks',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/music - Add a track: JSON { title, artist, url } for a link, or
+// multipart "file" (MP3, Ogg, WAV, FLAC, M4A or WebM audio) with optional
+// "title" (defaults to the file name) and "artist" fields for an upload
+router.post('/', receiveFile(MAX_TRACK_BYTES), async (req, res) => {
+    try {
+        const { artist = null } = req.body;
+        let { title, url } = req.body;
+        let upload = {};
+
+        if (req.file) {
+            const type = detectAudioType(req.file.buffer);
+            if (!type) {
+                return res.status(415).json({
+                    success: false,
+                    error: 'Unsupported file type',
+                    message: `Upload audio (${Object.keys(AUDIO_TYPES).join(', ')}) or add a link`
+                });
+            }
+
+            const fileName = uploadFileName(req.file.originalname, type.extension, 'track');
+            title = title || fileName.slice(0, -type.extension.length);
+            url = undefined;
+            upload = { buffer: req.file.buffer, type, fileName };
+        } else if (!url) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required fields',
+                message: 'Upload a file in the "file" field or give a "url"'
+            });
+        }
+
+        const invalidTrack = validateTrack({ title: title || '', artist: artist || null, url });
+        if (invalidTrack) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid track',
+                message: invalidTrack
+            });
+        }
+
+        if (await Playlist.countTracks(req.deviceId) >= MAX_TRACKS) {
+            return res.status(400).json({
+                success: false,
+                error: 'Playlist is full',
+                message: `A playlist can have at most ${MAX_TRACKS} tracks`
+            });
+        }
+
+        const track = await Playlist.createTrack(req.deviceId, { title, artist, url, ...upload });
+
+        res.status(201).json({
+            success: true,
+            message: 'Track added successfully',
+            data: track
+        });
+    } catch (error) {
+        console.error('Error adding track:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add track',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/music/days/:date - A date's song of the day (null when it has none)
+router.get('/days/:date', async (req, res) => {
+    try {
+        const { date } = req.params;
+
+        if (rejectInvalidDate(date, res)) {
+            return;
+        }
+
+        const track = await Playlist.getDaySong(date, req.deviceId);
+
+        res.json({
+            success: true,
+            data: track || null
+        });
+    } catch (error) {
+        console.error('Error fetching song of the day:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch song of the day',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/music/days/:date - Make a track a date's song of the day
+// Body: { trackId }
+router.put('/days/:date', async (req, res) => {
+    try {
+        const { date } = req.params;
+        const trackId = String(req.body.trackId === undefined ? '' : req.body.trackId);
+
+        if (rejectInvalidDate(date, res) || rejectInvalidId(trackId, res)) {
+            return;
+        }
+
+        if (!(await Playlist.getTrackById(trackId, req.deviceId))) {
+            return res.status(404).json({
+                success: false,
+                error: 'Track not found',
+                message: `No track found with id: ${trackId}`
+            });
+        }
+
+        const track = await Playlist.setDaySong(date, Number(trackId), req.deviceId);
+
+        res.json({
+            success: true,
+            message: 'Song of the day saved successfully',
+            data: track
+        });
+    } catch (error) {
+        console.error('Error saving song of the day:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to save song of the day',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/music/days/:date - Clear a date's song of the day
+router.delete('/days/:date', async (req, res) => {
+    try {
+        const { date } = req.params;
+
+        if (rejectInvalidDate(date, res)) {
+            return;
+        }
+
+        const result = await Playlist.clearDaySong(date, req.deviceId);
+
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Song of the day not found',
+                message: `No song of the day for date: ${date}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Song of the day cleared successfully',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error clearing song of the day:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to clear song of the day',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/music/:id/file - Stream an uploaded track (supports Range requests)
+router.get('/:id/file', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (rejectInvalidId(id, res)) {
+            return;
+        }
+
+        const track = await Playlist.getTrackById(id, req.deviceId);
+
+        if (!track || !track.file_path) {
+            return res.status(404).json({
+                success: false,
+                error: 'Track file not found',
+                message: track ? `Track ${id} is a link` : `No track found with id: ${id}`
+            });
+        }
+
+        // Stored files never change, so they can be cached for good
+        res.set('Cache-Control', 'private, max-age=31536000, immutable');
+        res.type(track.mime_type);
+        res.sendFile(trackPath(track.file_path));
+    } catch (error) {
+        console.error('Error fetching track file:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch track file',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/music/:id - Change a track's title, artist or (links only) url
+router.put('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { title, artist, url } = req.body;
+
+        if (rejectInvalidId(id, res)) {
+            return;
+        }
+
+        const invalidTrack = validateTrack({ title, artist: artist === '' ? null : artist, url });
+        if (invalidTrack) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid track',
+                message: invalidTrack
+            });
+        }
+
+        const track = await Playlist.updateTrack(id, req.deviceId, { title, artist, url });
+
+        if (!track) {
+            return res.status(404).json({
+                success: false,
+                error: 'Track not found',
+                message: `No track found with id: ${id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Track updated successfully',
+            data: track
+        });
+    } catch (error) {
+        console.error('Error updating track:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update track',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/music/:id - Remove a track (and its file) from the playlist
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (rejectInvalidId(id, res)) {
+            return;
+        }
+
+        const result = await Playlist.deleteTrack(id, req.deviceId);
+
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Track not found',
+                message: `No track found with id: ${id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Track deleted successfully',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error deleting track:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete track',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,220 @@
+const express = require('express');
+const router = express.Router();
+const Prompt = require('../models/Prompt');
+const { dateRegex } = require('../utils/dates');
+const {
+    MAX_CUSTOM_PROMPTS,
+    PROMPT_THEMES,
+    libraryPromptKey,
+    customPromptKey,
+    validatePrompt
+} = require('../utils/prompts');
+const { identityMiddleware } = require('../middleware/auth');
+
+// Custom prompt ids are SQLite row ids
+const idRegex = /^\d+$/;
+
+// Answer 400 for a malformed prompt id; returns true when it responded
+const rejectInvalidId = (id, res) => {
+    if (idRegex.test(id)) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        error: 'Invalid prompt id',
+        message: 'Prompt id must be a positive integer'
+    });
+    return true;
+};
+
+// Answer 400 for an invalid prompt; returns true when it responded
+const rejectInvalidPrompt = (fields, res, options) => {
+    const invalid = validatePrompt(fields, options);
+    if (!invalid) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        error: 'Invalid prompt',
+        message: invalid
+    });
+    return true;
+};
+
+const withKey = (prompt) => ({ ...prompt, key: customPromptKey(prompt.id) });
+
+// Resolve the account or device identity for all routes
+router.use(identityMiddleware);
+
+// GET /api/prompts - The bundled prompts by theme and the diary's own prompts
+router.get('/', async (req, res) => {
+    try {
+        const custom = await Prompt.getCustomPrompts(req.deviceId);
+
+        res.json({
+            success: true,
+            data: {
+                themes: Object.entries(PROMPT_THEMES).map(([id, { label, prompts }]) => ({
+                    id,
+                    label,
+                    prompts: prompts.map((text, index) => ({ key: libraryPromptKey(id, index), text }))
+                })),
+                custom: custom.map(withKey)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching prompts:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch prompts',
+            message: error.message
+        });
+    }
+});
+
+// Answer with a date's prompt (the server's current UTC date by default),
+// recording it as shown when `record` is set
+const sendDailyPrompt = async (req, res, { requestedDate, record }) => {
+    try {
+        const date = requestedDate || new Date().toISOString().slice(0, 10);
+
+        if (typeof date !== 'string' || !dateRegex.test(date)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid date format',
+                message: 'Date must be in YYYY-MM-DD format'
+            });
+        }
+
+        const prompt = await Prompt.getDailyPrompt(date, req.deviceId, { record });
+
+        res.json({
+            success: true,
+            data: prompt
+        });
+    } catch (error) {
+        console.error('Error picking prompt:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to pick prompt',
+            message: error.message
+        });
+    }
+};
+
+// GET /api/prompts/today?date=YYYY-MM-DD - The day's prompt, suited to the
+// latest mood and not repeating other days' prompts until they have all been
+// used. Looking a prompt up doesn't count as showing it.
+router.get('/today', (req, res) => sendDailyPrompt(req, res, { requestedDate: req.query.date, record: false }));
+
+// POST /api/prompts/today - The day's prompt { date }, recorded as shown, so
+// the day keeps it and other days avoid it
+router.post('/today', (req, res) => sendDailyPrompt(req, res, { requestedDate: req.body.date, record: true }));
+
+// POST /api/prompts - Add a prompt { text, theme } (theme is optional; a
+// prompt without one can come up whatever the mood)
+router.post('/', async (req, res) => {
+    try {
+        const { text, theme = null } = req.body;
+
+        if (rejectInvalidPrompt({ text, theme }, res)) {
+            return;
+        }
+
+        if (await Prompt.countCustomPrompts(req.deviceId) >= MAX_CUSTOM_PROMPTS) {
+            return res.status(400).json({
+                success: false,
+                error: 'Too many prompts',
+                message: `A diary can have at most ${MAX_CUSTOM_PROMPTS} prompts of its own`
+            });
+        }
+
+        const prompt = await Prompt.createCustomPrompt(req.deviceId, { text, theme });
+
+        res.status(201).json({
+            success: true,
+            message: 'Prompt added successfully',
+            data: withKey(prompt)
+        });
+    } catch (error) {
+        console.error('Error adding prompt:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add prompt',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/prompts/:id - Change a prompt's text or theme
+router.put('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { text, theme } = req.body;
+
+        if (rejectInvalidId(id, res) || rejectInvalidPrompt({ text, theme }, res, { partial: true })) {
+            return;
+        }
+
+        const prompt = await Prompt.updateCustomPrompt(id, req.deviceId, { text, theme });
+
+        if (!prompt) {
+            return res.status(404).json({
+                success: false,
+                error: 'Prompt not found',
+                message: `No prompt found with id: ${id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Prompt updated successfully',
+            data: withKey(prompt)
+        });
+    } catch (error) {
+        console.error('Error updating prompt:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update prompt',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/prompts/:id - Remove one of the diary's prompts
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (rejectInvalidId(id, res)) {
+            return;
+        }
+
+        const result = await Prompt.deleteCustomPrompt(id, req.deviceId);
+
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Prompt not found',
+                message: `No prompt found with id: ${id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Prompt deleted successfully',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error deleting prompt:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete prompt',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const DiaryEntry = require('../models/DiaryEntry');
+const Mood = require('../models/Mood');
+const MoodPalette = require('../models/MoodPalette');
+const { dateRegex, localDate, isValidTimeZone } = require('../utils/dates');
+const { PERIODS, moodStats, writingStats } = require('../utils/stats');
+const { identityMiddleware } = require('../middleware/auth');
+
+// Resolve the account or device identity for all routes
+router.use(identityMiddleware);
+
+// Bounds used when a range is left open
+const FIRST_DATE = '0000-01-01';
+const LAST_DATE = '9999-12-31';
+
+// Answer 400 for a malformed or backwards from/to query; returns true when it responded
+const rejectInvalidRange = (req, res) => {
+    const { from, to } = req.query;
+
+    if ((from !== undefined && !dateRegex.test(from)) || (to !== undefined && !dateRegex.test(to))) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid date format',
+            message: 'Dates must be in YYYY-MM-DD format'
+        });
+        return true;
+    }
+
+    if (from && to && from > to) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid date range',
+            message: 'Start date must be before or equal to end date'
+        });
+        return true;
+    }
+
+    return false;
+};
+
+// GET /api/stats/moods?from=&to=&period=week|month&mood=<emoji> - Mood
+// distribution overall, per week or month and per weekday, streaks (of one
+// mood when given), how much was written on days with each mood and how
+// entry length correlates with mood intensity and valence
+router.get('/moods', async (req, res) => {
+    try {
+        const { from, to, period = 'week', mood } = req.query;
+
+        if (rejectInvalidRange(req, res)) {
+            return;
+        }
+
+        if (!PERIODS.includes(period)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid period',
+                message: `period must be one of: ${PERIODS.join(', ')}`
+            });
+        }
+
+        const [moods, days, palette] = await Promise.all([
+            Mood.getMoodsInRange(from || FIRST_DATE, to || LAST_DATE, req.deviceId),
+            DiaryEntry.getDaySummaries(from || FIRST_DATE, to || LAST_DATE, req.deviceId),
+            MoodPalette.getPalette(req.deviceId, { includeRetired: true })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                from: from || null,
+                to: to || null,
+                ...moodStats(moods, days, { period, mood: mood || null, palette })
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching mood stats:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch mood stats',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/stats/writing?from=&to=&timeZone=<IANA zone> - Word and character
+// counts per entry and month, current and longest daily-writing streaks
+// (days counted in timeZone, UTC by default) and the usual time of day
+// entries are started and last edited
+router.get('/writing', async (req, res) => {
+    try {
+        const { from, to, timeZone = 'UTC' } = req.query;
+
+        if (rejectInvalidRange(req, res)) {
+            return;
+        }
+
+        if (typeof timeZone !== 'string' || !isValidTimeZone(timeZone)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid time zone',
+                message: 'timeZone must be an IANA time zone such as Europe/Paris'
+            });
+        }
+
+        const entries = await DiaryEntry.getEntriesInRange(from || FIRST_DATE, to || LAST_DATE, req.deviceId);
+
+        res.json({
+            success: true,
+            data: {
+                from: from || null,
+                to: to || null,
+                ...writingStats(entries, { timeZone, today: localDate(new Date(), timeZone) })
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching writing stats:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch writing stats',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const Sync = require('../models/Sync');
+const { identityMiddleware } = require('../middleware/auth');
+
+const MAX_SYNC_OPERATIONS = 50;
+const tokenRegex = /^\d+$/;
+
+// Resolve the account or device identity for all routes
+router.use(identityMiddleware);
+
+// POST /api/sync - Apply queued offline changes and return what changed since `since`
+router.post('/', async (req, res) => {
+    try {
+        const { operations = [], since = null } = req.body;
+
+        if (!Array.isArray(operations)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid operations',
+                message: 'operations must be an array'
+            });
+        }
+
+        if (operations.length > MAX_SYNC_OPERATIONS) {
+            return res.status(400).json({
+                success: false,
+                error: 'Too many operations',
+                message: `At most ${MAX_SYNC_OPERATIONS} operations can be synced at once`
+            });
+        }
+
+        if (since !== null && !tokenRegex.test(String(since))) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid sync token',
+                message: 'since must be a token returned by a previous sync'
+            });
+        }
+
+        const result = await Sync.sync(req.deviceId, operations, since === null ? null : String(since));
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        console.error('Error syncing:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to sync',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
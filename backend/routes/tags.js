@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const Tag = require('../models/Tag');
+const { identityMiddleware } = require('../middleware/auth');
+
+// Resolve the account or device identity for all routes
+router.use(identityMiddleware);
+
+// GET /api/tags - The diary's #hashtags with how many entries use each and
+// the last date one did, most used first (encrypted entries aren't tagged)
+router.get('/', async (req, res) => {
+    try {
+        const tags = await Tag.getTags(req.deviceId);
+
+        res.json({
+            success: true,
+            data: tags,
+            count: tags.length
+        });
+    } catch (error) {
+        console.error('Error fetching tags:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch tags',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
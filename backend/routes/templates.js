@@ -0,0 +1,175 @@
+const express = require('express');
+const router = express.Router();
+const Template = require('../models/Template');
+const {
+    MAX_TEMPLATES,
+    PLACEHOLDERS,
+    STARTER_TEMPLATES,
+    validateTemplate
+} = require('../utils/templates');
+const { identityMiddleware } = require('../middleware/auth');
+
+// Template ids are SQLite row ids
+const idRegex = /^\d+$/;
+
+// Answer 400 for a malformed template id; returns true when it responded
+const rejectInvalidId = (id, res) => {
+    if (idRegex.test(id)) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        error: 'Invalid template id',
+        message: 'Template id must be a positive integer'
+    });
+    return true;
+};
+
+// Answer 400 for an invalid template; returns true when it responded
+const rejectInvalidTemplate = (fields, res, options) => {
+    const invalid = validateTemplate(fields, options);
+    if (!invalid) {
+        return false;
+    }
+
+    res.status(400).json({
+        success: false,
+        error: 'Invalid template',
+        message: invalid
+    });
+    return true;
+};
+
+// Resolve the account or device identity for all routes
+router.use(identityMiddleware);
+
+// GET /api/templates - The diary's templates with their default weekdays,
+// plus the starter templates and the placeholders a template can use
+router.get('/', async (req, res) => {
+    try {
+        const templates = await Template.getTemplates(req.deviceId);
+
+        res.json({
+            success: true,
+            data: {
+                templates,
+                starters: STARTER_TEMPLATES,
+                placeholders: PLACEHOLDERS
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching templates:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to fetch templates',
+            message: error.message
+        });
+    }
+});
+
+// POST /api/templates - Add a template { name, content, weekdays } (weekdays
+// is optional; days another template was the default for move to this one)
+router.post('/', async (req, res) => {
+    try {
+        const { name, content, weekdays = [] } = req.body;
+
+        if (rejectInvalidTemplate({ name, content, weekdays }, res)) {
+            return;
+        }
+
+        if (await Template.countTemplates(req.deviceId) >= MAX_TEMPLATES) {
+            return res.status(400).json({
+                success: false,
+                error: 'Too many templates',
+                message: `A diary can have at most ${MAX_TEMPLATES} templates`
+            });
+        }
+
+        const template = await Template.createTemplate(req.deviceId, { name, content, weekdays });
+
+        res.status(201).json({
+            success: true,
+            message: 'Template added successfully',
+            data: template
+        });
+    } catch (error) {
+        console.error('Error adding template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to add template',
+            message: error.message
+        });
+    }
+});
+
+// PUT /api/templates/:id - Change a template's name, content or weekdays
+router.put('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, content, weekdays } = req.body;
+
+        if (rejectInvalidId(id, res) || rejectInvalidTemplate({ name, content, weekdays }, res, { partial: true })) {
+            return;
+        }
+
+        const template = await Template.updateTemplate(id, req.deviceId, { name, content, weekdays });
+
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found',
+                message: `No template found with id: ${id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Template updated successfully',
+            data: template
+        });
+    } catch (error) {
+        console.error('Error updating template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update template',
+            message: error.message
+        });
+    }
+});
+
+// DELETE /api/templates/:id - Remove a template (entries made from it stay)
+router.delete('/:id', async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (rejectInvalidId(id, res)) {
+            return;
+        }
+
+        const result = await Template.deleteTemplate(id, req.deviceId);
+
+        if (result.changes === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'Template not found',
+                message: `No template found with id: ${id}`
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Template deleted successfully',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete template',
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
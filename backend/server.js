@@ -7,6 +7,18 @@ const path = require('path');
 
 // Import routes
 const entriesRoutes = require('./routes/entries');
+const moodRoutes = require('./routes/mood');
+const authRoutes = require('./routes/auth');
+const accountRoutes = require('./routes/account');
+const syncRoutes = require('./routes/sync');
+const exportRoutes = require('./routes/export');
+const importRoutes = require('./routes/import');
+const encryptionRoutes = require('./routes/encryption');
+const statsRoutes = require('./routes/stats');
+const tagRoutes = require('./routes/tags');
+const musicRoutes = require('./routes/music');
+const promptRoutes = require('./routes/prompts');
+const templateRoutes = require('./routes/templates');
 
 // Import database initialization
 const initDb = require('./database/init');
@@ -14,9 +26,36 @@ const initDb = require('./database/init');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Security middleware - disabled CSP for deployment compatibility
+// API origins the frontend may call besides its own (the frontend defaults
+// to a local API; CSP_CONNECT_SRC adds more, comma separated)
+const connectSources = [
+    "'self'",
+    'http://localhost:3000',
+    'http://127.0.0.1:3000',
+    ...(process.env.CSP_CONNECT_SRC ? process.env.CSP_CONNECT_SRC.split(',') : [])
+];
+
+// Security middleware - strict CSP: no inline scripts, styles or event
+// handlers, so markup that slips into an entry can't run
 app.use(helmet({
-    contentSecurityPolicy: false
+    contentSecurityPolicy: {
+        useDefaults: false,
+        directives: {
+            defaultSrc: ["'self'"],
+            scriptSrc: ["'self'"],
+            scriptSrcAttr: ["'none'"],
+            styleSrc: ["'self'", 'https://fonts.googleapis.com'],
+            fontSrc: ["'self'", 'https://fonts.gstatic.com'],
+            imgSrc: ["'self'", 'data:', 'blob:'],
+            // Uploaded tracks play from blob: URLs; linked ones from anywhere
+            mediaSrc: ["'self'", 'blob:', 'https:'],
+            connectSrc: connectSources,
+            objectSrc: ["'none'"],
+            baseUri: ["'self'"],
+            formAction: ["'self'"],
+            frameAncestors: ["'none'"]
+        }
+    }
 }));
 
 // CORS configuration
@@ -24,7 +63,8 @@ app.use(cors({
     origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : ['http://localhost:3000', 'http://127.0.0.1:3000'],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID']
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-ID', 'If-Match'],
+    exposedHeaders: ['ETag', 'Content-Disposition']
 }));
 
 // Logging middleware
@@ -39,6 +79,18 @@ app.use(express.static(path.join(__dirname, '..')));
 
 // API routes
 app.use('/api/entries', entriesRoutes);
+app.use('/api/mood', moodRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/account', accountRoutes);
+app.use('/api/sync', syncRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/encryption', encryptionRoutes);
+app.use('/api/stats', statsRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/music', musicRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/templates', templateRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -63,16 +115,96 @@ app.get('/api', (req, res) => {
         endpoints: {
             health: 'GET /api/health',
             entries: {
-                getAll: 'GET /api/entries',
+                getAll: 'GET /api/entries?limit=&cursor=&order=desc|asc&fields=full|summary&from=&to=&mood=&tag= (pages when limit is given; follow nextCursor)',
+                search: 'GET /api/entries/search?q=&from=&to=&mood=&tag=&limit=&offset=',
                 getByDate: 'GET /api/entries/:date',
+                getById: 'GET /api/entries/id/:id',
                 create: 'POST /api/entries',
+                updateById: 'PUT /api/entries/id/:id',
+                deleteById: 'DELETE /api/entries/id/:id',
                 update: 'PUT /api/entries/:date',
                 upsert: 'PATCH /api/entries/:date',
                 delete: 'DELETE /api/entries/:date',
-                getRange: 'GET /api/entries/range/:startDate/:endDate'
+                getRange: 'GET /api/entries/range/:startDate/:endDate',
+                getCalendar: 'GET /api/entries/calendar/:year/:month',
+                getOnThisDay: 'GET /api/entries/on-this-day/:date?include=week,month (same day in earlier years, optionally a week and a month before)',
+                getRevisions: 'GET /api/entries/:date/revisions',
+                getRevision: 'GET /api/entries/revisions/:id',
+                diffRevision: 'GET /api/entries/revisions/:id/diff?to=<revisionId|current>',
+                restoreRevision: 'POST /api/entries/revisions/:id/restore',
+                getAttachments: 'GET /api/entries/:date/attachments',
+                uploadAttachment: 'POST /api/entries/:date/attachments (multipart "file", optional "entryId"; JPEG, PNG, GIF, WebP or PDF up to 10 MB)',
+                getAttachment: 'GET /api/entries/attachments/:id',
+                getAttachmentThumbnail: 'GET /api/entries/attachments/:id/thumbnail',
+                deleteAttachment: 'DELETE /api/entries/attachments/:id'
+            },
+            mood: {
+                getByDate: 'GET /api/mood/:date',
+                create: 'POST /api/mood/:date (optional "paletteId", "intensity" 1-5, "time" HH:MM, "note")',
+                updateById: 'PUT /api/mood/id/:id',
+                deleteById: 'DELETE /api/mood/id/:id',
+                upsert: 'PATCH /api/mood/:date (the most recently logged mood)',
+                delete: 'DELETE /api/mood/:date',
+                getRange: 'GET /api/mood/range/:startDate/:endDate',
+                getPalette: 'GET /api/mood/palette?includeRetired=true',
+                addToPalette: 'POST /api/mood/palette',
+                reorderPalette: 'PUT /api/mood/palette/order',
+                updatePaletteMood: 'PUT /api/mood/palette/:id',
+                retirePaletteMood: 'DELETE /api/mood/palette/:id'
+            },
+            auth: {
+                register: 'POST /api/auth/register',
+                login: 'POST /api/auth/login',
+                logout: 'POST /api/auth/logout',
+                me: 'GET /api/auth/me'
+            },
+            account: {
+                devices: 'GET /api/account/devices',
+                claimPreview: 'POST /api/account/claim/preview (the diary of the X-Device-ID the request comes from, optional "strategy")',
+                claim: 'POST /api/account/claim (as for the preview)'
+            },
+            sync: 'POST /api/sync',
+            export: 'GET /api/export?format=json|markdown|html (add zip=true with markdown for one file per day)',
+            import: 'POST /api/import?dryRun=true&onConflict=skip|keep_both (multipart "file": export JSON, zip of YYYY-MM-DD.md files, Day One or Journey export)',
+            encryption: {
+                get: 'GET /api/encryption',
+                revisions: 'GET /api/encryption/revisions',
+                stageRekey: 'POST /api/encryption/rekey/rows (re-encrypted entries, moods and revisions, in batches)',
+                rekey: 'POST /api/encryption/rekey (applies the staged rows and the new key)'
+            },
+            stats: {
+                moods: 'GET /api/stats/moods?from=&to=&period=week|month&mood=<emoji>',
+                writing: 'GET /api/stats/writing?from=&to=&timeZone=<IANA zone>'
+            },
+            tags: 'GET /api/tags (inline #hashtags in entries, with entry counts)',
+            music: {
+                getAll: 'GET /api/music',
+                add: 'POST /api/music (JSON "title", "artist", "url" for a link, or multipart "file" with optional "title"/"artist"; MP3, Ogg, WAV, FLAC, M4A or WebM up to 20 MB)',
+                update: 'PUT /api/music/:id',
+                delete: 'DELETE /api/music/:id',
+                getFile: 'GET /api/music/:id/file',
+                getSongOfTheDay: 'GET /api/music/days/:date',
+                setSongOfTheDay: 'PUT /api/music/days/:date ("trackId")',
+                clearSongOfTheDay: 'DELETE /api/music/days/:date'
+            },
+            prompts: {
+                getAll: 'GET /api/prompts (bundled prompts by theme and the diary\'s own)',
+                today: 'GET /api/prompts/today?date=YYYY-MM-DD (picked per diary and day, suited to the latest mood, avoiding repeats)',
+                showToday: 'POST /api/prompts/today ("date"; records the prompt as shown so the day keeps it)',
+                add: 'POST /api/prompts ("text", optional "theme")',
+                update: 'PUT /api/prompts/:id',
+                delete: 'DELETE /api/prompts/:id'
+            },
+            templates: {
+                getAll: 'GET /api/templates (the diary\'s templates, starter templates and placeholders)',
+                add: 'POST /api/templates ("name", "content" with {{date}}, {{weekday}} or {{mood}}, optional "weekdays" 0-6 it is the default for)',
+                update: 'PUT /api/templates/:id',
+                delete: 'DELETE /api/templates/:id'
             },
         },
-        authentication: 'Device ID based (sent via X-Device-ID header)',
+        encryption: 'Entries and moods may be encrypted in the browser ("pdenc:v1:<keyId>:<iv>:<ciphertext>"); encrypted rows are flagged is_encrypted and left out of search and stats. Attachments are stored as uploaded.',
+        concurrency: 'Entry responses carry an ETag ("<id>.<version>"); send it as If-Match on PUT/PATCH/DELETE to get 412 instead of overwriting a newer version',
+        authentication: 'Bearer token from /api/auth/login (Authorization header), or device ID (X-Device-ID header) for anonymous diaries',
         note: 'Full database functionality with SQLite. Deployed on Render for persistent storage.'
     });
 });
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, startApp, request, removeDataDir } = require('./helpers');
+const { MAX_ATTACHMENTS_PER_DAY } = require('../utils/attachments');
+
+const DEVICE = 'dddddddd-dddd-4ddd-8ddd-dddddddddddd';
+const headers = { 'X-Device-ID': DEVICE };
+
+let app;
+
+before(async () => {
+    await setupDatabase();
+    app = await startApp({ '/api/entries': require('../routes/entries') });
+});
+
+after(async () => {
+    await app.close();
+    removeDataDir();
+});
+
+const upload = async (date, fields = {}) => {
+    const body = new FormData();
+    body.append('file', new Blob(['%PDF-1.4 test']), 'notes.pdf');
+    Object.entries(fields).forEach(([name, value]) => body.append(name, value));
+
+    const response = await fetch(`${app.url}/api/entries/${date}/attachments`, { method: 'POST', body, headers });
+    return { status: response.status, body: await response.json() };
+};
+
+const attachmentsOn = async (date) => (await request(`${app.url}/api/entries/${date}/attachments`, { headers })).body.data;
+
+test('uploads at the same time never take a day past its limit', async () => {
+    const statuses = await Promise.all(
+        Array.from({ length: MAX_ATTACHMENTS_PER_DAY + 5 }, () => upload('2026-10-10').then(response => response.status))
+    );
+
+    assert.strictEqual(statuses.filter(status => status === 201).length, MAX_ATTACHMENTS_PER_DAY);
+    assert.strictEqual(statuses.filter(status => status === 400).length, 5);
+    assert.strictEqual((await attachmentsOn('2026-10-10')).length, MAX_ATTACHMENTS_PER_DAY);
+});
+
+test('an attachment stays with its day when its entry is deleted', async () => {
+    const entry = await request(`${app.url}/api/entries`, {
+        method: 'POST',
+        body: { date: '2026-10-11', content: 'With a file' },
+        headers
+    });
+    const attached = await upload('2026-10-11', { entryId: String(entry.body.data.id) });
+    assert.strictEqual(attached.body.data.entry_id, entry.body.data.id);
+
+    const deleted = await request(`${app.url}/api/entries/id/${entry.body.data.id}`, { method: 'DELETE', headers });
+    assert.strictEqual(deleted.status, 200);
+
+    const [attachment] = await attachmentsOn('2026-10-11');
+    assert.strictEqual(attachment.id, attached.body.data.id);
+    assert.strictEqual(attachment.entry_id, null);
+});
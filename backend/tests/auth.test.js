@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, startApp, request, removeDataDir } = require('./helpers');
+
+const DEVICE = '33333333-3333-4333-8333-333333333333';
+const OTHER_DEVICE = '44444444-4444-4444-8444-444444444444';
+
+let app;
+
+before(async () => {
+    await setupDatabase();
+    app = await startApp({
+        '/api/auth': require('../routes/auth'),
+        '/api/account': require('../routes/account'),
+        '/api/entries': require('../routes/entries')
+    });
+});
+
+after(async () => {
+    await app.close();
+    removeDataDir();
+});
+
+const register = (username, headers = {}) => request(`${app.url}/api/auth/register`, {
+    method: 'POST',
+    body: { username, password: 'password123' },
+    headers
+});
+
+test('registering never takes over the device the request names', async () => {
+    const written = await request(`${app.url}/api/entries`, {
+        method: 'POST',
+        body: { date: '2026-10-19', content: 'anonymous words' },
+        headers: { 'X-Device-ID': DEVICE }
+    });
+    assert.strictEqual(written.status, 201);
+
+    const { status, body } = await register('intruder', { 'X-Device-ID': DEVICE });
+    assert.strictEqual(status, 201);
+    assert.notStrictEqual(body.data.user.device_id, DEVICE);
+
+    // The anonymous owner still has their diary
+    const owner = await request(`${app.url}/api/entries/2026-10-19`, { headers: { 'X-Device-ID': DEVICE } });
+    assert.strictEqual(owner.status, 200);
+    assert.strictEqual(owner.body.data[0].content, 'anonymous words');
+});
+
+test('a claim merges the diary of the browser it comes from', async () => {
+    const { body } = await register('claimer');
+    const auth = { Authorization: `Bearer ${body.data.token}` };
+
+    const elsewhere = await request(`${app.url}/api/account/claim`, {
+        method: 'POST',
+        body: {},
+        headers: { ...auth, 'X-Device-ID': OTHER_DEVICE }
+    });
+    assert.strictEqual(elsewhere.status, 200);
+    assert.strictEqual(elsewhere.body.data.claimed, OTHER_DEVICE);
+    const before = await request(`${app.url}/api/entries/2026-10-19`, { headers: auth });
+    assert.deepStrictEqual(before.body.data, []);
+
+    const held = await request(`${app.url}/api/account/claim`, {
+        method: 'POST',
+        body: {},
+        headers: { ...auth, 'X-Device-ID': DEVICE }
+    });
+    assert.strictEqual(held.status, 200);
+    assert.strictEqual(held.body.data.claimed, DEVICE);
+
+    const entries = await request(`${app.url}/api/entries/2026-10-19`, { headers: auth });
+    assert.strictEqual(entries.body.data[0].content, 'anonymous words');
+});
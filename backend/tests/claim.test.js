@@ -0,0 +1,119 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDataDir } = require('./helpers');
+const { runQuery, getAll } = require('../database/connection');
+const User = require('../models/User');
+const DiaryEntry = require('../models/DiaryEntry');
+const EntryRevision = require('../models/EntryRevision');
+const DeviceClaim = require('../models/DeviceClaim');
+const Encryption = require('../models/Encryption');
+
+const keySettings = (keyId) => ({
+    keyId,
+    kdf: 'PBKDF2-SHA256',
+    iterations: 100000,
+    salt: 'c2FsdHNhbHRzYWx0c2FsdA==',
+    keyCheck: `pdenc:v1:${keyId}:aXZpdml2aXZpdml2:Y2hlY2s=`
+});
+const sealed = (keyId, text) => `pdenc:v1:${keyId}:aXZpdml2aXZpdml2:${Buffer.from(text).toString('base64')}`;
+
+before(setupDatabase);
+after(removeDataDir);
+
+let accounts = 0;
+const createAccount = async () => {
+    accounts += 1;
+    const deviceId = `a0000000-0000-4000-8000-00000000000${accounts}`;
+    return User.createUser(`writer${accounts}`, null, 'password123', deviceId);
+};
+
+test('a claim of rows under another passphrase is refused and changes nothing', async () => {
+    const user = await createAccount();
+    await Encryption.saveSettings(user.device_id, keySettings('account-key'));
+
+    const device = 'b0000000-0000-4000-8000-000000000001';
+    await Encryption.saveSettings(device, keySettings('device-key'));
+    await DiaryEntry.createEntry('2026-10-01', sealed('device-key', 'hidden'), device);
+
+    const plan = await DeviceClaim.planClaim(user.device_id, device, 'keep_both');
+    assert.ok(plan.encryption.keyConflict);
+
+    const result = await DeviceClaim.claimDevice(user, device, 'keep_both');
+    assert.strictEqual(result.status, 'conflict');
+    assert.strictEqual((await DiaryEntry.getEntriesByDate('2026-10-01', device)).length, 1);
+    assert.strictEqual((await Encryption.getSettings(device)).key_id, 'device-key');
+});
+
+test('an account without a passphrase takes over the device\'s', async () => {
+    const user = await createAccount();
+
+    const device = 'b0000000-0000-4000-8000-000000000002';
+    await Encryption.saveSettings(device, keySettings('device-key'));
+    await DiaryEntry.createEntry('2026-10-02', sealed('device-key', 'hidden'), device);
+
+    const result = await DeviceClaim.claimDevice(user, device, 'keep_both');
+    assert.strictEqual(result.status, 'claimed');
+    assert.strictEqual(result.encryption.keyAdopted, true);
+
+    assert.strictEqual((await Encryption.getSettings(user.device_id)).key_id, 'device-key');
+    assert.strictEqual(await Encryption.getSettings(device), null);
+    assert.strictEqual((await DiaryEntry.getEntriesByDate('2026-10-02', user.device_id)).length, 1);
+});
+
+test('rows under the account\'s own passphrase are claimed', async () => {
+    const user = await createAccount();
+    await Encryption.saveSettings(user.device_id, keySettings('shared-key'));
+
+    const device = 'b0000000-0000-4000-8000-000000000003';
+    await Encryption.saveSettings(device, keySettings('shared-key'));
+    await DiaryEntry.createEntry('2026-10-03', sealed('shared-key', 'hidden'), device);
+    await DiaryEntry.createEntry('2026-10-03', 'plain words', device);
+
+    const result = await DeviceClaim.claimDevice(user, device, 'keep_both');
+    assert.strictEqual(result.status, 'claimed');
+    assert.strictEqual(result.encryption.keyAdopted, false);
+    const claimed = await getAll('SELECT id FROM diary_entries WHERE device_id = ?', [user.device_id]);
+    assert.strictEqual(claimed.length, 2);
+});
+
+test('claimed entries keep their history, and merges can be undone', async () => {
+    const user = await createAccount();
+    const device = 'b0000000-0000-4000-8000-000000000004';
+
+    const moved = await DiaryEntry.createEntry('2026-10-04', 'draft', device);
+    await DiaryEntry.updateEntryById(moved.id, 'final', device);
+
+    const accountEntry = await DiaryEntry.createEntry('2026-10-05', 'account words', user.device_id);
+    const deviceEntry = await DiaryEntry.createEntry('2026-10-05', 'device words', device);
+    await DiaryEntry.updateEntryById(deviceEntry.id, 'device words, edited', device);
+
+    const result = await DeviceClaim.claimDevice(user, device, 'concatenate');
+    assert.strictEqual(result.status, 'claimed');
+
+    const movedHistory = await EntryRevision.getRevisionsByDate('2026-10-04', user.device_id);
+    assert.deepStrictEqual(movedHistory.map(revision => [revision.entry_id, revision.preview]), [[moved.id, 'draft']]);
+
+    // The account entry as it was before the merge, and the device entry's own history
+    const mergedHistory = await EntryRevision.getRevisionsByDate('2026-10-05', user.device_id);
+    assert.deepStrictEqual(
+        mergedHistory.map(revision => [revision.entry_id, revision.preview]).sort(),
+        [[accountEntry.id, 'account words'], [accountEntry.id, 'device words']]
+    );
+    assert.deepStrictEqual(await getAll('SELECT id FROM entry_revisions WHERE device_id = ?', [device]), []);
+});
+
+test('a discarded device entry stays restorable', async () => {
+    const user = await createAccount();
+    const device = 'b0000000-0000-4000-8000-000000000005';
+
+    await DiaryEntry.createEntry('2026-10-06', 'older on the device', device);
+    await runQuery("UPDATE diary_entries SET updated_at = '2000-01-01 00:00:00' WHERE device_id = ?", [device]);
+    await DiaryEntry.createEntry('2026-10-06', 'newer in the account', user.device_id);
+
+    const result = await DeviceClaim.claimDevice(user, device, 'keep_newest');
+    assert.strictEqual(result.summary.discard, 1);
+
+    const [revision] = await EntryRevision.getRevisionsByDate('2026-10-06', user.device_id);
+    assert.strictEqual(revision.preview, 'older on the device');
+    assert.strictEqual(revision.entry_deleted, 1);
+});
@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDataDir } = require('./helpers');
+const { runQuery, getRow, getAll, runTransaction } = require('../database/connection');
+
+before(async () => {
+    await setupDatabase();
+    await runQuery('CREATE TABLE counters (name TEXT PRIMARY KEY, value INTEGER NOT NULL)');
+});
+
+after(removeDataDir);
+
+const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+
+test('concurrent transactions run one after another', async () => {
+    await runQuery("INSERT INTO counters (name, value) VALUES ('a', 0)");
+
+    await Promise.all(Array.from({ length: 5 }, () => runTransaction(async () => {
+        const { value } = await getRow("SELECT value FROM counters WHERE name = 'a'");
+        await pause();
+        await runQuery("UPDATE counters SET value = ? WHERE name = 'a'", [value + 1]);
+    })));
+
+    const { value } = await getRow("SELECT value FROM counters WHERE name = 'a'");
+    assert.strictEqual(value, 5);
+});
+
+test('a rollback keeps writes made outside the transaction meanwhile', async () => {
+    const failing = runTransaction(async () => {
+        await runQuery("INSERT INTO counters (name, value) VALUES ('inside', 1)");
+        await pause();
+        throw new Error('give up');
+    });
+    const outside = runQuery("INSERT INTO counters (name, value) VALUES ('outside', 1)");
+
+    await assert.rejects(failing, /give up/);
+    await outside;
+
+    const names = (await getAll('SELECT name FROM counters ORDER BY name')).map(row => row.name);
+    assert.deepStrictEqual(names, ['a', 'outside']);
+});
+
+test('a transaction started inside another is part of it', async () => {
+    await assert.rejects(runTransaction(async () => {
+        await runTransaction(() => runQuery("INSERT INTO counters (name, value) VALUES ('nested', 1)"));
+        throw new Error('undo both');
+    }), /undo both/);
+
+    assert.strictEqual(await getRow("SELECT * FROM counters WHERE name = 'nested'"), undefined);
+});
@@ -0,0 +1,118 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDataDir } = require('./helpers');
+const { getAll } = require('../database/connection');
+const Encryption = require('../models/Encryption');
+const Sync = require('../models/Sync');
+const DiaryEntry = require('../models/DiaryEntry');
+
+const DEVICE = '55555555-5555-4555-8555-555555555555';
+const OTHER_DEVICE = '66666666-6666-4666-8666-666666666666';
+
+const encryption = {
+    keyId: 'key-1',
+    kdf: 'PBKDF2-SHA256',
+    iterations: 100000,
+    salt: 'c2FsdHNhbHRzYWx0c2FsdA==',
+    keyCheck: 'pdenc:v1:key-1:aXZpdml2aXZpdml2:Y2hlY2s='
+};
+
+before(setupDatabase);
+after(removeDataDir);
+
+const syncOperations = (deviceId) => getAll('SELECT op_id FROM sync_operations WHERE device_id = ?', [deviceId]);
+
+const createEntry = async (deviceId, opId, content) => {
+    const { results } = await Sync.sync(deviceId, [
+        { opId, type: 'entry', action: 'create', date: '2026-10-19', content, queuedAt: '2026-10-19T08:00:00Z' }
+    ], null);
+    assert.strictEqual(results[0].status, 'applied');
+    return results[0].entry;
+};
+
+test('rekeying forgets the plaintext kept for applied sync operations', async () => {
+    const entry = await createEntry(DEVICE, 'op-1', 'a secret thought');
+    await createEntry(OTHER_DEVICE, 'op-2', 'someone else');
+
+    await Encryption.stageRekey(DEVICE, {
+        keyId: 'key-1',
+        entries: [{ id: entry.id, version: entry.version, content: 'pdenc:v1:key-1:aXZpdml2aXZpdml2:c2VjcmV0' }]
+    });
+    const result = await Encryption.rekey(DEVICE, { currentKeyId: null, encryption });
+    assert.strictEqual(result.status, 'applied');
+
+    assert.deepStrictEqual(await syncOperations(DEVICE), []);
+    assert.strictEqual((await syncOperations(OTHER_DEVICE)).length, 1);
+
+    const stored = await getAll('SELECT content FROM diary_entries WHERE device_id = ?', [DEVICE]);
+    assert.ok(stored.every(row => !row.content.includes('secret thought')));
+});
+
+test('a refused rekey leaves the sync operations alone', async () => {
+    await createEntry(DEVICE, 'op-3', 'written meanwhile');
+
+    const result = await Encryption.rekey(DEVICE, { currentKeyId: 'key-1', encryption });
+    assert.strictEqual(result.status, 'conflict');
+    assert.strictEqual((await syncOperations(DEVICE)).length, 1);
+});
+
+test('rekeying re-encrypts the history along with the entries', async () => {
+    const DIARY = '77777777-7777-4777-8777-777777777777';
+    const entry = await DiaryEntry.createEntry('2026-10-18', 'first thoughts', DIARY);
+    const edited = await DiaryEntry.updateEntryById(entry.id, 'second thoughts', DIARY);
+    const [revision] = await Encryption.getRevisions(DIARY);
+    assert.strictEqual(revision.content, 'first thoughts');
+
+    const sealed = (text) => `pdenc:v1:key-1:aXZpdml2aXZpdml2:${Buffer.from(text).toString('base64')}`;
+    await Encryption.stageRekey(DIARY, {
+        keyId: 'key-1',
+        entries: [{ id: edited.id, version: edited.version, content: sealed('second thoughts') }]
+    });
+    const rekey = () => Encryption.rekey(DIARY, { currentKeyId: null, encryption });
+
+    assert.strictEqual((await rekey()).status, 'conflict');
+
+    await Encryption.stageRekey(DIARY, { keyId: 'key-1', revisions: [{ id: revision.id, content: sealed('first thoughts') }] });
+    const result = await rekey();
+    assert.strictEqual(result.status, 'applied');
+    assert.deepStrictEqual([result.entries, result.revisions], [1, 1]);
+
+    const [kept] = await getAll('SELECT content, is_encrypted FROM entry_revisions WHERE device_id = ?', [DIARY]);
+    assert.deepStrictEqual({ ...kept }, { content: sealed('first thoughts'), is_encrypted: 1 });
+    assert.deepStrictEqual(await getAll('SELECT * FROM rekey_rows WHERE device_id = ?', [DIARY]), []);
+});
+
+test('staging only holds the diary\'s own rows, for the latest key', async () => {
+    const DIARY = '88888888-8888-4888-8888-888888888888';
+    const mine = await DiaryEntry.createEntry('2026-10-17', 'mine', DIARY);
+    const theirs = await DiaryEntry.createEntry('2026-10-17', 'theirs', OTHER_DEVICE);
+    const sealed = (keyId) => `pdenc:v1:${keyId}:aXZpdml2aXZpdml2:c2VjcmV0`;
+
+    const staged = await Encryption.stageRekey(DIARY, {
+        keyId: 'key-2',
+        entries: [
+            { id: mine.id, version: mine.version, content: sealed('key-2') },
+            { id: theirs.id, version: theirs.version, content: sealed('key-2') }
+        ]
+    });
+    assert.strictEqual(staged.entries, 1);
+
+    // Starting over drops what the first attempt staged
+    await Encryption.stageRekey(DIARY, { keyId: 'key-3', entries: [] });
+    const abandoned = await Encryption.rekey(DIARY, { currentKeyId: null, encryption: { ...encryption, keyId: 'key-2' } });
+    assert.strictEqual(abandoned.status, 'conflict');
+
+    await Encryption.stageRekey(DIARY, { keyId: null, entries: [{ id: mine.id, version: mine.version, content: 'old attempt' }] });
+    await Encryption.stageRekey(DIARY, { keyId: null, restart: true, entries: [] });
+    assert.deepStrictEqual(await getAll('SELECT row_id FROM rekey_rows WHERE device_id = ?', [DIARY]), []);
+});
+
+test('a batch must be under the new key and of bounded size', () => {
+    const entry = { id: 1, version: 1, content: 'pdenc:v1:key-1:aXZpdml2aXZpdml2:c2VjcmV0' };
+    assert.strictEqual(Encryption.validateRekeyRows({ keyId: 'key-1', entries: [entry] }), null);
+    assert.match(Encryption.validateRekeyRows({ keyId: 'key-2', entries: [entry] }), /not encrypted with the new key/);
+    assert.match(Encryption.validateRekeyRows({ keyId: null, entries: [entry] }), /not plaintext/);
+    assert.match(Encryption.validateRekeyRows({ keyId: undefined, entries: [] }), /keyId/);
+    const tooMany = Array.from({ length: Encryption.MAX_REKEY_BATCH_ROWS + 1 }, (item, id) => ({ ...entry, id }));
+    assert.match(Encryption.validateRekeyRows({ keyId: 'key-1', entries: tooMany }), /at most/);
+});
@@ -0,0 +1,256 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, startApp, request, removeDataDir } = require('./helpers');
+const { runQuery, getAll } = require('../database/connection');
+
+const DEVICE = 'abababab-abab-4bab-8bab-abababababab';
+const headers = { 'X-Device-ID': DEVICE };
+
+let app;
+
+before(async () => {
+    await setupDatabase();
+    app = await startApp({
+        '/api/entries': require('../routes/entries'),
+        '/api/mood': require('../routes/mood')
+    });
+    pagedIds = await writePagedDiary();
+});
+
+after(async () => {
+    await app.close();
+    removeDataDir();
+});
+
+const createEntry = async (date, content) => {
+    const created = await request(`${app.url}/api/entries`, { method: 'POST', body: { date, content }, headers });
+    return created.body.data;
+};
+
+const etagOf = (entry) => `"${entry.id}.${entry.version}"`;
+
+test('of two saves made against the same ETag, only one lands', async () => {
+    const entry = await createEntry('2026-09-01', 'First draft');
+    const save = (content) => request(`${app.url}/api/entries/id/${entry.id}`, {
+        method: 'PUT',
+        body: { content },
+        headers: { ...headers, 'If-Match': etagOf(entry) }
+    });
+
+    const results = await Promise.all([save('From the laptop'), save('From the phone')]);
+    assert.deepStrictEqual(results.map(result => result.status).sort(), [200, 412]);
+
+    const saved = results.find(result => result.status === 200).body.data;
+    const refused = results.find(result => result.status === 412).body;
+    assert.strictEqual(saved.version, entry.version + 1);
+    assert.strictEqual(refused.current.content, saved.content);
+});
+
+test('a delete made against an ETag that was saved over is refused', async () => {
+    const entry = await createEntry('2026-09-02', 'Keep me');
+    const conditional = { ...headers, 'If-Match': etagOf(entry) };
+
+    const [saved, deleted] = await Promise.all([
+        request(`${app.url}/api/entries/id/${entry.id}`, { method: 'PUT', body: { content: 'Kept' }, headers: conditional }),
+        request(`${app.url}/api/entries/id/${entry.id}`, { method: 'DELETE', headers: conditional })
+    ]);
+    assert.deepStrictEqual([saved.status, deleted.status].sort(), [200, 412]);
+});
+
+test('a day is only deleted as it was when If-Match was taken', async () => {
+    const entry = await createEntry('2026-09-03', 'Morning');
+    const conditional = { ...headers, 'If-Match': etagOf(entry) };
+
+    const [added, deleted] = await Promise.all([
+        request(`${app.url}/api/entries/2026-09-03`, { method: 'PUT', body: { content: 'Morning, then lunch' }, headers: conditional }),
+        request(`${app.url}/api/entries/2026-09-03`, { method: 'DELETE', headers: conditional })
+    ]);
+    assert.deepStrictEqual([added.status, deleted.status].sort(), [200, 412]);
+});
+
+test('writes without If-Match are unconditional', async () => {
+    const entry = await createEntry('2026-09-04', 'Anything');
+    const saved = await request(`${app.url}/api/entries/id/${entry.id}`, { method: 'PUT', body: { content: 'Changed' }, headers });
+    assert.strictEqual(saved.status, 200);
+    const deleted = await request(`${app.url}/api/entries/id/${entry.id}`, { method: 'DELETE', headers });
+    assert.strictEqual(deleted.status, 200);
+});
+
+// Paging, on a diary of its own so the entries above don't get in the way
+const PAGED_DEVICE = 'cdcdcdcd-cdcd-4dcd-8dcd-cdcdcdcdcdcd';
+const paged = { 'X-Device-ID': PAGED_DEVICE };
+
+const listEntries = (query) => request(`${app.url}/api/entries?${query}`, { headers: paged });
+
+// Every entry id, one page after the other
+const pageThrough = async (query) => {
+    const ids = [];
+    let cursor = null;
+    do {
+        const page = await listEntries(`${query}${cursor ? `&cursor=${cursor}` : ''}`);
+        assert.strictEqual(page.status, 200);
+        ids.push(...page.body.data.map(entry => entry.id));
+        cursor = page.body.nextCursor;
+    } while (cursor);
+    return ids;
+};
+
+let pagedIds;
+
+const writePagedDiary = async () => {
+    const write = async (date, content) => (await request(`${app.url}/api/entries`, {
+        method: 'POST', body: { date, content }, headers: paged
+    })).body.data.id;
+
+    const ids = {
+        first: await write('2026-08-01', 'Out for a #walk'),
+        second: await write('2026-08-01', 'Lunch'),
+        third: await write('2026-08-01', 'Another #walk'),
+        next: await write('2026-08-02', 'A long #walk'),
+        last: await write('2026-08-03', 'Rain, no #walk')
+    };
+    // Saved in the same second, so only the id tells them apart
+    await runQuery("UPDATE diary_entries SET created_at = '2026-08-01 09:00:00' WHERE device_id = ? AND date = '2026-08-01'", [PAGED_DEVICE]);
+    return ids;
+};
+
+test('pages cover every entry once, even when date and time tie', async () => {
+    const { first, second, third, next, last } = pagedIds;
+    const everything = (await listEntries('')).body.data.map(entry => entry.id);
+    assert.deepStrictEqual(everything, [last, next, third, second, first]);
+
+    assert.deepStrictEqual(await pageThrough('limit=2'), everything);
+    assert.deepStrictEqual(await pageThrough('limit=1'), everything);
+
+    // A page that reaches the end has no cursor to follow
+    const whole = await listEntries('limit=5');
+    assert.strictEqual(whole.body.count, 5);
+    assert.strictEqual(whole.body.nextCursor, null);
+});
+
+test('order=asc pages oldest first', async () => {
+    const { first, second, third, next, last } = pagedIds;
+    assert.deepStrictEqual(await pageThrough('order=asc&limit=2'), [first, second, third, next, last]);
+});
+
+test('filters still apply to the pages after the first', async () => {
+    const { first, third, next } = pagedIds;
+    assert.deepStrictEqual(await pageThrough('tag=walk&from=2026-08-01&to=2026-08-02&limit=1'), [next, third, first]);
+    assert.deepStrictEqual(await pageThrough('tag=walk&to=2026-08-01&order=asc&limit=1'), [first, third]);
+});
+
+test('a cursor that isn\'t a nextCursor is refused', async () => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    for (const cursor of ['not-a-cursor', encode([1, 2, 3]), encode(['2026-08-01', '2026-08-01 09:00:00', '1']), encode({ id: 1 })]) {
+        const { status, body } = await listEntries(`limit=2&cursor=${cursor}`);
+        assert.strictEqual(status, 400, cursor);
+        assert.strictEqual(body.error, 'Invalid cursor');
+    }
+});
+
+test('on this day brings earlier years and, when asked, the week and month before', async () => {
+    const remembering = { 'X-Device-ID': 'efefefef-efef-4fef-8fef-efefefefefef' };
+    for (const [date, content] of [
+        ['2026-10-19', 'Today'],
+        ['2026-10-12', 'A week ago'],
+        ['2026-09-19', 'A month ago'],
+        ['2025-10-19', 'Last year'],
+        ['2023-10-19', 'Three years ago']
+    ]) {
+        await request(`${app.url}/api/entries`, { method: 'POST', body: { date, content }, headers: remembering });
+    }
+    const memories = async (query) => {
+        const { status, body } = await request(`${app.url}/api/entries/on-this-day/2026-10-19${query}`, { headers: remembering });
+        assert.strictEqual(status, 200);
+        return body.data.memories.map(({ period, ago, date, entries }) => [period, ago, date, entries.map(entry => entry.content)]);
+    };
+
+    assert.deepStrictEqual(await memories(''), [
+        ['year', 1, '2025-10-19', ['Last year']],
+        ['year', 3, '2023-10-19', ['Three years ago']]
+    ]);
+
+    const both = await memories('?include=week,month');
+    assert.deepStrictEqual(both.slice(0, 2), [
+        ['week', 1, '2026-10-12', ['A week ago']],
+        ['month', 1, '2026-09-19', ['A month ago']]
+    ]);
+    assert.strictEqual(both.length, 4);
+    // The same periods given as repeated parameters
+    assert.deepStrictEqual(await memories('?include=week&include=month'), both);
+});
+
+test('on this day refuses periods it doesn\'t know and malformed dates', async () => {
+    for (const path of ['2026-10-19?include=fortnight', '2026-10-19?include=week&include=year', '19-10-2026']) {
+        const { status } = await request(`${app.url}/api/entries/on-this-day/${path}`, { headers });
+        assert.strictEqual(status, 400, path);
+    }
+});
+
+test('the calendar sums up each day of the month with entries or moods', async () => {
+    const month = { 'X-Device-ID': '12121212-1212-4212-8212-121212121212' };
+    for (const [date, content] of [
+        ['2026-01-31', 'The day before'],
+        ['2026-02-01', 'one two three'],
+        ['2026-02-01', 'four'],
+        ['2026-02-28', 'End of February'],
+        ['2026-03-01', 'The day after']
+    ]) {
+        await request(`${app.url}/api/entries`, { method: 'POST', body: { date, content }, headers: month });
+    }
+    for (const [date, mood, emoji, intensity] of [
+        ['2026-02-01', 'Happy', '😊', 3],
+        ['2026-02-01', 'Sad', '😢', 5],
+        ['2026-02-14', 'Peaceful', '😌', 2],
+        ['2026-03-01', 'Happy', '😊', 4]
+    ]) {
+        const logged = await request(`${app.url}/api/mood/${date}`, { method: 'POST', body: { mood, emoji, intensity }, headers: month });
+        assert.strictEqual(logged.status, 201);
+    }
+
+    const { status, body } = await request(`${app.url}/api/entries/calendar/2026/02`, { headers: month });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual([body.data.year, body.data.month], [2026, 2]);
+    assert.deepStrictEqual(body.data.days.map(({ date, entries, words, mood, intensity, moods }) => [date, entries, words, mood, intensity, moods]), [
+        // The strongest of the day's moods
+        ['2026-02-01', 2, 4, 'Sad', 5, 2],
+        // A mood without an entry
+        ['2026-02-14', 0, 0, 'Peaceful', 2, 1],
+        // An entry without a mood
+        ['2026-02-28', 1, 3, null, null, 0]
+    ]);
+    assert.ok(body.data.days.every(day => !('content' in day)));
+
+    const unpadded = await request(`${app.url}/api/entries/calendar/2026/2`, { headers: month });
+    assert.deepStrictEqual(unpadded.body.data, body.data);
+});
+
+test('the calendar refuses months that aren\'t YYYY and 1-12', async () => {
+    for (const path of ['26/02', 'abcd/02', '2026/0', '2026/13', '2026/xx', '2026/1.5']) {
+        const { status, body } = await request(`${app.url}/api/entries/calendar/${path}`, { headers });
+        assert.strictEqual(status, 400, path);
+        assert.strictEqual(body.error, 'Invalid month');
+    }
+});
+
+test('tags an entry stops using are forgotten once no other entry has them', async () => {
+    const tagging = { 'X-Device-ID': '34343434-3434-4434-8434-343434343434' };
+    const tagNames = async () => (await getAll('SELECT name FROM tags WHERE device_id = ? ORDER BY name', [tagging['X-Device-ID']]))
+        .map(row => row.name);
+    const write = async (date, content) => (await request(`${app.url}/api/entries`, {
+        method: 'POST', body: { date, content }, headers: tagging
+    })).body.data;
+
+    const rainy = await write('2026-07-01', 'A #walk in the #rain');
+    const sunny = await write('2026-07-02', 'A #walk in the #sun');
+    assert.deepStrictEqual(await tagNames(), ['rain', 'sun', 'walk']);
+
+    await request(`${app.url}/api/entries/id/${rainy.id}`, { method: 'PUT', body: { content: 'A #walk, dry after all' }, headers: tagging });
+    assert.deepStrictEqual(await tagNames(), ['sun', 'walk']);
+
+    await request(`${app.url}/api/entries/id/${sunny.id}`, { method: 'DELETE', headers: tagging });
+    assert.deepStrictEqual(await tagNames(), ['walk']);
+
+    await request(`${app.url}/api/entries/2026-07-01`, { method: 'DELETE', headers: tagging });
+    assert.deepStrictEqual(await tagNames(), []);
+});
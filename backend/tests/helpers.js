@@ -0,0 +1,56 @@
+// Shared set-up for the backend tests. Each test file runs in its own
+// process, so requiring this first gives the file a throwaway database.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'panda-diary-test-'));
+process.env.DB_PATH = path.join(dataDir, 'test.db');
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+// The database modules log every table and migration
+console.log = () => {};
+
+// Create the schema and run the migrations on the test database
+const setupDatabase = async () => {
+    const { initDatabase } = require('../database/init');
+    await initDatabase();
+};
+
+// Serve routers on a free port, as server.js mounts them: { '/api/x': router }
+const startApp = async (routes) => {
+    const app = express();
+    app.use(express.json({ limit: '10mb' }));
+    Object.entries(routes).forEach(([mountPath, router]) => app.use(mountPath, router));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+};
+
+// A JSON request to a started app; resolves to { status, body }
+const request = async (url, { method = 'GET', body, headers = {} } = {}) => {
+    const response = await fetch(url, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+};
+
+const removeDataDir = () => fs.rmSync(dataDir, { recursive: true, force: true });
+
+module.exports = {
+    dataDir,
+    setupDatabase,
+    startApp,
+    request,
+    removeDataDir
+};
@@ -0,0 +1,107 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const sqlite3 = require('sqlite3');
+const { setupDatabase, removeDataDir } = require('./helpers');
+
+const DEVICE = 'ffffffff-ffff-4fff-8fff-ffffffffffff';
+
+// The schema of the first releases: one entry and one mood per day
+const OLD_SCHEMA = [
+    `CREATE TABLE diary_entries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL,
+        content TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(date, device_id)
+    )`,
+    `CREATE TABLE moods (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        date TEXT NOT NULL,
+        mood TEXT NOT NULL,
+        emoji TEXT NOT NULL,
+        device_id TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(date, device_id)
+    )`,
+    `CREATE TABLE music_playlists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        device_id TEXT,
+        title TEXT NOT NULL,
+        artist TEXT,
+        file_path TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `INSERT INTO diary_entries (date, content, device_id) VALUES ('2024-05-01', 'A walk by the river', '${DEVICE}')`,
+    `INSERT INTO moods (date, mood, emoji, device_id) VALUES ('2024-05-01', 'calm', '😌', '${DEVICE}')`
+];
+
+// Run the migrations while listening for the ones that were needed
+const initCountingMigrations = async () => {
+    const ran = [];
+    const log = console.log;
+    console.log = (message) => {
+        if (String(message).startsWith('Running migration: ')) {
+            ran.push(message);
+        }
+    };
+    try {
+        await setupDatabase();
+    } finally {
+        console.log = log;
+    }
+    return ran;
+};
+
+let getAll;
+let runQuery;
+
+before(async () => {
+    const oldDb = new sqlite3.Database(process.env.DB_PATH);
+    for (const sql of OLD_SCHEMA) {
+        await new Promise((resolve, reject) => oldDb.run(sql, error => (error ? reject(error) : resolve())));
+    }
+    await new Promise(resolve => oldDb.close(resolve));
+
+    ({ getAll, runQuery } = require('../database/connection'));
+});
+
+after(removeDataDir);
+
+const columns = async (table) => (await getAll(`PRAGMA table_info(${table})`)).map(column => column.name);
+
+test('upgrades a database from the first releases and keeps its data', async () => {
+    assert.ok((await initCountingMigrations()).length > 0);
+
+    assert.ok((await columns('diary_entries')).includes('version'));
+    assert.ok((await columns('moods')).includes('version'));
+    assert.ok((await columns('moods')).includes('intensity'));
+
+    const [entry] = await getAll('SELECT content, version FROM diary_entries WHERE device_id = ?', [DEVICE]);
+    assert.deepStrictEqual({ ...entry }, { content: 'A walk by the river', version: 1 });
+    const [mood] = await getAll('SELECT mood, intensity, version FROM moods WHERE device_id = ?', [DEVICE]);
+    assert.deepStrictEqual({ ...mood }, { mood: 'calm', intensity: 3, version: 1 });
+
+    const triggers = (await getAll("SELECT name FROM sqlite_master WHERE type = 'trigger'")).map(row => row.name);
+    for (const trigger of ['entries_fts_update', 'sync_moods_delete', 'attachments_entry_delete']) {
+        assert.ok(triggers.includes(trigger), `missing trigger ${trigger}`);
+    }
+
+    const found = await getAll("SELECT rowid FROM entries_fts WHERE entries_fts MATCH 'river'");
+    assert.strictEqual(found.length, 1);
+});
+
+test('upgraded days take more than one entry and mood', async () => {
+    await runQuery(`INSERT INTO diary_entries (date, content, device_id) VALUES ('2024-05-01', 'Evening', ?)`, [DEVICE]);
+    await runQuery(`INSERT INTO moods (date, mood, emoji, device_id) VALUES ('2024-05-01', 'tired', '😴', ?)`, [DEVICE]);
+
+    const entries = await getAll("SELECT id FROM diary_entries WHERE date = '2024-05-01'");
+    const moods = await getAll("SELECT id FROM moods WHERE date = '2024-05-01'");
+    assert.deepStrictEqual([entries.length, moods.length], [2, 2]);
+});
+
+test('a second start has nothing left to migrate', async () => {
+    assert.deepStrictEqual(await initCountingMigrations(), []);
+});
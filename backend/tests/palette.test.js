@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, startApp, request, removeDataDir } = require('./helpers');
+
+let app;
+
+before(async () => {
+    await setupDatabase();
+    app = await startApp({ '/api/mood': require('../routes/mood') });
+});
+
+after(async () => {
+    await app.close();
+    removeDataDir();
+});
+
+const addMood = (deviceId, body) => request(`${app.url}/api/mood/palette`, {
+    method: 'POST',
+    body: { color: '#123456', valence: 0, ...body },
+    headers: { 'X-Device-ID': deviceId }
+});
+
+const activeWith = async (deviceId, emoji) => {
+    const { body } = await request(`${app.url}/api/mood/palette`, { headers: { 'X-Device-ID': deviceId } });
+    return body.data.filter(mood => mood.emoji === emoji);
+};
+
+test('a new diary cannot add a mood whose emoji is one of the defaults', async () => {
+    const device = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+
+    const { status } = await addMood(device, { label: 'Glad', emoji: '😊' });
+    assert.strictEqual(status, 409);
+    assert.strictEqual((await activeWith(device, '😊')).length, 1);
+});
+
+test('the same mood added twice at once is only added once', async () => {
+    const device = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+
+    const statuses = (await Promise.all([
+        addMood(device, { label: 'Cosy', emoji: '🧸' }),
+        addMood(device, { label: 'Snug', emoji: '🧸' })
+    ])).map(response => response.status).sort();
+
+    assert.deepStrictEqual(statuses, [201, 409]);
+    assert.strictEqual((await activeWith(device, '🧸')).length, 1);
+});
+
+test('a mood cannot be changed to an emoji another active mood uses', async () => {
+    const device = 'cccccccc-cccc-4ccc-8ccc-cccccccccccc';
+    const { body } = await addMood(device, { label: 'Curious', emoji: '🧐' });
+
+    const taken = await request(`${app.url}/api/mood/palette/${body.data.id}`, {
+        method: 'PUT',
+        body: { emoji: '😊' },
+        headers: { 'X-Device-ID': device }
+    });
+    assert.strictEqual(taken.status, 409);
+
+    const missing = await request(`${app.url}/api/mood/palette/999999`, {
+        method: 'PUT',
+        body: { label: 'Nobody' },
+        headers: { 'X-Device-ID': device }
+    });
+    assert.strictEqual(missing.status, 404);
+});
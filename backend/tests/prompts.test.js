@@ -0,0 +1,48 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, startApp, request, removeDataDir } = require('./helpers');
+const { getAll } = require('../database/connection');
+
+const DEVICE = 'eeeeeeee-eeee-4eee-8eee-eeeeeeeeeeee';
+const headers = { 'X-Device-ID': DEVICE };
+
+let app;
+
+before(async () => {
+    await setupDatabase();
+    app = await startApp({ '/api/prompts': require('../routes/prompts') });
+});
+
+after(async () => {
+    await app.close();
+    removeDataDir();
+});
+
+const history = () => getAll('SELECT date, prompt_key FROM prompt_history WHERE device_id = ? ORDER BY date', [DEVICE]);
+
+test('looking up a day\'s prompt records nothing', async () => {
+    const first = await request(`${app.url}/api/prompts/today?date=2020-01-01`, { headers });
+    const again = await request(`${app.url}/api/prompts/today?date=2020-01-01`, { headers });
+
+    assert.strictEqual(first.status, 200);
+    assert.strictEqual(again.body.data.key, first.body.data.key);
+    assert.deepStrictEqual(await history(), []);
+});
+
+test('showing a day\'s prompt records it, and the day keeps it', async () => {
+    const shown = await request(`${app.url}/api/prompts/today`, { method: 'POST', body: { date: '2026-10-19' }, headers });
+    assert.strictEqual(shown.status, 200);
+    assert.deepStrictEqual(await history(), [{ date: '2026-10-19', prompt_key: shown.body.data.key }]);
+
+    const looked = await request(`${app.url}/api/prompts/today?date=2026-10-19`, { headers });
+    assert.strictEqual(looked.body.data.key, shown.body.data.key);
+
+    const shownAgain = await request(`${app.url}/api/prompts/today`, { method: 'POST', body: { date: '2026-10-19' }, headers });
+    assert.strictEqual(shownAgain.body.data.key, shown.body.data.key);
+    assert.strictEqual((await history()).length, 1);
+});
+
+test('rejects a malformed date', async () => {
+    const { status } = await request(`${app.url}/api/prompts/today`, { method: 'POST', body: { date: '19/10/2026' }, headers });
+    assert.strictEqual(status, 400);
+});
@@ -0,0 +1,43 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDataDir } = require('./helpers');
+const DiaryEntry = require('../models/DiaryEntry');
+const EntryRevision = require('../models/EntryRevision');
+
+const DEVICE = '88888888-8888-4888-8888-888888888888';
+
+before(setupDatabase);
+after(removeDataDir);
+
+const revisionLengths = async (date) => (await EntryRevision.getRevisionsByDate(date, DEVICE))
+    .map(revision => revision.length);
+
+test('edits within one writing session share a revision', async () => {
+    const entry = await DiaryEntry.createEntry('2026-10-01', 'First draft', DEVICE);
+    await DiaryEntry.updateEntryById(entry.id, 'First draft, longer', DEVICE);
+    await DiaryEntry.updateEntryById(entry.id, 'First draft, longer still', DEVICE);
+
+    assert.deepStrictEqual(await revisionLengths('2026-10-01'), ['First draft'.length]);
+});
+
+test('deleting most of a long entry keeps the text it replaced', async () => {
+    const entry = await DiaryEntry.createEntry('2026-10-02', 'Short start', DEVICE);
+    const long = 'A long day of writing. '.repeat(30).trim();
+    await DiaryEntry.updateEntryById(entry.id, long, DEVICE);
+    await DiaryEntry.updateEntryById(entry.id, 'Oops', DEVICE);
+
+    const revisions = await EntryRevision.getRevisionsByDate('2026-10-02', DEVICE);
+    assert.deepStrictEqual(revisions.map(revision => revision.length), [long.length, 'Short start'.length]);
+
+    const restored = await EntryRevision.getRevisionById(revisions[0].id, DEVICE);
+    assert.strictEqual(restored.content, long);
+});
+
+test('trimming a little of a long entry stays in the session revision', async () => {
+    const long = 'Another long day. '.repeat(30).trim();
+    const entry = await DiaryEntry.createEntry('2026-10-03', 'Start', DEVICE);
+    await DiaryEntry.updateEntryById(entry.id, long, DEVICE);
+    await DiaryEntry.updateEntryById(entry.id, long.slice(0, -40), DEVICE);
+
+    assert.deepStrictEqual(await revisionLengths('2026-10-03'), ['Start'.length]);
+});
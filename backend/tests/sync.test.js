@@ -0,0 +1,88 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { setupDatabase, removeDataDir } = require('./helpers');
+const { getAll } = require('../database/connection');
+const Mood = require('../models/Mood');
+const Sync = require('../models/Sync');
+
+const DEVICE = '99999999-9999-4999-8999-999999999999';
+
+before(setupDatabase);
+after(removeDataDir);
+
+let opCount = 0;
+
+// Apply one operation, queued now unless it says otherwise
+const apply = async (op) => {
+    opCount++;
+    const { results } = await Sync.sync(DEVICE, [
+        { opId: `op-${opCount}`, queuedAt: new Date().toISOString(), ...op }
+    ], null);
+    return results[0];
+};
+
+test('entry changes based on an old version are conflicts', async () => {
+    const created = await apply({ type: 'entry', action: 'create', date: '2026-10-05', content: 'first' });
+    assert.strictEqual(created.status, 'applied');
+
+    const mine = await apply({
+        type: 'entry', action: 'update', id: created.id, date: '2026-10-05', content: 'mine', baseVersion: created.entry.version
+    });
+    assert.strictEqual(mine.status, 'applied');
+
+    const stale = await apply({
+        type: 'entry', action: 'update', id: created.id, date: '2026-10-05', content: 'theirs', baseVersion: created.entry.version
+    });
+    assert.strictEqual(stale.status, 'conflict');
+    assert.strictEqual(stale.server.content, 'mine');
+});
+
+test('a mood change is judged by the version it was based on, not the client clock', async () => {
+    const mood = await Mood.createMood('2026-10-06', 'Happy', '😊', DEVICE);
+
+    // A client whose clock runs behind the server still deletes the mood it saw
+    const deleted = await apply({
+        type: 'mood', action: 'delete', id: mood.id, date: '2026-10-06',
+        baseVersion: mood.version, queuedAt: '2001-01-01T00:00:00Z'
+    });
+    assert.strictEqual(deleted.status, 'applied');
+    assert.strictEqual(await Mood.getMoodById(mood.id, DEVICE), undefined);
+});
+
+test('a mood changed elsewhere is left alone, whatever the client clock says', async () => {
+    const mood = await Mood.createMood('2026-10-07', 'Calm', '😌', DEVICE);
+    const changed = await Mood.updateMoodById(mood.id, 'Tired', '😴', DEVICE);
+    assert.strictEqual(changed.version, mood.version + 1);
+
+    const stale = await apply({
+        type: 'mood', action: 'delete', id: mood.id, date: '2026-10-07',
+        baseVersion: mood.version, queuedAt: '2099-01-01T00:00:00Z'
+    });
+    assert.strictEqual(stale.status, 'conflict');
+    assert.strictEqual(stale.server.mood, 'Tired');
+
+    const unbased = await apply({ type: 'mood', action: 'update', id: mood.id, date: '2026-10-07', mood: 'Calm', emoji: '😌' });
+    assert.strictEqual(unbased.status, 'conflict');
+    assert.strictEqual((await Mood.getMoodById(mood.id, DEVICE)).mood, 'Tired');
+});
+
+test('a retried operation returns its first result without applying again', async () => {
+    const op = { opId: 'retried', type: 'mood', action: 'create', date: '2026-10-08', mood: 'Proud', emoji: '😎', queuedAt: new Date().toISOString() };
+
+    const first = await Sync.sync(DEVICE, [op], null);
+    const retry = await Sync.sync(DEVICE, [op], null);
+
+    assert.deepStrictEqual(retry.results, first.results);
+    assert.strictEqual((await Mood.getMoodsByDate('2026-10-08', DEVICE)).length, 1);
+});
+
+test('a retry sent while the first try is being applied gets its result', async () => {
+    const op = { opId: 'op-retried', queuedAt: new Date().toISOString(), type: 'entry', action: 'create', date: '2026-10-08', content: 'once' };
+
+    const [first, retry] = await Promise.all([Sync.sync(DEVICE, [op], null), Sync.sync(DEVICE, [op], null)]);
+    assert.deepStrictEqual(retry.results, first.results);
+    assert.strictEqual(first.results[0].status, 'applied');
+
+    const entries = await getAll('SELECT id FROM diary_entries WHERE device_id = ? AND date = ?', [DEVICE, '2026-10-08']);
+    assert.strictEqual(entries.length, 1);
+});
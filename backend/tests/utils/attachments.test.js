@@ -0,0 +1,33 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const sharp = require('sharp');
+const { removeDataDir } = require('../helpers');
+const { ATTACHMENT_TYPES, detectAttachmentType, uploadFileName } = require('../../utils/attachments');
+
+after(removeDataDir);
+
+test('recognises PDFs and images by their bytes', async () => {
+    const pdf = await detectAttachmentType(Buffer.from('%PDF-1.7 notes'));
+    assert.strictEqual(pdf.mimeType, ATTACHMENT_TYPES.pdf.mimeType);
+
+    const png = await sharp({ create: { width: 4, height: 2, channels: 3, background: '#fff' } }).png().toBuffer();
+    const image = await detectAttachmentType(png);
+    assert.deepStrictEqual([image.mimeType, image.width, image.height], ['image/png', 4, 2]);
+
+    assert.strictEqual(await detectAttachmentType(Buffer.from('<svg></svg>')), null);
+});
+
+test('reports the upright size of rotated photos', async () => {
+    const jpeg = await sharp({ create: { width: 4, height: 2, channels: 3, background: '#fff' } })
+        .jpeg()
+        .withMetadata({ orientation: 6 })
+        .toBuffer();
+    const image = await detectAttachmentType(jpeg);
+    assert.deepStrictEqual([image.width, image.height], [2, 4]);
+});
+
+test('upload names are safe to show and match the real type', () => {
+    assert.strictEqual(uploadFileName('C:\\photos\\"beach" [1].png', '.jpg'), 'beach 1.jpg');
+    assert.strictEqual(uploadFileName(Buffer.from('café.pdf').toString('latin1'), '.pdf'), 'café.pdf');
+    assert.strictEqual(uploadFileName('', '.pdf'), 'attachment.pdf');
+});
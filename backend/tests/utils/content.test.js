@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+    MAX_CONTENT_LENGTH,
+    normalizeText,
+    countWords,
+    countCharacters,
+    validateContent,
+    validateMood,
+    validateMoodDetails
+} = require('../../utils/content');
+
+test('normalises newlines, control characters and composed forms', () => {
+    assert.strictEqual(normalizeText('  a\r\nb\rc\u0007\td  '), 'a\nb\nc\td');
+    assert.strictEqual(normalizeText('café'), 'café');
+});
+
+test('content must have something to say and stay within the limit', () => {
+    assert.strictEqual(validateContent('Dear diary'), null);
+    assert.match(validateContent(' \n\u0000 '), /required/);
+    assert.match(validateContent(42), /required/);
+    assert.match(validateContent('x'.repeat(MAX_CONTENT_LENGTH + 1)), /at most/);
+});
+
+test('moods need a label and an emoji, with optional valid details', () => {
+    assert.strictEqual(validateMood('Happy', '😊'), null);
+    assert.match(validateMood('Happy', ''), /required/);
+    assert.strictEqual(validateMoodDetails({ intensity: 5, time: '07:45', note: 'Sunny' }), null);
+    assert.strictEqual(validateMoodDetails({ intensity: null, time: null, note: null }), null);
+    assert.match(validateMoodDetails({ intensity: 6 }), /Intensity/);
+    assert.match(validateMoodDetails({ time: '7:45' }), /HH:MM/);
+    assert.match(validateMoodDetails({ note: 3 }), /text/);
+});
+
+test('counts words and characters without markup or attachment references', () => {
+    const content = "**Don't** stop — ![photo](attachment:7) 2 walks.";
+    assert.strictEqual(countWords(content), 4);
+    assert.strictEqual(countCharacters('  héllo ![x](attachment:1)'), 5);
+    assert.strictEqual(countWords(''), 0);
+});
@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { dateRegex, timeRegex, toSqlTimestamp, localDate, shiftDate, isValidTimeZone } = require('../../utils/dates');
+
+test('dates and times of day have one accepted form', () => {
+    assert.ok(dateRegex.test('2026-10-19'));
+    assert.ok(!dateRegex.test('2026-10-19T00:00:00Z'));
+    assert.ok(timeRegex.test('23:59'));
+    assert.ok(!timeRegex.test('24:00'));
+});
+
+test('timestamps are normalised to the stored UTC form', () => {
+    assert.strictEqual(toSqlTimestamp('2026-10-19T08:30:15.250Z'), '2026-10-19 08:30:15');
+    assert.strictEqual(toSqlTimestamp('2026-10-19T10:30:15+02:00'), '2026-10-19 08:30:15');
+    assert.strictEqual(toSqlTimestamp('2026-10-19 08:30:15'), '2026-10-19 08:30:15');
+    assert.strictEqual(toSqlTimestamp('not a time'), null);
+});
+
+test('an instant falls on the writer\'s own calendar day', () => {
+    const time = new Date('2026-10-19T23:30:00Z');
+    assert.strictEqual(localDate(time, 'UTC'), '2026-10-19');
+    assert.strictEqual(localDate(time, 'Asia/Tokyo'), '2026-10-20');
+    assert.strictEqual(localDate(time, 'Not/AZone'), '2026-10-19');
+});
+
+test('shifting by months keeps to the end of shorter months', () => {
+    assert.strictEqual(shiftDate('2026-03-31', { months: -1 }), '2026-02-28');
+    assert.strictEqual(shiftDate('2024-03-31', { months: -1 }), '2024-02-29');
+    assert.strictEqual(shiftDate('2026-12-31', { days: 1 }), '2027-01-01');
+    assert.strictEqual(shiftDate('2026-01-15', { months: -12, days: -15 }), '2024-12-31');
+});
+
+test('only known time zones are valid', () => {
+    assert.ok(isValidTimeZone('Europe/Paris'));
+    assert.ok(!isValidTimeZone('Mars/Olympus'));
+});
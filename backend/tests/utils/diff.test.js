@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { diffText, diffStats } = require('../../utils/diff');
+
+// Both sides of a diff can be rebuilt from its chunks
+const sides = (chunks) => ({
+    before: chunks.filter(chunk => chunk.op !== 'insert').map(chunk => chunk.text).join(''),
+    after: chunks.filter(chunk => chunk.op !== 'delete').map(chunk => chunk.text).join('')
+});
+
+test('diffs whole words and keeps the unchanged text around them', () => {
+    const chunks = diffText('I walked to the park today', 'I ran to the big park today');
+
+    assert.deepStrictEqual(chunks, [
+        { op: 'equal', text: 'I ' },
+        { op: 'delete', text: 'walked' },
+        { op: 'insert', text: 'ran' },
+        { op: 'equal', text: ' to the' },
+        { op: 'insert', text: ' big' },
+        { op: 'equal', text: ' park today' }
+    ]);
+    assert.deepStrictEqual(diffStats(chunks), { added: 2, removed: 1 });
+});
+
+test('rebuilds both versions from the chunks', () => {
+    const before = 'Morning:\ncoffee and a walk.\n\nEvening: reading';
+    const after = 'Morning:\ntea and a long walk.\n\nEvening: reading, then bed';
+    assert.deepStrictEqual(sides(diffText(before, after)), { before, after });
+});
+
+test('handles empty and identical texts', () => {
+    assert.deepStrictEqual(diffText('', 'New words'), [{ op: 'insert', text: 'New words' }]);
+    assert.deepStrictEqual(diffText('Same', 'Same'), [{ op: 'equal', text: 'Same' }]);
+    assert.deepStrictEqual(diffStats(diffText('Same', 'Same')), { added: 0, removed: 0 });
+});
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { entryEtag, parseIfMatch, ifMatchSatisfied } = require('../../utils/etag');
+
+const entry = { id: 12, version: 3 };
+
+test('an entry\'s tag names both the entry and its version', () => {
+    assert.strictEqual(entryEtag(entry), '"12.3"');
+    assert.notStrictEqual(entryEtag({ id: 13, version: 3 }), entryEtag(entry));
+});
+
+test('reads the tags of an If-Match header, weak or strong', () => {
+    assert.strictEqual(parseIfMatch(undefined), null);
+    assert.deepStrictEqual(parseIfMatch('"12.3", W/"14.1" ,'), ['"12.3"', '"14.1"']);
+});
+
+test('matches only when every entry is at a version the client has seen', () => {
+    assert.ok(ifMatchSatisfied(['"12.3"'], [entry]));
+    assert.ok(!ifMatchSatisfied(['"12.2"'], [entry]));
+    assert.ok(!ifMatchSatisfied(['"12.3"'], [entry, { id: 14, version: 1 }]));
+    assert.ok(ifMatchSatisfied(['*'], [entry]));
+    assert.ok(!ifMatchSatisfied(['*'], []));
+});
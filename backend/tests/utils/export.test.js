@@ -0,0 +1,54 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const { formatDayMarkdown, formatDayHtml, entryForExport, moodForExport } = require('../../utils/export');
+const { parseImport } = require('../../utils/importers');
+
+const day = {
+    date: '2026-10-19',
+    moods: [
+        { date: '2026-10-19', mood: 'Stressed', emoji: '😰', intensity: 4, time: '09:00', note: 'Deadline\nday', is_encrypted: 0 },
+        { date: '2026-10-19', mood: 'pdenc:v1:k:aXY=:Y3Q=', emoji: '🔒', intensity: 3, time: null, note: null, is_encrypted: 1 }
+    ],
+    entries: [
+        { date: '2026-10-19', content: 'Morning <notes>', created_at: '2026-10-19 08:15:00', is_encrypted: 0 },
+        { date: '2026-10-19', content: 'pdenc:v1:k:aXY=:Y3Q=', created_at: '2026-10-19 21:40:00', is_encrypted: 1 }
+    ]
+};
+
+test('a Markdown day reads back through the importer', () => {
+    const zip = new AdmZip();
+    zip.addFile('2026-10-19.md', Buffer.from(formatDayMarkdown(day, 1)));
+    const { items } = parseImport(zip.toBuffer());
+
+    const [mood, ...entries] = items;
+    assert.deepStrictEqual(
+        { emoji: mood.emoji, mood: mood.mood, intensity: mood.intensity, time: mood.time, note: mood.note },
+        { emoji: '😰', mood: 'Stressed', intensity: 4, time: '09:00', note: 'Deadline day' }
+    );
+    assert.deepStrictEqual(entries.map(entry => [entry.createdAt, entry.content]), [
+        ['2026-10-19 08:15:00', 'Morning <notes>'],
+        ['2026-10-19 21:40:00', '_🔒 Encrypted entry (kept in the JSON export)_']
+    ]);
+});
+
+test('the HTML day escapes content and leaves encrypted moods out', () => {
+    const html = formatDayHtml(day);
+
+    assert.ok(html.includes('Morning &lt;notes&gt;'));
+    assert.ok(html.includes('Monday, October 19, 2026'));
+    assert.ok(!html.includes('pdenc:'));
+    assert.strictEqual((html.match(/class="mood"/g) || []).length, 1);
+});
+
+test('JSON rows keep the ciphertext, flag it and drop device ids', () => {
+    const exported = entryForExport({ ...day.entries[1], device_id: 'secret', updated_at: '2026-10-19 21:41:00' });
+    assert.deepStrictEqual(exported, {
+        date: '2026-10-19',
+        content: 'pdenc:v1:k:aXY=:Y3Q=',
+        created_at: '2026-10-19 21:40:00',
+        updated_at: '2026-10-19 21:41:00',
+        encrypted: true
+    });
+    assert.ok(!('encrypted' in moodForExport(day.moods[0])));
+});
@@ -0,0 +1,63 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const AdmZip = require('adm-zip');
+const { parseImport } = require('../../utils/importers');
+
+const zipOf = (files) => {
+    const zip = new AdmZip();
+    Object.entries(files).forEach(([name, content]) => zip.addFile(name, Buffer.from(content)));
+    return zip.toBuffer();
+};
+
+// Make every file in an archive claim to expand to `size` bytes, in both
+// its local and its central directory header
+const declareSize = (buffer, size) => {
+    const patched = Buffer.from(buffer);
+    for (let offset = 0; offset < patched.length - 4; offset++) {
+        const signature = patched.readUInt32LE(offset);
+        if (signature === 0x04034b50) {
+            patched.writeUInt32LE(size, offset + 22);
+        } else if (signature === 0x02014b50) {
+            patched.writeUInt32LE(size, offset + 24);
+        }
+    }
+    return patched;
+};
+
+test('parses a Panda Diary JSON export', () => {
+    const { format, items } = parseImport(Buffer.from(JSON.stringify({
+        format: 'panda-diary-export',
+        entries: [{ date: '2026-10-01', content: 'Hello', created_at: '2026-10-01T09:30:00.000Z' }],
+        moods: [{ date: '2026-10-01', mood: 'Happy', emoji: '😊' }]
+    })));
+
+    assert.strictEqual(format, 'panda-diary');
+    assert.deepStrictEqual(items.map(item => item.type), ['mood', 'entry']);
+    assert.strictEqual(items[1].createdAt, '2026-10-01 09:30:00');
+});
+
+test('parses a zip of Markdown days, one entry per time heading', () => {
+    const { format, items } = parseImport(zipOf({
+        '2026-10-02.md': '# October 2, 2026\n\n## 08:15 UTC\nMorning\n\n## 21:40 UTC\nEvening',
+        '.DS_Store': 'ignored'
+    }));
+
+    assert.strictEqual(format, 'markdown');
+    assert.deepStrictEqual(items.map(item => [item.date, item.createdAt, item.content]), [
+        ['2026-10-02', '2026-10-02 08:15:00', 'Morning'],
+        ['2026-10-02', '2026-10-02 21:40:00', 'Evening']
+    ]);
+});
+
+test('stops inflating an archive that expands past the limit, whatever it declares', () => {
+    const bomb = declareSize(zipOf({
+        '2026-10-03.md': ' '.repeat(30 * 1024 * 1024),
+        '2026-10-04.md': ' '.repeat(30 * 1024 * 1024)
+    }), 1024);
+
+    assert.throws(() => parseImport(bomb), /expands to more than 50 MB/);
+});
+
+test('reports a broken JSON file in an archive by name', () => {
+    assert.throws(() => parseImport(zipOf({ 'diary.json': '{ not json' })), /diary\.json is not valid JSON/);
+});
@@ -0,0 +1,25 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { removeDataDir } = require('../helpers');
+const { AUDIO_TYPES, detectAudioType, validateTrack } = require('../../utils/music');
+
+after(removeDataDir);
+
+test('recognises uploads by their bytes, not their name', () => {
+    assert.strictEqual(detectAudioType(Buffer.from('ID3\x04\x00rest', 'latin1')), AUDIO_TYPES.mp3);
+    assert.strictEqual(detectAudioType(Buffer.from('RIFF\x00\x00\x00\x00WAVEfmt ', 'latin1')), AUDIO_TYPES.wav);
+    assert.strictEqual(detectAudioType(Buffer.from('\x00\x00\x00\x20ftypM4A ', 'latin1')), AUDIO_TYPES.m4a);
+    assert.strictEqual(detectAudioType(Buffer.from('%PDF-1.4', 'latin1')), null);
+});
+
+test('links must be web URLs', () => {
+    assert.strictEqual(validateTrack({ title: 'Song', url: 'https://example.com/song.mp3' }), null);
+    assert.strictEqual(validateTrack({ title: 'Song', url: 'javascript:alert(1)' }), 'Link must be an http(s) URL');
+    assert.strictEqual(validateTrack({ title: 'Song', url: 'file:///etc/passwd' }), 'Link must be an http(s) URL');
+});
+
+test('only the fields given are checked', () => {
+    assert.strictEqual(validateTrack({ artist: null }), null);
+    assert.match(validateTrack({ title: '   ' }), /^Title is required/);
+    assert.match(validateTrack({ artist: 'a'.repeat(201) }), /^Artist must be/);
+});
@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MAX_PALETTE_SIZE, DEFAULT_PALETTE, validatePaletteMood } = require('../../utils/palette');
+
+const mood = { label: 'Cosy', emoji: '🧸', color: '#A0b1C2', valence: 2 };
+
+test('the defaults are valid and have distinct emoji', () => {
+    DEFAULT_PALETTE.forEach(paletteMood => assert.strictEqual(validatePaletteMood(paletteMood), null));
+    assert.strictEqual(new Set(DEFAULT_PALETTE.map(paletteMood => paletteMood.emoji)).size, DEFAULT_PALETTE.length);
+    assert.ok(DEFAULT_PALETTE.length <= MAX_PALETTE_SIZE);
+});
+
+test('a new mood needs every field', () => {
+    assert.strictEqual(validatePaletteMood(mood), null);
+    assert.match(validatePaletteMood({ ...mood, label: ' ' }), /Label is required/);
+    assert.match(validatePaletteMood({ ...mood, color: 'red' }), /hex colour/);
+    assert.match(validatePaletteMood({ ...mood, valence: 6 }), /Valence/);
+    assert.match(validatePaletteMood({ label: 'Cosy' }), /Emoji is required/);
+});
+
+test('a change only checks the fields it sets', () => {
+    assert.strictEqual(validatePaletteMood({ color: '#123456' }, { partial: true }), null);
+    assert.match(validatePaletteMood({ valence: 1.5 }, { partial: true }), /Valence/);
+});
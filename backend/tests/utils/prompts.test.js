@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PROMPT_THEMES, moodTone, allPrompts, pickPrompt, validatePrompt } = require('../../utils/prompts');
+
+const DEVICE = 'ffffffff-ffff-4fff-8fff-ffffffffffff';
+const prompts = allPrompts([{ id: 7, text: 'What made you laugh?', theme: null }]);
+
+test('the latest mood sets the tone', () => {
+    assert.strictEqual(moodTone(null), 'neutral');
+    assert.strictEqual(moodTone(3), 'positive');
+    assert.strictEqual(moodTone(-3), 'negative');
+    assert.strictEqual(moodTone(1), 'neutral');
+});
+
+test('a day gets the same pick until something changes', () => {
+    const options = { deviceId: DEVICE, date: '2026-10-19', tone: 'neutral', shown: new Map() };
+    assert.strictEqual(pickPrompt(prompts, options).key, pickPrompt(prompts, { ...options }).key);
+});
+
+test('picks suit the tone, and custom prompts without a theme suit any', () => {
+    for (let day = 1; day <= 28; day++) {
+        const picked = pickPrompt(prompts, {
+            deviceId: DEVICE, date: `2026-02-${String(day).padStart(2, '0')}`, tone: 'negative', shown: new Map()
+        });
+        assert.ok(!picked.theme || ['comfort', 'reflection', 'gratitude', 'connection'].includes(picked.theme), picked.key);
+    }
+
+    const custom = allPrompts([{ id: 7, text: 'Anything', theme: null }]).filter(prompt => prompt.custom);
+    assert.strictEqual(pickPrompt(custom, { deviceId: DEVICE, date: '2026-10-19', tone: 'positive', shown: new Map() }).key, 'custom-7');
+});
+
+test('prompts not shown on other days come first, then the one shown longest ago', () => {
+    const comfort = prompts.filter(prompt => prompt.theme === 'comfort');
+    const shownAllBut = new Map(comfort.slice(1).map(prompt => [prompt.key, '2026-10-01']));
+    const options = { deviceId: DEVICE, date: '2026-10-19', tone: 'negative' };
+
+    assert.strictEqual(pickPrompt(comfort, { ...options, shown: shownAllBut }).key, comfort[0].key);
+
+    const shownAll = new Map(comfort.map((prompt, index) => [prompt.key, index === 2 ? '2026-09-01' : '2026-10-01']));
+    assert.strictEqual(pickPrompt(comfort, { ...options, shown: shownAll }).key, comfort[2].key);
+});
+
+test('custom prompts need text and, if any, a known theme', () => {
+    assert.strictEqual(validatePrompt({ text: 'Who helped you today?', theme: 'gratitude' }), null);
+    assert.match(validatePrompt({ text: ' ' }), /required/);
+    assert.match(validatePrompt({ text: 'Hi', theme: 'constructor' }), /Theme must be one of/);
+    assert.strictEqual(validatePrompt({ theme: null }, { partial: true }), null);
+    assert.ok(Object.keys(PROMPT_THEMES).length > 0);
+});
@@ -0,0 +1,22 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MATCH_START, MATCH_END, buildMatchQuery, highlightSnippet } = require('../../utils/search');
+const { escapeHtml } = require('../../utils/html');
+
+test('turns typed words, phrases and prefixes into quoted FTS5 terms', () => {
+    assert.strictEqual(buildMatchQuery('morning walk'), '"morning" "walk"');
+    assert.strictEqual(buildMatchQuery('"sunny morning" walk*'), '"sunny morning" "walk"*');
+    assert.strictEqual(buildMatchQuery("don't"), '"don t"');
+});
+
+test('leaves FTS5 syntax in the input without effect', () => {
+    assert.strictEqual(buildMatchQuery('walk OR NEAR(park) -rain ^x'), '"walk" "OR" "NEAR park" "rain" "x"');
+    assert.strictEqual(buildMatchQuery('*** ""'), null);
+});
+
+test('escapes snippets and marks only the matched terms', () => {
+    const snippet = `<b>a</b> ${MATCH_START}walk${MATCH_END} & more`;
+    assert.strictEqual(highlightSnippet(snippet), '&lt;b&gt;a&lt;/b&gt; <mark>walk</mark> &amp; more');
+    assert.strictEqual(highlightSnippet(null), '');
+    assert.strictEqual(escapeHtml(`"it's"`), '&quot;it&#39;s&quot;');
+});
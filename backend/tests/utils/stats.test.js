@@ -0,0 +1,238 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { periodOf, summarizeDays, findStreaks, moodStats, averageTimeOfDay, writingStats } = require('../../utils/stats');
+
+const mood = (date, emoji, intensity, extra = {}) => ({
+    date,
+    mood: { '😊': 'Happy', '😢': 'Sad', '😌': 'Calm' }[emoji],
+    emoji,
+    palette_id: null,
+    intensity,
+    is_encrypted: 0,
+    ...extra
+});
+
+test('weeks are ISO weeks, numbered by the year their Thursday is in', () => {
+    assert.deepStrictEqual(periodOf('2026-10-19', 'week'), { key: '2026-W43', start: '2026-10-19' });
+    assert.deepStrictEqual(periodOf('2026-10-25', 'week'), { key: '2026-W43', start: '2026-10-19' });
+    // 2026 starts on a Thursday, so its last week runs into 2027
+    assert.deepStrictEqual(periodOf('2027-01-01', 'week'), { key: '2026-W53', start: '2026-12-28' });
+    assert.deepStrictEqual(periodOf('2027-01-04', 'week'), { key: '2027-W01', start: '2027-01-04' });
+    // and 2025's first week starts in 2024
+    assert.deepStrictEqual(periodOf('2024-12-30', 'week'), { key: '2025-W01', start: '2024-12-30' });
+    assert.deepStrictEqual(periodOf('2026-10-19', 'month'), { key: '2026-10', start: '2026-10-01' });
+});
+
+test('a day\'s main mood is its strongest, the later of equally strong ones', () => {
+    const days = summarizeDays([
+        mood('2026-10-20', '😢', 2),
+        mood('2026-10-19', '😊', 3),
+        mood('2026-10-19', '😢', 5),
+        mood('2026-10-19', '😌', 5),
+        mood('2026-10-19', '😊', 1, { is_encrypted: 1 })
+    ]);
+
+    assert.deepStrictEqual(days.map(day => day.date), ['2026-10-19', '2026-10-20']);
+    assert.strictEqual(days[0].emoji, '😌');
+    assert.strictEqual(days[0].moods, 4);
+    assert.strictEqual(days[0].encrypted, 1);
+    assert.strictEqual(days[0].averageIntensity, 4.3);
+});
+
+test('days with only encrypted moods keep the last one', () => {
+    const [day] = summarizeDays([
+        mood('2026-10-19', null, null, { is_encrypted: 1, mood: 'first' }),
+        mood('2026-10-19', null, null, { is_encrypted: 1, mood: 'last' })
+    ]);
+    assert.strictEqual(day.mood, 'last');
+    assert.strictEqual(day.is_encrypted, 1);
+    assert.strictEqual(day.averageIntensity, null);
+});
+
+test('a streak runs across month ends and stops at a missing day or a new key', () => {
+    const days = ['2026-10-30', '2026-10-31', '2026-11-01', '2026-11-03', '2026-11-04']
+        .map((date, index) => ({ date, emoji: index === 4 ? '😢' : '😊' }));
+
+    assert.deepStrictEqual(findStreaks(days, day => day.emoji), [
+        { key: '😊', length: 3, start: '2026-10-30', end: '2026-11-01' },
+        { key: '😊', length: 1, start: '2026-11-03', end: '2026-11-03' },
+        { key: '😢', length: 1, start: '2026-11-04', end: '2026-11-04' }
+    ]);
+    assert.deepStrictEqual(findStreaks(days).map(run => run.length), [3, 2]);
+    assert.deepStrictEqual(findStreaks([]), []);
+});
+
+const moods = [
+    mood('2026-10-19', '😊', 4),
+    mood('2026-10-20', '😊', 2),
+    mood('2026-10-21', '😢', 3),
+    mood('2026-10-26', '😊', 5),
+    mood('2026-10-27', null, null, { is_encrypted: 1 })
+];
+const days = [
+    { date: '2026-10-19', entries: 1, words: 100, encrypted: false },
+    { date: '2026-10-20', entries: 1, words: 0, encrypted: true },
+    { date: '2026-10-21', entries: 2, words: 10, encrypted: false }
+];
+
+test('moods are counted per period and weekday, leaving encrypted ones out', () => {
+    const stats = moodStats(moods, days);
+
+    assert.strictEqual(stats.days, 4);
+    assert.strictEqual(stats.moods, 4);
+    assert.strictEqual(stats.encrypted, 1);
+    assert.deepStrictEqual(stats.distribution.map(({ emoji, count, share }) => [emoji, count, share]), [['😊', 3, 75], ['😢', 1, 25]]);
+
+    assert.deepStrictEqual(stats.periods.map(({ period, start, days: count }) => [period, start, count]), [
+        ['2026-W43', '2026-10-19', 3],
+        ['2026-W44', '2026-10-26', 1]
+    ]);
+    assert.deepStrictEqual(moodStats(moods, days, { period: 'month' }).periods.map(item => item.period), ['2026-10']);
+
+    const [monday, tuesday, wednesday, thursday] = stats.weekdays;
+    assert.strictEqual(stats.weekdays.length, 7);
+    assert.deepStrictEqual([monday.weekday, monday.days, monday.averageIntensity], ['Monday', 2, 4.5]);
+    assert.deepStrictEqual([tuesday.days, tuesday.moods.map(item => item.emoji)], [1, ['😊']]);
+    assert.deepStrictEqual(wednesday.moods.map(item => item.emoji), ['😢']);
+    assert.deepStrictEqual([thursday.days, thursday.averageIntensity, thursday.moods], [0, null, []]);
+});
+
+test('mood streaks follow each day\'s main mood', () => {
+    const { streaks } = moodStats(moods, days);
+
+    assert.deepStrictEqual(streaks.latest, { emoji: '😊', length: 1, start: '2026-10-26', end: '2026-10-26', mood: 'Happy' });
+    assert.deepStrictEqual(streaks.longest.map(({ emoji, length, start }) => [emoji, length, start]), [
+        ['😊', 2, '2026-10-19'],
+        ['😢', 1, '2026-10-21']
+    ]);
+});
+
+test('the mood filter only reports that mood\'s streaks', () => {
+    const sad = moodStats(moods, days, { mood: '😢' });
+    assert.strictEqual(sad.streaks.latest, null);
+    assert.deepStrictEqual(sad.streaks.longest.map(run => run.emoji), ['😢']);
+    // Everything but the streaks still covers every mood
+    assert.strictEqual(sad.distribution.length, 2);
+
+    const happy = moodStats(moods, days, { mood: '😊' });
+    assert.strictEqual(happy.streaks.latest.start, '2026-10-26');
+    assert.deepStrictEqual(happy.streaks.longest.map(run => run.length), [2]);
+});
+
+test('entry lengths are averaged over the days with readable entries', () => {
+    const { entryLength } = moodStats(moods, days);
+
+    assert.strictEqual(entryLength.averageWords, 55);
+    assert.strictEqual(entryLength.daysWritten, 2);
+    assert.deepStrictEqual(entryLength.moods.map(({ emoji, days: count, daysWritten, averageWords }) => [emoji, count, daysWritten, averageWords]), [
+        ['😊', 3, 1, 100],
+        ['😢', 1, 1, 10]
+    ]);
+});
+
+test('no moods gives empty stats rather than failing', () => {
+    const stats = moodStats([], []);
+    assert.strictEqual(stats.averageIntensity, null);
+    assert.deepStrictEqual(stats.distribution, []);
+    assert.strictEqual(stats.streaks.latest, null);
+    assert.strictEqual(stats.entryLength.averageWords, 0);
+});
+
+test('entry length is correlated with intensity and the palette\'s valence', () => {
+    const rated = [
+        mood('2026-10-19', '😊', 5, { palette_id: 1 }),
+        mood('2026-10-20', '😢', 1, { palette_id: 2 }),
+        // Saved before the diary had a palette, so matched by emoji
+        mood('2026-10-21', '😊', 4),
+        mood('2026-10-22', '😌', 2, { palette_id: 3 }),
+        // Not written about, so left out
+        mood('2026-10-23', '😢', 3, { palette_id: 2 })
+    ];
+    const written = [['2026-10-19', 200], ['2026-10-20', 20], ['2026-10-21', 60], ['2026-10-22', 50]]
+        .map(([date, words]) => ({ date, entries: 1, words, encrypted: false }));
+    const palette = [
+        { id: 1, emoji: '😊', valence: 3, retired_at: null },
+        { id: 2, emoji: '😢', valence: -3, retired_at: null },
+        { id: 3, emoji: '😌', valence: 2, retired_at: '2026-10-01 00:00:00' }
+    ];
+
+    assert.deepStrictEqual(moodStats(rated, written, { palette }).entryLength.correlation, { days: 4, intensity: 0.84, valence: 0.59 });
+    // Without a palette there is no valence to go by
+    assert.strictEqual(moodStats(rated, written).entryLength.correlation.valence, null);
+    // Two days can't show a trend
+    assert.deepStrictEqual(moodStats(moods, days).entryLength.correlation, { days: 2, intensity: null, valence: null });
+});
+
+test('times of day are averaged around the clock face', () => {
+    assert.strictEqual(averageTimeOfDay([23 * 60, 60]), '00:00');
+    assert.strictEqual(averageTimeOfDay([23 * 60 + 30, 30, 90]), '00:30');
+    assert.strictEqual(averageTimeOfDay([9 * 60, 11 * 60]), '10:00');
+    // Opposite times have no mean
+    assert.strictEqual(averageTimeOfDay([0, 12 * 60]), null);
+    assert.strictEqual(averageTimeOfDay([]), null);
+});
+
+let nextId = 1;
+const entry = (date, content, created_at, updated_at = created_at, extra = {}) => ({
+    id: nextId++, date, content, is_encrypted: 0, created_at, updated_at, ...extra
+});
+
+test('writing times are read in the writer\'s time zone', () => {
+    const entries = [
+        entry('2026-10-19', 'late night words', '2026-10-19 23:30:00', '2026-10-20 00:10:00'),
+        entry('2026-10-20', 'and again', '2026-10-20 22:30:00', '2026-10-20 23:50:00')
+    ];
+
+    const utc = writingStats(entries, { timeZone: 'UTC', today: '2026-10-20' });
+    assert.strictEqual(utc.timeOfDay.averageStarted, '23:00');
+    assert.strictEqual(utc.timeOfDay.averageLastEdited, '00:00');
+    assert.strictEqual(utc.timeOfDay.hours[23], 1);
+
+    const tokyo = writingStats(entries, { timeZone: 'Asia/Tokyo', today: '2026-10-20' });
+    assert.strictEqual(tokyo.timeOfDay.averageStarted, '08:00');
+    assert.deepStrictEqual([tokyo.timeOfDay.hours[7], tokyo.timeOfDay.hours[8]], [1, 1]);
+});
+
+test('words are counted per entry and month, leaving encrypted entries out', () => {
+    const stats = writingStats([
+        entry('2026-11-01', 'one two three', '2026-11-01 09:00:00'),
+        entry('2026-10-31', 'one two', '2026-10-31 09:00:00'),
+        entry('2026-10-31', 'ciphertext', '2026-10-31 10:00:00', undefined, { is_encrypted: 1 })
+    ], { timeZone: 'UTC', today: '2026-11-01' });
+
+    assert.deepStrictEqual(stats.totals, { entries: 3, days: 2, words: 5, characters: 20, encrypted: 1, averageWords: 3 });
+    assert.deepStrictEqual(stats.months, [
+        { month: '2026-10', entries: 2, days: 1, words: 2, encrypted: 1 },
+        { month: '2026-11', entries: 1, days: 1, words: 3, encrypted: 0 }
+    ]);
+    assert.deepStrictEqual(stats.entries.map(item => item.words), [2, null, 3]);
+});
+
+const writtenOn = (dates) => dates.map(date => entry(date, 'words', `${date} 12:00:00`));
+
+test('a streak is current while it reaches today or yesterday', () => {
+    const dates = ['2026-10-10', '2026-10-11', '2026-10-12', '2026-10-17', '2026-10-18'];
+
+    const today = writingStats(writtenOn(dates), { timeZone: 'UTC', today: '2026-10-18' });
+    assert.deepStrictEqual(today.streaks.current, { length: 2, start: '2026-10-17', end: '2026-10-18' });
+    assert.deepStrictEqual(today.streaks.longest, { length: 3, start: '2026-10-10', end: '2026-10-12' });
+
+    const yesterday = writingStats(writtenOn(dates), { timeZone: 'UTC', today: '2026-10-19' });
+    assert.strictEqual(yesterday.streaks.current.length, 2);
+
+    const lapsed = writingStats(writtenOn(dates), { timeZone: 'UTC', today: '2026-10-20' });
+    assert.strictEqual(lapsed.streaks.current, null);
+    assert.strictEqual(lapsed.streaks.longest.length, 3);
+
+    const empty = writingStats([], { timeZone: 'UTC', today: '2026-10-20' });
+    assert.deepStrictEqual(empty.streaks, { current: null, longest: null });
+});
+
+test('entries dated ahead of today count only up to today', () => {
+    const ahead = writingStats(writtenOn(['2026-10-18', '2026-10-19', '2026-10-20', '2026-10-21']), { timeZone: 'UTC', today: '2026-10-19' });
+    assert.deepStrictEqual(ahead.streaks.current, { length: 2, start: '2026-10-18', end: '2026-10-19' });
+
+    // A run that is all in the future isn't current
+    const future = writingStats(writtenOn(['2026-10-25', '2026-10-26']), { timeZone: 'UTC', today: '2026-10-19' });
+    assert.strictEqual(future.streaks.current, null);
+});
@@ -0,0 +1,28 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { MAX_TAG_LENGTH, normalizeTag, extractTags, validateTag } = require('../../utils/tags');
+
+test('finds hashtags once each, in lower case, in the order they appear', () => {
+    assert.deepStrictEqual(
+        extractTags('A #Work day, then #family_time and more #work. #Café\\_Trip'),
+        ['work', 'family_time', 'café_trip']
+    );
+});
+
+test('ignores things that only look like hashtags', () => {
+    const content = [
+        '# Heading',
+        'Issue #42 and C#',
+        'https://example.com/page#section',
+        '[link](#anchor) &#39; \\#escaped'
+    ].join('\n');
+    assert.deepStrictEqual(extractTags(content), []);
+    assert.deepStrictEqual(extractTags(`#${'a'.repeat(MAX_TAG_LENGTH + 1)}`), []);
+});
+
+test('filters accept a tag with or without its #', () => {
+    assert.strictEqual(normalizeTag(' #Health '), 'health');
+    assert.strictEqual(validateTag('#health'), null);
+    assert.match(validateTag('2024'), /including a letter/);
+    assert.match(validateTag('two words'), /letters, digits/);
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { STARTER_TEMPLATES, validateTemplate } = require('../../utils/templates');
+
+test('the starter templates are valid', () => {
+    STARTER_TEMPLATES.forEach(template => assert.strictEqual(validateTemplate(template), null));
+});
+
+test('only the placeholders the browser fills in are allowed', () => {
+    assert.strictEqual(validateTemplate({ name: 'Day', content: '{{ weekday }}, {{date}}: {{mood}}' }), null);
+    assert.match(validateTemplate({ name: 'Day', content: 'Hi {{name}}' }), /Unknown placeholder \{\{name\}\}/);
+    assert.match(validateTemplate({ name: 'Day', content: '{{constructor}}' }), /Unknown placeholder/);
+});
+
+test('weekdays are distinct days of the week and optional', () => {
+    assert.strictEqual(validateTemplate({ name: 'Weekend', content: 'Rest', weekdays: [0, 6] }), null);
+    assert.match(validateTemplate({ name: 'Weekend', content: 'Rest', weekdays: [6, 6] }), /distinct days/);
+    assert.match(validateTemplate({ name: 'Weekend', content: 'Rest', weekdays: [7] }), /distinct days/);
+});
+
+test('a change only checks the fields it sets', () => {
+    assert.strictEqual(validateTemplate({ weekdays: [1] }, { partial: true }), null);
+    assert.match(validateTemplate({ name: '' }, { partial: true }), /Name is required/);
+    assert.match(validateTemplate({ content: 'No name' }), /Name is required/);
+});
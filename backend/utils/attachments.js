@@ -0,0 +1,110 @@
+// Files attached to diary days. Uploads are identified by their content (never
+// the name or the type the browser claims) and kept next to the database:
+//   <DB_PATH dir>/attachments/<storage key>
+//   <DB_PATH dir>/attachments/thumbnails/<storage key>.webp
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { dbPath } = require('../database/connection');
+const { normalizeText } = require('./content');
+
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const MAX_ATTACHMENTS_PER_DAY = 20;
+const THUMBNAIL_SIZE = 320;
+
+// What can be attached, by the format sharp (or the PDF header) reports
+const ATTACHMENT_TYPES = {
+    jpeg: { mimeType: 'image/jpeg', extension: '.jpg', image: true },
+    png: { mimeType: 'image/png', extension: '.png', image: true },
+    gif: { mimeType: 'image/gif', extension: '.gif', image: true },
+    webp: { mimeType: 'image/webp', extension: '.webp', image: true },
+    pdf: { mimeType: 'application/pdf', extension: '.pdf', image: false }
+};
+
+const ATTACHMENTS_DIR = path.join(path.dirname(dbPath), 'attachments');
+const THUMBNAILS_DIR = path.join(ATTACHMENTS_DIR, 'thumbnails');
+
+const attachmentPath = (storageKey) => path.join(ATTACHMENTS_DIR, storageKey);
+const thumbnailPath = (storageKey) => path.join(THUMBNAILS_DIR, `${storageKey}.webp`);
+
+// The attachment type of a file's bytes, or null when it isn't one we accept.
+// Images also report their upright size (EXIF orientation applied).
+const detectAttachmentType = async (buffer) => {
+    if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+        return { ...ATTACHMENT_TYPES.pdf, width: null, height: null };
+    }
+
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        return null;
+    }
+
+    const type = ATTACHMENT_TYPES[metadata.format];
+    if (!type || !type.image) {
+        return null;
+    }
+
+    const rotated = metadata.orientation >= 5;
+    return {
+        ...type,
+        width: rotated ? metadata.height : metadata.width,
+        height: rotated ? metadata.width : metadata.height
+    };
+};
+
+// The name an upload is shown and downloaded under: the uploaded file's
+// base name, without characters that would break a Content-Disposition
+// header or a Markdown link, and with an extension matching its real type.
+// Multer decodes multipart file names as latin1, so they are re-read as UTF-8.
+const uploadFileName = (originalName, extension, fallback = 'attachment') => {
+    const name = Buffer.from(String(originalName || ''), 'latin1').toString('utf8');
+    const base = normalizeText(name.split(/[\\/]/).pop())
+        .replace(/["[\]]/g, '')
+        .replace(/\.[^.]*$/, '')
+        .slice(0, 100);
+    return `${base || fallback}${extension}`;
+};
+
+// Write an upload (and, for images, its thumbnail) and return its storage key
+const storeAttachment = async (buffer, type) => {
+    const storageKey = `${uuidv4()}${type.extension}`;
+
+    await fs.promises.mkdir(THUMBNAILS_DIR, { recursive: true });
+    await fs.promises.writeFile(attachmentPath(storageKey), buffer);
+
+    if (type.image) {
+        try {
+            await sharp(buffer)
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 75 })
+                .toFile(thumbnailPath(storageKey));
+        } catch (error) {
+            await removeAttachmentFiles(storageKey);
+            throw new Error(`Could not create thumbnail: ${error.message}`);
+        }
+    }
+
+    return storageKey;
+};
+
+const removeAttachmentFiles = async (storageKey) => {
+    for (const file of [attachmentPath(storageKey), thumbnailPath(storageKey)]) {
+        await fs.promises.rm(file, { force: true });
+    }
+};
+
+module.exports = {
+    MAX_ATTACHMENT_BYTES,
+    MAX_ATTACHMENTS_PER_DAY,
+    ATTACHMENT_TYPES,
+    attachmentPath,
+    thumbnailPath,
+    detectAttachmentType,
+    uploadFileName,
+    storeAttachment,
+    removeAttachmentFiles
+};
@@ -0,0 +1,100 @@
+// Validation and normalisation of what users write. Content is stored as
+// Markdown text and only ever rendered escaped, so nothing is stripped here
+// beyond characters no editor produces.
+const { timeRegex } = require('./dates');
+
+const MAX_CONTENT_LENGTH = 200000;
+const MAX_MOOD_LENGTH = 500;
+const MAX_EMOJI_LENGTH = 16;
+const MAX_NOTE_LENGTH = 1000;
+
+// How strongly a mood was felt; moods logged without one count as middling
+const MIN_INTENSITY = 1;
+const MAX_INTENSITY = 5;
+const DEFAULT_INTENSITY = 3;
+
+// Control characters other than tab and newline
+const CONTROL_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+// Unix newlines, no control characters, NFC, no surrounding whitespace
+const normalizeText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(CONTROL_CHARACTERS, '')
+    .normalize('NFC')
+    .trim();
+
+// Describe what is wrong with entry content, or return null when it is valid
+const validateContent = (content) => {
+    if (typeof content !== 'string' || !normalizeText(content)) {
+        return 'Content is required';
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+        return `Content must be at most ${MAX_CONTENT_LENGTH} characters`;
+    }
+    return null;
+};
+
+// Describe what is wrong with a mood, or return null when it is valid
+const validateMood = (mood, emoji) => {
+    if (typeof mood !== 'string' || typeof emoji !== 'string' || !normalizeText(mood) || !normalizeText(emoji)) {
+        return 'Mood and emoji are required';
+    }
+    if (mood.length > MAX_MOOD_LENGTH) {
+        return `Mood must be at most ${MAX_MOOD_LENGTH} characters`;
+    }
+    if (emoji.length > MAX_EMOJI_LENGTH) {
+        return `Emoji must be at most ${MAX_EMOJI_LENGTH} characters`;
+    }
+    return null;
+};
+
+// Describe what is wrong with a mood's intensity, time or note (all
+// optional), or return null when they are valid
+const validateMoodDetails = ({ intensity, time, note }) => {
+    if (intensity !== undefined && intensity !== null
+        && !(Number.isInteger(intensity) && intensity >= MIN_INTENSITY && intensity <= MAX_INTENSITY)) {
+        return `Intensity must be a whole number from ${MIN_INTENSITY} to ${MAX_INTENSITY}`;
+    }
+    if (time !== undefined && time !== null && !(typeof time === 'string' && timeRegex.test(time))) {
+        return 'Time must be in HH:MM format';
+    }
+    if (note !== undefined && note !== null) {
+        if (typeof note !== 'string') {
+            return 'Note must be text';
+        }
+        if (note.length > MAX_NOTE_LENGTH) {
+            return `Note must be at most ${MAX_NOTE_LENGTH} characters`;
+        }
+    }
+    return null;
+};
+
+const ATTACHMENT_REFERENCES = /!?\[[^\]]*\]\(attachment:\d+\)/g;
+
+// Words in Markdown content: runs of letters and digits (so markup and
+// punctuation don't count), leaving out attachment references
+const countWords = (content) => {
+    const words = String(content || '')
+        .replace(ATTACHMENT_REFERENCES, ' ')
+        .match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu);
+    return words ? words.length : 0;
+};
+
+// Characters (code points, spaces included) without attachment references
+const countCharacters = (content) => [...String(content || '').replace(ATTACHMENT_REFERENCES, '').trim()].length;
+
+module.exports = {
+    MAX_CONTENT_LENGTH,
+    MAX_MOOD_LENGTH,
+    MAX_EMOJI_LENGTH,
+    MAX_NOTE_LENGTH,
+    MIN_INTENSITY,
+    MAX_INTENSITY,
+    DEFAULT_INTENSITY,
+    normalizeText,
+    countWords,
+    countCharacters,
+    validateContent,
+    validateMood,
+    validateMoodDetails
+};
@@ -0,0 +1,62 @@
+// Diary dates are calendar days in YYYY-MM-DD form, shared by every route
+// that takes a date so imports and the API agree on what is valid
+const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
+
+// A local time of day, "HH:MM" (when a mood was felt)
+const timeRegex = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// SQLite's CURRENT_TIMESTAMP format (UTC, no zone marker)
+const sqlTimestampRegex = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/;
+
+// Normalise an ISO string (or a stored timestamp) to the stored format; null if unparseable
+const toSqlTimestamp = (value) => {
+    if (typeof value === 'string' && sqlTimestampRegex.test(value)) {
+        return value;
+    }
+    const time = new Date(value);
+    return Number.isNaN(time.getTime()) ? null : time.toISOString().replace('T', ' ').slice(0, 19);
+};
+
+// The calendar day an instant falls on in the writer's time zone
+const localDate = (time, timeZone) => {
+    try {
+        return new Intl.DateTimeFormat('en-CA', {
+            timeZone: timeZone || 'UTC',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit'
+        }).format(time);
+    } catch (error) {
+        // Unknown time zone
+        return time.toISOString().slice(0, 10);
+    }
+};
+
+// Move a YYYY-MM-DD date by whole months, then days. A month without the
+// day lands on its last day (March 31 less a month is February 28 or 29).
+const shiftDate = (date, { months = 0, days = 0 } = {}) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const shifted = new Date(Date.UTC(year, month - 1 + months, 1));
+    const monthLength = new Date(Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, 0)).getUTCDate();
+    shifted.setUTCDate(Math.min(day, monthLength) + days);
+    return shifted.toISOString().slice(0, 10);
+};
+
+// Whether Intl knows an IANA time zone name such as 'Europe/Paris'
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+module.exports = {
+    dateRegex,
+    timeRegex,
+    toSqlTimestamp,
+    localDate,
+    shiftDate,
+    isValidTimeZone
+};
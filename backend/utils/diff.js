@@ -0,0 +1,124 @@
+// Word-level text diff used to compare entry revisions.
+// Produces a list of { op: 'equal' | 'insert' | 'delete', text } chunks.
+
+// Largest LCS table we are willing to build (cells); beyond this we diff by line
+const MAX_TABLE_CELLS = 4000000;
+
+// Split into words while keeping the whitespace so chunks join back losslessly
+const tokenizeWords = (text) => text.split(/(\s+)/).filter(token => token.length > 0);
+
+const tokenizeLines = (text) => text.split(/(\n)/).filter(token => token.length > 0);
+
+// Longest-common-subsequence diff of two token arrays
+const diffTokens = (a, b) => {
+    const n = a.length;
+    const m = b.length;
+    const width = m + 1;
+    const table = new Uint32Array((n + 1) * width);
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            table[i * width + j] = a[i] === b[j]
+                ? table[(i + 1) * width + j + 1] + 1
+                : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (a[i] === b[j]) {
+            ops.push({ op: 'equal', text: a[i] });
+            i++;
+            j++;
+        } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+            ops.push({ op: 'delete', text: a[i] });
+            i++;
+        } else {
+            ops.push({ op: 'insert', text: b[j] });
+            j++;
+        }
+    }
+    while (i < n) ops.push({ op: 'delete', text: a[i++] });
+    while (j < m) ops.push({ op: 'insert', text: b[j++] });
+
+    return ops;
+};
+
+// Merge neighbouring chunks with the same op
+const mergeChunks = (ops) => {
+    const merged = [];
+    ops.forEach(chunk => {
+        const last = merged[merged.length - 1];
+        if (last && last.op === chunk.op) {
+            last.text += chunk.text;
+        } else {
+            merged.push({ ...chunk });
+        }
+    });
+    return merged;
+};
+
+const diffText = (oldText = '', newText = '') => {
+    // Trim the common prefix and suffix; autosave edits are usually small
+    let start = 0;
+    while (start < oldText.length && start < newText.length && oldText[start] === newText[start]) {
+        start++;
+    }
+    // Back up to a word boundary so the changed region holds whole words
+    while (start > 0 && !/\s/.test(oldText[start - 1])) {
+        start--;
+    }
+
+    let oldEnd = oldText.length;
+    let newEnd = newText.length;
+    while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+    while (oldEnd < oldText.length && !/\s/.test(oldText[oldEnd])) {
+        oldEnd++;
+        newEnd++;
+    }
+
+    const oldMiddle = oldText.slice(start, oldEnd);
+    const newMiddle = newText.slice(start, newEnd);
+
+    let a = tokenizeWords(oldMiddle);
+    let b = tokenizeWords(newMiddle);
+    if ((a.length + 1) * (b.length + 1) > MAX_TABLE_CELLS) {
+        a = tokenizeLines(oldMiddle);
+        b = tokenizeLines(newMiddle);
+    }
+
+    let ops;
+    if ((a.length + 1) * (b.length + 1) > MAX_TABLE_CELLS) {
+        // Too large to diff finely; report it as a full replacement
+        ops = [{ op: 'delete', text: oldMiddle }, { op: 'insert', text: newMiddle }];
+    } else {
+        ops = diffTokens(a, b);
+    }
+
+    const chunks = [];
+    if (start > 0) chunks.push({ op: 'equal', text: oldText.slice(0, start) });
+    chunks.push(...ops.filter(chunk => chunk.text.length > 0));
+    if (oldEnd < oldText.length) chunks.push({ op: 'equal', text: oldText.slice(oldEnd) });
+
+    return mergeChunks(chunks);
+};
+
+// Count added and removed words in a diff
+const diffStats = (chunks) => {
+    const countWords = (text) => (text.match(/\S+/g) || []).length;
+    return chunks.reduce((stats, chunk) => {
+        if (chunk.op === 'insert') stats.added += countWords(chunk.text);
+        if (chunk.op === 'delete') stats.removed += countWords(chunk.text);
+        return stats;
+    }, { added: 0, removed: 0 });
+};
+
+module.exports = {
+    diffText,
+    diffStats
+};
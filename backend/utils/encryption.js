@@ -0,0 +1,28 @@
+// Entries and moods can be encrypted in the browser before they are sent
+// (see script.js). The server never sees the key; it only recognises the
+// envelope "pdenc:v1:<keyId>:<iv>:<ciphertext>" (base64 parts) so it can
+// flag the row and leave it out of search and readable exports.
+const ENCRYPTED_PATTERN = /^pdenc:v1:([A-Za-z0-9-]{1,64}):([A-Za-z0-9+/]+={0,2}):([A-Za-z0-9+/]+={0,2})$/;
+
+// Key derivation the client may use; the parameters are stored per diary
+const KDF_ALGORITHMS = ['PBKDF2-SHA256'];
+const MIN_KDF_ITERATIONS = 100000;
+
+// Shown in place of content that only the diary's owner can read
+const ENCRYPTED_PLACEHOLDER = '🔒 Encrypted';
+
+const isEncrypted = (value) => typeof value === 'string' && ENCRYPTED_PATTERN.test(value);
+
+// The id of the key a value was encrypted with, or null for plaintext
+const encryptedKeyId = (value) => {
+    const match = typeof value === 'string' ? value.match(ENCRYPTED_PATTERN) : null;
+    return match ? match[1] : null;
+};
+
+module.exports = {
+    KDF_ALGORITHMS,
+    MIN_KDF_ITERATIONS,
+    ENCRYPTED_PLACEHOLDER,
+    isEncrypted,
+    encryptedKeyId
+};
@@ -0,0 +1,25 @@
+// Entry ETags combine the row id with its version counter, so a tag taken
+// from one entry never matches another (e.g. a newer entry for the same date)
+const entryEtag = (entry) => `"${entry.id}.${entry.version}"`;
+
+// The ETags listed in an If-Match header, or null when the header is absent
+const parseIfMatch = (header) => {
+    if (!header) return null;
+    return header.split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .filter(tag => tag.length > 0);
+};
+
+// Whether every entry is at a version the client has seen ('*' accepts any
+// existing entry). Nothing matches when there are no entries.
+const ifMatchSatisfied = (tags, entries) => {
+    if (entries.length === 0) return false;
+    if (tags.includes('*')) return true;
+    return entries.every(entry => tags.includes(entryEtag(entry)));
+};
+
+module.exports = {
+    entryEtag,
+    parseIfMatch,
+    ifMatchSatisfied
+};
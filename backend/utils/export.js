@@ -0,0 +1,129 @@
+// Formatting for diary exports. Each day is { date, moods, entries } with
+// moods in the order they were felt and entries oldest first.
+// Encrypted entries can't be read here, so the readable formats show a
+// placeholder and leave encrypted moods out; the JSON export keeps the ciphertext.
+const { escapeHtml } = require('./html');
+const { ENCRYPTED_PLACEHOLDER } = require('./encryption');
+
+const ENCRYPTED_ENTRY_TEXT = `${ENCRYPTED_PLACEHOLDER} entry (kept in the JSON export)`;
+
+// "2024-01-15" -> "Monday, January 15, 2024" (dates are calendar days, not instants)
+const formatDayTitle = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    timeZone: 'UTC'
+});
+
+// Stored timestamps are UTC "YYYY-MM-DD HH:MM:SS"
+const formatEntryTime = (timestamp) => `${timestamp.slice(11, 16)} UTC`;
+
+// "😰 Stressed (4/5, 09:00): note" - read back by the Markdown importer
+const formatMood = (mood) => {
+    const details = mood.time ? `${mood.intensity}/5, ${mood.time}` : `${mood.intensity}/5`;
+    const note = mood.note ? `: ${mood.note.replace(/\s*\n\s*/g, ' ')}` : '';
+    return `${mood.emoji} ${mood.mood} (${details})${note}`;
+};
+
+const readableMoods = (day) => day.moods.filter(mood => !mood.is_encrypted);
+
+const markdownHeader = (exportedAt) => `# 🐼 Panda Diary\n\nExported ${exportedAt}\n\n`;
+
+// A day as Markdown; `level` is the heading level of the date
+const formatDayMarkdown = (day, level = 2) => {
+    const lines = [`${'#'.repeat(level)} ${formatDayTitle(day.date)}`, ''];
+
+    readableMoods(day).forEach(mood => {
+        lines.push(`**Mood:** ${formatMood(mood)}`, '');
+    });
+
+    day.entries.forEach(entry => {
+        if (day.entries.length > 1) {
+            lines.push(`${'#'.repeat(level + 1)} ${formatEntryTime(entry.created_at)}`, '');
+        }
+        lines.push(entry.is_encrypted ? `_${ENCRYPTED_ENTRY_TEXT}_` : entry.content, '');
+    });
+
+    return `${lines.join('\n')}\n`;
+};
+
+const htmlHeader = (exportedAt) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Panda Diary</title>
+<style>
+    body { font-family: Georgia, serif; max-width: 720px; margin: 40px auto; padding: 0 20px; color: #2c3e50; line-height: 1.6; }
+    h1 { text-align: center; }
+    .exported { text-align: center; color: #7f8c8d; font-size: 0.9rem; }
+    section { border-top: 1px solid #ddd; padding: 20px 0; page-break-inside: avoid; }
+    h2 { margin: 0 0 8px; font-size: 1.2rem; }
+    .mood { color: #e74c3c; font-style: italic; margin: 0 0 12px; }
+    .entry { margin-bottom: 16px; }
+    .time { color: #7f8c8d; font-size: 0.85rem; }
+    .content { white-space: pre-wrap; word-break: break-word; }
+</style>
+</head>
+<body>
+<h1>🐼 Panda Diary</h1>
+<p class="exported">Exported ${escapeHtml(exportedAt)}</p>
+`;
+
+const formatDayHtml = (day) => {
+    const mood = readableMoods(day)
+        .map(item => `<p class="mood">${escapeHtml(formatMood(item))}</p>\n`)
+        .join('');
+    const entries = day.entries.map(entry => `<div class="entry">
+${day.entries.length > 1 ? `<div class="time">${escapeHtml(formatEntryTime(entry.created_at))}</div>\n` : ''}<div class="content">${escapeHtml(entry.is_encrypted ? ENCRYPTED_ENTRY_TEXT : entry.content)}</div>
+</div>
+`).join('');
+
+    return `<section>
+<h2>${escapeHtml(formatDayTitle(day.date))}</h2>
+${mood}${entries}</section>
+`;
+};
+
+const htmlFooter = () => '</body>\n</html>\n';
+
+// The fields worth keeping in a JSON export (no device ids)
+const entryForExport = (entry) => ({
+    date: entry.date,
+    content: entry.content,
+    created_at: entry.created_at,
+    updated_at: entry.updated_at,
+    ...(entry.is_encrypted ? { encrypted: true } : {})
+});
+
+const moodForExport = (mood) => ({
+    date: mood.date,
+    mood: mood.mood,
+    emoji: mood.emoji,
+    intensity: mood.intensity,
+    time: mood.time,
+    note: mood.note,
+    updated_at: mood.updated_at,
+    ...(mood.is_encrypted ? { encrypted: true } : {})
+});
+
+// What's needed to derive the key again from the passphrase
+const encryptionForExport = (settings) => ({
+    keyId: settings.key_id,
+    kdf: settings.kdf,
+    iterations: settings.iterations,
+    salt: settings.salt,
+    keyCheck: settings.key_check
+});
+
+module.exports = {
+    markdownHeader,
+    formatDayMarkdown,
+    htmlHeader,
+    formatDayHtml,
+    htmlFooter,
+    entryForExport,
+    moodForExport,
+    encryptionForExport
+};
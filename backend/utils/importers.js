@@ -0,0 +1,232 @@
+// Parsers for diary imports. Each turns an upload into a flat list of items
+// (plus, for encrypted Panda Diary exports, the key parameters):
+//   { type: 'entry', source, date, content, createdAt }
+//   { type: 'mood', source, date, mood, emoji, intensity, time, note }
+// Nothing is validated against the database here; bad dates and empty
+// entries are passed through and reported per item by the importer.
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { toSqlTimestamp, localDate } = require('./dates');
+
+// Limits on what a zip may expand to, so a small upload can't exhaust memory
+const MAX_ZIP_FILES = 5000;
+const MAX_UNZIPPED_BYTES = 50 * 1024 * 1024;
+
+// Compression methods a zip file can be read with
+const ZIP_STORED = 0;
+const ZIP_DEFLATED = 8;
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown', '.txt'];
+
+const isZip = (buffer) => buffer.length > 4 && buffer.readUInt32LE(0) === 0x04034b50;
+
+// Our own JSON export (see routes/export.js)
+const parsePandaExport = (data, source) => [
+    ...(Array.isArray(data.moods) ? data.moods : []).map((mood, index) => ({
+        type: 'mood',
+        source: `${source}moods[${index}]`,
+        date: mood && mood.date,
+        mood: mood && mood.mood,
+        emoji: mood && mood.emoji,
+        intensity: mood && mood.intensity,
+        time: mood && mood.time,
+        note: mood && mood.note
+    })),
+    ...(Array.isArray(data.entries) ? data.entries : []).map((entry, index) => ({
+        type: 'entry',
+        source: `${source}entries[${index}]`,
+        date: entry && entry.date,
+        content: entry && entry.content,
+        createdAt: entry && toSqlTimestamp(entry.created_at)
+    }))
+];
+
+// Day One JSON export: { metadata, entries: [{ creationDate, timeZone, text }] }.
+// Photos are referenced inline as ![](dayone-moment://...), which we can't show.
+const parseDayOne = (data, source) => data.entries.map((entry, index) => {
+    const time = new Date(entry && entry.creationDate);
+    const valid = !Number.isNaN(time.getTime());
+
+    return {
+        type: 'entry',
+        source: `${source}entries[${index}]`,
+        date: valid ? localDate(time, entry.timeZone) : null,
+        content: typeof entry.text === 'string'
+            ? entry.text.replace(/!\[[^\]]*\]\(dayone-moment:\/\/[^)]*\)\n?/g, '').trim()
+            : '',
+        createdAt: valid ? toSqlTimestamp(time) : null
+    };
+});
+
+// Journey exports one JSON file per entry: { date_journal (ms), timezone, text }
+const parseJourney = (data, source) => {
+    const time = new Date(data.date_journal);
+    const valid = !Number.isNaN(time.getTime());
+
+    return [{
+        type: 'entry',
+        source,
+        date: valid ? localDate(time, data.timezone) : null,
+        content: typeof data.text === 'string' ? data.text.trim() : '',
+        createdAt: valid ? toSqlTimestamp(time) : null
+    }];
+};
+
+const parseJson = (data, source = '') => {
+    if (data && data.format === 'panda-diary-export') {
+        return { format: 'panda-diary', items: parsePandaExport(data, source), encryption: data.encryption || null };
+    }
+    if (data && Array.isArray(data.entries) && (data.metadata || data.entries.some(entry => entry && entry.creationDate))) {
+        return { format: 'day-one', items: parseDayOne(data, source) };
+    }
+    if (data && data.date_journal !== undefined) {
+        return { format: 'journey', items: parseJourney(data, source) };
+    }
+    throw new Error('Unrecognised JSON; expected a Panda Diary, Day One or Journey export');
+};
+
+// A day file: any Markdown note, or one written by our Markdown export
+// (date heading, a **Mood:** line per mood, a "## HH:MM UTC" heading per entry)
+const parseMarkdownDay = (text, date, source) => {
+    const items = [];
+    let body = text.replace(/\r\n/g, '\n').trim();
+
+    const heading = body.match(/^#\s+(.+)(\n|$)/);
+    if (heading && !Number.isNaN(Date.parse(heading[1]))) {
+        body = body.slice(heading[0].length).trim();
+    }
+
+    // "**Mood:** 😰 Stressed (4/5, 09:00): note", intensity, time and note optional
+    const moodLine = /^\*\*Mood:\*\*\s+(\S+)\s+(.+?)(?:\s+\(([1-5])\/5(?:, (\d{2}:\d{2}))?\))?(?::\s+(.*))?[ \t]*(\n|$)/;
+    for (let mood = body.match(moodLine); mood; mood = body.match(moodLine)) {
+        items.push({
+            type: 'mood',
+            source,
+            date,
+            emoji: mood[1],
+            mood: mood[2].trim(),
+            intensity: mood[3] ? Number(mood[3]) : null,
+            time: mood[4] || null,
+            note: mood[5] || null
+        });
+        body = body.slice(mood[0].length).trim();
+    }
+
+    // split() keeps the captured times: [before, time, text, time, text, ...]
+    const parts = body.split(/^##\s+(\d{2}:\d{2}) UTC[ \t]*$/m);
+    if (parts[0].trim() || parts.length === 1) {
+        items.push({ type: 'entry', source, date, content: parts[0].trim(), createdAt: null });
+    }
+    for (let i = 1; i < parts.length; i += 2) {
+        items.push({
+            type: 'entry',
+            source: `${source}@${parts[i]}`,
+            date,
+            content: parts[i + 1].trim(),
+            createdAt: date && `${date} ${parts[i]}:00`
+        });
+    }
+
+    return items;
+};
+
+const parseZip = (buffer) => {
+    let files;
+    try {
+        files = new AdmZip(buffer).getEntries().filter(file => !file.isDirectory
+            && !file.entryName.startsWith('__MACOSX/')
+            && !path.posix.basename(file.entryName).startsWith('.'));
+    } catch (error) {
+        throw new Error(`Could not read zip archive: ${error.message}`);
+    }
+
+    if (files.length > MAX_ZIP_FILES) {
+        throw new Error(`Archive has more than ${MAX_ZIP_FILES} files`);
+    }
+
+    // The sizes an archive declares can't be trusted, so bytes are counted
+    // as each file is inflated and inflating stops at the limit
+    let unzippedBytes = 0;
+    const tooLarge = () => new Error(`Archive expands to more than ${MAX_UNZIPPED_BYTES / 1024 / 1024} MB`);
+    const readFile = (file) => {
+        const name = file.entryName;
+        const remaining = MAX_UNZIPPED_BYTES - unzippedBytes;
+        if (file.header.encrypted) {
+            throw new Error(`${name} is password protected`);
+        }
+
+        let data;
+        if (file.header.method === ZIP_STORED) {
+            data = file.getCompressedData();
+        } else if (file.header.method === ZIP_DEFLATED) {
+            try {
+                data = zlib.inflateRawSync(file.getCompressedData(), { maxOutputLength: Math.max(remaining, 1) });
+            } catch (error) {
+                throw error.code === 'ERR_BUFFER_TOO_LARGE' ? tooLarge() : new Error(`Could not read ${name}: ${error.message}`);
+            }
+        } else {
+            throw new Error(`${name} uses an unsupported compression method`);
+        }
+
+        if (data.length > remaining) {
+            throw tooLarge();
+        }
+        unzippedBytes += data.length;
+        return data.toString('utf8');
+    };
+
+    const formats = new Set();
+    const items = [];
+    let encryption = null;
+
+    files.forEach(file => {
+        const name = file.entryName;
+        const extension = path.posix.extname(name).toLowerCase();
+
+        if (extension === '.json') {
+            let data;
+            try {
+                data = JSON.parse(readFile(file));
+            } catch (error) {
+                throw error instanceof SyntaxError ? new Error(`${name} is not valid JSON`) : error;
+            }
+            const parsed = parseJson(data, `${name}:`);
+            formats.add(parsed.format);
+            items.push(...parsed.items);
+            encryption = parsed.encryption || encryption;
+        } else if (MARKDOWN_EXTENSIONS.includes(extension)) {
+            const match = path.posix.basename(name).match(/^(\d{4}-\d{2}-\d{2})/);
+            formats.add('markdown');
+            items.push(...parseMarkdownDay(readFile(file), match ? match[1] : null, name));
+        }
+    });
+
+    if (formats.size === 0) {
+        throw new Error('Archive has no Markdown or JSON files');
+    }
+
+    return { format: [...formats].join('+'), items, encryption };
+};
+
+// Work out what was uploaded: a zip, or JSON (raw bytes or an already parsed body)
+const parseImport = (upload) => {
+    if (!Buffer.isBuffer(upload)) {
+        return parseJson(upload);
+    }
+    if (isZip(upload)) {
+        return parseZip(upload);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(upload.toString('utf8'));
+    } catch (error) {
+        throw new Error('File must be a JSON export or a zip archive');
+    }
+    return parseJson(data);
+};
+
+module.exports = {
+    parseImport
+};
@@ -0,0 +1,110 @@
+// Tracks in a diary's playlist are either uploaded audio files or links to
+// music elsewhere (a streaming service page or a direct audio URL). Like
+// attachments, uploads are identified by their content and kept next to the
+// database, as <DB_PATH dir>/music/<storage key>.
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { dbPath } = require('../database/connection');
+const { normalizeText } = require('./content');
+
+const MAX_TRACK_BYTES = 20 * 1024 * 1024;
+const MAX_TRACKS = 200;
+const MAX_TITLE_LENGTH = 200;
+const MAX_URL_LENGTH = 2000;
+
+// What can be uploaded, by the signature at the start of the file
+const AUDIO_TYPES = {
+    mp3: { mimeType: 'audio/mpeg', extension: '.mp3' },
+    ogg: { mimeType: 'audio/ogg', extension: '.ogg' },
+    wav: { mimeType: 'audio/wav', extension: '.wav' },
+    flac: { mimeType: 'audio/flac', extension: '.flac' },
+    m4a: { mimeType: 'audio/mp4', extension: '.m4a' },
+    webm: { mimeType: 'audio/webm', extension: '.webm' }
+};
+
+const MUSIC_DIR = path.join(path.dirname(dbPath), 'music');
+
+const trackPath = (storageKey) => path.join(MUSIC_DIR, storageKey);
+
+// The audio type of a file's bytes, or null when it isn't one we accept
+const detectAudioType = (buffer) => {
+    const ascii = (start, end) => buffer.subarray(start, end).toString('latin1');
+
+    if (ascii(0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0)) {
+        return AUDIO_TYPES.mp3;
+    }
+    if (ascii(0, 4) === 'OggS') {
+        return AUDIO_TYPES.ogg;
+    }
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') {
+        return AUDIO_TYPES.wav;
+    }
+    if (ascii(0, 4) === 'fLaC') {
+        return AUDIO_TYPES.flac;
+    }
+    if (ascii(4, 8) === 'ftyp' && /^(M4A |M4B |mp42|isom|dash)$/.test(ascii(8, 12))) {
+        return AUDIO_TYPES.m4a;
+    }
+    if (buffer.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))) {
+        return AUDIO_TYPES.webm;
+    }
+    return null;
+};
+
+const storeTrack = async (buffer, type) => {
+    const storageKey = `${uuidv4()}${type.extension}`;
+    await fs.promises.mkdir(MUSIC_DIR, { recursive: true });
+    await fs.promises.writeFile(trackPath(storageKey), buffer);
+    return storageKey;
+};
+
+const removeTrackFile = async (storageKey) => {
+    await fs.promises.rm(trackPath(storageKey), { force: true });
+};
+
+const isWebUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+const FIELD_CHECKS = {
+    title: value => (typeof value === 'string' && normalizeText(value) && value.length <= MAX_TITLE_LENGTH
+        ? null
+        : `Title is required and must be at most ${MAX_TITLE_LENGTH} characters`),
+    artist: value => (value === null || (typeof value === 'string' && value.length <= MAX_TITLE_LENGTH)
+        ? null
+        : `Artist must be at most ${MAX_TITLE_LENGTH} characters`),
+    url: value => (typeof value === 'string' && value.length <= MAX_URL_LENGTH && isWebUrl(value.trim())
+        ? null
+        : 'Link must be an http(s) URL')
+};
+
+// Describe what is wrong with a track's details, or return null when they
+// are valid. Only the fields present are checked; uploads have no url.
+const validateTrack = (fields) => {
+    for (const [field, check] of Object.entries(FIELD_CHECKS)) {
+        if (fields[field] === undefined) {
+            continue;
+        }
+        const invalid = check(fields[field]);
+        if (invalid) {
+            return invalid;
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    MAX_TRACK_BYTES,
+    MAX_TRACKS,
+    AUDIO_TYPES,
+    trackPath,
+    detectAudioType,
+    storeTrack,
+    removeTrackFile,
+    validateTrack
+};
@@ -0,0 +1,67 @@
+// The moods a diary offers to pick from. Each diary starts with the defaults
+// below and can rename, recolour, reorder, add and retire its own; retired
+// moods are kept so days that used them still resolve.
+const { MAX_MOOD_LENGTH, MAX_EMOJI_LENGTH, normalizeText } = require('./content');
+
+const MAX_PALETTE_SIZE = 40;
+const MIN_VALENCE = -5;
+const MAX_VALENCE = 5;
+
+const colorRegex = /^#[0-9a-f]{6}$/i;
+
+const DEFAULT_PALETTE = [
+    { label: 'Happy', emoji: '😊', color: '#f9d56e', valence: 3 },
+    { label: 'Excited', emoji: '🤩', color: '#f5a04a', valence: 4 },
+    { label: 'Peaceful', emoji: '😌', color: '#9fd8b4', valence: 2 },
+    { label: 'Loved', emoji: '🥰', color: '#f4a3bc', valence: 4 },
+    { label: 'Confident', emoji: '😎', color: '#7cc6f2', valence: 3 },
+    { label: 'Sad', emoji: '😢', color: '#7f9fd8', valence: -3 },
+    { label: 'Tired', emoji: '😴', color: '#b9a8dc', valence: -1 },
+    { label: 'Stressed', emoji: '😰', color: '#e89280', valence: -3 },
+    { label: 'Lonely', emoji: '😔', color: '#9aa5b5', valence: -3 },
+    { label: 'Frustrated', emoji: '😤', color: '#e0635c', valence: -3 }
+];
+
+const describeText = (value, name, maxLength) => {
+    if (typeof value !== 'string' || !normalizeText(value)) {
+        return `${name} is required`;
+    }
+    if (value.length > maxLength) {
+        return `${name} must be at most ${maxLength} characters`;
+    }
+    return null;
+};
+
+const FIELD_CHECKS = {
+    label: value => describeText(value, 'Label', MAX_MOOD_LENGTH),
+    emoji: value => describeText(value, 'Emoji', MAX_EMOJI_LENGTH),
+    color: value => (typeof value === 'string' && colorRegex.test(value)
+        ? null
+        : 'Colour must be a hex colour such as #f9d56e'),
+    valence: value => (Number.isInteger(value) && value >= MIN_VALENCE && value <= MAX_VALENCE
+        ? null
+        : `Valence must be a whole number from ${MIN_VALENCE} to ${MAX_VALENCE}`)
+};
+
+// Describe what is wrong with a palette mood, or return null when it is valid.
+// With `partial`, only the fields present are checked (for updates).
+const validatePaletteMood = (fields, { partial = false } = {}) => {
+    for (const [field, check] of Object.entries(FIELD_CHECKS)) {
+        if (partial && fields[field] === undefined) {
+            continue;
+        }
+        const invalid = check(fields[field]);
+        if (invalid) {
+            return invalid;
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    MAX_PALETTE_SIZE,
+    MIN_VALENCE,
+    MAX_VALENCE,
+    DEFAULT_PALETTE,
+    validatePaletteMood
+};
@@ -0,0 +1,170 @@
+// Writing prompts for days that start with a blank page. The bundled library
+// is grouped by theme; diaries can add their own prompts, optionally under
+// one of the themes. Library prompts are identified by "<theme>-<n>" (their
+// position in the theme, so only append to these lists) and custom ones by
+// "custom-<id>"; the day's pick is remembered under that key.
+const crypto = require('crypto');
+const { normalizeText } = require('./content');
+
+const MAX_PROMPT_LENGTH = 500;
+const MAX_CUSTOM_PROMPTS = 100;
+
+const PROMPT_THEMES = {
+    gratitude: {
+        label: 'Gratitude',
+        prompts: [
+            'What are three small things that made today better?',
+            'Who did something kind for you recently, and how did it feel?',
+            'What is something you use every day that you would miss if it were gone?',
+            'Describe a place that always makes you feel at home.',
+            'What is a skill you have that you are thankful for?',
+            'Which moment from this week would you like to remember a year from now?'
+        ]
+    },
+    reflection: {
+        label: 'Reflection',
+        prompts: [
+            'What took up most of your thoughts today?',
+            'What is something you changed your mind about recently?',
+            'If today had a title, what would it be and why?',
+            'What did you learn about yourself this week?',
+            'What would you tell yourself from a year ago?',
+            'Which of today\'s choices would you make differently, and which would you repeat?'
+        ]
+    },
+    growth: {
+        label: 'Growth',
+        prompts: [
+            'What is one thing you want to get a little better at this month?',
+            'Describe a challenge you are facing and one step you could take tomorrow.',
+            'What habit would make next week easier?',
+            'What is something you are proud of that nobody else noticed?',
+            'Which goal matters most to you right now, and why?',
+            'What did a recent mistake teach you?'
+        ]
+    },
+    connection: {
+        label: 'Connection',
+        prompts: [
+            'Who would you like to spend more time with, and what would you do together?',
+            'Write about a conversation that stayed with you.',
+            'Who made you laugh lately?',
+            'What is something you wish you had said to someone?',
+            'Describe someone who inspires you in one paragraph.',
+            'How did you help someone today, even in a small way?'
+        ]
+    },
+    comfort: {
+        label: 'Comfort',
+        prompts: [
+            'What is weighing on you right now? Write it down without judging it.',
+            'What would you say to a friend who felt the way you feel today?',
+            'Name one thing that is within your control tomorrow.',
+            'What helped the last time you felt like this?',
+            'Describe a calm place, real or imagined, in as much detail as you can.',
+            'What is one gentle thing you can do for yourself this evening?'
+        ]
+    },
+    celebration: {
+        label: 'Celebration',
+        prompts: [
+            'What went right today? Savour it in detail.',
+            'Who would you like to share today\'s good news with?',
+            'What made you feel most alive today?',
+            'How can you carry today\'s energy into tomorrow?',
+            'What are you looking forward to next?',
+            'Write down the best moment of today before it fades.'
+        ]
+    },
+    creativity: {
+        label: 'Creativity',
+        prompts: [
+            'Describe your day as if it were the opening of a novel.',
+            'If you could spend tomorrow anywhere in the world, where would you go?',
+            'Write a letter to your future self to open in five years.',
+            'What song fits your mood today, and why?',
+            'Invent a small holiday and describe how you would celebrate it.',
+            'Describe something ordinary you saw today as if seeing it for the first time.'
+        ]
+    }
+};
+
+// Which themes suit how the writer has been feeling, by the valence of their
+// latest mood (see utils/palette.js); with no recent mood any theme will do
+const TONE_THEMES = {
+    positive: ['celebration', 'gratitude', 'growth', 'connection', 'creativity'],
+    neutral: Object.keys(PROMPT_THEMES),
+    negative: ['comfort', 'reflection', 'gratitude', 'connection']
+};
+
+const libraryPromptKey = (theme, index) => `${theme}-${index + 1}`;
+
+const customPromptKey = (id) => `custom-${id}`;
+
+const LIBRARY = Object.entries(PROMPT_THEMES).flatMap(([theme, { prompts }]) =>
+    prompts.map((text, index) => ({ key: libraryPromptKey(theme, index), theme, text, custom: false }))
+);
+
+const moodTone = (valence) => {
+    if (valence === null || valence === undefined) {
+        return 'neutral';
+    }
+    if (valence >= 2) {
+        return 'positive';
+    }
+    return valence <= -2 ? 'negative' : 'neutral';
+};
+
+// The library and a diary's own prompts as one list; custom prompts without
+// a theme suit any tone
+const allPrompts = (customPrompts) => [
+    ...LIBRARY,
+    ...customPrompts.map(prompt => ({ key: customPromptKey(prompt.id), theme: prompt.theme, text: prompt.text, custom: true }))
+];
+
+// Pick the day's prompt from those suiting the tone. Prompts not shown on
+// another day come first; once all have been, the one shown longest ago is
+// reused. Among equals the pick is a hash of the identity and date, so the
+// same diary gets the same prompt for a day until its mood or prompts change.
+// `shown` maps prompt keys to the last other date they were picked for.
+const pickPrompt = (prompts, { deviceId, date, tone, shown }) => {
+    const themes = TONE_THEMES[tone];
+    const suited = prompts.filter(prompt => !prompt.theme || themes.includes(prompt.theme));
+    if (suited.length === 0) {
+        return null;
+    }
+
+    let candidates = suited.filter(prompt => !shown.has(prompt.key));
+    if (candidates.length === 0) {
+        const oldest = suited.map(prompt => shown.get(prompt.key)).sort()[0];
+        candidates = suited.filter(prompt => shown.get(prompt.key) === oldest);
+    }
+
+    const hash = crypto.createHash('sha256').update(`${deviceId}:${date}`).digest();
+    return candidates[hash.readUInt32BE(0) % candidates.length];
+};
+
+// Describe what is wrong with a custom prompt, or return null when it is
+// valid. With `partial`, only the fields present are checked (for updates).
+const validatePrompt = ({ text, theme }, { partial = false } = {}) => {
+    if (!(partial && text === undefined)
+        && (typeof text !== 'string' || !normalizeText(text) || text.length > MAX_PROMPT_LENGTH)) {
+        return `Prompt text is required and must be at most ${MAX_PROMPT_LENGTH} characters`;
+    }
+    if (theme !== undefined && theme !== null && !Object.prototype.hasOwnProperty.call(PROMPT_THEMES, theme)) {
+        return `Theme must be one of: ${Object.keys(PROMPT_THEMES).join(', ')}`;
+    }
+    return null;
+};
+
+module.exports = {
+    MAX_PROMPT_LENGTH,
+    MAX_CUSTOM_PROMPTS,
+    PROMPT_THEMES,
+    libraryPromptKey,
+    customPromptKey,
+    moodTone,
+    allPrompts,
+    pickPrompt,
+    validatePrompt
+};
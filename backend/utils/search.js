@@ -0,0 +1,48 @@
+const { escapeHtml } = require('./html');
+
+// Markers FTS5 wraps around matched terms in snippets; they cannot appear in
+// typed text, so they survive HTML escaping and are swapped for <mark> after
+const MATCH_START = '\u0001';
+const MATCH_END = '\u0002';
+
+// Turn what the user typed into a safe FTS5 MATCH expression.
+//   "morning walk"  -> phrase
+//   walk*           -> prefix
+//   anything else   -> plain term (all terms must match)
+// Returns null when nothing searchable is left.
+const buildMatchQuery = (input) => {
+    const terms = [];
+    const phraseRegex = /"([^"]*)"/g;
+
+    const rest = String(input).replace(phraseRegex, (match, phrase) => {
+        const words = phrase.match(/[\p{L}\p{N}_]+/gu);
+        if (words) {
+            terms.push(`"${words.join(' ')}"`);
+        }
+        return ' ';
+    });
+
+    rest.split(/\s+/).forEach(token => {
+        const isPrefix = token.endsWith('*');
+        const words = token.match(/[\p{L}\p{N}_]+/gu);
+        if (!words) return;
+
+        // Punctuation inside a token (e.g. "don't") splits it into a phrase
+        const term = `"${words.join(' ')}"`;
+        terms.push(isPrefix ? `${term}*` : term);
+    });
+
+    return terms.length > 0 ? terms.join(' ') : null;
+};
+
+// Escape a snippet and turn the match markers into <mark> tags
+const highlightSnippet = (snippet) => escapeHtml(snippet || '')
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+
+module.exports = {
+    MATCH_START,
+    MATCH_END,
+    buildMatchQuery,
+    highlightSnippet
+};
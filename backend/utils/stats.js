@@ -0,0 +1,320 @@
+// Mood and writing statistics over a range of diary days. Encrypted moods and
+// entries can't be read here, so they are counted but left out of anything
+// that needs their text.
+const { countWords, countCharacters } = require('./content');
+
+const PERIODS = ['week', 'month'];
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDay = (date) => Date.parse(`${date}T00:00:00Z`);
+const formatDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Monday first, as in ISO weeks
+const weekdayIndex = (date) => (new Date(parseDay(date)).getUTCDay() + 6) % 7;
+
+// The week ('2026-W42', ISO 8601) or month ('2026-10') a day falls in
+const periodOf = (date, period) => {
+    if (period === 'month') {
+        return { key: date.slice(0, 7), start: `${date.slice(0, 7)}-01` };
+    }
+
+    const start = parseDay(date) - weekdayIndex(date) * DAY_MS;
+    // A week belongs to the year its Thursday is in
+    const thursday = start + 3 * DAY_MS;
+    const year = new Date(thursday).getUTCFullYear();
+    const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS)) + 1;
+    return { key: `${year}-W${String(week).padStart(2, '0')}`, start: formatDay(start) };
+};
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+const averageIntensity = (moods) => moods.length
+    ? round1(moods.reduce((total, row) => total + row.intensity, 0) / moods.length)
+    : null;
+
+// Moods by how often they were logged, most logged first
+const tally = (moods, labels) => {
+    const groups = new Map();
+    moods.forEach(row => groups.set(row.emoji, [...(groups.get(row.emoji) || []), row]));
+    return [...groups]
+        .map(([emoji, rows]) => ({ emoji, mood: labels.get(emoji), count: rows.length, averageIntensity: averageIntensity(rows) }))
+        .sort((a, b) => b.count - a.count || a.emoji.localeCompare(b.emoji));
+};
+
+// What each day's moods add up to, oldest day first: the day's main mood
+// (its strongest, the later of equally strong ones) and average intensity.
+// Days with only encrypted moods keep the last one, for the browser to open.
+// moods: rows in any order of days, each day's in the order they were felt.
+const summarizeDays = (moods) => {
+    const days = new Map();
+    moods.forEach(row => days.set(row.date, [...(days.get(row.date) || []), row]));
+
+    return [...days.values()]
+        .map(rows => {
+            const readable = rows.filter(row => !row.is_encrypted);
+            const main = readable.reduce((best, row) => (!best || row.intensity >= best.intensity ? row : best), null)
+                || rows[rows.length - 1];
+            return {
+                date: main.date,
+                mood: main.mood,
+                emoji: main.emoji,
+                palette_id: main.palette_id,
+                intensity: main.intensity,
+                is_encrypted: main.is_encrypted,
+                moods: rows.length,
+                encrypted: rows.length - readable.length,
+                averageIntensity: averageIntensity(readable)
+            };
+        })
+        .sort((a, b) => a.date.localeCompare(b.date));
+};
+
+// Runs of consecutive days (sorted by date) with the same key; a missing
+// day ends a run
+const findStreaks = (days, keyOf = () => null) => {
+    const runs = [];
+    days.forEach(day => {
+        const key = keyOf(day);
+        const last = runs[runs.length - 1];
+        if (last && last.key === key && parseDay(day.date) - parseDay(last.end) === DAY_MS) {
+            last.end = day.date;
+            last.length++;
+        } else {
+            runs.push({ key, length: 1, start: day.date, end: day.date });
+        }
+    });
+    return runs;
+};
+
+// Pearson's r of [x, y] pairs, to two places; null with fewer than three
+// pairs or when either side never varies
+const correlation = (pairs) => {
+    if (pairs.length < 3) {
+        return null;
+    }
+    const mean = (index) => pairs.reduce((total, pair) => total + pair[index], 0) / pairs.length;
+    const [meanX, meanY] = [mean(0), mean(1)];
+    let covariance = 0;
+    let varianceX = 0;
+    let varianceY = 0;
+    pairs.forEach(([x, y]) => {
+        covariance += (x - meanX) * (y - meanY);
+        varianceX += (x - meanX) ** 2;
+        varianceY += (y - meanY) ** 2;
+    });
+    if (varianceX === 0 || varianceY === 0) {
+        return null;
+    }
+    return Math.round((covariance / Math.sqrt(varianceX * varianceY)) * 100) / 100;
+};
+
+const averageWords = (days) => days.length
+    ? Math.round(days.reduce((total, day) => total + day.words, 0) / days.length)
+    : 0;
+
+// Moods are grouped by emoji and labelled with the latest name used for it.
+// Counts are of logged moods; streaks and entry lengths go by each day's main
+// mood (see summarizeDays). moods: { date, mood, emoji, intensity,
+// is_encrypted } rows; days: per-day entry summaries (see
+// DiaryEntry.getDaySummaries); palette: the diary's mood_palette rows,
+// retired ones included, for each mood's valence. Word counts are correlated
+// with each written day's average intensity and its main mood's valence.
+// Pass an emoji as `mood` to only report that mood's streaks.
+const moodStats = (moodRows, daySummaries, { period = 'week', mood = null, palette = [] } = {}) => {
+    const moods = moodRows
+        .filter(row => !row.is_encrypted)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const labels = new Map(moods.map(row => [row.emoji, row.mood]));
+    const mainMoods = summarizeDays(moods);
+    const countDays = (rows) => new Set(rows.map(row => row.date)).size;
+
+    // Days whose entries could be counted
+    const written = new Map(daySummaries
+        .filter(day => day.entries > 0 && !day.encrypted)
+        .map(day => [day.date, day]));
+
+    const periods = new Map();
+    moods.forEach(row => {
+        const { key, start } = periodOf(row.date, period);
+        if (!periods.has(key)) {
+            periods.set(key, { period: key, start, moods: [] });
+        }
+        periods.get(key).moods.push(row);
+    });
+
+    const weekdays = WEEKDAYS.map(() => []);
+    moods.forEach(row => weekdays[weekdayIndex(row.date)].push(row));
+
+    const runs = findStreaks(mainMoods, day => day.emoji).map(({ key, ...run }) => ({ emoji: key, ...run }));
+    const longest = new Map();
+    runs.forEach(run => {
+        if (!longest.has(run.emoji) || run.length > longest.get(run.emoji).length) {
+            longest.set(run.emoji, run);
+        }
+    });
+    const latest = runs.length ? runs[runs.length - 1] : null;
+
+    const withLabel = (run) => run && { ...run, mood: labels.get(run.emoji) };
+
+    // Moods saved before the diary had a palette are matched by emoji
+    const valences = new Map(palette.map(item => [item.id, item.valence]));
+    const activeValences = new Map(palette.filter(item => !item.retired_at).map(item => [item.emoji, item.valence]));
+    const valenceOf = (day) => (valences.has(day.palette_id) ? valences.get(day.palette_id) : activeValences.get(day.emoji));
+    const writtenMoods = mainMoods.filter(day => written.has(day.date));
+    const wordsOn = (day) => written.get(day.date).words;
+
+    return {
+        period,
+        days: mainMoods.length,
+        moods: moods.length,
+        encrypted: moodRows.length - moods.length,
+        averageIntensity: averageIntensity(moods),
+        distribution: tally(moods, labels).map(item => ({
+            ...item,
+            share: round1((item.count / moods.length) * 100)
+        })),
+        periods: [...periods.values()].map(({ period: key, start, moods: rows }) => ({
+            period: key,
+            start,
+            days: countDays(rows),
+            averageIntensity: averageIntensity(rows),
+            moods: tally(rows, labels)
+        })),
+        weekdays: weekdays.map((rows, index) => ({
+            weekday: WEEKDAYS[index],
+            days: countDays(rows),
+            averageIntensity: averageIntensity(rows),
+            moods: tally(rows, labels)
+        })),
+        streaks: {
+            latest: mood && latest && latest.emoji !== mood ? null : withLabel(latest),
+            longest: [...longest.values()]
+                .filter(run => !mood || run.emoji === mood)
+                .sort((a, b) => b.length - a.length || a.start.localeCompare(b.start))
+                .map(withLabel)
+        },
+        entryLength: {
+            averageWords: averageWords([...written.values()]),
+            daysWritten: written.size,
+            moods: tally(mainMoods, labels).map(({ emoji, mood: label, count }) => {
+                const days = mainMoods
+                    .filter(day => day.emoji === emoji && written.has(day.date))
+                    .map(day => written.get(day.date));
+                return { emoji, mood: label, days: count, daysWritten: days.length, averageWords: averageWords(days) };
+            }),
+            correlation: {
+                days: writtenMoods.length,
+                intensity: correlation(writtenMoods.map(day => [day.averageIntensity, wordsOn(day)])),
+                valence: correlation(writtenMoods
+                    .filter(day => typeof valenceOf(day) === 'number')
+                    .map(day => [valenceOf(day), wordsOn(day)]))
+            }
+        }
+    };
+};
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+const parseServerTimestamp = (timestamp) => new Date(`${timestamp.replace(' ', 'T')}Z`);
+
+const formatMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Mean time of day ('HH:MM') on a 24-hour clock face, so 23:00 and 01:00
+// average to midnight rather than noon; null when there is no clear mean
+const averageTimeOfDay = (minutes) => {
+    const angles = minutes.map(minute => (minute / 1440) * 2 * Math.PI);
+    const x = angles.reduce((total, angle) => total + Math.cos(angle), 0);
+    const y = angles.reduce((total, angle) => total + Math.sin(angle), 0);
+    if (Math.hypot(x, y) < 1e-9) {
+        return null;
+    }
+    const angle = (Math.atan2(y, x) + 2 * Math.PI) % (2 * Math.PI);
+    return formatMinutes(Math.round((angle / (2 * Math.PI)) * 1440) % 1440);
+};
+
+// entries: diary_entries rows in any order. Days come from the entries'
+// dates; times of day from created_at (started) and updated_at (last edited)
+// in `timeZone`. A streak is current while it reaches `today` or yesterday,
+// and counts up to `today`.
+const writingStats = (entries, { timeZone, today }) => {
+    const clock = new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' });
+    const minuteOfDay = (timestamp) => {
+        const parts = Object.fromEntries(clock.formatToParts(parseServerTimestamp(timestamp)).map(part => [part.type, part.value]));
+        return Number(parts.hour) * 60 + Number(parts.minute);
+    };
+
+    const rows = [...entries].sort((a, b) => a.date.localeCompare(b.date) || a.created_at.localeCompare(b.created_at) || a.id - b.id);
+    const counted = rows.map(row => ({
+        id: row.id,
+        date: row.date,
+        words: row.is_encrypted ? null : countWords(row.content),
+        characters: row.is_encrypted ? null : countCharacters(row.content)
+    }));
+    const readable = counted.filter(entry => entry.words !== null);
+    const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+
+    const months = new Map();
+    counted.forEach(entry => {
+        const key = entry.date.slice(0, 7);
+        if (!months.has(key)) {
+            months.set(key, { month: key, entries: 0, days: new Set(), words: 0, encrypted: 0 });
+        }
+        const month = months.get(key);
+        month.entries++;
+        month.days.add(entry.date);
+        if (entry.words === null) {
+            month.encrypted++;
+        } else {
+            month.words += entry.words;
+        }
+    });
+
+    const days = [...new Set(rows.map(row => row.date))];
+    const runs = findStreaks(days.map(date => ({ date }))).map(({ key, ...run }) => run);
+    // Entries dated ahead of today don't stretch the current streak
+    const yesterday = formatDay(parseDay(today) - DAY_MS);
+    const reaching = runs.find(run => run.start <= today && run.end >= yesterday);
+    const current = reaching && (reaching.end > today
+        ? { ...reaching, end: today, length: (parseDay(today) - parseDay(reaching.start)) / DAY_MS + 1 }
+        : reaching);
+    const longest = runs.reduce((best, run) => (!best || run.length > best.length ? run : best), null);
+
+    const started = rows.map(row => minuteOfDay(row.created_at));
+    const hours = new Array(24).fill(0);
+    started.forEach(minute => hours[Math.floor(minute / 60)]++);
+
+    return {
+        timeZone,
+        today,
+        totals: {
+            entries: rows.length,
+            days: days.length,
+            words: sum(readable, 'words'),
+            characters: sum(readable, 'characters'),
+            encrypted: rows.length - readable.length,
+            averageWords: readable.length ? Math.round(sum(readable, 'words') / readable.length) : 0
+        },
+        streaks: {
+            current: current || null,
+            longest
+        },
+        months: [...months.values()].map(month => ({ ...month, days: month.days.size })),
+        timeOfDay: {
+            averageStarted: averageTimeOfDay(started),
+            averageLastEdited: averageTimeOfDay(rows.map(row => minuteOfDay(row.updated_at))),
+            hours
+        },
+        entries: counted
+    };
+};
+
+module.exports = {
+    PERIODS,
+    periodOf,
+    summarizeDays,
+    findStreaks,
+    moodStats,
+    averageTimeOfDay,
+    writingStats
+};
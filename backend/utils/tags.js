@@ -0,0 +1,41 @@
+// Tags are written inline as #hashtags (#work, #family, #health) and kept in
+// lower case. A tag starts with a letter or digit, runs over letters, digits,
+// _ and -, and has at least one letter, so "#1" or a "# Heading" are not tags.
+// The editor saves typed underscores as \_, so those count as part of a tag.
+const MAX_TAG_LENGTH = 50;
+
+// Not inside a word, URL fragment, HTML entity, Markdown link target or \# escape
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&/#\\]|\]\()#([\p{L}\p{N}](?:[\p{L}\p{N}_-]|\\_)*)/gu;
+
+// Lower case without the leading # (for tags typed in a filter)
+const normalizeTag = (tag) => String(tag).trim().replace(/^#/, '').normalize('NFC').toLowerCase();
+
+const isTag = (tag) => tag.length <= MAX_TAG_LENGTH && /\p{L}/u.test(tag);
+
+// The distinct tags in Markdown content, in the order they first appear
+const extractTags = (content) => {
+    const tags = new Set();
+    for (const match of String(content || '').matchAll(HASHTAG_PATTERN)) {
+        const tag = normalizeTag(match[1].replace(/\\_/g, '_'));
+        if (isTag(tag)) {
+            tags.add(tag);
+        }
+    }
+    return [...tags];
+};
+
+// Describe what is wrong with a tag filter, or return null when it is valid
+const validateTag = (tag) => {
+    const normalized = normalizeTag(tag);
+    if (!/^[\p{L}\p{N}][\p{L}\p{N}_-]*$/u.test(normalized) || !isTag(normalized)) {
+        return `Tag must be up to ${MAX_TAG_LENGTH} letters, digits, _ or -, including a letter`;
+    }
+    return null;
+};
+
+module.exports = {
+    MAX_TAG_LENGTH,
+    normalizeTag,
+    extractTags,
+    validateTag
+};
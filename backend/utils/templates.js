@@ -0,0 +1,70 @@
+// Entry templates: Markdown an empty day starts with. {{date}}, {{weekday}}
+// and {{mood}} are filled in by the browser when it opens the day (the mood
+// may be encrypted, so only it can read it). A template can be the default
+// for some weekdays, 0 (Sunday) to 6 (Saturday); each weekday has at most one.
+const { MAX_CONTENT_LENGTH, normalizeText } = require('./content');
+
+const MAX_TEMPLATES = 50;
+const MAX_TEMPLATE_NAME_LENGTH = 100;
+const WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const PLACEHOLDERS = ['date', 'weekday', 'mood'];
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Offered to copy when a diary has no templates of its own
+const STARTER_TEMPLATES = [
+    {
+        name: 'Gratitude',
+        content: '# {{weekday}}, {{date}}\n\n## Three things I\'m grateful for\n1. \n2. \n3. \n\n## Something kind I did\n'
+    },
+    {
+        name: 'Reflection',
+        content: '# {{weekday}}, {{date}}\n\nMood: {{mood}}\n\n## What happened today\n\n## What I learned\n\n## What I\'d do differently\n'
+    },
+    {
+        name: 'Standup',
+        content: '# Standup – {{weekday}}, {{date}}\n\n## Yesterday\n- \n\n## Today\n- [ ] \n\n## Blockers\n- \n'
+    }
+];
+
+const FIELD_CHECKS = {
+    name: value => (typeof value === 'string' && normalizeText(value) && value.length <= MAX_TEMPLATE_NAME_LENGTH
+        ? null
+        : `Name is required and must be at most ${MAX_TEMPLATE_NAME_LENGTH} characters`),
+    content: value => {
+        if (typeof value !== 'string' || !normalizeText(value) || value.length > MAX_CONTENT_LENGTH) {
+            return `Content is required and must be at most ${MAX_CONTENT_LENGTH} characters`;
+        }
+        const unknown = [...value.matchAll(PLACEHOLDER_PATTERN)]
+            .map(match => match[1])
+            .find(placeholder => !PLACEHOLDERS.includes(placeholder));
+        return unknown
+            ? `Unknown placeholder {{${unknown}}}; use ${PLACEHOLDERS.map(name => `{{${name}}}`).join(', ')}`
+            : null;
+    },
+    weekdays: value => (Array.isArray(value) && value.every(day => WEEKDAYS.includes(day)) && new Set(value).size === value.length
+        ? null
+        : 'weekdays must be a list of distinct days from 0 (Sunday) to 6 (Saturday)')
+};
+
+// Describe what is wrong with a template, or return null when it is valid.
+// With `partial`, only the fields present are checked (for updates);
+// weekdays are always optional.
+const validateTemplate = (fields, { partial = false } = {}) => {
+    for (const [field, check] of Object.entries(FIELD_CHECKS)) {
+        if ((partial || field === 'weekdays') && fields[field] === undefined) {
+            continue;
+        }
+        const invalid = check(fields[field]);
+        if (invalid) {
+            return invalid;
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    MAX_TEMPLATES,
+    PLACEHOLDERS,
+    STARTER_TEMPLATES,
+    validateTemplate
+};
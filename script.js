@@ -43,6 +43,10 @@ if (!deviceId) {
     deviceId = generateUUID();
     localStorage.setItem('deviceId', deviceId);
 }
+// Logged-in account (null when using an anonymous device diary)
+let authToken = localStorage.getItem('authToken') || null;
+let currentUser = JSON.parse(localStorage.getItem('authUser') || 'null');
+
 let isOnline = navigator.onLine;
 let apiBaseUrl = 'http://localhost:3000/api';
 
@@ -53,25 +57,91 @@ const defaultMood = {
 };
 
 // DOM Elements - will be initialized after DOM loads
-let currentMood, moodEmoji, emojiGrid;
+let currentMood, moodEmoji, emojiGrid, moodLog, moodIntensity, moodIntensityValue, moodTime, moodNote;
 
 // DOM Elements - will be initialized after DOM loads
 let liveTime, liveDate, dayOfWeek, diaryTextarea, saveBtn, prevDayBtn, nextDayBtn, currentDaySpan, historyBtn, pandaImage, externalMusicInput, saveExternalMusicBtn;
+let exportBtn, exportModal;
+let calendarBtn, calendarModal, calendarTitle, calendarGrid, calendarSummary;
+let insightsBtn, insightsModal;
+let writingStatsDisplay;
+let encryptionBtn, encryptionModal, unlockModal;
+
+// Account DOM elements
+let accountBtn, authModal, authForm, authTitle, authLogin, authEmail, authPassword, authError, authSubmitBtn, authSwitchBtn, authAccount, authUsername, logoutBtn;
+let claimDeviceId, claimStrategy, claimPreview, claimPreviewBtn, claimBtn;
+
+// The day's entries (oldest first) and the one open in the editor (null = new, unsaved)
+let entryTimeline, newEntryBtn, entryTags, daySongDisplay, memoriesStrip, promptPanel, promptText;
+let dayEntries = [];
+let currentEntryId = null;
+let entryCreatePromise = null;
+
+// Versions panel DOM elements and the revision being previewed
+let versionsBtn, versionsPanel, versionsList, versionsDiff, versionsDiffStats, versionsDiffBody, restoreVersionBtn;
+let attachmentsBar;
+let selectedRevisionId = null;
+let authMode = 'login';
+
+// Conflict dialog DOM elements and the newer server copy it is showing
+let conflictModal, conflictMine, conflictTheirs, conflictTheirsTitle;
+let moodConflictModal, moodConflictList;
+let entryConflict = null;
+
+// Offline outbox: entry and mood changes waiting for the server, oldest first
+const SYNC_BATCH_SIZE = 50;
+const SYNC_RETRY_BASE_MS = 2000;
+const SYNC_RETRY_MAX_MS = 5 * 60 * 1000;
+let syncOutbox = JSON.parse(localStorage.getItem('sync_outbox') || '[]');
+let syncToken = localStorage.getItem('sync_token');
+let syncPromise = null;
+let syncQueued = false;
+let syncRetryTimer = null;
+let syncRetryCount = 0;
+
+// Client-side encryption. The key parameters (salt, iterations, a check
+// value) come from the server; the key is derived from the passphrase and
+// only ever kept in memory, so each visit asks for the passphrase again.
+const ENCRYPTION_PREFIX = 'pdenc:v1:';
+const ENCRYPTION_KDF = 'PBKDF2-SHA256';
+const ENCRYPTION_ITERATIONS = 310000;
+const ENCRYPTION_CHECK_TEXT = 'panda-diary';
+// A rekey uploads the re-encrypted diary in batches the server accepts
+const REKEY_BATCH_BYTES = 4 * 1024 * 1024;
+const REKEY_BATCH_ROWS = 1000;
+const ENCRYPTED_MOOD_EMOJI = '🔒';
+const LOCKED_ENTRY_TEXT = '🔒 This entry is encrypted. Unlock your diary to read it.';
+const LOCKED_MOOD_TEXT = 'Encrypted mood';
+const MIN_PASSPHRASE_LENGTH = 8;
+let encryptionSettings = JSON.parse(localStorage.getItem('encryption_settings') || 'null');
+let encryptionKey = null;
 
 // API Functions
 const api = {
+    // Identify the device diary or logged-in account
+    authHeaders() {
+        return {
+            ...(deviceId && { 'X-Device-ID': deviceId }),
+            ...(authToken && { 'Authorization': `Bearer ${authToken}` })
+        };
+    },
+
     async request(endpoint, options = {}) {
         const url = `${apiBaseUrl}${endpoint}`;
+        const { headers, ...fetchOptions } = options;
         const config = {
+            ...fetchOptions,
             headers: {
-                'Content-Type': 'application/json',
-                ...(deviceId && { 'X-Device-ID': deviceId }),
-                ...options.headers
-            },
-            ...options
+                // Uploads set their own multipart Content-Type
+                ...(!(fetchOptions.body instanceof FormData) && { 'Content-Type': 'application/json' }),
+                ...this.authHeaders(),
+                ...headers
+            }
         };
 
-        console.log('API request:', url, 'Config:', config);
+        // Never log the config or the response body: they carry passwords,
+        // session tokens and decrypted diary text
+        console.log('API request:', config.method || 'GET', url);
 
         try {
             const response = await fetch(url, config);
@@ -84,15 +154,27 @@ const api = {
                 localStorage.setItem('deviceId', deviceId);
             }
             
+            // Session expired or was logged out elsewhere
+            if (response.status === 401 && authToken) {
+                clearSession();
+                showNotification('🔒 Your session has expired. Please sign in again.', 'warning');
+            }
+            
             if (!response.ok) {
                 const errorText = await response.text();
                 console.error('API error response:', errorText);
-                throw new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
+                const error = new Error(`HTTP ${response.status}: ${response.statusText} - ${errorText}`);
+                error.status = response.status;
+                try {
+                    error.data = await openEncrypted(JSON.parse(errorText));
+                } catch (parseError) {
+                    error.data = null;
+                }
+                throw error;
             }
             
-            const data = await response.json();
-            console.log('API response data:', data);
-            return data;
+            // Encrypted content comes back decrypted (or as a locked placeholder)
+            return await openEncrypted(await response.json());
         } catch (error) {
             console.error('API request failed:', error);
             throw error;
@@ -100,22 +182,81 @@ const api = {
     },
 
     // Diary entries
-    async getEntry(date) {
-        try {
-            return await this.request(`/entries/${date}`);
-        } catch (error) {
-            // If it's a 404 (entry not found), that's normal - return empty data
-            if (error.message.includes('404')) {
-                return { success: true, data: { content: '' } };
-            }
-            throw error;
-        }
+    async getEntries(date) {
+        return this.request(`/entries/${date}`);
+    },
+
+    async getEntryById(id) {
+        return this.request(`/entries/id/${id}`);
+    },
+
+    async createEntry(date, content) {
+        return this.request('/entries', {
+            method: 'POST',
+            body: JSON.stringify({ date, content: await sealContent(content) })
+        });
+    },
+
+    // Pass the version being edited to get a 412 instead of overwriting a newer one
+    async updateEntry(id, content, version) {
+        return this.request(`/entries/id/${id}`, {
+            method: 'PUT',
+            headers: version ? { 'If-Match': `"${id}.${version}"` } : {},
+            body: JSON.stringify({ content: await sealContent(content) })
+        });
+    },
+
+    async deleteEntryById(id) {
+        return this.request(`/entries/id/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // Revision functions
+    async getRevisions(date) {
+        return this.request(`/entries/${date}/revisions`);
+    },
+
+    async getRevision(id) {
+        return this.request(`/entries/revisions/${id}`);
+    },
+
+    async diffRevision(id, to = 'current') {
+        return this.request(`/entries/revisions/${id}/diff?to=${to}`);
+    },
+
+    async restoreRevision(id) {
+        return this.request(`/entries/revisions/${id}/restore`, {
+            method: 'POST'
+        });
+    },
+    
+    // Attachment functions
+    async getAttachments(date) {
+        return this.request(`/entries/${date}/attachments`);
+    },
+    
+    async uploadAttachment(date, file, entryId) {
+        const body = new FormData();
+        body.append('file', file);
+        if (entryId) body.append('entryId', String(entryId));
+        
+        return this.request(`/entries/${date}/attachments`, {
+            method: 'POST',
+            body
+        });
+    },
+    
+    async deleteAttachment(id) {
+        return this.request(`/entries/attachments/${id}`, {
+            method: 'DELETE'
+        });
     },
 
     async saveEntry(date, content) {
         return this.request(`/entries/${date}`, {
             method: 'PATCH',
-            body: JSON.stringify({ content })
+            body: JSON.stringify({ content: await sealContent(content) })
         });
     },
 
@@ -125,28 +266,318 @@ const api = {
         });
     },
 
+    // Per-day entry counts, word counts and moods for a month (month is 1-12)
+    async getCalendar(year, month) {
+        return this.request(`/entries/calendar/${year}/${month}`);
+    },
+
+    // Entries from the same day in earlier years, and a week and a month before
+    async getMemories(date) {
+        return this.request(`/entries/on-this-day/${date}?include=week,month`);
+    },
+
+    // Mood statistics; from/to (YYYY-MM-DD) and mood (an emoji) are optional
+    async getWritingStats(timeZone) {
+        return this.request(`/stats/writing?${new URLSearchParams({ timeZone })}`);
+    },
+
+    async getMoodStats({ from, to, period = 'week', mood } = {}) {
+        const params = new URLSearchParams({ period });
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        if (mood) params.set('mood', mood);
+        
+        return this.request(`/stats/moods?${params}`);
+    },
+
     // Mood functions
-    async getMood(date) {
-        try {
-            return await this.request(`/mood/${date}`);
-        } catch (error) {
-            if (error.message.includes('404')) {
-                return { success: true, data: defaultMood };
-            }
-            throw error;
-        }
+    async getMoods(date) {
+        return this.request(`/mood/${date}`);
     },
 
-    async saveMood(date, mood, emoji) {
+    // details: { paletteId, intensity, time, note }
+    async addMood(date, mood, emoji, details) {
         return this.request(`/mood/${date}`, {
-            method: 'PATCH',
-            body: JSON.stringify({ mood, emoji })
+            method: 'POST',
+            body: JSON.stringify(await sealMood(mood, emoji, details))
+        });
+    },
+
+    async deleteMoodById(id) {
+        return this.request(`/mood/id/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // Mood palette functions
+    async getMoodPalette() {
+        return this.request('/mood/palette?includeRetired=true');
+    },
+    
+    async addPaletteMood(paletteMood) {
+        return this.request('/mood/palette', {
+            method: 'POST',
+            body: JSON.stringify(paletteMood)
+        });
+    },
+    
+    async updatePaletteMood(id, changes) {
+        return this.request(`/mood/palette/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    },
+    
+    async retirePaletteMood(id) {
+        return this.request(`/mood/palette/${id}`, {
+            method: 'DELETE'
+        });
+    },
+    
+    async reorderMoodPalette(ids) {
+        return this.request('/mood/palette/order', {
+            method: 'PUT',
+            body: JSON.stringify({ ids })
+        });
+    },
+
+    // History functions; options are the list's limit, cursor, order and
+    // fields, and the from/to/mood/tag filters (all optional)
+    async getHistory(options = {}) {
+        const params = new URLSearchParams();
+        Object.entries(options).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        return this.request(params.toString() ? `/entries?${params}` : '/entries');
+    },
+    
+    async getTags() {
+        return this.request('/tags');
+    },
+
+    // Prompt functions
+    async getPrompts() {
+        return this.request('/prompts');
+    },
+
+    // Only a prompt shown for today is recorded, so the day keeps it
+    async getDailyPrompt(date, { record = false } = {}) {
+        if (record) {
+            return this.request('/prompts/today', {
+                method: 'POST',
+                body: JSON.stringify({ date })
+            });
+        }
+        return this.request(`/prompts/today?${new URLSearchParams({ date })}`);
+    },
+
+    // prompt: { text, theme }
+    async addPrompt(prompt) {
+        return this.request('/prompts', {
+            method: 'POST',
+            body: JSON.stringify(prompt)
+        });
+    },
+
+    async updatePrompt(id, changes) {
+        return this.request(`/prompts/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    },
+
+    async deletePrompt(id) {
+        return this.request(`/prompts/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // Template functions
+    async getTemplates() {
+        return this.request('/templates');
+    },
+
+    // template: { name, content, weekdays }
+    async addTemplate(template) {
+        return this.request('/templates', {
+            method: 'POST',
+            body: JSON.stringify(template)
+        });
+    },
+
+    async updateTemplate(id, changes) {
+        return this.request(`/templates/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    },
+
+    async deleteTemplate(id) {
+        return this.request(`/templates/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    // Playlist functions
+    async getTracks() {
+        return this.request('/music');
+    },
+
+    // track: { title, artist, url }
+    async addTrack(track) {
+        return this.request('/music', {
+            method: 'POST',
+            body: JSON.stringify(track)
+        });
+    },
+
+    async uploadTrack(file, { title, artist } = {}) {
+        const body = new FormData();
+        body.append('file', file);
+        if (title) body.append('title', title);
+        if (artist) body.append('artist', artist);
+
+        return this.request('/music', {
+            method: 'POST',
+            body
+        });
+    },
+
+    async updateTrack(id, changes) {
+        return this.request(`/music/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes)
+        });
+    },
+
+    async deleteTrack(id) {
+        return this.request(`/music/${id}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async getDaySong(date) {
+        return this.request(`/music/days/${date}`);
+    },
+
+    async setDaySong(date, trackId) {
+        return this.request(`/music/days/${date}`, {
+            method: 'PUT',
+            body: JSON.stringify({ trackId })
+        });
+    },
+
+    async clearDaySong(date) {
+        return this.request(`/music/days/${date}`, {
+            method: 'DELETE'
+        });
+    },
+
+    async sync(operations, since) {
+        return this.request('/sync', {
+            method: 'POST',
+            body: JSON.stringify({ operations: await Promise.all(operations.map(sealOperation)), since })
+        });
+    },
+
+    // Encryption functions
+    async getEncryption() {
+        return this.request('/encryption');
+    },
+
+    // Every revision, to be re-encrypted along with the diary
+    async getRevisionsForRekey() {
+        return this.request('/encryption/revisions');
+    },
+
+    // Upload part of the diary re-encrypted under a new key, for rekey below
+    async stageRekey(batch) {
+        return this.request('/encryption/rekey/rows', {
+            method: 'POST',
+            body: JSON.stringify(batch)
+        });
+    },
+
+    // Swap the whole diary for the staged copy under a new key
+    async rekey(payload) {
+        return this.request('/encryption/rekey', {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+    },
+
+    async importDiary(file, { dryRun, onConflict }) {
+        const body = new FormData();
+        body.append('file', file);
+        const params = new URLSearchParams({ dryRun: String(dryRun), onConflict });
+        
+        return this.request(`/import?${params}`, {
+            method: 'POST',
+            body
+        });
+    },
+
+    // Fetch a file (e.g. an export) along with the name the server gave it
+    async download(endpoint) {
+        const response = await fetch(`${apiBaseUrl}${endpoint}`, {
+            headers: this.authHeaders()
+        });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+        
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        
+        return {
+            blob: await response.blob(),
+            filename: match ? match[1] : 'panda-diary-export'
+        };
+    },
+
+    async searchEntries(query, filters = {}) {
+        const params = new URLSearchParams({ q: query });
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        return this.request(`/entries/search?${params}`);
+    },
+
+    // Account functions
+    async register(username, email, password) {
+        return this.request('/auth/register', {
+            method: 'POST',
+            body: JSON.stringify({ username, email, password })
+        });
+    },
+
+    async login(login, password) {
+        return this.request('/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({ login, password })
         });
     },
 
-    // History functions
-    async getHistory() {
-        return this.request('/entries');
+    async logout() {
+        return this.request('/auth/logout', {
+            method: 'POST'
+        });
+    },
+
+    // A claim merges the diary of the device the request comes from
+    async previewClaim(strategy) {
+        return this.request('/account/claim/preview', {
+            method: 'POST',
+            body: JSON.stringify({ strategy })
+        });
+    },
+
+    async claimDevice(strategy) {
+        return this.request('/account/claim', {
+            method: 'POST',
+            body: JSON.stringify({ strategy })
+        });
     }
 };
 
@@ -155,6 +586,22 @@ function formatDateKey(date) {
     return date.toISOString().split('T')[0];
 }
 
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function parseServerTimestamp(timestamp) {
+    return new Date(`${timestamp.replace(' ', 'T')}Z`);
+}
+
+function formatServerTimestamp(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function formatEntryTime(timestamp) {
+    return parseServerTimestamp(timestamp).toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
 function formatDisplayDate(date) {
     return date.toLocaleDateString('en-US', {
         weekday: 'long',
@@ -181,11 +628,70 @@ function initializeApp() {
     prevDayBtn = document.getElementById('prevDayBtn');
     nextDayBtn = document.getElementById('nextDayBtn');
     currentDaySpan = document.getElementById('currentDay');
+    entryTimeline = document.getElementById('entryTimeline');
+    newEntryBtn = document.getElementById('newEntryBtn');
+    entryTags = document.getElementById('entryTags');
+    daySongDisplay = document.getElementById('daySong');
+    memoriesStrip = document.getElementById('memoriesStrip');
+    promptPanel = document.getElementById('promptPanel');
+    promptText = document.getElementById('promptText');
+    externalMusicInput = document.getElementById('externalMusicInput');
+    saveExternalMusicBtn = document.getElementById('saveExternalMusicBtn');
+    versionsBtn = document.getElementById('versionsBtn');
+    versionsPanel = document.getElementById('versionsPanel');
+    attachmentsBar = document.getElementById('attachmentsBar');
+    versionsList = document.getElementById('versionsList');
+    versionsDiff = document.getElementById('versionsDiff');
+    versionsDiffStats = document.getElementById('versionsDiffStats');
+    versionsDiffBody = document.getElementById('versionsDiffBody');
+    restoreVersionBtn = document.getElementById('restoreVersionBtn');
     historyBtn = document.getElementById('historyBtn');
+    exportBtn = document.getElementById('exportBtn');
+    exportModal = document.getElementById('exportModal');
+    calendarBtn = document.getElementById('calendarBtn');
+    calendarModal = document.getElementById('calendarModal');
+    calendarTitle = document.getElementById('calendarTitle');
+    calendarGrid = document.getElementById('calendarGrid');
+    calendarSummary = document.getElementById('calendarSummary');
+    insightsBtn = document.getElementById('insightsBtn');
+    insightsModal = document.getElementById('insightsModal');
+    writingStatsDisplay = document.getElementById('writingStats');
+    encryptionBtn = document.getElementById('encryptionBtn');
+    encryptionModal = document.getElementById('encryptionModal');
+    unlockModal = document.getElementById('unlockModal');
     pandaImage = document.querySelector('.panda-image');
     currentMood = document.getElementById('currentMood');
     moodEmoji = document.getElementById('moodEmoji');
     emojiGrid = document.getElementById('emojiGrid');
+    moodLog = document.getElementById('moodLog');
+    moodIntensity = document.getElementById('moodIntensity');
+    moodIntensityValue = document.getElementById('moodIntensityValue');
+    moodTime = document.getElementById('moodTime');
+    moodNote = document.getElementById('moodNote');
+    accountBtn = document.getElementById('accountBtn');
+    authModal = document.getElementById('authModal');
+    authForm = document.getElementById('authForm');
+    authTitle = document.getElementById('authTitle');
+    authLogin = document.getElementById('authLogin');
+    authEmail = document.getElementById('authEmail');
+    authPassword = document.getElementById('authPassword');
+    authError = document.getElementById('authError');
+    authSubmitBtn = document.getElementById('authSubmitBtn');
+    authSwitchBtn = document.getElementById('authSwitchBtn');
+    authAccount = document.getElementById('authAccount');
+    authUsername = document.getElementById('authUsername');
+    logoutBtn = document.getElementById('logoutBtn');
+    claimDeviceId = document.getElementById('claimDeviceId');
+    claimStrategy = document.getElementById('claimStrategy');
+    claimPreview = document.getElementById('claimPreview');
+    claimPreviewBtn = document.getElementById('claimPreviewBtn');
+    claimBtn = document.getElementById('claimBtn');
+    conflictModal = document.getElementById('conflictModal');
+    conflictMine = document.getElementById('conflictMine');
+    conflictTheirs = document.getElementById('conflictTheirs');
+    conflictTheirsTitle = document.getElementById('conflictTheirsTitle');
+    moodConflictModal = document.getElementById('moodConflictModal');
+    moodConflictList = document.getElementById('moodConflictList');
     
     // Debug logging for all elements
     console.log('DOM Elements initialized:', {
@@ -216,6 +722,15 @@ function initializeApp() {
     updateCurrentDay();
     setupMoodSelector();
     updateMoodDisplay();
+    setupMusic();
+    setupAccount();
+    setupEncryption();
+    
+    // Send anything written offline last time and pick up changes from other
+    // devices (once we know whether the diary is encrypted)
+    if (isOnline) {
+        refreshEncryptionSettings().finally(() => syncWithServer());
+    }
     
     // Show welcome message
     setTimeout(() => {
@@ -230,6 +745,7 @@ function setupOnlineStatus() {
     window.addEventListener('online', () => {
         isOnline = true;
         showNotification('🟢 Back online! Syncing with server...');
+        syncRetryCount = 0;
         syncWithServer();
     });
 
@@ -239,55 +755,710 @@ function setupOnlineStatus() {
     });
 }
 
+// Sync Functions
+// Send queued changes in batches, then fold in whatever changed on the server
 async function syncWithServer() {
-    try {
-        showNotification('✅ Sync completed!');
-    } catch (error) {
-        console.error('Sync failed:', error);
-        showNotification('⚠️ Sync failed. Using local data.');
+    if (!isOnline) return;
+    
+    // Queued changes can't be encrypted yet; unlocking syncs them
+    if (isDiaryLocked() && syncOutbox.length > 0) return;
+    
+    // Run again once the current sync finishes, to pick up newer changes
+    if (syncPromise) {
+        syncQueued = true;
+        return syncPromise;
     }
-}
-
-// Live Clock Functions - Optimized for performance
-function setupLiveClock() {
-    console.log('Setting up live clock...');
-    console.log('liveTime element:', liveTime);
     
-    // Force initial update
-    updateClock();
+    clearTimeout(syncRetryTimer);
+    syncRetryTimer = null;
     
-    // Update every second for accurate time display
-    setInterval(updateClock, 1000);
+    syncPromise = (async () => {
+        let sent = 0;
+        let conflicts = 0;
+        const refusedMoods = [];
+        
+        try {
+            do {
+                const batch = takeSyncBatch();
+                
+                // Once sent, a change is never edited again: the server may
+                // already have applied it even if the response is lost
+                batch.forEach(op => { op.sent = true; });
+                saveOutbox();
+                
+                const response = await api.sync(batch.map(toSyncOperation), syncToken);
+                const outcome = handleSyncResults(response.data.results);
+                conflicts += outcome.conflicts;
+                refusedMoods.push(...outcome.refusedMoods);
+                applySyncChanges(response.data.changes);
+                
+                syncToken = response.data.syncToken;
+                localStorage.setItem('sync_token', syncToken);
+                sent += batch.length;
+            } while (takeSyncBatch().length > 0);
+            
+            syncRetryCount = 0;
+            refreshCurrentDay();
+            
+            if (refusedMoods.length > 0) {
+                showMoodConflicts(refusedMoods);
+            }
+            if (conflicts > 0) {
+                showNotification(`⚠️ ${conflicts} ${conflicts === 1 ? 'entry was' : 'entries were'} changed on another device. Your offline version was kept as a separate entry.`, 'warning');
+            } else if (sent > 0 && refusedMoods.length === 0) {
+                showNotification(`✅ Synced ${sent} offline ${sent === 1 ? 'change' : 'changes'}!`, 'success');
+            }
+        } catch (error) {
+            console.error('Sync failed:', error);
+            syncQueued = false;
+            scheduleSyncRetry();
+            
+            if (syncRetryCount === 1) {
+                showNotification('⚠️ Sync failed. Your changes are saved locally and will be retried.', 'warning');
+            }
+        } finally {
+            syncPromise = null;
+            if (syncQueued) {
+                syncQueued = false;
+                syncWithServer();
+            }
+        }
+    })();
     
-    console.log('Live clock setup complete');
+    return syncPromise;
 }
 
-function updateClock() {
-    const now = new Date();
+// Retry with exponential backoff while the server can't be reached
+function scheduleSyncRetry() {
+    const delay = Math.min(SYNC_RETRY_BASE_MS * 2 ** syncRetryCount, SYNC_RETRY_MAX_MS);
+    syncRetryCount++;
     
-    // Update time (every second for accurate display)
-    const timeString = now.toLocaleTimeString('en-US', {
-        hour12: false,
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit'
-    });
+    clearTimeout(syncRetryTimer);
+    syncRetryTimer = setTimeout(() => {
+        syncRetryTimer = null;
+        syncWithServer();
+    }, delay);
+}
+
+// Ask for a sync after queueing a change, unless a retry is already waiting
+function requestSync() {
+    if (isOnline && !syncRetryTimer) {
+        syncWithServer();
+    }
+}
+
+function saveOutbox() {
+    localStorage.setItem('sync_outbox', JSON.stringify(syncOutbox));
+}
+
+// Entries and moods created offline get a local id until the server assigns a real one
+function isLocalEntryId(id) {
+    return typeof id === 'string' && id.startsWith('local-');
+}
+
+// Queue a change, folding it into an unsent change to the same entry or mood
+function queueChange(change) {
+    const key = change.id !== undefined ? `${change.type}:${change.id}` : `${change.type}:${change.date}`;
+    const pending = syncOutbox.find(op => op.key === key && !op.sent);
     
-    if (liveTime) {
-        liveTime.textContent = timeString;
-        console.log('Time updated:', timeString);
+    if (pending) {
+        // Keep the original action and base version; only the content moves on
+        Object.assign(pending, change, {
+            action: pending.action,
+            baseVersion: pending.baseVersion,
+            baseUpdatedAt: pending.baseUpdatedAt,
+            queuedAt: new Date().toISOString()
+        });
     } else {
-        console.error('liveTime element not found!');
+        // An entry whose create is already on its way now needs an update
+        const action = change.action === 'create' && syncOutbox.some(op => op.key === key)
+            ? 'update'
+            : change.action;
+        
+        syncOutbox.push({
+            ...change,
+            action,
+            key,
+            opId: generateUUID(),
+            queuedAt: new Date().toISOString()
+        });
     }
     
-    // Update date (only if changed - once per day)
-    const dateString = now.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-    if (liveDate && liveDate.textContent !== dateString) {
-        liveDate.textContent = dateString;
+    saveOutbox();
+}
+
+// Queue the editor content as a change to the open entry
+function queueEntryChange(dateKey, content) {
+    if (currentEntryId === null) {
+        currentEntryId = `local-${generateUUID()}`;
+    }
+    
+    const openEntry = dayEntries.find(e => e.id === currentEntryId);
+    if (openEntry && openEntry.content === content) return;
+    
+    queueChange({
+        type: 'entry',
+        action: isLocalEntryId(currentEntryId) ? 'create' : 'update',
+        id: currentEntryId,
+        date: dateKey,
+        content,
+        baseVersion: openEntry ? openEntry.version : null,
+        baseUpdatedAt: openEntry ? openEntry.updated_at : null
+    });
+    
+    upsertDayEntry({
+        id: currentEntryId,
+        date: dateKey,
+        created_at: formatServerTimestamp(new Date()),
+        ...openEntry,
+        content,
+        pending: true
+    });
+    renderTimeline();
+    requestSync();
+}
+
+// The next batch to send, stopping before a change to an entry or mood
+// whose create hasn't come back with a real id yet
+function takeSyncBatch() {
+    const batch = [];
+    
+    for (const op of syncOutbox) {
+        if (batch.length >= SYNC_BATCH_SIZE) break;
+        
+        if (isLocalEntryId(op.id) && op.action !== 'create') {
+            if (batch.some(b => b.key === op.key)) break;
+            
+            // Its create was dropped by the server, so this becomes the create
+            if (!syncOutbox.some(o => o.key === op.key && o.action === 'create')) {
+                op.action = 'create';
+            }
+        }
+        
+        batch.push(op);
+    }
+    
+    return batch;
+}
+
+function toSyncOperation(op) {
+    const { key, sent, ...operation } = op;
+    return operation;
+}
+
+// Drop answered changes from the outbox; returns the number of entry
+// conflicts and the mood changes that weren't applied
+function handleSyncResults(results) {
+    let conflicts = 0;
+    const refusedMoods = [];
+    
+    results.forEach(result => {
+        const index = syncOutbox.findIndex(op => op.opId === result.opId);
+        if (index === -1) return;
+        
+        const [op] = syncOutbox.splice(index, 1);
+        
+        if (result.status === 'rejected') {
+            console.warn('Server rejected queued change:', op, result.message);
+            if (op.type === 'mood') {
+                // A mood the server never saved is only in the cache
+                if (op.action === 'create') {
+                    updateCachedMoods([], [{ id: op.id, date: op.date }]);
+                }
+                refusedMoods.push({ op, reason: result.message });
+            }
+            return;
+        }
+        
+        if (op.type === 'mood') {
+            if (result.status === 'applied' && op.action === 'create') {
+                updateCachedMoods([result.mood], [{ id: op.id, date: op.date }]);
+            } else if (result.status === 'conflict') {
+                // The server's mood is newer than ours, so it stays
+                updateCachedMoods(result.server ? [result.server] : [], [{ id: op.id, date: op.date }]);
+                refusedMoods.push({
+                    op,
+                    server: result.server,
+                    reason: result.server ? 'changed on another device' : 'already removed'
+                });
+            }
+            return;
+        }
+        
+        if (result.status === 'applied' && op.action === 'create') {
+            resolveLocalEntry(op, result.entry);
+        } else if (result.status === 'applied' && result.entry) {
+            updateCachedEntries([result.entry]);
+        } else if (result.status === 'conflict') {
+            conflicts++;
+            keepConflictingEntry(op, result);
+        }
+    });
+    
+    saveOutbox();
+    return { conflicts, refusedMoods };
+}
+
+// Swap an offline entry's local id for the id the server gave it
+function resolveLocalEntry(op, entry) {
+    syncOutbox.forEach(pending => {
+        if (pending.key === op.key) {
+            pending.id = entry.id;
+            pending.key = `entry:${entry.id}`;
+            pending.baseVersion = entry.version;
+            pending.baseUpdatedAt = entry.updated_at;
+        }
+    });
+    
+    if (currentEntryId === op.id) {
+        currentEntryId = entry.id;
+    }
+    
+    updateCachedEntries([entry], [{ id: op.id, date: op.date }]);
+}
+
+// The server copy changed (or was deleted) while we were offline: keep the
+// server copy and save our version as a new entry for the same day
+function keepConflictingEntry(op, result) {
+    const later = syncOutbox.filter(pending => pending.key === op.key);
+    const content = later.length > 0 ? later[later.length - 1].content : op.content;
+    syncOutbox = syncOutbox.filter(pending => pending.key !== op.key);
+    
+    const copyId = `local-${generateUUID()}`;
+    if (currentEntryId === op.id) {
+        currentEntryId = copyId;
+    }
+    
+    queueChange({ type: 'entry', action: 'create', id: copyId, date: op.date, content });
+    
+    const copy = { id: copyId, date: op.date, content, created_at: formatServerTimestamp(new Date()), pending: true };
+    if (result.server) {
+        updateCachedEntries([result.server, copy]);
+    } else {
+        updateCachedEntries([copy], [{ id: op.id, date: op.date }]);
+    }
+}
+
+// Fold server changes into the offline caches
+function applySyncChanges(changes) {
+    const removed = changes.deleted.filter(item => item.type === 'entry');
+    updateCachedEntries(changes.entries, removed);
+    if (changes.entries.length > 0 || removed.length > 0) {
+        refreshWritingStats();
+    }
+    
+    updateCachedMoods(changes.moods, changes.deleted.filter(item => item.type === 'mood'));
+}
+
+// Show synced changes for the open day without touching unsaved typing
+function refreshCurrentDay() {
+    const dateKey = formatDateKey(currentDate);
+    const openEntry = dayEntries.find(e => e.id === currentEntryId);
+    const editorClean = openEntry && editorShows(openEntry.content);
+    
+    dayEntries = getCachedDayEntries(dateKey);
+    
+    const updatedEntry = dayEntries.find(e => e.id === currentEntryId);
+    if (editorClean && updatedEntry) {
+        setEditorContent(updatedEntry.content);
+    }
+    
+    renderTimeline();
+    updateMoodDisplay();
+}
+
+// Offline Cache Functions
+// Each day's entries are kept for offline use; diary_<date> keeps the latest
+// entry's text for history and search
+function getCachedDayEntries(dateKey) {
+    return JSON.parse(localStorage.getItem(`entries_${dateKey}`) || '[]');
+}
+
+function cacheDayEntries(dateKey, entries) {
+    // Offline entries whose create hasn't reached the server yet
+    const unsynced = getCachedDayEntries(dateKey).filter(entry =>
+        isLocalEntryId(entry.id) &&
+        !entries.some(e => e.id === entry.id) &&
+        syncOutbox.some(op => op.key === `entry:${entry.id}`)
+    );
+    
+    const merged = [...entries, ...unsynced]
+        .map(withPendingChange)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    
+    localStorage.setItem(`entries_${dateKey}`, JSON.stringify(merged));
+    if (merged.length > 0) {
+        localStorage.setItem(`diary_${dateKey}`, merged[merged.length - 1].content);
+    }
+    
+    return merged;
+}
+
+// Merge changed entries into their days' caches and drop removed ones
+function updateCachedEntries(changed, removed = []) {
+    const dates = new Set([...changed, ...removed].map(entry => entry.date));
+    
+    dates.forEach(dateKey => {
+        const changedIds = changed.filter(e => e.date === dateKey).map(e => e.id);
+        const removedIds = removed.filter(e => e.date === dateKey).map(e => e.id);
+        const kept = getCachedDayEntries(dateKey)
+            .filter(e => !changedIds.includes(e.id) && !removedIds.includes(e.id));
+        
+        cacheDayEntries(dateKey, [...kept, ...changed.filter(e => e.date === dateKey)]);
+    });
+}
+
+// Show an entry with its unsynced text, if it has any
+function withPendingChange(entry) {
+    const pending = syncOutbox.filter(op => op.key === `entry:${entry.id}`).pop();
+    return { ...entry, content: pending ? pending.content : entry.content, pending: Boolean(pending) };
+}
+
+// Each day's moods are kept the same way, in moods_<date>. Days saved when
+// a day had a single mood still have it in mood_<date>.
+function getCachedDayMoods(dateKey) {
+    const moods = localStorage.getItem(`moods_${dateKey}`);
+    if (moods) return JSON.parse(moods);
+    
+    const legacy = JSON.parse(localStorage.getItem(`mood_${dateKey}`) || 'null');
+    return legacy ? [{ ...legacy, date: dateKey, intensity: DEFAULT_MOOD_INTENSITY }] : [];
+}
+
+function cacheDayMoods(dateKey, moods) {
+    // Offline moods whose create hasn't reached the server yet
+    const unsynced = getCachedDayMoods(dateKey).filter(mood =>
+        isLocalEntryId(mood.id) &&
+        !moods.some(m => m.id === mood.id) &&
+        syncOutbox.some(op => op.key === `mood:${mood.id}`)
+    );
+    // Moods removed offline stay removed until the server hears about it
+    const kept = moods.filter(mood => !syncOutbox.some(op => op.key === `mood:${mood.id}` && op.action === 'delete'));
+    
+    const merged = sortDayMoods([...kept, ...unsynced]);
+    localStorage.setItem(`moods_${dateKey}`, JSON.stringify(merged));
+    localStorage.removeItem(`mood_${dateKey}`);
+    return merged;
+}
+
+// Merge changed moods into their days' caches and drop removed ones
+function updateCachedMoods(changed, removed = []) {
+    const dates = new Set([...changed, ...removed].map(mood => mood.date));
+    
+    dates.forEach(dateKey => {
+        const changedIds = changed.filter(m => m.date === dateKey).map(m => m.id);
+        const removedIds = removed.filter(m => m.date === dateKey).map(m => m.id);
+        const kept = getCachedDayMoods(dateKey)
+            .filter(m => !changedIds.includes(m.id) && !removedIds.includes(m.id));
+        
+        cacheDayMoods(dateKey, [...kept, ...changed.filter(m => m.date === dateKey)]);
+    });
+}
+
+// Account Functions
+function setupAccount() {
+    if (!accountBtn || !authModal) {
+        console.error('Account elements not found');
+        return;
+    }
+    
+    accountBtn.addEventListener('click', showAuthModal);
+    document.getElementById('authCloseBtn').addEventListener('click', hideAuthModal);
+    authSwitchBtn.addEventListener('click', () => setAuthMode(authMode === 'login' ? 'register' : 'login'));
+    authForm.addEventListener('submit', handleAuthSubmit);
+    logoutBtn.addEventListener('click', handleLogout);
+    claimPreviewBtn.addEventListener('click', handleClaimPreview);
+    claimBtn.addEventListener('click', handleClaim);
+    
+    // Close modal when clicking outside
+    authModal.addEventListener('click', (e) => {
+        if (e.target === authModal) {
+            hideAuthModal();
+        }
+    });
+    
+    updateAccountDisplay();
+}
+
+function setSession(session) {
+    authToken = session.token;
+    currentUser = session.user;
+    localStorage.setItem('authToken', authToken);
+    localStorage.setItem('authUser', JSON.stringify(currentUser));
+    resetSyncToken();
+    resetEncryption();
+    clearAttachmentCache();
+    resetMoodPalette();
+    resetPlaylist();
+    resetTemplates();
+    updateAccountDisplay();
+    refreshWritingStats();
+}
+
+function clearSession() {
+    // Accounts registered before merging was explicit adopted the browser's
+    // device ID, so start a fresh anonymous diary rather than reuse an ID the
+    // server now guards
+    if (currentUser && currentUser.device_id === deviceId) {
+        deviceId = generateUUID();
+        localStorage.setItem('deviceId', deviceId);
+    }
+    
+    authToken = null;
+    currentUser = null;
+    localStorage.removeItem('authToken');
+    localStorage.removeItem('authUser');
+    resetSyncToken();
+    resetEncryption();
+    clearAttachmentCache();
+    resetMoodPalette();
+    resetPlaylist();
+    resetTemplates();
+    updateAccountDisplay();
+    refreshWritingStats();
+}
+
+// A different identity has different data, so the next sync starts from scratch
+function resetSyncToken() {
+    syncToken = null;
+    localStorage.removeItem('sync_token');
+}
+
+function updateAccountDisplay() {
+    if (!accountBtn) return;
+    
+    accountBtn.textContent = currentUser ? `👤 ${currentUser.username}` : '👤 Sign In';
+}
+
+function setAuthMode(mode) {
+    authMode = mode;
+    const isRegister = mode === 'register';
+    
+    authTitle.textContent = isRegister ? '🐼 Create Account' : '🔐 Sign In';
+    authLogin.placeholder = isRegister ? 'Username' : 'Username or email';
+    authEmail.hidden = !isRegister;
+    authPassword.autocomplete = isRegister ? 'new-password' : 'current-password';
+    authSubmitBtn.textContent = isRegister ? 'Create Account' : 'Sign In';
+    authSwitchBtn.textContent = isRegister ? 'Already have an account? Sign in' : 'New here? Create an account';
+    authError.textContent = '';
+}
+
+function showAuthModal() {
+    const signedIn = !!currentUser;
+    
+    authForm.hidden = signedIn;
+    authAccount.hidden = !signedIn;
+    
+    if (signedIn) {
+        authTitle.textContent = '👤 Account';
+        authUsername.textContent = currentUser.username;
+        
+        // Offer this browser's anonymous diary for merging
+        claimDeviceId.value = deviceId !== currentUser.device_id ? deviceId : '';
+        claimPreview.innerHTML = '';
+    } else {
+        setAuthMode('login');
+        authForm.reset();
+    }
+    
+    authModal.hidden = false;
+}
+
+function hideAuthModal() {
+    authModal.hidden = true;
+    authPassword.value = '';
+}
+
+async function handleAuthSubmit(e) {
+    e.preventDefault();
+    
+    if (!isOnline) {
+        authError.textContent = 'You need to be online to sign in.';
+        return;
+    }
+    
+    const login = authLogin.value.trim();
+    const password = authPassword.value;
+    authSubmitBtn.disabled = true;
+    authError.textContent = '';
+    
+    try {
+        const response = authMode === 'register'
+            ? await api.register(login, authEmail.value.trim(), password)
+            : await api.login(login, password);
+        
+        const registered = authMode === 'register';
+        setSession(response.data);
+        showNotification(`🐼 Welcome, ${currentUser.username}!`, 'success');
+        
+        // A new account starts empty; offer to merge this browser's diary
+        if (registered) {
+            showAuthModal();
+        } else {
+            hideAuthModal();
+        }
+        
+        // Reload the current day from the account's diary
+        loadDiaryEntry();
+    } catch (error) {
+        console.error('Authentication failed:', error);
+        authError.textContent = getApiErrorMessage(error, 'Could not sign in. Please try again.');
+    } finally {
+        authSubmitBtn.disabled = false;
+    }
+}
+
+async function handleLogout() {
+    // Changes queued for the account must reach it before the session ends
+    if (syncOutbox.length > 0) {
+        await syncWithServer();
+    }
+    
+    try {
+        await api.logout();
+    } catch (error) {
+        // The session is dropped locally either way
+        console.error('Logout request failed:', error);
+    }
+    
+    clearSession();
+    hideAuthModal();
+    showNotification('👋 Logged out. You are back on this device\'s diary.');
+    loadDiaryEntry();
+}
+
+const claimActionLabels = {
+    move: '➡️ Move',
+    replace: '🔁 Replace (device copy is newer)',
+    discard: '🗑️ Discard (account copy is newer)',
+    concatenate: '➕ Combine'
+};
+
+function renderClaimPreview(plan) {
+    claimPreview.innerHTML = '';
+    
+    if (plan.entries.length === 0 && plan.moods.length === 0) {
+        const empty = document.createElement('li');
+        empty.textContent = 'Nothing to merge from this browser.';
+        claimPreview.appendChild(empty);
+        return;
+    }
+    
+    plan.entries.forEach(action => {
+        const item = document.createElement('li');
+        item.className = `claim-item claim-${action.action}`;
+        item.textContent = `${action.date} · ${claimActionLabels[action.action]} · "${action.incoming}"`;
+        claimPreview.appendChild(item);
+    });
+    
+    if (plan.moods.length > 0) {
+        const moods = document.createElement('li');
+        moods.className = 'claim-item';
+        moods.textContent = `😊 ${plan.moods.length} mood(s) will be merged too`;
+        claimPreview.appendChild(moods);
+    }
+}
+
+async function handleClaimPreview() {
+    if (!claimDeviceId.value) {
+        showNotification('This browser has no diary of its own to merge.', 'warning');
+        return;
+    }
+    
+    try {
+        const response = await api.previewClaim(claimStrategy.value);
+        renderClaimPreview(response.data);
+    } catch (error) {
+        console.error('Claim preview failed:', error);
+        showNotification(`⚠️ ${getApiErrorMessage(error, 'Could not preview the merge.')}`, 'error');
+    }
+}
+
+async function handleClaim() {
+    if (!claimDeviceId.value) {
+        showNotification('This browser has no diary of its own to merge.', 'warning');
+        return;
+    }
+    
+    claimBtn.disabled = true;
+    
+    try {
+        const response = await api.claimDevice(claimStrategy.value);
+        const { summary } = response.data;
+        
+        // This browser's old ID now belongs to the account
+        deviceId = generateUUID();
+        localStorage.setItem('deviceId', deviceId);
+        claimDeviceId.value = '';
+        
+        renderClaimPreview(response.data);
+        showNotification(`🔗 Merged ${summary.move + summary.replace + summary.concatenate} entries into your account!`, 'success');
+        // The account took over the merged diary's passphrase
+        if (response.data.encryption.keyAdopted) {
+            refreshEncryptionSettings();
+        }
+        loadDiaryEntry();
+        loadPlaylist();
+    } catch (error) {
+        console.error('Claim failed:', error);
+        showNotification(`⚠️ ${getApiErrorMessage(error, 'Could not merge entries.')}`, 'error');
+    } finally {
+        claimBtn.disabled = false;
+    }
+}
+
+// Pull the server's message out of an api.request error
+function getApiErrorMessage(error, fallback) {
+    const match = error.message.match(/ - (\{.*\})$/);
+    if (match) {
+        try {
+            return JSON.parse(match[1]).message || fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+    return fallback;
+}
+
+// Live Clock Functions - Optimized for performance
+function setupLiveClock() {
+    console.log('Setting up live clock...');
+    console.log('liveTime element:', liveTime);
+    
+    // Force initial update
+    updateClock();
+    
+    // Update every second for accurate time display
+    setInterval(updateClock, 1000);
+    
+    console.log('Live clock setup complete');
+}
+
+function updateClock() {
+    const now = new Date();
+    
+    // Update time (every second for accurate display)
+    const timeString = now.toLocaleTimeString('en-US', {
+        hour12: false,
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    });
+    
+    if (liveTime) {
+        liveTime.textContent = timeString;
+        console.log('Time updated:', timeString);
+    } else {
+        console.error('liveTime element not found!');
+    }
+    
+    // Update date (only if changed - once per day)
+    const dateString = now.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+    if (liveDate && liveDate.textContent !== dateString) {
+        liveDate.textContent = dateString;
     }
     
     // Update day of week (only if changed)
@@ -297,16 +1468,98 @@ function updateClock() {
     }
 }
 
+// Writing Stats Functions
+async function loadWritingStats() {
+    if (!isOnline || !writingStatsDisplay) return;
+    
+    try {
+        const response = await api.getWritingStats(Intl.DateTimeFormat().resolvedOptions().timeZone);
+        renderWritingStats(response.data);
+    } catch (error) {
+        console.error('Error loading writing stats:', error);
+    }
+}
+
+// Saves come in bursts while typing, so only look again once they settle
+const refreshWritingStats = debounce(loadWritingStats, 5000);
+
+function renderWritingStats(stats) {
+    const { current, longest } = stats.streaks;
+    const month = stats.months.find(item => item.month === stats.today.slice(0, 7));
+    const monthWords = month ? month.words : 0;
+    
+    document.getElementById('writingStreak').textContent = current
+        ? `🔥 ${current.length}-day streak`
+        : '✏️ No streak yet';
+    document.getElementById('writingMonth').textContent = `📝 ${monthWords.toLocaleString('en-US')} ${monthWords === 1 ? 'word' : 'words'} this month`;
+    document.getElementById('writingTime').textContent = stats.timeOfDay.averageStarted
+        ? `🕰️ Usually at ${stats.timeOfDay.averageStarted}`
+        : '';
+    
+    writingStatsDisplay.title = [
+        longest && `Longest streak: ${longest.length} ${longest.length === 1 ? 'day' : 'days'}`,
+        `${stats.totals.words.toLocaleString('en-US')} words in ${stats.totals.entries} ${stats.totals.entries === 1 ? 'entry' : 'entries'}`,
+        stats.totals.encrypted > 0 && `${stats.totals.encrypted} encrypted not counted`,
+        stats.timeOfDay.averageLastEdited && `Last edits around ${stats.timeOfDay.averageLastEdited}`
+    ].filter(Boolean).join(' · ');
+    writingStatsDisplay.hidden = stats.totals.entries === 0;
+}
+
 // Diary Functions
 function setupDiary() {
     // Load today's entry
     loadDiaryEntry();
     
+    setupEditor();
+    setupAttachments();
+    setupPrompts();
+    setupTemplates();
+    
     // Event listeners
     saveBtn.addEventListener('click', saveDiaryEntry);
-    historyBtn.addEventListener('click', showHistory);
+    historyBtn.addEventListener('click', () => showHistory());
+    entryTags.addEventListener('click', (e) => {
+        const chip = e.target.closest('.tag-chip');
+        if (chip) {
+            showHistory({ tag: chip.dataset.tag });
+        }
+    });
+    memoriesStrip.addEventListener('click', (e) => {
+        const memory = e.target.closest('.memory-item');
+        if (memory) {
+            openEntryFromHistory(memory.dataset.date, Number(memory.dataset.entryId));
+        }
+    });
+    exportBtn.addEventListener('click', () => {
+        exportModal.hidden = false;
+    });
+    document.getElementById('exportCloseBtn').addEventListener('click', () => {
+        exportModal.hidden = true;
+    });
+    exportModal.querySelectorAll('[data-format]').forEach(btn => {
+        btn.addEventListener('click', () => exportDiary(btn.dataset.format, btn.dataset.zip === 'true'));
+    });
+    document.getElementById('importPreviewBtn').addEventListener('click', () => importDiary(true));
+    document.getElementById('importBtn').addEventListener('click', () => importDiary(false));
     prevDayBtn.addEventListener('click', () => navigateDay(-1));
         nextDayBtn.addEventListener('click', () => navigateDay(1));
+    setupCalendar();
+    setupInsights();
+    setupMoodPalette();
+    loadWritingStats();
+    newEntryBtn.addEventListener('click', startNewEntry);
+    versionsBtn.addEventListener('click', toggleVersionsPanel);
+    document.getElementById('versionsCloseBtn').addEventListener('click', () => {
+        versionsPanel.hidden = true;
+    });
+    restoreVersionBtn.addEventListener('click', restoreSelectedVersion);
+    document.getElementById('conflictKeepMineBtn').addEventListener('click', () => resolveEntryConflict('mine'));
+    document.getElementById('conflictUseTheirsBtn').addEventListener('click', () => resolveEntryConflict('theirs'));
+    document.getElementById('conflictKeepBothBtn').addEventListener('click', () => resolveEntryConflict('both'));
+    document.getElementById('moodConflictCloseBtn').addEventListener('click', () => {
+        moodConflictModal.hidden = true;
+        moodConflictList.innerHTML = '';
+    });
 
     // Mood selector setup
     console.log('Setting up mood selector...');
@@ -314,14 +1567,15 @@ function setupDiary() {
     
     if (emojiGrid) {
         console.log('Adding event listeners for mood selection');
-        const emojiButtons = emojiGrid.querySelectorAll('.emoji-btn');
-        emojiButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                const mood = btn.dataset.mood;
-                const emoji = btn.dataset.emoji;
-                selectMood(mood, emoji);
-            });
+        // The buttons are rendered from the palette, so listen on the grid
+        emojiGrid.addEventListener('click', (e) => {
+            const btn = e.target.closest('.emoji-btn');
+            if (btn) {
+                selectMood(btn.dataset.mood, btn.dataset.emoji, Number(btn.dataset.paletteId) || null);
+            }
         });
+        renderEmojiGrid();
+        loadMoodPalette();
         console.log('Mood event listeners added successfully');
     } else {
         console.error('Cannot add mood event listeners - emojiGrid not found');
@@ -333,363 +1587,3735 @@ function setupDiary() {
     }, 2000); // 2 second debounce for better performance
     
     diaryTextarea.addEventListener('input', debouncedAutoSave);
+    diaryTextarea.addEventListener('input', debounce(renderEntryTags, 500));
 }
 
 async function loadDiaryEntry() {
     const dateKey = formatDateKey(currentDate);
     console.log('Loading diary entry for:', dateKey, 'Device ID:', deviceId, 'Online:', isOnline);
     
+    loadAttachments(dateKey);
+    loadDaySong(dateKey);
+    loadMemories(dateKey);
+    hideDailyPrompt();
+    
     try {
         if (isOnline) {
             // Try to load from API
             console.log('Attempting to load from API...');
-            const response = await api.getEntry(dateKey);
+            const response = await api.getEntries(dateKey);
             console.log('API response:', response);
-            diaryTextarea.textContent = response.data?.content || '';
+            
+            // Open the day's most recent entry (including changes not yet synced)
+            dayEntries = cacheDayEntries(dateKey, response.data || []);
+            openLatestEntry();
         } else {
             // Fallback to LocalStorage
             console.log('Loading from LocalStorage...');
-            const entry = localStorage.getItem(`diary_${dateKey}`);
-            diaryTextarea.textContent = entry || '';
+            loadCachedDay(dateKey);
+        }
+        
+        renderTimeline();
+        
+        // Keep an open Versions panel in step with the day
+        if (versionsPanel && !versionsPanel.hidden) {
+            loadVersions();
         }
         
         // Load mood for this date
         await loadMood(dateKey);
         
+        // Start an empty day from its weekday's template
+        await applyDayTemplate(dateKey);
+        
         // Update display
         updateDayDisplay();
         
     } catch (error) {
         console.error('Error loading diary entry:', error);
         // Fallback to LocalStorage
-        const entry = localStorage.getItem(`diary_${dateKey}`);
-        diaryTextarea.textContent = entry || '';
+        loadCachedDay(dateKey);
+        renderTimeline();
         updateDayDisplay();
     }
 }
 
-async function saveDiaryEntry() {
-    const dateKey = formatDateKey(currentDate);
-    const content = diaryTextarea.textContent.trim();
-    
+function openLatestEntry() {
+    const latestEntry = dayEntries[dayEntries.length - 1];
+    currentEntryId = latestEntry ? latestEntry.id : null;
+    setEditorContent(latestEntry ? latestEntry.content : '');
+}
+
+// Load a day from the offline cache; days never seen online only have diary_<date>
+function loadCachedDay(dateKey) {
+    dayEntries = getCachedDayEntries(dateKey);
+    
+    if (dayEntries.length > 0) {
+        openLatestEntry();
+    } else {
+        currentEntryId = null;
+        setEditorContent(localStorage.getItem(`diary_${dateKey}`) || '');
+    }
+}
+
+// Save the editor content as the open entry, creating it on first save
+async function persistEntry(dateKey, content) {
+    // Hold saves until the user has settled a conflict
+    if (entryConflict) return;
+    
+    // Wait for an in-flight create so autosave doesn't create the entry twice
+    if (!currentEntryId && entryCreatePromise) {
+        await entryCreatePromise;
+    }
+    
+    if (currentEntryId) {
+        const openEntry = dayEntries.find(e => e.id === currentEntryId);
+        try {
+            const response = await api.updateEntry(currentEntryId, content, openEntry && openEntry.version);
+            upsertDayEntry(response.data);
+        } catch (error) {
+            if (error.status !== 412) throw error;
+            showEntryConflict(error.data.current, content);
+        }
+    } else {
+        entryCreatePromise = api.createEntry(dateKey, content);
+        try {
+            const response = await entryCreatePromise;
+            currentEntryId = response.data.id;
+            upsertDayEntry(response.data);
+        } finally {
+            entryCreatePromise = null;
+        }
+    }
+    
+    renderTimeline();
+    refreshWritingStats();
+}
+
+function upsertDayEntry(entry) {
+    const index = dayEntries.findIndex(e => e.id === entry.id);
+    if (index === -1) {
+        dayEntries.push(entry);
+    } else {
+        dayEntries[index] = entry;
+    }
+    
+    if (entry.date === formatDateKey(currentDate)) {
+        cacheDayEntries(entry.date, dayEntries);
+    }
+}
+
+// Editor Functions
+// Entries are stored as Markdown, one editor line per Markdown line. The
+// editor shows it rendered and is read back into Markdown on save; only
+// the formatting the toolbar offers survives the round trip.
+const EDITOR_BLOCK_TAGS = ['DIV', 'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'LI', 'BLOCKQUOTE'];
+
+// Ctrl/Cmd shortcuts, keyed by modifiers and KeyboardEvent.code
+const EDITOR_SHORTCUTS = {
+    'KeyB': 'bold',
+    'KeyI': 'italic',
+    'Alt+Digit1': 'heading1',
+    'Alt+Digit2': 'heading2',
+    'Alt+Digit3': 'heading3',
+    'Alt+Digit0': 'paragraph',
+    'Shift+Digit7': 'numberedList',
+    'Shift+Digit8': 'bulletList',
+    'Shift+Digit9': 'checklist',
+    'Shift+Period': 'quote'
+};
+
+// Markdown typed at the start of a line, applied when followed by a space
+const MARKDOWN_LINE_SHORTCUTS = {
+    '#': 'heading1',
+    '##': 'heading2',
+    '###': 'heading3',
+    '-': 'bulletList',
+    '*': 'bulletList',
+    '1.': 'numberedList',
+    '[]': 'checklist',
+    '>': 'quote'
+};
+
+function getEditorContent() {
+    return editorToMarkdown(diaryTextarea).trim();
+}
+
+function setEditorContent(markdown) {
+    diaryTextarea.innerHTML = renderMarkdown(markdown);
+    loadAttachmentImages(diaryTextarea);
+    renderEntryTags();
+}
+
+// Whether the editor still shows this content. Markdown written elsewhere
+// (imports, older plain-text entries) may read back escaped, so both sides
+// go through the editor before comparing.
+function editorShows(content) {
+    const rendered = document.createElement('div');
+    rendered.innerHTML = renderMarkdown(content);
+    return editorToMarkdown(rendered).trim() === getEditorContent();
+}
+
+// Bold, italic, attachments and backslash escapes; everything else is escaped HTML
+function renderInlineMarkdown(text) {
+    const escaped = [];
+    const attachments = [];
+    
+    return escapeHtml(text.replace(/\\([\\*_#>+\-.[\]`])/g, (match, char) => `\u0000${escaped.push(char) - 1}\u0000`))
+        // Set aside so emphasis can't reach into their attributes
+        .replace(/(!?)\[([^\]]*)\]\(attachment:(\d+)\)/g, (match, image, name, id) => (
+            `\u0001${attachments.push(renderAttachmentHtml(id, name, Boolean(image))) - 1}\u0001`
+        ))
+        .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(\S(?:.*?\S)?)\*/g, '<em>$1</em>')
+        .replace(/(^|[^\w])_(\S(?:.*?\S)?)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/\u0001(\d+)\u0001/g, (match, index) => attachments[index])
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => escapeHtml(escaped[index]));
+}
+
+// Turn Markdown into the editor's HTML. With readOnly the checkboxes can't be ticked.
+function renderMarkdown(markdown, { readOnly = false } = {}) {
+    const html = [];
+    let list = null;
+    let quote = null;
+    
+    const closeBlocks = (keepList, keepQuote) => {
+        if (list && !keepList) {
+            html.push(`</${list.tag}>`);
+            list = null;
+        }
+        if (quote && !keepQuote) {
+            html.push(`<blockquote>${quote.join('')}</blockquote>`);
+            quote = null;
+        }
+    };
+    const openList = (tag, className) => {
+        if (list && list.tag === tag && list.className === className) return;
+        closeBlocks(false, false);
+        list = { tag, className };
+        html.push(className ? `<${tag} class="${className}">` : `<${tag}>`);
+    };
+    
+    String(markdown || '').replace(/\r\n/g, '\n').split('\n').forEach(line => {
+        let match;
+        
+        if ((match = line.match(/^(#{1,3}) (.*)$/))) {
+            closeBlocks(false, false);
+            const level = match[1].length;
+            html.push(`<h${level}>${renderInlineMarkdown(match[2]) || '<br>'}</h${level}>`);
+        } else if ((match = line.match(/^[-*+] \[([ xX])\](?: (.*))?$/))) {
+            openList('ul', 'md-checklist');
+            const checked = match[1] !== ' ' ? ' checked' : '';
+            const disabled = readOnly ? ' disabled' : '';
+            html.push(`<li><input type="checkbox" contenteditable="false"${checked}${disabled}>${renderInlineMarkdown(match[2] || '')}</li>`);
+        } else if ((match = line.match(/^[-*+](?: (.*))?$/))) {
+            openList('ul', null);
+            html.push(`<li>${renderInlineMarkdown(match[1] || '') || '<br>'}</li>`);
+        } else if ((match = line.match(/^\d+\.(?: (.*))?$/))) {
+            openList('ol', null);
+            html.push(`<li>${renderInlineMarkdown(match[1] || '') || '<br>'}</li>`);
+        } else if ((match = line.match(/^> ?(.*)$/))) {
+            closeBlocks(false, true);
+            quote = quote || [];
+            quote.push(`<div>${renderInlineMarkdown(match[1]) || '<br>'}</div>`);
+        } else {
+            closeBlocks(false, false);
+            html.push(`<div>${renderInlineMarkdown(line) || '<br>'}</div>`);
+        }
+    });
+    closeBlocks(false, false);
+    
+    return markdown ? html.join('') : '';
+}
+
+// Plain text for one-line previews
+function markdownToPlainText(markdown) {
+    return String(markdown || '')
+        .split('\n')
+        .map(line => line.replace(/^(#{1,3} |[-*+] \[[ xX]\] ?|[-*+] |\d+\. |> ?)/, ''))
+        .join(' ')
+        .replace(/!?\[([^\]]*)\]\(attachment:\d+\)/g, '📎 $1')
+        .replace(/\*\*(\S(?:.*?\S)?)\*\*/g, '$1')
+        .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+        .replace(/(^|[^\w])_(\S(?:.*?\S)?)_(?!\w)/g, '$1$2')
+        .replace(/\\([\\*_#>+\-.[\]`])/g, '$1');
+}
+
+// Text typed in the editor is literal, so Markdown's markers are escaped
+function escapeMarkdownText(text) {
+    return text.replace(/\u00a0/g, ' ').replace(/([\\*_])/g, '\\$1');
+}
+
+// A plain line must not read back as a heading, list item or quote
+function escapeMarkdownLine(line) {
+    if (/^\d+\. /.test(line)) {
+        return line.replace(/^(\d+)\./, '$1\\.');
+    }
+    return /^(#{1,6} |[-+>])/.test(line) ? `\\${line}` : line;
+}
+
+function inlineToMarkdown(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return escapeMarkdownText(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE || node.nodeName === 'INPUT') {
+        return '';
+    }
+    if (node.dataset.attachmentId) {
+        const name = node.nodeName === 'IMG' ? node.alt : node.dataset.name;
+        const image = node.nodeName === 'IMG' ? '!' : '';
+        return `${image}[${escapeMarkdownText((name || '').replace(/[[\]]/g, ''))}](attachment:${node.dataset.attachmentId})`;
+    }
+    if (node.nodeName === 'BR') {
+        return ' ';
+    }
+    
+    const inner = Array.from(node.childNodes).map(inlineToMarkdown).join('');
+    const marker = ['B', 'STRONG'].includes(node.nodeName) ? '**'
+        : ['I', 'EM'].includes(node.nodeName) ? '*'
+        : '';
+    
+    // Markers must hug the text: "** bold **" is not bold
+    const [, before, text, after] = inner.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return marker && text ? `${before}${marker}${text}${marker}${after}` : inner;
+}
+
+// The Markdown lines for an element holding a mix of text and blocks
+function containerToMarkdown(container) {
+    const lines = [];
+    let line = null;
+    
+    container.childNodes.forEach(child => {
+        if (child.nodeName === 'BR') {
+            lines.push(escapeMarkdownLine(line || ''));
+            line = null;
+        } else if (EDITOR_BLOCK_TAGS.includes(child.nodeName)) {
+            if (line !== null) lines.push(escapeMarkdownLine(line));
+            line = null;
+            lines.push(...blockToMarkdown(child));
+        } else {
+            line = (line || '') + inlineToMarkdown(child);
+        }
+    });
+    if (line !== null) lines.push(escapeMarkdownLine(line));
+    
+    return lines;
+}
+
+function blockToMarkdown(block) {
+    const tag = block.nodeName;
+    
+    if (/^H\d$/.test(tag)) {
+        const level = Math.min(Number(tag[1]), 3);
+        return [`${'#'.repeat(level)} ${containerToMarkdown(block).join(' ')}`];
+    }
+    if (tag === 'UL' || tag === 'OL') {
+        const checklist = block.classList.contains('md-checklist');
+        let number = 0;
+        
+        // Nested lists are flattened into the parent list
+        return Array.from(block.children).flatMap(item => {
+            const lines = item.nodeName === 'LI' ? containerToMarkdown(item) : blockToMarkdown(item);
+            const checkbox = item.querySelector('input[type="checkbox"]');
+            
+            return (lines.length ? lines : ['']).map(line => {
+                if (/^([-*+]|\d+\.) /.test(line)) return line;
+                if (tag === 'OL') return `${++number}. ${line}`;
+                if (checklist) return `- [${checkbox && checkbox.checked ? 'x' : ' '}] ${line}`;
+                return `- ${line}`;
+            });
+        });
+    }
+    if (tag === 'BLOCKQUOTE') {
+        return containerToMarkdown(block).map(line => (line ? `> ${line}` : '>'));
+    }
+    
+    const lines = containerToMarkdown(block);
+    return lines.length ? lines : [''];
+}
+
+function editorToMarkdown(editor) {
+    return containerToMarkdown(editor).join('\n');
+}
+
+// The editor block the caret is in
+function getEditorBlock() {
+    const selection = window.getSelection();
+    if (!selection.rangeCount) return null;
+    
+    let node = selection.getRangeAt(0).startContainer;
+    if (node.nodeType === Node.TEXT_NODE) node = node.parentNode;
+    
+    const block = node.closest && node.closest('h1, h2, h3, blockquote, li, div, p');
+    return block && block !== diaryTextarea && diaryTextarea.contains(block) ? block : null;
+}
+
+// Give every checklist item exactly one checkbox, at the start
+function normalizeChecklists() {
+    diaryTextarea.querySelectorAll('ul.md-checklist > li').forEach(item => {
+        const boxes = item.querySelectorAll('input[type="checkbox"]');
+        boxes.forEach((box, index) => {
+            if (index > 0) box.remove();
+        });
+        
+        const box = boxes[0] || document.createElement('input');
+        box.type = 'checkbox';
+        box.contentEditable = 'false';
+        if (item.firstChild !== box) item.prepend(box);
+    });
+}
+
+function toggleChecklist() {
+    const block = getEditorBlock();
+    const list = block && block.closest('ul, ol');
+    
+    if (list && list.classList.contains('md-checklist')) {
+        list.querySelectorAll('input[type="checkbox"]').forEach(box => box.remove());
+        list.classList.remove('md-checklist');
+        return;
+    }
+    if (!list || list.nodeName !== 'UL') {
+        document.execCommand('insertUnorderedList');
+    }
+    
+    const newList = getEditorBlock() && getEditorBlock().closest('ul');
+    if (newList) {
+        newList.classList.add('md-checklist');
+        normalizeChecklists();
+    }
+}
+
+// Switch the caret's block to a tag, or back to plain text when it already is one
+function toggleBlock(tag) {
+    const block = getEditorBlock();
+    const current = block && block.closest(tag);
+    document.execCommand('formatBlock', false, current ? 'div' : tag);
+}
+
+function formatEditor(command) {
+    if (isOpenEntryLocked()) return;
+    diaryTextarea.focus();
+    
+    switch (command) {
+        case 'bold':
+        case 'italic':
+            document.execCommand(command);
+            break;
+        case 'heading1':
+        case 'heading2':
+        case 'heading3':
+            toggleBlock(`h${command.slice(-1)}`);
+            break;
+        case 'paragraph':
+            document.execCommand('formatBlock', false, 'div');
+            break;
+        case 'bulletList':
+            document.execCommand('insertUnorderedList');
+            break;
+        case 'numberedList':
+            document.execCommand('insertOrderedList');
+            break;
+        case 'checklist':
+            toggleChecklist();
+            break;
+        case 'quote':
+            toggleBlock('blockquote');
+            break;
+        default:
+            return;
+    }
+    
+    diaryTextarea.dispatchEvent(new Event('input'));
+}
+
+function getEditorShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.target !== diaryTextarea) return null;
+    const key = [e.altKey && 'Alt', e.shiftKey && 'Shift', e.code].filter(Boolean).join('+');
+    return EDITOR_SHORTCUTS[key] || null;
+}
+
+// "## " at the start of a line becomes a heading, "- " a list, and so on
+function applyMarkdownLineShortcut(e) {
+    if (e.key !== ' ' || e.ctrlKey || e.metaKey || e.altKey) return;
+    
+    const selection = window.getSelection();
+    if (!selection.rangeCount || !selection.isCollapsed) return;
+    
+    const range = selection.getRangeAt(0);
+    const node = range.startContainer;
+    if (node.nodeType !== Node.TEXT_NODE) return;
+    
+    // Only text at the very start of a line
+    const parent = node.parentNode;
+    const previous = node.previousSibling;
+    if ((previous && previous.nodeName !== 'BR') || !(parent === diaryTextarea || ['DIV', 'P'].includes(parent.nodeName))) return;
+    
+    const command = MARKDOWN_LINE_SHORTCUTS[node.textContent.slice(0, range.startOffset)];
+    if (!command) return;
+    
+    e.preventDefault();
+    node.textContent = node.textContent.slice(range.startOffset);
+    range.setStart(node, 0);
+    range.collapse(true);
+    selection.removeAllRanges();
+    selection.addRange(range);
+    formatEditor(command);
+}
+
+function setupEditor() {
+    document.querySelectorAll('#editorToolbar [data-command]').forEach(btn => {
+        // Keep the selection in the editor while clicking
+        btn.addEventListener('mousedown', e => e.preventDefault());
+        btn.addEventListener('click', () => formatEditor(btn.dataset.command));
+    });
+    
+    diaryTextarea.addEventListener('keydown', applyMarkdownLineShortcut);
+    diaryTextarea.addEventListener('input', normalizeChecklists);
+    
+    // Ticking a checkbox is not an input event
+    diaryTextarea.addEventListener('change', () => diaryTextarea.dispatchEvent(new Event('input')));
+    
+    // Paste as plain text so other pages' markup stays out of entries
+    diaryTextarea.addEventListener('paste', e => {
+        e.preventDefault();
+        document.execCommand('insertText', false, e.clipboardData.getData('text/plain'));
+    });
+}
+
+// Attachment Functions
+// Entries refer to attachments as ![name](attachment:<id>) (images) or
+// [name](attachment:<id>) (other files). The API needs our identity headers,
+// so files are fetched with api.download and shown through blob URLs.
+const ATTACHMENT_ACCEPT = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+const attachmentUrls = new Map();
+let dayAttachments = [];
+
+// `name` is already escaped HTML
+function renderAttachmentHtml(id, name, image) {
+    if (image) {
+        return `<img class="attachment-image" data-attachment-id="${id}" alt="${name}" title="${name}">`;
+    }
+    return `<a class="attachment-link" data-attachment-id="${id}" data-name="${name}" contenteditable="false" href="#">📎 ${name}</a>`;
+}
+
+// A blob URL for an attachment or its thumbnail, fetched once per session
+function getAttachmentUrl(id, thumbnail = false) {
+    const key = `${id}${thumbnail ? ':thumbnail' : ''}`;
+    
+    if (!attachmentUrls.has(key)) {
+        const endpoint = `/entries/attachments/${id}${thumbnail ? '/thumbnail' : ''}`;
+        attachmentUrls.set(key, api.download(endpoint)
+            .then(({ blob, filename }) => ({ url: URL.createObjectURL(blob), filename }))
+            .catch(error => {
+                attachmentUrls.delete(key);
+                throw error;
+            }));
+    }
+    return attachmentUrls.get(key);
+}
+
+// Another identity has other attachments behind the same ids
+function clearAttachmentCache() {
+    attachmentUrls.forEach(download => {
+        download.then(({ url }) => URL.revokeObjectURL(url)).catch(() => {});
+    });
+    attachmentUrls.clear();
+    dayAttachments = [];
+}
+
+function loadAttachmentImages(container) {
+    container.querySelectorAll('img[data-attachment-id]:not([src])').forEach(img => {
+        getAttachmentUrl(img.dataset.attachmentId, true)
+            .then(({ url }) => { img.src = url; })
+            .catch(() => { img.classList.add('attachment-missing'); });
+    });
+}
+
+// Images open in a new tab, other files are downloaded
+async function openAttachment(id) {
+    try {
+        const { url, filename } = await getAttachmentUrl(id);
+        const link = document.createElement('a');
+        link.href = url;
+        if (/\.(jpe?g|png|gif|webp)$/i.test(filename)) {
+            link.target = '_blank';
+            link.rel = 'noopener';
+        } else {
+            link.download = filename;
+        }
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+    } catch (error) {
+        console.error('Error opening attachment:', error);
+        showNotification('⚠️ Could not open the attachment.', 'warning');
+    }
+}
+
+async function loadAttachments(dateKey) {
+    dayAttachments = [];
+    
+    if (isOnline) {
+        try {
+            const response = await api.getAttachments(dateKey);
+            // Ignore the answer if the user has moved on to another day
+            if (dateKey !== formatDateKey(currentDate)) return;
+            dayAttachments = response.data || [];
+        } catch (error) {
+            console.error('Error loading attachments:', error);
+        }
+    }
+    
+    renderAttachments();
+}
+
+function renderAttachments() {
+    attachmentsBar.innerHTML = '';
+    attachmentsBar.hidden = dayAttachments.length === 0;
+    
+    dayAttachments.forEach(attachment => {
+        const item = document.createElement('div');
+        item.className = 'attachment-item';
+        
+        const open = document.createElement('button');
+        open.type = 'button';
+        open.className = 'attachment-open';
+        open.title = `Open ${attachment.file_name}`;
+        if (attachment.has_thumbnail) {
+            const thumbnail = document.createElement('img');
+            thumbnail.alt = '';
+            getAttachmentUrl(attachment.id, true)
+                .then(({ url }) => { thumbnail.src = url; })
+                .catch(() => {});
+            open.appendChild(thumbnail);
+        }
+        open.append(attachment.has_thumbnail ? '' : '📎 ', attachment.file_name);
+        open.addEventListener('click', () => openAttachment(attachment.id));
+        
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = 'attachment-delete';
+        remove.title = 'Delete attachment';
+        remove.textContent = '✕';
+        remove.addEventListener('click', () => deleteAttachment(attachment));
+        
+        item.append(open, remove);
+        attachmentsBar.appendChild(item);
+    });
+}
+
+async function deleteAttachment(attachment) {
+    if (!confirm(`Delete ${attachment.file_name}? Entries that show it will show it as missing.`)) return;
+    
+    try {
+        await api.deleteAttachment(attachment.id);
+        dayAttachments = dayAttachments.filter(a => a.id !== attachment.id);
+        renderAttachments();
+        
+        diaryTextarea.querySelectorAll(`[data-attachment-id="${attachment.id}"]`).forEach(element => {
+            element.classList.add('attachment-missing');
+        });
+    } catch (error) {
+        console.error('Error deleting attachment:', error);
+        showNotification(`⚠️ ${getApiErrorMessage(error, 'Could not delete the attachment.')}`, 'warning');
+    }
+}
+
+// Upload files and show each at the caret in the open entry
+async function attachFiles(files) {
+    if (!isOnline) {
+        showNotification('📴 Attaching files needs a connection to the server.', 'warning');
+        return;
+    }
+    if (isOpenEntryLocked()) {
+        showUnlockModal();
+        return;
+    }
+    
+    const dateKey = formatDateKey(currentDate);
+    const entryId = Number.isInteger(currentEntryId) ? currentEntryId : null;
+    
+    for (const file of files) {
+        if (!ATTACHMENT_ACCEPT.includes(file.type)) {
+            showNotification(`⚠️ ${file.name} can't be attached. Use an image or a PDF.`, 'warning');
+            continue;
+        }
+        
+        try {
+            const response = await api.uploadAttachment(dateKey, file, entryId);
+            const attachment = response.data;
+            
+            dayAttachments.push(attachment);
+            insertAttachment(attachment);
+        } catch (error) {
+            console.error('Error uploading attachment:', error);
+            showNotification(`⚠️ ${file.name}: ${getApiErrorMessage(error, 'Upload failed.')}`, 'warning');
+        }
+    }
+    
+    renderAttachments();
+}
+
+function insertAttachment(attachment) {
+    const name = attachment.file_name.replace(/[[\]]/g, '');
+    const image = attachment.has_thumbnail ? '!' : '';
+    
+    diaryTextarea.focus();
+    document.execCommand('insertHTML', false, renderInlineMarkdown(`${image}[${escapeMarkdownText(name)}](attachment:${attachment.id})`));
+    loadAttachmentImages(diaryTextarea);
+    diaryTextarea.dispatchEvent(new Event('input'));
+}
+
+// Put the caret where something was dropped
+function placeCaretAtPoint(x, y) {
+    let range = null;
+    if (document.caretRangeFromPoint) {
+        range = document.caretRangeFromPoint(x, y);
+    } else if (document.caretPositionFromPoint) {
+        const position = document.caretPositionFromPoint(x, y);
+        range = document.createRange();
+        range.setStart(position.offsetNode, position.offset);
+    }
+    if (!range || !diaryTextarea.contains(range.startContainer)) return;
+    
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+}
+
+function setupAttachments() {
+    const input = document.getElementById('attachmentInput');
+    document.getElementById('attachBtn').addEventListener('click', () => input.click());
+    input.addEventListener('change', () => {
+        const files = Array.from(input.files);
+        input.value = '';
+        attachFiles(files);
+    });
+    
+    const carriesFiles = e => Array.from(e.dataTransfer.types).includes('Files');
+    
+    diaryTextarea.addEventListener('dragover', e => {
+        if (!carriesFiles(e)) return;
+        e.preventDefault();
+        diaryTextarea.classList.add('drag-over');
+    });
+    diaryTextarea.addEventListener('dragleave', () => diaryTextarea.classList.remove('drag-over'));
+    diaryTextarea.addEventListener('drop', e => {
+        diaryTextarea.classList.remove('drag-over');
+        if (!carriesFiles(e)) return;
+        e.preventDefault();
+        placeCaretAtPoint(e.clientX, e.clientY);
+        attachFiles(Array.from(e.dataTransfer.files));
+    });
+    
+    // Attachments shown in entries open on click, except images in the
+    // editor, where a click selects them and a double-click opens them
+    document.addEventListener('click', e => {
+        const attachment = e.target.closest('.attachment-link, .attachment-image');
+        if (!attachment || (attachment.nodeName === 'IMG' && diaryTextarea.contains(attachment))) return;
+        e.preventDefault();
+        openAttachment(attachment.dataset.attachmentId);
+    });
+    diaryTextarea.addEventListener('dblclick', e => {
+        if (e.target.matches('.attachment-image')) {
+            openAttachment(e.target.dataset.attachmentId);
+        }
+    });
+}
+
+// Music Functions
+// The playlist holds uploaded audio files and links to music elsewhere.
+// Uploads need our identity headers, so they are fetched with api.download
+// and played through blob URLs; links straight to an audio file play here
+// too, other links (streaming pages) open in a new tab. Each day can have one
+// of the tracks as its song of the day.
+const MAX_TRACK_BYTES = 20 * 1024 * 1024;
+const DIRECT_AUDIO_PATTERN = /\.(mp3|ogg|oga|opus|wav|flac|m4a|aac|webm)$/i;
+const trackUrls = new Map();
+let playlist = JSON.parse(localStorage.getItem('music_playlist') || '[]');
+let playingTrackId = null;
+let daySong = null;
+let musicPlayer, musicNowPlaying, musicList, musicAddForm, musicTitleInput, musicArtistInput, musicUploadBtn;
+
+// Uploads and direct https audio links play in the card; the page's CSP
+// only lets media load over https, so other links open in a new tab
+function isPlayableTrack(track) {
+    if (!track.url) return true;
+
+    try {
+        const url = new URL(track.url);
+        return url.protocol === 'https:' && DIRECT_AUDIO_PATTERN.test(url.pathname);
+    } catch (error) {
+        return false;
+    }
+}
+
+function formatTrack(track) {
+    return track.artist ? `${track.title} — ${track.artist}` : track.title;
+}
+
+// A blob URL for an uploaded track, fetched once per session
+function getTrackUrl(id) {
+    if (!trackUrls.has(id)) {
+        trackUrls.set(id, api.download(`/music/${id}/file`)
+            .then(({ blob }) => URL.createObjectURL(blob))
+            .catch(error => {
+                trackUrls.delete(id);
+                throw error;
+            }));
+    }
+    return trackUrls.get(id);
+}
+
+function forgetTrackUrl(id) {
+    if (!trackUrls.has(id)) return;
+
+    trackUrls.get(id).then(url => URL.revokeObjectURL(url)).catch(() => {});
+    trackUrls.delete(id);
+}
+
+function setPlaylist(tracks) {
+    playlist = tracks;
+    localStorage.setItem('music_playlist', JSON.stringify(tracks));
+    renderPlaylist();
+}
+
+async function loadPlaylist() {
+    if (!isOnline) return;
+
+    try {
+        const response = await api.getTracks();
+        setPlaylist(response.data || []);
+    } catch (error) {
+        console.error('Error loading playlist:', error);
+    }
+}
+
+// Another identity has another playlist, with other tracks behind the same ids
+function resetPlaylist() {
+    stopTrack();
+    [...trackUrls.keys()].forEach(forgetTrackUrl);
+    daySong = null;
+    setPlaylist([]);
+    loadPlaylist();
+}
+
+function renderPlaylist() {
+    if (!musicList) return;
+
+    if (playlist.length === 0) {
+        musicList.innerHTML = '<li class="music-empty">No songs yet. Add a link or upload one.</li>';
+        return;
+    }
+
+    musicList.innerHTML = playlist.map(track => {
+        const playable = isPlayableTrack(track);
+        const isDaySong = daySong && daySong.id === track.id;
+        return `
+            <li class="music-track${track.id === playingTrackId ? ' playing' : ''}" data-id="${track.id}">
+                <button class="music-track-play" type="button" data-action="play" title="${playable ? 'Play' : 'Open the link in a new tab'}">
+                    ${playable ? '▶️' : '🔗'} <span>${escapeHtml(formatTrack(track))}</span>
+                </button>
+                <button class="music-day-btn${isDaySong ? ' selected' : ''}" type="button" data-action="day" title="${isDaySong ? 'Clear the song of the day' : 'Make it the song of the day'}">${isDaySong ? '★' : '☆'}</button>
+                <button class="mood-remove-btn" type="button" data-action="delete" title="Remove from the playlist">✕</button>
+            </li>
+        `;
+    }).join('');
+}
+
+async function playTrack(track) {
+    if (!isPlayableTrack(track)) {
+        window.open(track.url, '_blank', 'noopener');
+        return;
+    }
+    if (!track.url && !isOnline) {
+        showNotification('📴 Playing uploaded songs needs a connection to the server.', 'warning');
+        return;
+    }
+
+    try {
+        musicPlayer.src = track.url || await getTrackUrl(track.id);
+        playingTrackId = track.id;
+        musicNowPlaying.textContent = `🎶 ${formatTrack(track)}`;
+        renderPlaylist();
+        await musicPlayer.play();
+    } catch (error) {
+        // Picking another track before this one started isn't a failure
+        if (error.name === 'AbortError') return;
+        console.error('Error playing track:', error);
+        showNotification(`⚠️ Could not play ${track.title}.`, 'warning');
+    }
+}
+
+function stopTrack() {
+    if (!musicPlayer) return;
+
+    musicPlayer.pause();
+    musicPlayer.removeAttribute('src');
+    musicPlayer.load();
+    playingTrackId = null;
+    musicNowPlaying.textContent = 'Pick a track to play';
+}
+
+// Step through the tracks that play in the card, wrapping around unless the
+// previous one simply ended
+function playAdjacentTrack(direction, wrap = true) {
+    const playable = playlist.filter(isPlayableTrack);
+    const index = playable.findIndex(track => track.id === playingTrackId);
+    let next = index === -1 && direction < 0 ? playable.length - 1 : index + direction;
+
+    if (next < 0 || next >= playable.length) {
+        if (!wrap) return;
+        next = (next + playable.length) % playable.length;
+    }
+    if (playable[next]) {
+        playTrack(playable[next]);
+    }
+}
+
+async function addTrackLink(e) {
+    e.preventDefault();
+
+    if (!isOnline) {
+        showNotification('📴 Changing the playlist needs a connection to the server.', 'warning');
+        return;
+    }
+
+    const title = musicTitleInput.value.trim();
+    const url = externalMusicInput.value.trim();
+    if (!title || !url) {
+        showNotification('Give the song a title and a link.', 'warning');
+        return;
+    }
+
+    saveExternalMusicBtn.disabled = true;
+
+    try {
+        const response = await api.addTrack({ title, artist: musicArtistInput.value.trim() || null, url });
+        musicAddForm.reset();
+        setPlaylist([...playlist, response.data]);
+        showNotification(`🎵 Added ${response.data.title} to your playlist`, 'success');
+    } catch (error) {
+        console.error('Error adding track:', error);
+        showNotification(`⚠️ ${getApiErrorMessage(error, 'Could not add the song.')}`, 'warning');
+    } finally {
+        saveExternalMusicBtn.disabled = false;
+    }
+}
+
+// Upload an audio file, titled from the form or else its file name
+async function uploadTrackFile(file) {
+    if (!isOnline) {
+        showNotification('📴 Uploading songs needs a connection to the server.', 'warning');
+        return;
+    }
+    if (file.size > MAX_TRACK_BYTES) {
+        showNotification(`⚠️ ${file.name} is too big. Songs can be up to 20 MB.`, 'warning');
+        return;
+    }
+
+    musicUploadBtn.disabled = true;
+
+    try {
+        const response = await api.uploadTrack(file, {
+            title: musicTitleInput.value.trim(),
+            artist: musicArtistInput.value.trim()
+        });
+        musicAddForm.reset();
+        setPlaylist([...playlist, response.data]);
+        showNotification(`🎵 Added ${response.data.title} to your playlist`, 'success');
+    } catch (error) {
+        console.error('Error uploading track:', error);
+        showNotification(`⚠️ ${file.name}: ${getApiErrorMessage(error, 'Upload failed.')}`, 'warning');
+    } finally {
+        musicUploadBtn.disabled = false;
+    }
+}
+
+async function deleteTrack(track) {
+    if (!isOnline) {
+        showNotification('📴 Changing the playlist needs a connection to the server.', 'warning');
+        return;
+    }
+    if (!confirm(`Remove ${track.title} from your playlist? Days that have it as their song lose it.`)) return;
+
+    try {
+        await api.deleteTrack(track.id);
+        if (track.id === playingTrackId) {
+            stopTrack();
+        }
+        forgetTrackUrl(track.id);
+        if (daySong && daySong.id === track.id) {
+            daySong = null;
+            renderDaySong();
+        }
+        setPlaylist(playlist.filter(t => t.id !== track.id));
+    } catch (error) {
+        console.error('Error deleting track:', error);
+        showNotification(`⚠️ ${getApiErrorMessage(error, 'Could not remove the song.')}`, 'warning');
+    }
+}
+
+// Song of the day
+async function loadDaySong(dateKey) {
+    daySong = null;
+
+    if (isOnline) {
+        try {
+            const response = await api.getDaySong(dateKey);
+            // Ignore the answer if the user has moved on to another day
+            if (dateKey !== formatDateKey(currentDate)) return;
+            daySong = response.data;
+        } catch (error) {
+            console.error('Error loading song of the day:', error);
+        }
+    }
+
+    renderDaySong();
+}
+
+function renderDaySong() {
+    if (!daySongDisplay) return;
+
+    daySongDisplay.hidden = !daySong;
+    daySongDisplay.innerHTML = daySong ? `
+        <button class="day-song-play" type="button" data-action="play" title="${isPlayableTrack(daySong) ? 'Play' : 'Open the link in a new tab'}">
+            🎵 Song of the day: <span>${escapeHtml(formatTrack(daySong))}</span>
+        </button>
+        <button class="attachment-delete" type="button" data-action="clear" title="Clear the song of the day">✕</button>
+    ` : '';
+    renderPlaylist();
+}
+
+// Make a track the open day's song, or clear it when it already is
+async function toggleDaySong(track) {
+    if (!isOnline) {
+        showNotification('📴 Choosing a song of the day needs a connection to the server.', 'warning');
+        return;
+    }
+
+    const dateKey = formatDateKey(currentDate);
+
+    try {
+        if (track && !(daySong && daySong.id === track.id)) {
+            const response = await api.setDaySong(dateKey, track.id);
+            daySong = response.data;
+        } else {
+            await api.clearDaySong(dateKey);
+            daySong = null;
+        }
+        renderDaySong();
+    } catch (error) {
+        console.error('Error changing song of the day:', error);
+        showNotification(`⚠️ ${getApiErrorMessage(error, 'Could not change the song of the day.')}`, 'warning');
+    }
+}
+
+function setupMusic() {
+    musicPlayer = document.getElementById('musicPlayer');
+    musicNowPlaying = document.getElementById('musicNowPlaying');
+    musicList = document.getElementById('musicList');
+    musicAddForm = document.getElementById('musicAddForm');
+    musicTitleInput = document.getElementById('musicTitleInput');
+    musicArtistInput = document.getElementById('musicArtistInput');
+    musicUploadBtn = document.getElementById('musicUploadBtn');
+
+    const fileInput = document.getElementById('musicFileInput');
+    musicUploadBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (file) uploadTrackFile(file);
+    });
+    musicAddForm.addEventListener('submit', addTrackLink);
+
+    musicList.addEventListener('click', e => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+
+        const track = playlist.find(t => t.id === Number(btn.closest('.music-track').dataset.id));
+        if (btn.dataset.action === 'play') {
+            playTrack(track);
+        } else if (btn.dataset.action === 'day') {
+            toggleDaySong(track);
+        } else if (btn.dataset.action === 'delete') {
+            deleteTrack(track);
+        }
+    });
+    daySongDisplay.addEventListener('click', e => {
+        const btn = e.target.closest('[data-action]');
+        if (!btn) return;
+
+        if (btn.dataset.action === 'play') {
+            playTrack(daySong);
+        } else {
+            toggleDaySong(null);
+        }
+    });
+
+    document.getElementById('musicPrevBtn').addEventListener('click', () => playAdjacentTrack(-1));
+    document.getElementById('musicNextBtn').addEventListener('click', () => playAdjacentTrack(1));
+    musicPlayer.addEventListener('ended', () => playAdjacentTrack(1, false));
+    // A link that turned out not to be audio the browser can play
+    musicPlayer.addEventListener('error', () => {
+        const track = playlist.find(t => t.id === playingTrackId);
+        if (track && track.url && musicPlayer.getAttribute('src')) {
+            showNotification(`⚠️ ${track.title} can't be played here.`, 'warning');
+        }
+    });
+
+    renderPlaylist();
+    loadPlaylist();
+}
+
+// Entry Conflict Functions
+// Another tab or device saved the open entry since we loaded it
+function showEntryConflict(serverEntry, content) {
+    entryConflict = serverEntry;
+    conflictMine.textContent = content;
+    conflictTheirs.textContent = serverEntry.content;
+    conflictTheirsTitle.textContent = `💾 Saved version (${formatEntryTime(serverEntry.updated_at)})`;
+    conflictModal.hidden = false;
+}
+
+async function resolveEntryConflict(choice) {
+    const serverEntry = entryConflict;
+    const content = getEditorContent();
+    
+    entryConflict = null;
+    conflictModal.hidden = true;
+    
+    // The saved version is now the one we have seen
+    upsertDayEntry(serverEntry);
+    
+    try {
+        if (choice === 'mine') {
+            await persistEntry(serverEntry.date, content);
+        } else if (choice === 'theirs') {
+            setEditorContent(serverEntry.content);
+        } else {
+            // Save the editor text as a new entry next to the saved one
+            currentEntryId = null;
+            await persistEntry(serverEntry.date, content);
+        }
+        renderTimeline();
+    } catch (error) {
+        console.error('Error resolving entry conflict:', error);
+        // Retry through the outbox like any other failed save
+        queueEntryChange(serverEntry.date, content);
+    }
+}
+
+// Offline mood changes the server didn't apply: the saved moods were kept,
+// so list what the user lost (added to the list if it is already open)
+function showMoodConflicts(refused) {
+    refused.forEach(({ op, server, reason }) => {
+        const day = new Date(`${op.date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+        const change = op.action === 'delete'
+            ? `Removing ${server ? `${server.emoji} ${server.mood}` : 'a mood'}`
+            : `${op.emoji} ${op.mood}`;
+        
+        const item = document.createElement('li');
+        item.textContent = `${day}: ${change} (${reason})`;
+        moodConflictList.appendChild(item);
+    });
+    moodConflictModal.hidden = false;
+}
+
+// Entry Timeline Functions
+function renderTimeline() {
+    if (!entryTimeline) return;
+    
+    entryTimeline.innerHTML = '';
+    
+    dayEntries.forEach(entry => {
+        const item = document.createElement('button');
+        item.className = `timeline-item${entry.id === currentEntryId ? ' active' : ''}`;
+        item.title = entry.content;
+        
+        const time = document.createElement('span');
+        time.className = 'timeline-time';
+        time.textContent = formatEntryTime(entry.created_at);
+        
+        const preview = document.createElement('span');
+        preview.className = 'timeline-preview';
+        preview.textContent = markdownToPlainText(entry.content);
+        
+        item.append(time, preview);
+        item.addEventListener('click', () => selectEntry(entry.id));
+        entryTimeline.appendChild(item);
+    });
+    
+    // Placeholder for a new entry that hasn't been saved yet
+    if (currentEntryId === null && dayEntries.length > 0) {
+        const draft = document.createElement('span');
+        draft.className = 'timeline-item active';
+        draft.textContent = '✏️ New entry';
+        entryTimeline.appendChild(draft);
+    }
+}
+
+// Save pending edits to the open entry before switching away from it
+async function flushCurrentEntry() {
+    const content = getEditorContent();
+    const openEntry = dayEntries.find(e => e.id === currentEntryId);
+    const unchanged = openEntry
+        ? editorShows(openEntry.content)
+        : !content || content === appliedTemplateContent;
+    
+    if (!unchanged) {
+        await autoSave();
+    }
+}
+
+async function selectEntry(id) {
+    if (id === currentEntryId) return;
+    
+    await flushCurrentEntry();
+    
+    const entry = dayEntries.find(e => e.id === id);
+    if (!entry) return;
+    
+    currentEntryId = entry.id;
+    setEditorContent(entry.content);
+    renderTimeline();
+}
+
+async function startNewEntry() {
+    await flushCurrentEntry();
+    
+    currentEntryId = null;
+    setEditorContent('');
+    renderTimeline();
+    diaryTextarea.focus();
+}
+
+async function saveDiaryEntry() {
+    const dateKey = formatDateKey(currentDate);
+    const content = getEditorContent();
+    
     console.log('Saving diary entry for:', dateKey, 'Content length:', content.length);
     
+    // The editor only holds a placeholder for an entry that can't be decrypted
+    if (isOpenEntryLocked()) {
+        showUnlockModal();
+        return;
+    }
+    
+    try {
+        if (isOnline && content && syncOutbox.length === 0) {
+            // Save to API
+            await persistEntry(dateKey, content);
+            console.log('Entry saved to API successfully');
+        } else if (content) {
+            // Queue behind earlier offline changes so they reach the server in order
+            queueEntryChange(dateKey, content);
+        }
+        
+        // Always save to LocalStorage as backup
+        localStorage.setItem(`diary_${dateKey}`, content);
+        console.log('Entry saved to LocalStorage');
+        
+        // Show success feedback (the conflict dialog speaks for itself)
+        if (!entryConflict) {
+            showSaveFeedback(true);
+        }
+        
+    } catch (error) {
+        console.error('Error saving diary entry:', error);
+        
+        // Fallback to LocalStorage and retry through the outbox
+        localStorage.setItem(`diary_${dateKey}`, content);
+        console.log('Entry saved to LocalStorage (fallback)');
+        if (content) {
+            queueEntryChange(dateKey, content);
+        }
+        
+        showSaveFeedback(false);
+    }
+}
+
+async function autoSave() {
+    const dateKey = formatDateKey(currentDate);
+    const content = getEditorContent();
+    
+    console.log('Auto-saving diary entry for:', dateKey, 'Content length:', content.length);
+    
+    if (isOpenEntryLocked()) return;
+    
+    try {
+        if (isOnline && content && syncOutbox.length === 0) {
+            // Save to API
+            await persistEntry(dateKey, content);
+            console.log('Entry auto-saved to API successfully');
+        } else if (content) {
+            // Queue behind earlier offline changes so they reach the server in order
+            queueEntryChange(dateKey, content);
+        }
+        
+        // Always save to LocalStorage as backup
+        localStorage.setItem(`diary_${dateKey}`, content);
+        console.log('Entry auto-saved to LocalStorage');
+        
+    } catch (error) {
+        console.error('Error auto-saving diary entry:', error);
+        
+        // Fallback to LocalStorage and retry through the outbox
+        localStorage.setItem(`diary_${dateKey}`, content);
+        console.log('Entry auto-saved to LocalStorage (fallback)');
+        if (content) {
+            queueEntryChange(dateKey, content);
+        }
+    }
+}
+
+// Versions Functions
+function toggleVersionsPanel() {
+    versionsPanel.hidden = !versionsPanel.hidden;
+    
+    if (!versionsPanel.hidden) {
+        loadVersions();
+    }
+}
+
+async function loadVersions() {
+    const dateKey = formatDateKey(currentDate);
+    selectedRevisionId = null;
+    versionsDiff.hidden = true;
+    versionsList.innerHTML = '';
+    
+    if (!isOnline) {
+        addVersionsMessage('Versions are available when you are online.');
+        return;
+    }
+    
+    try {
+        // Save pending edits so the current text is what versions compare against
+        await flushCurrentEntry();
+        
+        const response = await api.getRevisions(dateKey);
+        const revisions = response.data || [];
+        
+        if (revisions.length === 0) {
+            addVersionsMessage('No earlier versions for this day yet.');
+            return;
+        }
+        
+        revisions.forEach(revision => {
+            const item = document.createElement('li');
+            item.className = 'versions-item';
+            if (revision.entry_id === currentEntryId) {
+                item.classList.add('current-entry');
+            }
+            
+            const time = document.createElement('span');
+            time.className = 'versions-time';
+            time.textContent = formatEntryTime(revision.created_at);
+            
+            const preview = document.createElement('span');
+            preview.className = 'versions-preview';
+            const text = revision.is_encrypted ? '🔒 Encrypted version' : revision.preview;
+            preview.textContent = revision.entry_deleted ? `🗑️ ${text}` : text;
+            
+            item.append(time, preview);
+            item.addEventListener('click', () => showVersionDiff(revision, item));
+            versionsList.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Error loading versions:', error);
+        addVersionsMessage('Could not load versions. Please try again.');
+    }
+}
+
+function addVersionsMessage(message) {
+    const item = document.createElement('li');
+    item.className = 'versions-empty';
+    item.textContent = message;
+    versionsList.appendChild(item);
+}
+
+async function showVersionDiff(revision, item) {
+    versionsList.querySelectorAll('.versions-item').forEach(el => el.classList.remove('selected'));
+    item.classList.add('selected');
+    
+    // Encrypted versions can't be compared on the server, so show them whole
+    if (revision.is_encrypted) {
+        await showEncryptedVersion(revision);
+        return;
+    }
+    
+    try {
+        const response = await api.diffRevision(revision.id);
+        const { chunks, stats } = response.data;
+        
+        selectedRevisionId = revision.id;
+        versionsDiffStats.textContent = `Restoring brings back ${stats.removed} word(s) and removes ${stats.added}`;
+        versionsDiffBody.innerHTML = '';
+        
+        // Read as "this version" → "now": deletions are what restoring brings back
+        chunks.forEach(chunk => {
+            const tag = chunk.op === 'insert' ? 'ins' : chunk.op === 'delete' ? 'del' : 'span';
+            const part = document.createElement(tag);
+            part.textContent = chunk.text;
+            versionsDiffBody.appendChild(part);
+        });
+        
+        versionsDiff.hidden = false;
+    } catch (error) {
+        console.error('Error loading version diff:', error);
+        showNotification('⚠️ Could not compare versions.', 'error');
+    }
+}
+
+async function showEncryptedVersion(revision) {
+    try {
+        const response = await api.getRevision(revision.id);
+        
+        selectedRevisionId = revision.id;
+        versionsDiffStats.textContent = 'This version is encrypted, so it is shown as it was rather than compared';
+        versionsDiffBody.textContent = response.data.content;
+        versionsDiff.hidden = false;
+    } catch (error) {
+        console.error('Error loading version:', error);
+        showNotification('⚠️ Could not load this version.', 'error');
+    }
+}
+
+async function restoreSelectedVersion() {
+    if (!selectedRevisionId) return;
+    
+    try {
+        const response = await api.restoreRevision(selectedRevisionId);
+        const restoredEntry = response.data;
+        
+        await loadDiaryEntry();
+        await selectEntry(restoredEntry.id);
+        
+        showNotification('↩️ Version restored!', 'success');
+    } catch (error) {
+        console.error('Error restoring version:', error);
+        showNotification('⚠️ Could not restore this version.', 'error');
+    }
+}
+
+function showSaveFeedback(success) {
+    const originalText = saveBtn.textContent;
+    const originalBackground = saveBtn.style.background;
+    
+    if (success) {
+        saveBtn.textContent = '✓ Saved!';
+        saveBtn.style.background = 'rgba(46, 204, 113, 0.3)';
+    } else {
+        saveBtn.textContent = '⚠ Saved Locally';
+        saveBtn.style.background = 'rgba(241, 196, 15, 0.3)';
+    }
+    
+    setTimeout(() => {
+        saveBtn.textContent = originalText;
+        saveBtn.style.background = originalBackground;
+    }, 2000);
+}
+
+function navigateDay(direction) {
+    // Add page flip animation
+    diaryTextarea.classList.add('page-flip');
+    
+    setTimeout(() => {
+        // Update date
+        currentDate.setDate(currentDate.getDate() + direction);
+        
+        // Load new entry
+        loadDiaryEntry();
+        
+        // Remove animation class
+        diaryTextarea.classList.remove('page-flip');
+    }, 300);
+}
+
+function updateDayDisplay() {
+    if (currentDaySpan) {
+        currentDaySpan.textContent = formatDisplayDate(currentDate);
+    }
+}
+
+function updateCurrentDay() {
+    if (currentDaySpan) {
+        currentDaySpan.textContent = formatDisplayDate(currentDate);
+    }
+}
+
+// Calendar Functions
+
+
+// The month on show ({ year, month } with month 1-12)
+let calendarMonth = null;
+
+// Same rule as the server: runs of letters and digits, attachments left out
+function countWords(markdown) {
+    const words = String(markdown || '')
+        .replace(/!?\[[^\]]*\]\(attachment:\d+\)/g, ' ')
+        .match(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu);
+    return words ? words.length : 0;
+}
+
+function formatMonthKey(year, month) {
+    return `${year}-${String(month).padStart(2, '0')}`;
+}
+
+function daysInMonth(year, month) {
+    return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function showCalendar() {
+    const [year, month] = formatDateKey(currentDate).split('-').map(Number);
+    calendarModal.hidden = false;
+    renderCalendar(year, month);
+}
+
+function shiftCalendarMonth(direction) {
+    const date = new Date(Date.UTC(calendarMonth.year, calendarMonth.month - 1 + direction, 1));
+    renderCalendar(date.getUTCFullYear(), date.getUTCMonth() + 1);
+}
+
+async function loadCalendarDays(year, month) {
+    if (isOnline) {
+        try {
+            const response = await api.getCalendar(year, month);
+            if (response.success) {
+                return response.data.days;
+            }
+        } catch (error) {
+            console.error('Error loading calendar:', error);
+        }
+    }
+    return getCachedCalendarDays(year, month);
+}
+
+// Build the month from the offline cache
+function getCachedCalendarDays(year, month) {
+    const days = [];
+    
+    for (let day = 1; day <= daysInMonth(year, month); day++) {
+        const date = `${formatMonthKey(year, month)}-${String(day).padStart(2, '0')}`;
+        const cached = getCachedDayEntries(date);
+        const legacy = localStorage.getItem(`diary_${date}`);
+        const entries = cached.length > 0 ? cached : (legacy && legacy.trim() ? [{ content: legacy }] : []);
+        const moods = getCachedDayMoods(date);
+        const main = mainMood(moods);
+        const resolved = main && resolveMood(main);
+        
+        if (entries.length > 0 || main) {
+            days.push({
+                date,
+                entries: entries.length,
+                words: entries.reduce((total, entry) => total + (entry.locked ? 0 : countWords(entry.content)), 0),
+                encrypted: entries.some(entry => entry.locked),
+                mood: resolved ? resolved.mood : null,
+                emoji: resolved ? resolved.emoji : null,
+                palette_id: resolved ? resolved.paletteId : null,
+                intensity: main ? main.intensity : null,
+                moods: moods.length
+            });
+        }
+    }
+    
+    return days;
+}
+
+async function renderCalendar(year, month) {
+    calendarMonth = { year, month };
+    calendarTitle.textContent = new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString('en-US', {
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+    
+    const days = await loadCalendarDays(year, month);
+    
+    // Another month was picked while this one loaded
+    if (calendarMonth.year !== year || calendarMonth.month !== month) return;
+    
+    const byDate = new Map(days.map(day => [day.date, day]));
+    const todayKey = formatDateKey(new Date());
+    const selectedKey = formatDateKey(currentDate);
+    
+    calendarGrid.innerHTML = '';
+    
+    // Blank cells up to the weekday the month starts on
+    const offset = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    for (let i = 0; i < offset; i++) {
+        calendarGrid.appendChild(document.createElement('span'));
+    }
+    
+    for (let dayNumber = 1; dayNumber <= daysInMonth(year, month); dayNumber++) {
+        const date = `${formatMonthKey(year, month)}-${String(dayNumber).padStart(2, '0')}`;
+        const day = byDate.get(date);
+        const cell = document.createElement('button');
+        const details = [];
+        
+        cell.type = 'button';
+        cell.className = 'calendar-day';
+        cell.dataset.date = date;
+        cell.classList.toggle('today', date === todayKey);
+        cell.classList.toggle('selected', date === selectedKey);
+        
+        const number = document.createElement('span');
+        number.className = 'calendar-day-number';
+        number.textContent = dayNumber;
+        cell.appendChild(number);
+        
+        if (day && day.emoji) {
+            const mood = resolveMood(day);
+            const emoji = document.createElement('span');
+            emoji.className = 'calendar-day-emoji';
+            emoji.textContent = mood.emoji;
+            cell.appendChild(emoji);
+            cell.classList.add('has-mood');
+            cell.style.setProperty('--mood-color', moodColor(mood.emoji, mood.paletteId));
+            details.push(day.moods > 1 ? `${mood.emoji} ${mood.mood} (+${day.moods - 1} more)` : `${mood.emoji} ${mood.mood}`);
+        }
+        
+        if (day && day.entries > 0) {
+            cell.classList.add('has-entries');
+            details.push(`${day.entries} ${day.entries === 1 ? 'entry' : 'entries'}`);
+            if (!day.encrypted || day.words > 0) {
+                details.push(`${day.words} ${day.words === 1 ? 'word' : 'words'}`);
+            }
+        }
+        
+        const label = new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', day: 'numeric', timeZone: 'UTC' });
+        cell.title = [label, ...details].join(' · ');
+        cell.addEventListener('click', () => openCalendarDay(date));
+        calendarGrid.appendChild(cell);
+    }
+    
+    const written = days.filter(day => day.entries > 0);
+    const words = written.reduce((total, day) => total + day.words, 0);
+    calendarSummary.textContent = written.length > 0
+        ? `${written.length} ${written.length === 1 ? 'day' : 'days'} written · ${words} words`
+        : 'No entries this month';
+}
+
+async function openCalendarDay(date) {
+    calendarModal.hidden = true;
+    await openEntryFromHistory(date);
+}
+
+function setupCalendar() {
+    calendarBtn.addEventListener('click', showCalendar);
+    document.getElementById('calendarCloseBtn').addEventListener('click', () => {
+        calendarModal.hidden = true;
+    });
+    document.getElementById('calendarPrevBtn').addEventListener('click', () => shiftCalendarMonth(-1));
+    document.getElementById('calendarNextBtn').addEventListener('click', () => shiftCalendarMonth(1));
+    document.getElementById('calendarTodayBtn').addEventListener('click', () => {
+        const [year, month] = formatDateKey(new Date()).split('-').map(Number);
+        renderCalendar(year, month);
+    });
+}
+
+// Insights Functions
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 320;
+const CHART_ROW_HEIGHT = 28;
+const CHART_COLUMN_HEIGHT = 120;
+
+function svgElement(tag, attributes = {}) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+// Hover text for a chart shape
+function addChartTitle(element, text) {
+    const title = svgElement('title');
+    title.textContent = text;
+    element.appendChild(title);
+    return element;
+}
+
+// One bar per row: [{ label, value, text, color }]
+function drawBarChart(container, bars) {
+    const max = Math.max(1, ...bars.map(bar => bar.value));
+    const labelWidth = 120;
+    const barWidth = CHART_WIDTH - labelWidth - 50;
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${CHART_WIDTH} ${bars.length * CHART_ROW_HEIGHT}`,
+        class: 'insights-svg'
+    });
+    
+    bars.forEach((bar, index) => {
+        const y = index * CHART_ROW_HEIGHT;
+        const width = Math.max(2, (bar.value / max) * barWidth);
+        
+        const label = svgElement('text', { x: 0, y: y + 18, class: 'chart-label' });
+        label.textContent = bar.label;
+        svg.appendChild(label);
+        
+        svg.appendChild(addChartTitle(svgElement('rect', {
+            x: labelWidth, y: y + 5, width, height: CHART_ROW_HEIGHT - 10, rx: 4, fill: bar.color
+        }), `${bar.label}: ${bar.text}`));
+        
+        const value = svgElement('text', { x: labelWidth + width + 6, y: y + 18, class: 'chart-value' });
+        value.textContent = bar.text;
+        svg.appendChild(value);
+    });
+    
+    container.replaceChildren(svg);
+}
+
+// Columns of stacked mood counts: [{ label, title, moods: [{ emoji, mood, count }] }]
+function drawMoodColumns(container, columns) {
+    const max = Math.max(1, ...columns.map(column => column.moods.reduce((total, mood) => total + mood.count, 0)));
+    const step = Math.max(CHART_WIDTH / Math.max(columns.length, 1), 28);
+    const width = Math.max(CHART_WIDTH, columns.length * step);
+    const svg = svgElement('svg', {
+        viewBox: `0 0 ${width} ${CHART_COLUMN_HEIGHT + 20}`,
+        width,
+        class: 'insights-svg'
+    });
+    
+    columns.forEach((column, index) => {
+        const x = index * step + step * 0.15;
+        let y = CHART_COLUMN_HEIGHT;
+        
+        column.moods.forEach(mood => {
+            const height = (mood.count / max) * (CHART_COLUMN_HEIGHT - 10);
+            y -= height;
+            svg.appendChild(addChartTitle(svgElement('rect', {
+                x, y, width: step * 0.7, height, fill: moodColor(mood.emoji)
+            }), `${column.title}: ${mood.emoji} ${mood.mood} × ${mood.count}`));
+        });
+        
+        const label = svgElement('text', {
+            x: x + step * 0.35, y: CHART_COLUMN_HEIGHT + 15, class: 'chart-label', 'text-anchor': 'middle'
+        });
+        label.textContent = column.label;
+        svg.appendChild(label);
+    });
+    
+    container.replaceChildren(svg);
+}
+
+function formatPeriodLabel(item, period) {
+    const start = new Date(`${item.start}T00:00:00Z`);
+    if (period === 'month') {
+        return {
+            label: start.toLocaleDateString('en-US', { month: 'short', timeZone: 'UTC' }),
+            title: start.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' })
+        };
+    }
+    return {
+        label: item.period.slice(5),
+        title: `Week of ${start.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' })}`
+    };
+}
+
+function formatStreakDates(streak) {
+    const format = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    return streak.start === streak.end ? format(streak.start) : `${format(streak.start)} – ${format(streak.end)}`;
+}
+
+async function showInsights() {
+    insightsModal.hidden = false;
+    await loadInsights();
+}
+
+async function loadInsights() {
+    const status = document.getElementById('insightsStatus');
+    const content = document.getElementById('insightsContent');
+    const months = document.getElementById('insightsRange').value;
+    const period = document.getElementById('insightsPeriod').value;
+    
+    if (!isOnline) {
+        content.hidden = true;
+        status.textContent = 'Insights are worked out on the server; connect to see them.';
+        return;
+    }
+    
+    let from = null;
+    if (months) {
+        const start = new Date();
+        start.setMonth(start.getMonth() - Number(months));
+        from = formatDateKey(start);
+    }
+    
+    status.textContent = 'Loading…';
+    
+    try {
+        const response = await api.getMoodStats({ from, period });
+        renderInsights(response.data);
+    } catch (error) {
+        console.error('Error loading insights:', error);
+        content.hidden = true;
+        status.textContent = getApiErrorMessage(error, 'Could not load insights.');
+    }
+}
+
+function renderInsights(stats) {
+    const status = document.getElementById('insightsStatus');
+    const content = document.getElementById('insightsContent');
+    const hidden = stats.encrypted > 0 ? ` ${stats.encrypted} encrypted ${stats.encrypted === 1 ? 'mood is' : 'moods are'} not included.` : '';
+    
+    if (stats.days === 0) {
+        content.hidden = true;
+        status.textContent = `No moods recorded in this period.${hidden}`;
+        return;
+    }
+    
+    content.hidden = false;
+    const intensity = stats.averageIntensity !== null ? ` Average intensity ${stats.averageIntensity} of ${MAX_MOOD_INTENSITY}.` : '';
+    status.textContent = `${stats.moods} ${stats.moods === 1 ? 'mood' : 'moods'} on ${stats.days} ${stats.days === 1 ? 'day' : 'days'}.${intensity}${hidden}`;
+    
+    drawBarChart(document.getElementById('insightsDistribution'), stats.distribution.map(item => ({
+        label: `${item.emoji} ${item.mood}`,
+        value: item.count,
+        text: `${item.count} (${item.share}%) · ${item.averageIntensity}/${MAX_MOOD_INTENSITY}`,
+        color: moodColor(item.emoji)
+    })));
+    
+    drawMoodColumns(document.getElementById('insightsPeriods'), stats.periods.map(item => ({
+        ...formatPeriodLabel(item, stats.period),
+        moods: item.moods
+    })));
+    
+    drawMoodColumns(document.getElementById('insightsWeekdays'), stats.weekdays.map(item => ({
+        label: item.weekday.slice(0, 3),
+        title: item.weekday,
+        moods: item.moods
+    })));
+    
+    const streaks = document.getElementById('insightsStreaks');
+    const { latest, longest } = stats.streaks;
+    streaks.innerHTML = [
+        latest ? `<li><strong>Latest:</strong> ${escapeHtml(latest.emoji)} ${escapeHtml(latest.mood)} for ${latest.length} ${latest.length === 1 ? 'day' : 'days'} (${formatStreakDates(latest)})</li>` : '',
+        // A single day isn't much of a streak
+        ...longest
+            .filter(streak => streak.length > 1)
+            .map(streak => `<li>${escapeHtml(streak.emoji)} ${escapeHtml(streak.mood)}: longest ${streak.length} days in a row (${formatStreakDates(streak)})</li>`)
+    ].join('');
+    
+    document.getElementById('insightsCorrelation').textContent = describeCorrelation(stats.entryLength.correlation);
+    
+    const wordsChart = document.getElementById('insightsWords');
+    const written = stats.entryLength.moods.filter(item => item.daysWritten > 0);
+    if (written.length === 0) {
+        wordsChart.textContent = 'No readable entries on days with a mood.';
+        return;
+    }
+    drawBarChart(wordsChart, [
+        ...written.map(item => ({
+            label: `${item.emoji} ${item.mood}`,
+            value: item.averageWords,
+            text: `${item.averageWords} words`,
+            color: moodColor(item.emoji)
+        })),
+        {
+            label: 'All days',
+            value: stats.entryLength.averageWords,
+            text: `${stats.entryLength.averageWords} words`,
+            color: DEFAULT_MOOD_COLOR
+        }
+    ]);
+}
+
+// Put Pearson's r of entry length against mood intensity and valence in words
+function describeCorrelation({ days, intensity, valence }) {
+    const describe = (r, measure, higher, lower) => {
+        if (Math.abs(r) < 0.1) return `entry length hardly follows ${measure} (r = ${r})`;
+        const strength = Math.abs(r) >= 0.5 ? 'clearly' : 'slightly';
+        return `you write ${strength} more on ${r > 0 ? higher : lower} days (r = ${r})`;
+    };
+    const findings = [
+        intensity !== null && describe(intensity, 'intensity', 'more intense', 'calmer'),
+        valence !== null && describe(valence, 'how good the mood is', 'brighter', 'darker')
+    ].filter(Boolean);
+    
+    if (findings.length === 0) {
+        return 'Write on a few more days with a mood to see how mood and entry length go together.';
+    }
+    return `Over ${days} written ${days === 1 ? 'day' : 'days'}, ${findings.join('; ')}.`;
+}
+
+function setupInsights() {
+    insightsBtn.addEventListener('click', showInsights);
+    document.getElementById('insightsCloseBtn').addEventListener('click', () => {
+        insightsModal.hidden = true;
+    });
+    document.getElementById('insightsRange').addEventListener('change', loadInsights);
+    document.getElementById('insightsPeriod').addEventListener('change', loadInsights);
+}
+
+// Mood Palette Functions
+
+// The moods a new diary starts with (see backend/utils/palette.js), used
+// until the diary's own palette has loaded
+const DEFAULT_MOOD_PALETTE = [
+    { label: 'Happy', emoji: '😊', color: '#f9d56e', valence: 3 },
+    { label: 'Excited', emoji: '🤩', color: '#f5a04a', valence: 4 },
+    { label: 'Peaceful', emoji: '😌', color: '#9fd8b4', valence: 2 },
+    { label: 'Loved', emoji: '🥰', color: '#f4a3bc', valence: 4 },
+    { label: 'Confident', emoji: '😎', color: '#7cc6f2', valence: 3 },
+    { label: 'Sad', emoji: '😢', color: '#7f9fd8', valence: -3 },
+    { label: 'Tired', emoji: '😴', color: '#b9a8dc', valence: -1 },
+    { label: 'Stressed', emoji: '😰', color: '#e89280', valence: -3 },
+    { label: 'Lonely', emoji: '😔', color: '#9aa5b5', valence: -3 },
+    { label: 'Frustrated', emoji: '😤', color: '#e0635c', valence: -3 }
+];
+const DEFAULT_MOOD_COLOR = '#d5dbe1';
+const MIN_VALENCE = -5;
+const MAX_VALENCE = 5;
+
+// The diary's palette, retired moods included (null until it has loaded)
+let moodPalette = JSON.parse(localStorage.getItem('mood_palette') || 'null');
+let selectedMood = null;
+let paletteModal, paletteList, paletteError;
+
+function getActivePalette() {
+    return (moodPalette || DEFAULT_MOOD_PALETTE).filter(mood => !mood.retired_at);
+}
+
+function findPaletteMood(id) {
+    return id && moodPalette ? moodPalette.find(mood => mood.id === id) : null;
+}
+
+// A day's mood as { mood, emoji, paletteId }: the palette's current name for
+// it when it was picked from the palette, otherwise what was saved
+function resolveMood(moodData) {
+    const paletteMood = findPaletteMood(moodData.palette_id);
+    return paletteMood
+        ? { mood: paletteMood.label, emoji: paletteMood.emoji, paletteId: paletteMood.id }
+        : { mood: moodData.mood, emoji: moodData.emoji, paletteId: null };
+}
+
+function moodColor(emoji, paletteId = null) {
+    const palette = moodPalette || DEFAULT_MOOD_PALETTE;
+    const paletteMood = findPaletteMood(paletteId)
+        || getActivePalette().find(mood => mood.emoji === emoji)
+        || palette.find(mood => mood.emoji === emoji);
+    return paletteMood ? paletteMood.color : DEFAULT_MOOD_COLOR;
+}
+
+function setMoodPalette(palette) {
+    moodPalette = palette;
+    localStorage.setItem('mood_palette', JSON.stringify(palette));
+    renderEmojiGrid();
+    if (paletteModal && !paletteModal.hidden) {
+        renderPaletteEditor();
+    }
+}
+
+async function loadMoodPalette() {
+    if (!isOnline) return;
+    
+    try {
+        const response = await api.getMoodPalette();
+        setMoodPalette(response.data);
+        // Renamed moods show under their new name
+        renderMoods();
+    } catch (error) {
+        console.error('Error loading mood palette:', error);
+    }
+}
+
+// Another diary has another palette
+function resetMoodPalette() {
+    moodPalette = null;
+    localStorage.removeItem('mood_palette');
+    renderEmojiGrid();
+    loadMoodPalette();
+}
+
+function renderEmojiGrid() {
+    if (!emojiGrid) return;
+    
+    emojiGrid.innerHTML = getActivePalette().map(mood => `
+        <button class="emoji-btn" type="button" title="${escapeHtml(mood.label)}" data-palette-id="${mood.id || ''}" data-mood="${escapeHtml(mood.label)}" data-emoji="${escapeHtml(mood.emoji)}">${escapeHtml(mood.emoji)}</button>
+    `).join('');
+    
+    if (selectedMood) {
+        updateMoodSelection(selectedMood);
+    }
+}
+
+function showPaletteEditor() {
+    if (!isOnline || !moodPalette) {
+        showNotification('Connect to edit your moods', 'error');
+        return;
+    }
+    paletteError.textContent = '';
+    renderPaletteEditor();
+    paletteModal.hidden = false;
+}
+
+function renderPaletteEditor() {
+    const active = moodPalette.filter(mood => !mood.retired_at);
+    const retired = moodPalette.filter(mood => mood.retired_at);
+    
+    const row = (mood, index) => `
+        <li class="palette-row${mood.retired_at ? ' retired' : ''}" data-id="${mood.id}">
+            <input class="auth-input palette-emoji" name="emoji" value="${escapeHtml(mood.emoji)}" aria-label="Emoji" ${mood.retired_at ? 'disabled' : ''}>
+            <input class="auth-input palette-label" name="label" value="${escapeHtml(mood.label)}" aria-label="Label" ${mood.retired_at ? 'disabled' : ''}>
+            <input class="palette-color" type="color" name="color" value="${escapeHtml(mood.color)}" aria-label="Colour" ${mood.retired_at ? 'disabled' : ''}>
+            <input class="auth-input palette-valence" type="number" name="valence" min="${MIN_VALENCE}" max="${MAX_VALENCE}" step="1" value="${mood.valence}" aria-label="Valence" title="How positive the mood is, from ${MIN_VALENCE} to ${MAX_VALENCE}" ${mood.retired_at ? 'disabled' : ''}>
+            ${mood.retired_at ? `
+                <button class="history-btn" type="button" data-action="restore">Restore</button>
+            ` : `
+                <button class="nav-btn" type="button" data-action="up" title="Move up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button class="nav-btn" type="button" data-action="down" title="Move down" ${index === active.length - 1 ? 'disabled' : ''}>▼</button>
+                <button class="history-btn" type="button" data-action="save">Save</button>
+                <button class="history-btn" type="button" data-action="retire" title="Hide from the grid; days that used it keep it">Retire</button>
+            `}
+        </li>
+    `;
+    
+    paletteList.innerHTML = active.map(row).join('')
+        + (retired.length ? `<li class="palette-retired-heading">Retired</li>${retired.map(row).join('')}` : '');
+}
+
+function readPaletteRow(row) {
+    const field = (name) => row.querySelector(`[name="${name}"]`).value;
+    return {
+        label: field('label').trim(),
+        emoji: field('emoji').trim(),
+        color: field('color'),
+        valence: Number(field('valence'))
+    };
+}
+
+async function handlePaletteAction(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    
+    const row = btn.closest('.palette-row');
+    const id = Number(row.dataset.id);
+    paletteError.textContent = '';
+    
+    try {
+        if (btn.dataset.action === 'save') {
+            await api.updatePaletteMood(id, readPaletteRow(row));
+        } else if (btn.dataset.action === 'retire') {
+            await api.retirePaletteMood(id);
+        } else if (btn.dataset.action === 'restore') {
+            await api.updatePaletteMood(id, { retired: false });
+        } else {
+            const ids = getActivePalette().map(mood => mood.id);
+            const index = ids.indexOf(id);
+            const swap = btn.dataset.action === 'up' ? index - 1 : index + 1;
+            [ids[index], ids[swap]] = [ids[swap], ids[index]];
+            await api.reorderMoodPalette(ids);
+        }
+        await loadMoodPalette();
+    } catch (error) {
+        paletteError.textContent = getApiErrorMessage(error, 'Could not change the mood.');
+    }
+}
+
+async function handlePaletteAdd(e) {
+    e.preventDefault();
+    const form = e.target;
+    paletteError.textContent = '';
+    
+    try {
+        await api.addPaletteMood(readPaletteRow(form));
+        form.reset();
+        await loadMoodPalette();
+    } catch (error) {
+        paletteError.textContent = getApiErrorMessage(error, 'Could not add the mood.');
+    }
+}
+
+function setupMoodPalette() {
+    paletteModal = document.getElementById('paletteModal');
+    paletteList = document.getElementById('paletteList');
+    paletteError = document.getElementById('paletteError');
+    
+    document.getElementById('paletteBtn').addEventListener('click', showPaletteEditor);
+    document.getElementById('paletteCloseBtn').addEventListener('click', () => {
+        paletteModal.hidden = true;
+    });
+    paletteList.addEventListener('click', handlePaletteAction);
+    document.getElementById('paletteAddForm').addEventListener('submit', handlePaletteAdd);
+}
+
+// Mood Functions
+// A day can have several moods, each with an intensity and optionally a time
+// of day and a note. They are kept in the order they were felt, like on the
+// server: by time, then moods without one in the order they were added.
+const DEFAULT_MOOD_INTENSITY = 3;
+const MAX_MOOD_INTENSITY = 5;
+let dayMoods = [];
+
+function sortDayMoods(moods) {
+    return [...moods].sort((a, b) =>
+        (a.time ? 0 : 1) - (b.time ? 0 : 1) ||
+        (a.time || '').localeCompare(b.time || '') ||
+        (a.created_at || '').localeCompare(b.created_at || ''));
+}
+
+// The day's main mood: its strongest readable one, the later of equally
+// strong ones (see summarizeDays on the server)
+function mainMood(moods) {
+    const readable = moods.filter(mood => !mood.moodLocked);
+    return readable.reduce((best, mood) =>
+        (!best || (mood.intensity || DEFAULT_MOOD_INTENSITY) >= (best.intensity || DEFAULT_MOOD_INTENSITY) ? mood : best), null)
+        || moods[moods.length - 1]
+        || null;
+}
+
+async function loadMood(dateKey) {
+    console.log('Loading mood for:', dateKey);
+    
+    try {
+        if (isOnline) {
+            const response = await api.getMoods(dateKey);
+            console.log('Mood API response:', response);
+            dayMoods = cacheDayMoods(dateKey, response.data);
+        } else {
+            dayMoods = getCachedDayMoods(dateKey);
+        }
+    } catch (error) {
+        console.error('Error loading mood:', error);
+        dayMoods = getCachedDayMoods(dateKey);
+    }
+    
+    renderMoods();
+}
+
+// Add a mood to the open day, with the intensity, time and note filled in
+async function selectMood(mood, emoji, paletteId = null) {
+    const dateKey = formatDateKey(currentDate);
+    const details = {
+        paletteId,
+        intensity: Number(moodIntensity.value) || DEFAULT_MOOD_INTENSITY,
+        time: moodTime.value || null,
+        note: moodNote.value.trim() || null
+    };
+    console.log('Adding mood:', mood, emoji, details, 'for date:', dateKey);
+    
+    let saved = null;
+    try {
+        if (isOnline && syncOutbox.length === 0) {
+            const response = await api.addMood(dateKey, mood, emoji, details);
+            saved = response.data;
+            console.log('Mood saved to API successfully');
+        }
+    } catch (error) {
+        console.error('Error saving mood:', error);
+    }
+    
+    if (!saved) {
+        // Save locally and send it through the outbox
+        saved = {
+            id: `local-${generateUUID()}`,
+            date: dateKey,
+            mood,
+            emoji,
+            palette_id: paletteId,
+            intensity: details.intensity,
+            time: details.time,
+            note: details.note,
+            created_at: formatServerTimestamp(new Date()),
+            pending: true
+        };
+        queueChange({ type: 'mood', action: 'create', id: saved.id, date: dateKey, mood, emoji, ...details });
+        requestSync();
+    }
+    
+    updateCachedMoods([saved]);
+    dayMoods = getCachedDayMoods(dateKey);
+    renderMoods();
+    moodNote.value = '';
+    
+    // Add panda animation
+    if (pandaImage) {
+        pandaImage.classList.add('panda-bounce');
+        setTimeout(() => {
+            pandaImage.classList.remove('panda-bounce');
+        }, 800);
+    }
+}
+
+async function removeMood(id) {
+    const mood = dayMoods.find(m => String(m.id) === String(id));
+    if (!mood) return;
+    
+    if (isLocalEntryId(mood.id)) {
+        // Not on the server yet: forget it, unless its create is already on its way
+        if (syncOutbox.some(op => op.key === `mood:${mood.id}` && op.sent)) {
+            showNotification('This mood is still being saved. Try again in a moment.', 'warning');
+            return;
+        }
+        syncOutbox = syncOutbox.filter(op => op.key !== `mood:${mood.id}`);
+        saveOutbox();
+    } else {
+        let deleted = false;
+        try {
+            if (isOnline && syncOutbox.length === 0) {
+                await api.deleteMoodById(mood.id);
+                deleted = true;
+            }
+        } catch (error) {
+            console.error('Error deleting mood:', error);
+        }
+        if (!deleted) {
+            queueChange({
+                type: 'mood',
+                action: 'delete',
+                id: mood.id,
+                date: mood.date,
+                baseVersion: mood.version,
+                baseUpdatedAt: mood.updated_at
+            });
+            requestSync();
+        }
+    }
+    
+    updateCachedMoods([], [mood]);
+    dayMoods = getCachedDayMoods(mood.date);
+    renderMoods();
+}
+
+function formatIntensity(intensity) {
+    const value = intensity || DEFAULT_MOOD_INTENSITY;
+    return '●'.repeat(value) + '○'.repeat(MAX_MOOD_INTENSITY - value);
+}
+
+// Show the day's main mood (under the palette's current name for it) and
+// everything logged
+function renderMoods() {
+    const main = mainMood(dayMoods);
+    
+    if (main) {
+        const mood = resolveMood(main);
+        currentMood.textContent = dayMoods.length > 1
+            ? `${mood.mood} (+${dayMoods.length - 1} more)`
+            : mood.mood;
+        moodEmoji.textContent = mood.emoji;
+        selectedMood = mood;
+        updateMoodSelection(mood);
+    } else {
+        resetMoodDisplay();
+    }
+    
+    moodLog.innerHTML = dayMoods.map(item => {
+        const mood = resolveMood(item);
+        const intensity = item.intensity || DEFAULT_MOOD_INTENSITY;
+        return `
+            <li class="mood-log-item${item.pending ? ' pending' : ''}">
+                <span class="mood-log-time">${escapeHtml(item.time || '')}</span>
+                <span class="mood-log-mood">${escapeHtml(mood.emoji)} ${escapeHtml(mood.mood)}</span>
+                <span class="mood-log-intensity" title="Intensity ${intensity} of ${MAX_MOOD_INTENSITY}">${formatIntensity(intensity)}</span>
+                ${item.note ? `<span class="mood-log-note">${escapeHtml(item.note)}</span>` : ''}
+                <button class="mood-remove-btn" type="button" data-id="${escapeHtml(String(item.id))}" title="Remove this mood">&times;</button>
+            </li>
+        `;
+    }).join('');
+}
+
+// Highlight the picked mood: by palette id, or by emoji for moods saved without one
+function updateMoodSelection(mood) {
+    emojiGrid.querySelectorAll('.emoji-btn').forEach(btn => {
+        const selected = mood.paletteId
+            ? btn.dataset.paletteId === String(mood.paletteId)
+            : btn.dataset.emoji === mood.emoji;
+        btn.classList.toggle('selected', selected);
+    });
+}
+
+function updateMoodDisplay() {
+    dayMoods = getCachedDayMoods(formatDateKey(currentDate));
+    renderMoods();
+}
+
+function resetMoodDisplay() {
+    currentMood.textContent = defaultMood.mood;
+    moodEmoji.textContent = defaultMood.emoji;
+    selectedMood = null;
+    
+    // Remove selected state from all buttons
+    const emojiButtons = emojiGrid.querySelectorAll('.emoji-btn');
+    emojiButtons.forEach(btn => {
+        btn.classList.remove('selected');
+    });
+}
+
+function setupMoodSelector() {
+    moodIntensity.addEventListener('input', () => {
+        moodIntensityValue.textContent = moodIntensity.value;
+    });
+    moodLog.addEventListener('click', (e) => {
+        const btn = e.target.closest('.mood-remove-btn');
+        if (btn) {
+            removeMood(btn.dataset.id);
+        }
+    });
+    
+    // Initialize mood display
+    updateMoodDisplay();
+}
+
+// Tag Functions
+// Entries are tagged with inline #hashtags, read the same way the server
+// reads them (backend/utils/tags.js): lower case, at least one letter, and
+// not inside a word, URL fragment, link target or \# escape
+const MAX_TAG_LENGTH = 50;
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&/#\\]|\]\()#([\p{L}\p{N}](?:[\p{L}\p{N}_-]|\\_)*)/gu;
+
+function normalizeTag(tag) {
+    return String(tag).trim().replace(/^#/, '').normalize('NFC').toLowerCase();
+}
+
+// The distinct tags in Markdown content, in the order they first appear
+function extractTags(markdown) {
+    const tags = new Set();
+    for (const match of String(markdown || '').matchAll(HASHTAG_PATTERN)) {
+        const tag = normalizeTag(match[1].replace(/\\_/g, '_'));
+        if (tag.length <= MAX_TAG_LENGTH && /\p{L}/u.test(tag)) {
+            tags.add(tag);
+        }
+    }
+    return [...tags];
+}
+
+function renderTagChips(tags) {
+    if (tags.length === 0) return '';
+    
+    return `
+        <div class="tag-chips">
+            ${tags.map(tag => `<button type="button" class="tag-chip" data-tag="${escapeHtml(tag)}" title="Entries tagged #${escapeHtml(tag)}">#${escapeHtml(tag)}</button>`).join('')}
+        </div>
+    `;
+}
+
+// Chips for the open entry's tags, under the editor
+function renderEntryTags() {
+    if (!entryTags) return;
+    
+    const tags = extractTags(getEditorContent());
+    entryTags.innerHTML = renderTagChips(tags);
+    entryTags.hidden = tags.length === 0;
+}
+
+// The diary's tags with entry counts, from the server or the offline cache
+async function loadTags() {
+    if (isOnline) {
+        try {
+            const response = await api.getTags();
+            return response.data || [];
+        } catch (error) {
+            console.error('Error loading tags, counting cached entries:', error);
+        }
+    }
+    
+    const counts = new Map();
+    loadHistoryFromLocalStorage().forEach(entry => {
+        extractTags(entry.content).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    return [...counts]
+        .map(([name, count]) => ({ name, count }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+// Memories Functions
+// "On this day": what was written on the open day in earlier years, and a
+// week and a month before, shown under the entry. Each one opens its day.
+async function loadMemories(dateKey) {
+    let memories = [];
+    
+    if (isOnline) {
+        try {
+            const response = await api.getMemories(dateKey);
+            // Ignore the answer if the user has moved on to another day
+            if (dateKey !== formatDateKey(currentDate)) return;
+            memories = response.data.memories;
+        } catch (error) {
+            console.error('Error loading memories:', error);
+        }
+    }
+    
+    renderMemories(memories);
+}
+
+function describeMemory(memory) {
+    if (memory.period === 'week') return 'A week ago';
+    if (memory.period === 'month') return 'A month ago';
+    return memory.ago === 1 ? 'A year ago' : `${memory.ago} years ago`;
+}
+
+function renderMemories(memories) {
+    if (!memoriesStrip) return;
+    
+    memoriesStrip.hidden = memories.length === 0;
+    memoriesStrip.innerHTML = memories.map(memory => {
+        // The day's latest entry, as the day opens on it
+        const entry = memory.entries[memory.entries.length - 1];
+        const day = new Date(`${memory.date}T00:00:00Z`).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+        const more = memory.entries.length > 1 ? ` · ${memory.entries.length} entries` : '';
+        
+        return `
+            <button class="memory-item" type="button" data-date="${memory.date}" data-entry-id="${entry.id}" title="${escapeHtml(day + more)}">
+                <span class="memory-when">🕰️ ${describeMemory(memory)}</span>
+                <span class="memory-preview">${escapeHtml(markdownToPlainText(entry.content))}</span>
+            </button>
+        `;
+    }).join('');
+}
+
+// Prompt Functions
+// "Need inspiration?" shows the open day's prompt, which the server picks to
+// suit the latest mood without repeating other days' prompts, and can quote
+// it into the entry to be answered. Diaries can add prompts of their own.
+let promptsModal, promptsList, promptsError, promptsAddForm;
+let dailyPrompt = null;
+let promptThemes = [];
+let customPrompts = [];
+
+async function showDailyPrompt() {
+    if (!isOnline) {
+        showNotification('📴 Prompts need a connection to the server.', 'warning');
+        return;
+    }
+    
+    const dateKey = formatDateKey(currentDate);
+    
+    try {
+        const response = await api.getDailyPrompt(dateKey, { record: dateKey === formatDateKey(new Date()) });
+        // Ignore the answer if the user has moved on to another day
+        if (dateKey !== formatDateKey(currentDate)) return;
+        
+        dailyPrompt = response.data;
+        promptText.textContent = dailyPrompt.mood
+            ? `${dailyPrompt.mood.emoji} ${dailyPrompt.text}`
+            : dailyPrompt.text;
+        promptPanel.hidden = false;
+    } catch (error) {
+        console.error('Error loading prompt:', error);
+        showNotification(`⚠️ ${getApiErrorMessage(error, 'Could not find a prompt.')}`, 'warning');
+    }
+}
+
+function hideDailyPrompt() {
+    dailyPrompt = null;
+    if (promptPanel) {
+        promptPanel.hidden = true;
+    }
+}
+
+// Quote the prompt at the end of the open entry and leave the caret on a new
+// line under it, ready for the answer
+function useDailyPrompt() {
+    if (!dailyPrompt) return;
+    if (isOpenEntryLocked()) {
+        showUnlockModal();
+        return;
+    }
+    
+    const content = getEditorContent();
+    setEditorContent(`${content ? `${content}\n\n` : ''}> ${escapeMarkdownText(dailyPrompt.text)}\n`);
+    
+    const range = document.createRange();
+    range.setStart(diaryTextarea.lastElementChild, 0);
+    range.collapse(true);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    diaryTextarea.focus();
+    
+    diaryTextarea.dispatchEvent(new Event('input'));
+    hideDailyPrompt();
+}
+
+async function showPromptsModal() {
+    if (!isOnline) {
+        showNotification('📴 Editing your prompts needs a connection to the server.', 'warning');
+        return;
+    }
+    promptsError.textContent = '';
+    promptsModal.hidden = false;
+    await loadCustomPrompts();
+}
+
+async function loadCustomPrompts() {
+    try {
+        const response = await api.getPrompts();
+        promptThemes = response.data.themes;
+        customPrompts = response.data.custom;
+        renderPromptsEditor();
+    } catch (error) {
+        console.error('Error loading prompts:', error);
+        promptsError.textContent = getApiErrorMessage(error, 'Could not load your prompts.');
+    }
+}
+
+function renderThemeOptions(selected) {
+    return '<option value="">Any mood</option>' + promptThemes.map(theme => `
+        <option value="${escapeHtml(theme.id)}"${theme.id === selected ? ' selected' : ''}>${escapeHtml(theme.label)}</option>
+    `).join('');
+}
+
+function renderPromptsEditor() {
+    promptsList.innerHTML = customPrompts.length === 0
+        ? '<li class="prompts-empty">No prompts of your own yet.</li>'
+        : customPrompts.map(prompt => `
+            <li class="prompt-row" data-id="${prompt.id}">
+                <input class="auth-input prompt-input" name="text" maxlength="500" value="${escapeHtml(prompt.text)}" aria-label="Prompt">
+                <select class="auth-input prompt-theme" name="theme" aria-label="Theme">${renderThemeOptions(prompt.theme)}</select>
+                <button class="history-btn" type="button" data-action="save">Save</button>
+                <button class="history-btn" type="button" data-action="delete">Delete</button>
+            </li>
+        `).join('');
+    
+    const addTheme = promptsAddForm.querySelector('[name="theme"]');
+    addTheme.innerHTML = renderThemeOptions(addTheme.value || null);
+}
+
+function readPromptRow(row) {
+    return {
+        text: row.querySelector('[name="text"]').value.trim(),
+        theme: row.querySelector('[name="theme"]').value || null
+    };
+}
+
+async function handlePromptAction(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    
+    const row = btn.closest('.prompt-row');
+    const id = Number(row.dataset.id);
+    promptsError.textContent = '';
+    
     try {
-        if (isOnline) {
-            // Save to API
-            await api.saveEntry(dateKey, content);
-            console.log('Entry saved to API successfully');
+        if (btn.dataset.action === 'save') {
+            await api.updatePrompt(id, readPromptRow(row));
+        } else {
+            await api.deletePrompt(id);
         }
-        
-        // Always save to LocalStorage as backup
-        localStorage.setItem(`diary_${dateKey}`, content);
-        console.log('Entry saved to LocalStorage');
-        
-        // Show success feedback
-        showSaveFeedback(true);
-        
+        await loadCustomPrompts();
     } catch (error) {
-        console.error('Error saving diary entry:', error);
+        promptsError.textContent = getApiErrorMessage(error, 'Could not change the prompt.');
+    }
+}
+
+async function handlePromptAdd(e) {
+    e.preventDefault();
+    const form = e.target;
+    promptsError.textContent = '';
+    
+    try {
+        await api.addPrompt(readPromptRow(form));
+        form.reset();
+        await loadCustomPrompts();
+    } catch (error) {
+        promptsError.textContent = getApiErrorMessage(error, 'Could not add the prompt.');
+    }
+}
+
+function setupPrompts() {
+    promptsModal = document.getElementById('promptsModal');
+    promptsList = document.getElementById('promptsList');
+    promptsError = document.getElementById('promptsError');
+    promptsAddForm = document.getElementById('promptsAddForm');
+    
+    document.getElementById('promptBtn').addEventListener('click', showDailyPrompt);
+    document.getElementById('usePromptBtn').addEventListener('click', useDailyPrompt);
+    document.getElementById('promptCloseBtn').addEventListener('click', hideDailyPrompt);
+    document.getElementById('managePromptsBtn').addEventListener('click', showPromptsModal);
+    document.getElementById('promptsCloseBtn').addEventListener('click', () => {
+        promptsModal.hidden = true;
+    });
+    promptsList.addEventListener('click', handlePromptAction);
+    promptsAddForm.addEventListener('submit', handlePromptAdd);
+}
+
+// Template Functions
+// An empty day opens with the template that is the default for its weekday,
+// {{date}}, {{weekday}} and {{mood}} filled in. It only becomes an entry once
+// it is edited or saved. Templates are kept for offline days like the playlist.
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+let templatesModal, templatesList, templatesError, templatesAddForm, templateStarters;
+let entryTemplates = JSON.parse(localStorage.getItem('entry_templates') || '[]');
+let starterTemplates = [];
+let templatesPromise = null;
+let appliedTemplateContent = null;
+
+function setTemplates(templates) {
+    entryTemplates = templates;
+    localStorage.setItem('entry_templates', JSON.stringify(templates));
+}
+
+// Fetch the diary's templates once per session; offline, the cached copy is used
+function ensureTemplates() {
+    if (!templatesPromise && isOnline) {
+        templatesPromise = loadTemplates().then(loaded => {
+            if (!loaded) templatesPromise = null;
+        });
+    }
+    return templatesPromise || Promise.resolve();
+}
+
+async function loadTemplates() {
+    try {
+        const response = await api.getTemplates();
+        setTemplates(response.data.templates);
+        starterTemplates = response.data.starters;
+        return true;
+    } catch (error) {
+        console.error('Error loading templates:', error);
+        return false;
+    }
+}
+
+// Another identity has its own templates
+function resetTemplates() {
+    templatesPromise = null;
+    setTemplates([]);
+}
+
+// Fill in a template's placeholders for a day. The mood is the day's main
+// one, left blank while there is none or it can't be decrypted.
+function renderTemplate(content, dateKey) {
+    const day = new Date(`${dateKey}T00:00:00Z`);
+    const main = mainMood(dayMoods);
+    const mood = main && !main.moodLocked ? resolveMood(main) : null;
+    const values = {
+        date: day.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' }),
+        weekday: day.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'UTC' }),
+        mood: mood ? `${mood.emoji} ${mood.mood}` : ''
+    };
+    
+    return content.replace(TEMPLATE_PLACEHOLDER_PATTERN, (match, name) => (
+        Object.hasOwn(values, name) ? escapeMarkdownText(values[name]) : match
+    ));
+}
+
+async function applyDayTemplate(dateKey) {
+    appliedTemplateContent = null;
+    await ensureTemplates();
+    
+    const weekday = new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+    const template = entryTemplates.find(t => t.weekdays.includes(weekday));
+    
+    // Only a day with nothing written, still open and not typed into meanwhile
+    if (!template || dateKey !== formatDateKey(currentDate) ||
+        dayEntries.length > 0 || currentEntryId !== null || getEditorContent()) {
+        return;
+    }
+    
+    setEditorContent(renderTemplate(template.content, dateKey));
+    appliedTemplateContent = getEditorContent();
+}
+
+async function showTemplatesModal() {
+    if (!isOnline) {
+        showNotification('📴 Editing your templates needs a connection to the server.', 'warning');
+        return;
+    }
+    templatesError.textContent = '';
+    templatesModal.hidden = false;
+    await refreshTemplatesEditor();
+}
+
+async function refreshTemplatesEditor() {
+    if (await loadTemplates()) {
+        renderTemplatesEditor();
+    } else {
+        templatesError.textContent = 'Could not load your templates.';
+    }
+}
+
+function renderWeekdayChoices(weekdays) {
+    return WEEKDAY_LABELS.map((label, day) => `
+        <label class="template-weekday">
+            <input type="checkbox" name="weekday" value="${day}"${weekdays.includes(day) ? ' checked' : ''}>${label}
+        </label>
+    `).join('');
+}
+
+function renderTemplatesEditor() {
+    templatesList.innerHTML = entryTemplates.length === 0
+        ? '<li class="prompts-empty">No templates yet. Start from one below or write your own.</li>'
+        : entryTemplates.map(template => `
+            <li class="template-row" data-id="${template.id}">
+                <input class="auth-input" name="name" maxlength="100" value="${escapeHtml(template.name)}" aria-label="Name">
+                <textarea class="auth-input template-content" name="content" rows="5" aria-label="Template">${escapeHtml(template.content)}</textarea>
+                <div class="template-weekdays">${renderWeekdayChoices(template.weekdays)}</div>
+                <div class="template-actions">
+                    <button class="history-btn" type="button" data-action="save">Save</button>
+                    <button class="history-btn" type="button" data-action="delete">Delete</button>
+                </div>
+            </li>
+        `).join('');
+    
+    templateStarters.innerHTML = starterTemplates.map((starter, index) => `
+        <button class="history-btn" type="button" data-starter="${index}">+ ${escapeHtml(starter.name)}</button>
+    `).join('');
+}
+
+function readTemplateRow(row) {
+    return {
+        name: row.querySelector('[name="name"]').value.trim(),
+        content: row.querySelector('[name="content"]').value,
+        weekdays: [...row.querySelectorAll('[name="weekday"]:checked')].map(input => Number(input.value))
+    };
+}
+
+async function handleTemplateAction(e) {
+    const btn = e.target.closest('[data-action]');
+    if (!btn) return;
+    
+    const row = btn.closest('.template-row');
+    const id = Number(row.dataset.id);
+    templatesError.textContent = '';
+    
+    try {
+        if (btn.dataset.action === 'save') {
+            await api.updateTemplate(id, readTemplateRow(row));
+        } else {
+            await api.deleteTemplate(id);
+        }
+        await refreshTemplatesEditor();
+    } catch (error) {
+        templatesError.textContent = getApiErrorMessage(error, 'Could not change the template.');
+    }
+}
+
+async function handleTemplateAdd(e) {
+    e.preventDefault();
+    const form = e.target;
+    templatesError.textContent = '';
+    
+    try {
+        await api.addTemplate(readTemplateRow(form));
+        form.reset();
+        await refreshTemplatesEditor();
+    } catch (error) {
+        templatesError.textContent = getApiErrorMessage(error, 'Could not add the template.');
+    }
+}
+
+async function handleStarterAdd(e) {
+    const btn = e.target.closest('[data-starter]');
+    if (!btn) return;
+    
+    const { name, content } = starterTemplates[btn.dataset.starter];
+    templatesError.textContent = '';
+    
+    try {
+        await api.addTemplate({ name, content });
+        await refreshTemplatesEditor();
+    } catch (error) {
+        templatesError.textContent = getApiErrorMessage(error, 'Could not add the template.');
+    }
+}
+
+function setupTemplates() {
+    templatesModal = document.getElementById('templatesModal');
+    templatesList = document.getElementById('templatesList');
+    templatesError = document.getElementById('templatesError');
+    templatesAddForm = document.getElementById('templatesAddForm');
+    templateStarters = document.getElementById('templateStarters');
+    
+    templatesAddForm.querySelector('.template-weekdays').innerHTML = renderWeekdayChoices([]);
+    
+    document.getElementById('templatesBtn').addEventListener('click', showTemplatesModal);
+    document.getElementById('templatesCloseBtn').addEventListener('click', () => {
+        templatesModal.hidden = true;
+    });
+    templatesList.addEventListener('click', handleTemplateAction);
+    templatesAddForm.addEventListener('submit', handleTemplateAdd);
+    templateStarters.addEventListener('click', handleStarterAdd);
+}
+
+// History Functions
+// Online, the history lists entries a page at a time as it is scrolled, each
+// as a summary whose full content is loaded on request. Offline it shows
+// everything in the local cache.
+const HISTORY_PAGE_SIZE = 20;
+// How close to the bottom of the list (in pixels) the next page is fetched
+const HISTORY_SCROLL_MARGIN = 200;
+
+function showHistory({ tag = '' } = {}) {
+    console.log('Showing history...');
+    displayHistory(tag);
+}
+
+function loadHistoryFromLocalStorage() {
+    const entries = [];
+    const keys = Object.keys(localStorage);
+    
+    // Get diary entries
+    const diaryKeys = keys.filter(key => key.startsWith('diary_'));
+    diaryKeys.forEach(key => {
+        const date = key.replace('diary_', '');
+        const content = localStorage.getItem(key);
+        const mood = mainMood(getCachedDayMoods(date)) || defaultMood;
         
-        // Fallback to LocalStorage only
-        localStorage.setItem(`diary_${dateKey}`, content);
-        console.log('Entry saved to LocalStorage (fallback)');
+        if (content && content.trim()) {
+            entries.push({
+                date,
+                content: content.trim(),
+                mood: mood.mood,
+                emoji: mood.emoji
+            });
+        }
+    });
+    
+    // Sort by date (newest first)
+    return entries.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
+
+// tag opens the history filtered to entries with that tag
+function displayHistory(tag = '') {
+    // Create modal
+    const modal = document.createElement('div');
+    modal.className = 'history-modal';
+    
+    // Mood filter options come from the mood picker
+    const moodOptions = Array.from(emojiGrid.querySelectorAll('.emoji-btn'))
+        .map(btn => `<option value="${escapeHtml(btn.dataset.mood)}">${escapeHtml(btn.dataset.emoji)} ${escapeHtml(btn.dataset.mood)}</option>`)
+        .join('');
+    
+    const modalContent = `
+        <div class="history-modal-content">
+            <div class="history-modal-header">
+                <h3>📖 Diary History</h3>
+                <button class="close-btn history-close-btn">&times;</button>
+            </div>
+            <div class="history-search">
+                <input type="search" class="history-search-input" placeholder='Search entries… "exact phrase" or walk*'>
+                <div class="history-search-filters">
+                    <input type="date" class="history-search-from" title="From date">
+                    <input type="date" class="history-search-to" title="To date">
+                    <select class="history-search-mood">
+                        <option value="">Any mood</option>
+                        ${moodOptions}
+                    </select>
+                    <select class="history-search-tag">
+                        <option value="">Any tag</option>
+                        ${tag ? `<option value="${escapeHtml(tag)}">#${escapeHtml(tag)}</option>` : ''}
+                    </select>
+                    <select class="history-sort" title="Order of the list (search results come best match first)">
+                        <option value="desc">Newest first</option>
+                        <option value="asc">Oldest first</option>
+                    </select>
+                </div>
+            </div>
+            <div class="history-modal-body"></div>
+        </div>
+    `;
+    
+    modal.innerHTML = modalContent;
+    document.body.appendChild(modal);
+    
+    setupHistorySearch(modal, tag);
+    
+    modal.querySelector('.history-close-btn').addEventListener('click', () => modal.remove());
+    
+    // Close modal when clicking outside
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            modal.remove();
+        }
+    });
+}
+
+function renderHistoryEntries(entries) {
+    if (entries.length === 0) {
+        return '<div class="no-entries">No diary entries found yet. Start writing your first entry!</div>';
+    }
+    
+    return entries.map(entry => `
+        <div class="history-entry">
+            <div class="history-entry-date">${escapeHtml(formatDisplayDate(new Date(entry.date)))}${entry.created_at ? ` · ${escapeHtml(formatEntryTime(entry.created_at))}` : ''}</div>
+            <div class="history-entry-mood">${escapeHtml(entry.emoji)} ${escapeHtml(entry.mood)}</div>
+            <div class="history-entry-content markdown-body">${renderMarkdown(entry.content, { readOnly: true })}</div>
+            ${renderTagChips(extractTags(entry.content))}
+        </div>
+    `).join('');
+}
+
+// Listed entries from the server: the start of each, with the rest loaded on request
+function renderHistorySummaries(entries) {
+    return entries.map(entry => {
+        const mood = entry.mood ? resolveMood(entry) : null;
+        const preview = entry.is_encrypted
+            ? '🔒 Encrypted entry'
+            : `${markdownToPlainText(entry.preview)}${entry.truncated ? '…' : ''}`;
         
-        showSaveFeedback(false);
+        return `
+            <div class="history-entry" data-id="${entry.id}" data-date="${escapeHtml(entry.date)}">
+                <div class="history-entry-date">${escapeHtml(formatDisplayDate(new Date(entry.date)))}${entry.created_at ? ` · ${escapeHtml(formatEntryTime(entry.created_at))}` : ''}</div>
+                ${mood ? `<div class="history-entry-mood">${escapeHtml(mood.emoji)} ${escapeHtml(mood.mood)}</div>` : ''}
+                <div class="history-entry-content">${escapeHtml(preview)}</div>
+                ${renderTagChips(entry.tags)}
+                <div class="history-entry-actions">
+                    ${entry.truncated ? '<button class="history-btn" type="button" data-action="expand">Read more</button>' : ''}
+                    <button class="history-btn" type="button" data-action="open">Open in diary</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Replace a listed entry's preview with all of its content
+async function expandHistoryEntry(card) {
+    const btn = card.querySelector('[data-action="expand"]');
+    btn.disabled = true;
+    
+    try {
+        const response = await api.getEntryById(card.dataset.id);
+        const content = card.querySelector('.history-entry-content');
+        content.classList.add('markdown-body');
+        content.innerHTML = renderMarkdown(response.data.content, { readOnly: true });
+        loadAttachmentImages(content);
+        btn.remove();
+    } catch (error) {
+        console.error('Error loading entry:', error);
+        btn.disabled = false;
+        showNotification(`⚠️ ${getApiErrorMessage(error, 'Could not load the entry.')}`, 'warning');
     }
 }
 
-async function autoSave() {
-    const dateKey = formatDateKey(currentDate);
-    const content = diaryTextarea.textContent.trim();
+// Export Functions
+async function exportDiary(format, zip) {
+    if (!isOnline) {
+        showNotification('📴 Exporting needs a connection to the server.', 'warning');
+        return;
+    }
     
-    console.log('Auto-saving diary entry for:', dateKey, 'Content length:', content.length);
+    const buttons = exportModal.querySelectorAll('[data-format]');
+    buttons.forEach(btn => { btn.disabled = true; });
     
     try {
-        if (isOnline) {
-            // Save to API
-            await api.saveEntry(dateKey, content);
-            console.log('Entry auto-saved to API successfully');
+        // Include anything still waiting in the offline outbox
+        if (syncOutbox.length > 0) {
+            await syncWithServer();
         }
         
-        // Always save to LocalStorage as backup
-        localStorage.setItem(`diary_${dateKey}`, content);
-        console.log('Entry auto-saved to LocalStorage');
+        const params = new URLSearchParams({ format });
+        if (zip) {
+            params.set('zip', 'true');
+        }
+        
+        const { blob, filename } = await api.download(`/export?${params}`);
+        
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
         
+        exportModal.hidden = true;
+        showNotification('📦 Your diary has been exported!', 'success');
     } catch (error) {
-        console.error('Error auto-saving diary entry:', error);
+        console.error('Export failed:', error);
+        showNotification('⚠️ Export failed. Please try again.', 'warning');
+    } finally {
+        buttons.forEach(btn => { btn.disabled = false; });
+    }
+}
+
+// Encryption Functions
+function isDiaryLocked() {
+    return Boolean(encryptionSettings) && !encryptionKey;
+}
+
+function isOpenEntryLocked() {
+    return dayEntries.some(entry => entry.id === currentEntryId && entry.locked);
+}
+
+function isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(ENCRYPTION_PREFIX);
+}
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+}
+
+function base64ToBytes(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+async function deriveEncryptionKey(passphrase, settings) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(settings.salt), iterations: settings.iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// "pdenc:v1:<keyId>:<iv>:<ciphertext>"; the key id tells a stale key from a wrong one
+async function encryptValue(text, key, keyId) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return `${ENCRYPTION_PREFIX}${keyId}:${bytesToBase64(iv)}:${bytesToBase64(new Uint8Array(ciphertext))}`;
+}
+
+// The plaintext, or null when the value can't be read with this key
+async function decryptValue(value, key, keyId) {
+    const [keyIdPart, iv, ciphertext] = value.slice(ENCRYPTION_PREFIX.length).split(':');
+    if (!key || keyIdPart !== keyId) return null;
+    
+    try {
+        const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(ciphertext));
+        return new TextDecoder().decode(plaintext);
+    } catch (error) {
+        return null;
+    }
+}
+
+// A mood is stored as one encrypted value holding the name and the emoji.
+// The palette link and note go inside the ciphertext too, as they would
+// give the mood away; intensity and time stay readable for stats.
+async function encryptMood(mood, emoji, key, keyId, { paletteId = null, note = null } = {}) {
+    return {
+        mood: await encryptValue(JSON.stringify({ mood, emoji, palette_id: paletteId, note }), key, keyId),
+        emoji: ENCRYPTED_MOOD_EMOJI,
+        paletteId: null,
+        note: null
+    };
+}
+
+// Encrypt outgoing content when the diary is encrypted. Throws while locked,
+// so callers fall back to the outbox until the passphrase is entered.
+async function sealContent(content) {
+    if (!encryptionSettings) return content;
+    if (!encryptionKey) throw new Error('Diary is locked');
+    return encryptValue(content, encryptionKey, encryptionSettings.key_id);
+}
+
+// details: { paletteId, intensity, time, note }
+async function sealMood(mood, emoji, details = {}) {
+    if (!encryptionSettings) return { ...details, mood, emoji };
+    if (!encryptionKey) throw new Error('Diary is locked');
+    return { ...details, ...(await encryptMood(mood, emoji, encryptionKey, encryptionSettings.key_id, details)) };
+}
+
+async function sealOperation(op) {
+    if (op.type === 'entry' && op.content !== undefined) {
+        return { ...op, content: await sealContent(op.content) };
+    }
+    if (op.type === 'mood' && op.action !== 'delete') {
+        return { ...op, ...(await sealMood(op.mood, op.emoji, { paletteId: op.paletteId, note: op.note })) };
+    }
+    return op;
+}
+
+// Decrypt, in place, every entry and mood in an API response. Anything that
+// can't be read is replaced by a placeholder and flagged `locked` (entries)
+// or `moodLocked` (moods, which may be joined onto entries).
+async function openEncrypted(value) {
+    if (!value || typeof value !== 'object') return value;
+    
+    for (const child of Object.values(value)) {
+        if (child && typeof child === 'object') {
+            await openEncrypted(child);
+        }
+    }
+    
+    const keyId = encryptionSettings && encryptionSettings.key_id;
+    let unreadable = false;
+    
+    if (isEncryptedValue(value.content)) {
+        const content = await decryptValue(value.content, encryptionKey, keyId);
+        unreadable = unreadable || content === null;
+        value.content = content === null ? LOCKED_ENTRY_TEXT : content;
+        value.locked = content === null;
+    }
+    if (isEncryptedValue(value.mood)) {
+        const mood = await decryptValue(value.mood, encryptionKey, keyId);
+        unreadable = unreadable || mood === null;
+        Object.assign(value, mood === null ? { mood: LOCKED_MOOD_TEXT, emoji: ENCRYPTED_MOOD_EMOJI } : JSON.parse(mood));
+        value.moodLocked = mood === null;
+    }
+    
+    // Unlocked but still unreadable: the passphrase was changed elsewhere
+    if (unreadable && encryptionKey) {
+        refreshEncryptionSettings();
+    }
+    
+    return value;
+}
+
+function setEncryptionSettings(settings) {
+    encryptionSettings = settings;
+    if (settings) {
+        localStorage.setItem('encryption_settings', JSON.stringify(settings));
+    } else {
+        localStorage.removeItem('encryption_settings');
+    }
+    updateEncryptionDisplay();
+}
+
+// Signing in or out switches diaries, and each has its own passphrase
+function resetEncryption() {
+    encryptionKey = null;
+    setEncryptionSettings(null);
+    if (isOnline) {
+        refreshEncryptionSettings();
+    }
+}
+
+// Pick up the diary's key parameters; a new key id means the passphrase
+// changed on another device and has to be entered again
+async function refreshEncryptionSettings() {
+    try {
+        const response = await api.getEncryption();
+        const settings = response.data;
         
-        // Fallback to LocalStorage only
-        localStorage.setItem(`diary_${dateKey}`, content);
-        console.log('Entry auto-saved to LocalStorage (fallback)');
+        if (!settings || !encryptionSettings || settings.key_id !== encryptionSettings.key_id) {
+            encryptionKey = null;
+        }
+        setEncryptionSettings(settings);
+        
+        if (isDiaryLocked()) {
+            showUnlockModal();
+        }
+    } catch (error) {
+        console.error('Error loading encryption settings:', error);
+    }
+}
+
+function setupEncryption() {
+    encryptionBtn.addEventListener('click', showEncryptionModal);
+    document.getElementById('encryptionCloseBtn').addEventListener('click', () => {
+        encryptionModal.hidden = true;
+    });
+    document.getElementById('encryptionForm').addEventListener('submit', handleEncryptionSubmit);
+    document.getElementById('encryptionDisableBtn').addEventListener('click', handleDisableEncryption);
+    document.getElementById('unlockCloseBtn').addEventListener('click', () => {
+        unlockModal.hidden = true;
+    });
+    document.getElementById('unlockForm').addEventListener('submit', handleUnlock);
+    
+    updateEncryptionDisplay();
+    
+    // Offline, the last known settings decide whether to ask for the passphrase
+    if (!isOnline && isDiaryLocked()) {
+        showUnlockModal();
     }
 }
 
-function showSaveFeedback(success) {
-    const originalText = saveBtn.textContent;
-    const originalBackground = saveBtn.style.background;
+function updateEncryptionDisplay() {
+    if (!encryptionBtn) return;
     
-    if (success) {
-        saveBtn.textContent = '✓ Saved!';
-        saveBtn.style.background = 'rgba(46, 204, 113, 0.3)';
+    if (!encryptionSettings) {
+        encryptionBtn.textContent = '🔓 Encryption';
     } else {
-        saveBtn.textContent = '⚠ Saved Locally';
-        saveBtn.style.background = 'rgba(241, 196, 15, 0.3)';
+        encryptionBtn.textContent = encryptionKey ? '🔐 Encrypted' : '🔒 Locked';
     }
+}
+
+function showUnlockModal() {
+    if (!unlockModal.hidden) return;
     
-    setTimeout(() => {
-        saveBtn.textContent = originalText;
-        saveBtn.style.background = originalBackground;
-    }, 2000);
+    document.getElementById('unlockError').textContent = '';
+    document.getElementById('unlockPassphrase').value = '';
+    unlockModal.hidden = false;
 }
 
-function navigateDay(direction) {
-    // Add page flip animation
-    diaryTextarea.classList.add('page-flip');
+// Whether a passphrase opens this diary (its key decrypts the check value)
+async function checkPassphrase(passphrase) {
+    const key = await deriveEncryptionKey(passphrase, encryptionSettings);
+    const check = await decryptValue(encryptionSettings.key_check, key, encryptionSettings.key_id);
+    return check === ENCRYPTION_CHECK_TEXT ? key : null;
+}
+
+async function handleUnlock(event) {
+    event.preventDefault();
     
-    setTimeout(() => {
-        // Update date
-        currentDate.setDate(currentDate.getDate() + direction);
+    const unlockError = document.getElementById('unlockError');
+    const submitBtn = document.getElementById('unlockSubmitBtn');
+    submitBtn.disabled = true;
+    unlockError.textContent = '';
+    
+    try {
+        const key = await checkPassphrase(document.getElementById('unlockPassphrase').value);
+        if (!key) {
+            unlockError.textContent = 'That passphrase does not unlock this diary.';
+            return;
+        }
         
-        // Load new entry
-        loadDiaryEntry();
+        encryptionKey = key;
+        unlockModal.hidden = true;
+        updateEncryptionDisplay();
         
-        // Remove animation class
-        diaryTextarea.classList.remove('page-flip');
-    }, 300);
-}
-
-function updateDayDisplay() {
-    if (currentDaySpan) {
-        currentDaySpan.textContent = formatDisplayDate(currentDate);
+        // Fetch everything again now that it can be read
+        resetSyncToken();
+        await syncWithServer();
+        await loadDiaryEntry();
+        showNotification('🔓 Diary unlocked!', 'success');
+    } finally {
+        submitBtn.disabled = false;
     }
 }
 
-function updateCurrentDay() {
-    if (currentDaySpan) {
-        currentDaySpan.textContent = formatDisplayDate(currentDate);
+function showEncryptionModal() {
+    if (isDiaryLocked()) {
+        showUnlockModal();
+        return;
     }
+    
+    const enabled = Boolean(encryptionSettings);
+    document.getElementById('encryptionStatus').textContent = enabled
+        ? 'Entries and moods are encrypted on this device before they are sent. The server only stores ciphertext, so encrypted entries are left out of search and readable exports.'
+        : 'Entries and moods are stored as plain text on the server. Turn on encryption to lock them with a passphrase only you know.';
+    document.getElementById('encryptionCurrent').hidden = !enabled;
+    document.getElementById('encryptionDisableBtn').hidden = !enabled;
+    document.getElementById('encryptionSubmitBtn').textContent = enabled ? '🔁 Change Passphrase' : '🔐 Turn On Encryption';
+    document.getElementById('encryptionError').textContent = '';
+    ['encryptionCurrent', 'encryptionNew', 'encryptionConfirm'].forEach(id => {
+        document.getElementById(id).value = '';
+    });
+    
+    encryptionModal.hidden = false;
 }
 
-// Mood Functions
-async function loadMood(dateKey) {
-    console.log('Loading mood for:', dateKey);
+async function handleEncryptionSubmit(event) {
+    event.preventDefault();
     
-    try {
-        if (isOnline) {
-            const response = await api.getMood(dateKey);
-            console.log('Mood API response:', response);
-            
-            if (response.success && response.data) {
-                currentMood.textContent = response.data.mood;
-                moodEmoji.textContent = response.data.emoji;
-                updateMoodSelection(response.data.emoji);
-            } else {
-                resetMoodDisplay();
-            }
-        } else {
-            // Load from LocalStorage
-            const savedMood = localStorage.getItem(`mood_${dateKey}`);
-            if (savedMood) {
-                const moodData = JSON.parse(savedMood);
-                currentMood.textContent = moodData.mood;
-                moodEmoji.textContent = moodData.emoji;
-                updateMoodSelection(moodData.emoji);
-            } else {
-                resetMoodDisplay();
-            }
-        }
-    } catch (error) {
-        console.error('Error loading mood:', error);
-        resetMoodDisplay();
+    const encryptionError = document.getElementById('encryptionError');
+    const passphrase = document.getElementById('encryptionNew').value;
+    
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        encryptionError.textContent = `Use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+        return;
     }
+    if (passphrase !== document.getElementById('encryptionConfirm').value) {
+        encryptionError.textContent = 'The passphrases do not match.';
+        return;
+    }
+    
+    await changeEncryption(passphrase);
 }
 
-async function selectMood(mood, emoji) {
-    const dateKey = formatDateKey(currentDate);
-    console.log('Selecting mood:', mood, emoji, 'for date:', dateKey);
+async function handleDisableEncryption() {
+    if (!confirm('Store this diary as plain text on the server again?')) return;
+    await changeEncryption(null);
+}
+
+// Turn encryption on, change the passphrase (after checking the current one) or turn it off
+async function changeEncryption(passphrase) {
+    const encryptionError = document.getElementById('encryptionError');
+    const buttons = [document.getElementById('encryptionSubmitBtn'), document.getElementById('encryptionDisableBtn')];
+    
+    if (!isOnline) {
+        encryptionError.textContent = 'Changing encryption needs a connection to the server.';
+        return;
+    }
+    
+    buttons.forEach(btn => { btn.disabled = true; });
+    encryptionError.textContent = '';
     
     try {
-        if (isOnline) {
-            await api.saveMood(dateKey, mood, emoji);
-            console.log('Mood saved to API successfully');
+        if (encryptionSettings && !(await checkPassphrase(document.getElementById('encryptionCurrent').value))) {
+            encryptionError.textContent = 'The current passphrase is not right.';
+            return;
         }
         
-        // Always save to LocalStorage as backup
-        localStorage.setItem(`mood_${dateKey}`, JSON.stringify({ mood, emoji }));
-        console.log('Mood saved to LocalStorage');
-        
-        // Update display
-        currentMood.textContent = mood;
-        moodEmoji.textContent = emoji;
-        updateMoodSelection(emoji);
-        
-        // Add panda animation
-        if (pandaImage) {
-            pandaImage.classList.add('panda-bounce');
-            setTimeout(() => {
-                pandaImage.classList.remove('panda-bounce');
-            }, 800);
-        }
+        await rekeyDiary(passphrase);
         
+        encryptionModal.hidden = true;
+        showNotification(passphrase ? '🔐 Your diary is encrypted with the new passphrase.' : '🔓 Encryption turned off.', 'success');
     } catch (error) {
-        console.error('Error saving mood:', error);
-        
-        // Fallback to LocalStorage only
-        localStorage.setItem(`mood_${dateKey}`, JSON.stringify({ mood, emoji }));
-        currentMood.textContent = mood;
-        moodEmoji.textContent = emoji;
-        updateMoodSelection(emoji);
+        console.error('Changing encryption failed:', error);
+        encryptionError.textContent = error.status
+            ? getApiErrorMessage(error, 'Could not change encryption. Please try again.')
+            : error.message;
+    } finally {
+        buttons.forEach(btn => { btn.disabled = false; });
     }
 }
 
-function updateMoodSelection(selectedEmoji) {
-    // Remove previous selection
-    const allButtons = emojiGrid.querySelectorAll('.emoji-btn');
-    allButtons.forEach(btn => btn.classList.remove('selected'));
+// Re-encrypt the whole diary under a new passphrase (or decrypt it when null).
+// Everything is read back through the current key and sent in one request.
+async function rekeyDiary(passphrase) {
+    await syncWithServer();
+    if (syncOutbox.length > 0) {
+        throw new Error('Some changes are still waiting to sync. Please try again once they are saved.');
+    }
     
-    // Add selection to current button
-    const selectedButton = emojiGrid.querySelector(`[data-emoji="${selectedEmoji}"]`);
-    if (selectedButton) {
-        selectedButton.classList.add('selected');
+    const response = await api.sync([], null);
+    const { entries, moods } = response.data.changes;
+    const revisions = (await api.getRevisionsForRekey()).data;
+    if (entries.some(entry => entry.locked) || moods.some(mood => mood.moodLocked) || revisions.some(revision => revision.locked)) {
+        throw new Error('Some entries could not be decrypted with the current passphrase.');
     }
-}
-
-function updateMoodDisplay() {
-    const dateKey = formatDateKey(currentDate);
-    const savedMood = localStorage.getItem(`mood_${dateKey}`);
     
-    if (savedMood) {
-        try {
-            const moodData = JSON.parse(savedMood);
-            currentMood.textContent = moodData.mood;
-            moodEmoji.textContent = moodData.emoji;
-            updateMoodSelection(moodData.emoji);
-        } catch (error) {
-            console.error('Error parsing saved mood:', error);
-            resetMoodDisplay();
-        }
-    } else {
-        resetMoodDisplay();
+    let key = null;
+    let encryption = null;
+    if (passphrase) {
+        encryption = {
+            keyId: generateUUID(),
+            kdf: ENCRYPTION_KDF,
+            iterations: ENCRYPTION_ITERATIONS,
+            salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16)))
+        };
+        key = await deriveEncryptionKey(passphrase, encryption);
+        encryption.keyCheck = await encryptValue(ENCRYPTION_CHECK_TEXT, key, encryption.keyId);
+    }
+    
+    const rows = {
+        entries: await Promise.all(entries.map(async entry => ({
+            id: entry.id,
+            version: entry.version,
+            content: key ? await encryptValue(entry.content, key, encryption.keyId) : entry.content
+        }))),
+        moods: await Promise.all(moods.map(async mood => ({
+            id: mood.id,
+            ...(key
+                ? await encryptMood(mood.mood, mood.emoji, key, encryption.keyId, { paletteId: mood.palette_id || null, note: mood.note || null })
+                : { mood: mood.mood, emoji: mood.emoji, paletteId: mood.palette_id || null, note: mood.note || null })
+        }))),
+        revisions: await Promise.all(revisions.map(async revision => ({
+            id: revision.id,
+            content: key ? await encryptValue(revision.content, key, encryption.keyId) : revision.content
+        })))
+    };
+    
+    const keyId = encryption ? encryption.keyId : null;
+    const batches = rekeyBatches(rows);
+    for (const [index, batch] of batches.entries()) {
+        await api.stageRekey({ keyId, restart: index === 0, ...batch });
     }
+    
+    const result = await api.rekey({
+        currentKeyId: encryptionSettings ? encryptionSettings.key_id : null,
+        encryption
+    });
+    
+    encryptionKey = key;
+    setEncryptionSettings(result.data.encryption);
+    
+    // Versions changed everywhere, so start the sync over
+    resetSyncToken();
+    await syncWithServer();
+    await loadDiaryEntry();
 }
 
-function resetMoodDisplay() {
-    currentMood.textContent = defaultMood.mood;
-    moodEmoji.textContent = defaultMood.emoji;
+// Split re-encrypted rows into batches small enough for one request each
+function rekeyBatches(rows) {
+    const batches = [];
+    let batch = null;
+    let bytes = 0;
+    let count = 0;
     
-    // Remove selected state from all buttons
-    const emojiButtons = emojiGrid.querySelectorAll('.emoji-btn');
-    emojiButtons.forEach(btn => {
-        btn.classList.remove('selected');
+    Object.entries(rows).forEach(([kind, items]) => {
+        items.forEach(item => {
+            const size = JSON.stringify(item).length;
+            if (!batch || count === REKEY_BATCH_ROWS || (count > 0 && bytes + size > REKEY_BATCH_BYTES)) {
+                batch = { entries: [], moods: [], revisions: [] };
+                batches.push(batch);
+                bytes = 0;
+                count = 0;
+            }
+            batch[kind].push(item);
+            bytes += size;
+            count += 1;
+        });
     });
+    
+    // An empty diary still stages once, to clear any abandoned rekey
+    return batches.length > 0 ? batches : [{ entries: [], moods: [], revisions: [] }];
 }
 
-function setupMoodSelector() {
-    // Initialize mood display
-    updateMoodDisplay();
-}
+// Import Functions
+const IMPORT_STATUS_LABELS = {
+    created: '✅ Added',
+    skipped: '⏭️ Skipped',
+    conflict: '⚠️ Conflict'
+};
 
-// History Functions
-async function showHistory() {
-    console.log('Showing history...');
+// Preview (dry run) or run an import of the chosen file
+async function importDiary(dryRun) {
+    const file = document.getElementById('importFile').files[0];
+    if (!file) {
+        showNotification('📂 Choose a file to import first.', 'warning');
+        return;
+    }
+    
+    if (!isOnline) {
+        showNotification('📴 Importing needs a connection to the server.', 'warning');
+        return;
+    }
+    
+    const buttons = [document.getElementById('importPreviewBtn'), document.getElementById('importBtn')];
+    buttons.forEach(btn => { btn.disabled = true; });
     
     try {
-        let entries = [];
+        const onConflict = document.getElementById('importKeepBoth').checked ? 'keep_both' : 'skip';
+        const response = await api.importDiary(file, { dryRun, onConflict });
+        renderImportResults(response.data);
         
-        if (isOnline) {
-            const response = await api.getHistory();
-            console.log('History API response:', response);
-            entries = response.data || [];
-        } else {
-            // Load from LocalStorage
-            entries = loadHistoryFromLocalStorage();
+        // Encrypted entries brought their passphrase into a diary that had none
+        if (!dryRun && response.data.adoptedEncryption) {
+            await refreshEncryptionSettings();
         }
         
-        displayHistory(entries);
-        
+        if (!dryRun && response.data.summary.created > 0) {
+            // Pull the imported entries into the offline cache and refresh the page
+            await syncWithServer();
+            loadDiaryEntry();
+            showNotification(`📥 Imported ${response.data.summary.created} item(s)!`, 'success');
+        }
     } catch (error) {
-        console.error('Error loading history:', error);
-        
-        // Fallback to LocalStorage
-        const entries = loadHistoryFromLocalStorage();
-        displayHistory(entries);
+        console.error('Import failed:', error);
+        const message = error.data && error.data.message ? error.data.message : 'Please try again.';
+        showNotification(`⚠️ Import failed. ${message}`, 'warning');
+    } finally {
+        buttons.forEach(btn => { btn.disabled = false; });
     }
 }
 
-function loadHistoryFromLocalStorage() {
-    const entries = [];
-    const keys = Object.keys(localStorage);
+function renderImportResults({ dryRun, summary, results }) {
+    const container = document.getElementById('importResults');
+    const heading = dryRun ? 'Preview (nothing imported yet)' : 'Import finished';
     
-    // Get diary entries
-    const diaryKeys = keys.filter(key => key.startsWith('diary_'));
-    diaryKeys.forEach(key => {
-        const date = key.replace('diary_', '');
-        const content = localStorage.getItem(key);
-        const moodKey = `mood_${date}`;
-        const moodData = localStorage.getItem(moodKey);
-        
-        let mood = defaultMood;
-        if (moodData) {
-            try {
-                mood = JSON.parse(moodData);
-            } catch (e) {
-                console.error('Error parsing mood data:', e);
+    container.innerHTML = `
+        <div class="import-summary">
+            <strong>${heading}:</strong>
+            ${summary.created} ${dryRun ? 'to add' : 'added'}, ${summary.skipped} skipped, ${summary.conflict} conflict(s)
+        </div>
+        <ul class="import-result-list">
+            ${results.filter(result => result.status !== 'created').map(result => `
+                <li class="import-result import-${result.status}">
+                    ${IMPORT_STATUS_LABELS[result.status]} ${escapeHtml(result.type)} ${escapeHtml(result.date || '')}
+                    <span class="import-source">${escapeHtml(result.source)}</span>
+                    <div class="import-reason">${escapeHtml(result.reason || '')}</div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    container.hidden = false;
+}
+
+// History Search Functions
+function setupHistorySearch(modal, tag) {
+    const body = modal.querySelector('.history-modal-body');
+    const queryInput = modal.querySelector('.history-search-input');
+    const fromInput = modal.querySelector('.history-search-from');
+    const toInput = modal.querySelector('.history-search-to');
+    const moodSelect = modal.querySelector('.history-search-mood');
+    const tagSelect = modal.querySelector('.history-search-tag');
+    const sortSelect = modal.querySelector('.history-sort');
+    
+    // The list being paged through; replaced whenever the filters change
+    let listing = null;
+    
+    const readFilters = () => ({
+        from: fromInput.value,
+        to: toInput.value,
+        mood: moodSelect.value,
+        tag: tagSelect.value
+    });
+    
+    const showLocalEntries = (filters, order) => {
+        const entries = filterLocalEntries(loadHistoryFromLocalStorage(), filters);
+        body.innerHTML = renderHistoryEntries(order === 'asc' ? entries.reverse() : entries);
+        loadAttachmentImages(body);
+    };
+    
+    const loadNextPage = async () => {
+        const page = listing;
+        if (!page || page.loading || !page.more) return;
+        
+        page.loading = true;
+        try {
+            const response = await api.getHistory({
+                ...page.filters,
+                order: page.order,
+                fields: 'summary',
+                limit: HISTORY_PAGE_SIZE,
+                cursor: page.cursor
+            });
+            // Ignore the page if the filters changed meanwhile
+            if (page !== listing) return;
+            
+            const entries = response.data || [];
+            if (!page.cursor) {
+                body.innerHTML = entries.length === 0
+                    ? '<div class="no-entries">No diary entries found yet. Start writing your first entry!</div>'
+                    : '';
             }
+            body.insertAdjacentHTML('beforeend', renderHistorySummaries(entries));
+            page.cursor = response.nextCursor;
+            page.more = Boolean(response.nextCursor);
+        } catch (error) {
+            console.error('Error loading history, showing local entries:', error);
+            if (page !== listing) return;
+            
+            listing = null;
+            showLocalEntries(page.filters, page.order);
+        } finally {
+            page.loading = false;
         }
         
-        if (content && content.trim()) {
-            entries.push({
-                date,
-                content: content.trim(),
-                mood: mood.mood,
-                emoji: mood.emoji
-            });
+        // Keep going until the list can scroll
+        if (page === listing && body.scrollHeight <= body.clientHeight) {
+            await loadNextPage();
+        }
+    };
+    
+    const showEntries = async (filters) => {
+        const order = sortSelect.value;
+        
+        if (!isOnline) {
+            listing = null;
+            showLocalEntries(filters, order);
+            return;
+        }
+        
+        listing = { filters, order, cursor: null, more: true, loading: false };
+        body.innerHTML = '<div class="no-entries">Loading…</div>';
+        body.scrollTop = 0;
+        await loadNextPage();
+    };
+    
+    const runSearch = debounce(async () => {
+        const query = queryInput.value.trim();
+        const filters = readFilters();
+        
+        if (!query) {
+            await showEntries(filters);
+            return;
+        }
+        
+        listing = null;
+        try {
+            let results;
+            let total;
+            
+            if (isOnline) {
+                const response = await api.searchEntries(query, filters);
+                results = response.data || [];
+                total = response.total;
+            } else {
+                results = searchLocalEntries(loadHistoryFromLocalStorage(), query, filters);
+                total = results.length;
+            }
+            
+            body.innerHTML = renderSearchResults(results, total);
+        } catch (error) {
+            console.error('Search failed, searching local entries:', error);
+            const results = searchLocalEntries(loadHistoryFromLocalStorage(), query, filters);
+            body.innerHTML = renderSearchResults(results, results.length);
         }
+    }, 300);
+    
+    [queryInput, fromInput, toInput, moodSelect, tagSelect, sortSelect].forEach(input => {
+        input.addEventListener('input', runSearch);
     });
     
-    // Sort by date (newest first)
-    return entries.sort((a, b) => new Date(b.date) - new Date(a.date));
+    body.addEventListener('scroll', () => {
+        if (body.scrollTop + body.clientHeight >= body.scrollHeight - HISTORY_SCROLL_MARGIN) {
+            loadNextPage();
+        }
+    });
+    
+    // Tag options with how many entries use each, keeping the chosen one
+    loadTags().then(tags => {
+        const selected = tagSelect.value;
+        tagSelect.innerHTML = `
+            <option value="">Any tag</option>
+            ${tags.map(item => `<option value="${escapeHtml(item.name)}">#${escapeHtml(item.name)} (${item.count})</option>`).join('')}
+        `;
+        selectTagOption(tagSelect, selected);
+    });
+    
+    if (tag) {
+        selectTagOption(tagSelect, tag);
+    }
+    showEntries(readFilters());
+    
+    body.addEventListener('click', (e) => {
+        // Load a listed entry's content, or open it in the diary
+        const action = e.target.closest('[data-action]');
+        if (action) {
+            const card = action.closest('.history-entry');
+            if (action.dataset.action === 'expand') {
+                expandHistoryEntry(card);
+            } else {
+                modal.remove();
+                openEntryFromHistory(card.dataset.date, Number(card.dataset.id));
+            }
+            return;
+        }
+        
+        // Filter by a tag chip
+        const chip = e.target.closest('.tag-chip');
+        if (chip) {
+            selectTagOption(tagSelect, chip.dataset.tag);
+            runSearch();
+            return;
+        }
+        
+        // Open a search result in the diary
+        const result = e.target.closest('.search-result');
+        if (!result) return;
+        
+        modal.remove();
+        openEntryFromHistory(result.dataset.date, Number(result.dataset.id) || null);
+    });
+    
+    queryInput.focus();
 }
 
-function displayHistory(entries) {
-    // Create modal
-    const modal = document.createElement('div');
-    modal.className = 'history-modal';
+// Select a tag, adding it as an option if the list doesn't have it (yet)
+function selectTagOption(select, tag) {
+    if (tag && !Array.from(select.options).some(option => option.value === tag)) {
+        select.add(new Option(`#${tag}`, tag));
+    }
+    select.value = tag;
+}
+
+// Apply the history's from/to/mood/tag filters to locally cached entries
+function filterLocalEntries(entries, filters = {}) {
+    return entries.filter(entry => {
+        if (filters.from && entry.date < filters.from) return false;
+        if (filters.to && entry.date > filters.to) return false;
+        if (filters.mood && (entry.mood || '').toLowerCase() !== filters.mood.toLowerCase()) return false;
+        if (filters.tag && !extractTags(entry.content).includes(filters.tag)) return false;
+        return true;
+    });
+}
+
+// Snippets arrive escaped with <mark> highlights; any other tag is neutralised
+function sanitizeSnippet(snippet) {
+    return String(snippet || '').replace(/<(?!\/?mark>)/g, '&lt;');
+}
+
+function renderSearchResults(results, total) {
+    if (results.length === 0) {
+        return '<div class="no-entries">No entries match your search.</div>';
+    }
     
-    const modalContent = `
-        <div class="history-modal-content">
-            <div class="history-modal-header">
-                <h3>📖 Diary History</h3>
-                <button class="close-btn" onclick="this.closest('.history-modal').remove()">&times;</button>
-            </div>
-            <div class="history-modal-body">
-                ${entries.length === 0 ? 
-                    '<div class="no-entries">No diary entries found yet. Start writing your first entry!</div>' :
-                    entries.map(entry => `
-                        <div class="history-entry">
-                            <div class="history-entry-date">${formatDisplayDate(new Date(entry.date))}</div>
-                            <div class="history-entry-mood">${entry.emoji} ${entry.mood}</div>
-                            <div class="history-entry-content">${entry.content}</div>
-                        </div>
-                    `).join('')
-                }
+    const more = total > results.length ? ` (showing ${results.length})` : '';
+    
+    return `
+        <div class="search-summary">${total} matching ${total === 1 ? 'entry' : 'entries'}${more}</div>
+        ${results.map(result => `
+            <div class="history-entry search-result" data-date="${escapeHtml(result.date)}" data-id="${escapeHtml(result.id || '')}">
+                <div class="history-entry-date">${escapeHtml(formatDisplayDate(new Date(result.date)))}${result.created_at ? ` · ${escapeHtml(formatEntryTime(result.created_at))}` : ''}</div>
+                ${result.mood ? `<div class="history-entry-mood">${escapeHtml(result.emoji || '')} ${escapeHtml(result.mood)}</div>` : ''}
+                <div class="history-entry-content">${sanitizeSnippet(result.snippet)}</div>
             </div>
-        </div>
+        `).join('')}
     `;
+}
+
+// Split a query the same way the server does: "phrases", prefix* and plain words
+function parseSearchQuery(query) {
+    const terms = [];
+    const rest = query.replace(/"([^"]*)"/g, (match, phrase) => {
+        if (phrase.trim()) {
+            terms.push({ text: phrase.trim().toLowerCase(), prefix: false });
+        }
+        return ' ';
+    });
     
-    modal.innerHTML = modalContent;
-    document.body.appendChild(modal);
+    rest.split(/\s+/).forEach(token => {
+        const prefix = token.endsWith('*');
+        const text = token.replace(/[^\p{L}\p{N}_'-]/gu, '').toLowerCase();
+        if (text) {
+            terms.push({ text, prefix });
+        }
+    });
     
-    // Close modal when clicking outside
-    modal.addEventListener('click', (e) => {
-        if (e.target === modal) {
-            modal.remove();
+    return terms;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Offline search over LocalStorage entries, returning results shaped like the API's
+function searchLocalEntries(entries, query, filters = {}) {
+    const terms = parseSearchQuery(query);
+    if (terms.length === 0) return [];
+    
+    const patterns = terms.map(term => new RegExp(
+        `(?<![\\p{L}\\p{N}_])${escapeRegExp(term.text)}${term.prefix ? '' : '(?![\\p{L}\\p{N}_])'}`,
+        'giu'
+    ));
+    
+    return filterLocalEntries(entries, filters)
+        .filter(entry => patterns.every(pattern => {
+            pattern.lastIndex = 0;
+            return pattern.test(entry.content);
+        }))
+        .map(entry => ({
+            date: entry.date,
+            mood: entry.mood,
+            emoji: entry.emoji,
+            snippet: highlightLocalSnippet(entry.content, patterns)
+        }));
+}
+
+function highlightLocalSnippet(content, patterns) {
+    const SNIPPET_RADIUS = 80;
+    
+    // Centre the snippet on the first match
+    patterns[0].lastIndex = 0;
+    const firstMatch = patterns[0].exec(content);
+    const center = firstMatch ? firstMatch.index : 0;
+    const start = Math.max(0, center - SNIPPET_RADIUS);
+    const end = Math.min(content.length, center + SNIPPET_RADIUS);
+    const text = content.slice(start, end);
+    
+    // Find every match in the snippet, then escape the text around them
+    const ranges = [];
+    patterns.forEach(pattern => {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            ranges.push([match.index, match.index + match[0].length]);
         }
     });
+    ranges.sort((a, b) => a[0] - b[0]);
+    
+    let html = '';
+    let position = 0;
+    ranges.forEach(([from, to]) => {
+        if (from < position) return;
+        html += `${escapeHtml(text.slice(position, from))}<mark>${escapeHtml(text.slice(from, to))}</mark>`;
+        position = to;
+    });
+    html += escapeHtml(text.slice(position));
+    
+    return `${start > 0 ? '…' : ''}${html}${end < content.length ? '…' : ''}`;
+}
+
+async function openEntryFromHistory(date, entryId) {
+    currentDate = new Date(date);
+    await loadDiaryEntry();
+    
+    if (entryId) {
+        await selectEntry(entryId);
+    }
 }
 
 // Utility Functions
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 function showNotification(message, type = 'info') {
     // Create notification element
     const notification = document.createElement('div');
@@ -744,8 +5370,23 @@ document.addEventListener('keydown', function(e) {
         saveDiaryEntry();
     }
     
-    // Left/Right arrows to navigate days (when not typing)
-    if (e.target !== diaryTextarea) {
+    // Formatting shortcuts in the editor (see EDITOR_SHORTCUTS)
+    const formatCommand = getEditorShortcut(e);
+    if (formatCommand) {
+        e.preventDefault();
+        formatEditor(formatCommand);
+    }
+    
+    // Left/Right arrows to navigate days (when not typing), or months in the calendar
+    if (calendarModal && !calendarModal.hidden) {
+        if (e.key === 'ArrowLeft') {
+            shiftCalendarMonth(-1);
+        } else if (e.key === 'ArrowRight') {
+            shiftCalendarMonth(1);
+        } else if (e.key === 'Escape') {
+            calendarModal.hidden = true;
+        }
+    } else if (e.target !== diaryTextarea && e.target.tagName !== 'INPUT') {
         if (e.key === 'ArrowLeft') {
             navigateDay(-1);
         } else if (e.key === 'ArrowRight') {